@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Authentication providers for the Box API.
+ * @author Nicholas C. Zakas
+ */
+/* global fetch, URL, URLSearchParams */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} BoxTokenOptions
+ * @property {boolean} [refresh] True when the previous token was rejected
+ *  and a new one is needed.
+ */
+
+/**
+ * @typedef {Object} BoxAuthProvider
+ * @property {(options?: BoxTokenOptions) => Promise<string>} getToken Returns
+ *  the access token to use for the next request.
+ */
+
+/**
+ * @typedef {Object} BoxTokens
+ * @property {string} accessToken The new access token.
+ * @property {string} [refreshToken] The new refresh token.
+ * @property {number} expiresIn The number of seconds until the access token
+ *  expires.
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { createApiError } from "./box-errors.js";
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+export const AUTH_BASE = "https://api.box.com/";
+
+export const AUTH_ENDPOINTS = {
+	token: "oauth2/token",
+};
+
+/**
+ * The number of milliseconds before an access token expires at which a new
+ * token is requested. This prevents using a token that expires while a
+ * request is in flight.
+ */
+const EXPIRATION_MARGIN = 60 * 1000;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Asserts that the given value is a non-empty string.
+ * @param {any} value The value to check.
+ * @param {string} name The name of the value to use in the error message.
+ * @returns {void}
+ * @throws {TypeError} If the value is not a non-empty string.
+ */
+function assertNonEmptyString(value, name) {
+	if (!value || typeof value !== "string") {
+		throw new TypeError(`${name} must be a non-empty string.`);
+	}
+}
+
+/**
+ * Requests a new access token from the Box token endpoint.
+ * @param {string} authBase The base URL for the token endpoint.
+ * @param {Record<string, string>} params The form parameters to send.
+ * @returns {Promise<Object>} A promise that resolves with the JSON response
+ *  from the server.
+ * @throws {BoxApiError} If the server returns a non-OK response.
+ */
+async function requestToken(authBase, params) {
+	const response = await fetch(new URL(AUTH_ENDPOINTS.token, authBase), {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/x-www-form-urlencoded",
+		},
+		body: new URLSearchParams(params).toString(),
+	});
+
+	if (!response.ok) {
+		throw await createApiError(response);
+	}
+
+	return response.json();
+}
+
+/**
+ * Keeps an access token until it expires and makes sure that only one
+ * request for a new token is in flight at a time.
+ */
+class AccessTokenCache {
+	/**
+	 * The current access token.
+	 * @type {string|undefined}
+	 */
+	#accessToken;
+
+	/**
+	 * The time in milliseconds at which the access token should be replaced.
+	 * @type {number}
+	 */
+	#expiresAt;
+
+	/**
+	 * The pending request for a new access token.
+	 * @type {Promise<string>|undefined}
+	 */
+	#pending;
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} [accessToken] An access token to use until it's
+	 *  rejected.
+	 */
+	constructor(accessToken) {
+		this.#accessToken = accessToken;
+		this.#expiresAt = accessToken ? Infinity : 0;
+	}
+
+	/**
+	 * Returns the current access token or requests a new one when there is
+	 * no current access token, it has expired, or a refresh is requested.
+	 * @param {boolean} refresh True to request a new access token.
+	 * @param {() => Promise<BoxTokens>} request A function that requests new
+	 *  tokens.
+	 * @returns {Promise<string>} A promise that resolves with the access token.
+	 */
+	get(refresh, request) {
+		if (!refresh && this.#accessToken && Date.now() < this.#expiresAt) {
+			return Promise.resolve(this.#accessToken);
+		}
+
+		this.#pending ??= request()
+			.then(({ accessToken, expiresIn }) => {
+				this.#accessToken = accessToken;
+				this.#expiresAt =
+					Date.now() + expiresIn * 1000 - EXPIRATION_MARGIN;
+				return accessToken;
+			})
+			.finally(() => {
+				this.#pending = undefined;
+			});
+
+		return this.#pending;
+	}
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * An auth provider that always returns the same access token.
+ * @implements {BoxAuthProvider}
+ */
+export class StaticTokenProvider {
+	/**
+	 * The access token.
+	 * @type {string}
+	 */
+	#token;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {string} options.token The access token to use for requests.
+	 * @throws {TypeError} If the token is not a non-empty string.
+	 */
+	constructor({ token }) {
+		assertNonEmptyString(token, "Token");
+		this.#token = token;
+	}
+
+	/**
+	 * Returns the access token. A static token can't be refreshed, so the
+	 * same token is returned even when a refresh is requested.
+	 * @returns {Promise<string>} A promise that resolves with the access token.
+	 */
+	async getToken() {
+		return this.#token;
+	}
+}
+
+/**
+ * An auth provider that uses the OAuth 2.0 refresh token flow to get new
+ * access tokens. Box replaces the refresh token each time it's used, so
+ * `onRefresh` should be used to store the new refresh token when the
+ * provider needs to outlive the process.
+ * @implements {BoxAuthProvider}
+ */
+export class RefreshTokenProvider {
+	/**
+	 * The client ID of the Box app.
+	 * @type {string}
+	 */
+	#clientId;
+
+	/**
+	 * The client secret of the Box app.
+	 * @type {string}
+	 */
+	#clientSecret;
+
+	/**
+	 * The refresh token to use for the next request.
+	 * @type {string}
+	 */
+	#refreshToken;
+
+	/**
+	 * The base URL for the token endpoint.
+	 * @type {string}
+	 */
+	#authBase;
+
+	/**
+	 * Called with the new tokens after each refresh.
+	 * @type {((tokens: BoxTokens) => void)|undefined}
+	 */
+	#onRefresh;
+
+	/**
+	 * The access token cache.
+	 * @type {AccessTokenCache}
+	 */
+	#cache;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {string} options.clientId The client ID of the Box app.
+	 * @param {string} options.clientSecret The client secret of the Box app.
+	 * @param {string} options.refreshToken The refresh token.
+	 * @param {string} [options.accessToken] An access token to use until it's
+	 *  rejected.
+	 * @param {string} [options.authBase] The base URL for the token endpoint.
+	 * @param {(tokens: BoxTokens) => void} [options.onRefresh] Called with the
+	 *  new tokens after each refresh.
+	 * @throws {TypeError} If the client ID, client secret, or refresh token
+	 *  is not a non-empty string.
+	 */
+	constructor({
+		clientId,
+		clientSecret,
+		refreshToken,
+		accessToken,
+		authBase = AUTH_BASE,
+		onRefresh,
+	}) {
+		assertNonEmptyString(clientId, "Client ID");
+		assertNonEmptyString(clientSecret, "Client secret");
+		assertNonEmptyString(refreshToken, "Refresh token");
+
+		this.#clientId = clientId;
+		this.#clientSecret = clientSecret;
+		this.#refreshToken = refreshToken;
+		this.#authBase = authBase;
+		this.#onRefresh = onRefresh;
+		this.#cache = new AccessTokenCache(accessToken);
+	}
+
+	/**
+	 * Returns the access token, refreshing it first if necessary.
+	 * @param {BoxTokenOptions} [options] The options for the token.
+	 * @returns {Promise<string>} A promise that resolves with the access token.
+	 * @throws {BoxApiError} If the token endpoint returns a non-OK response.
+	 */
+	getToken({ refresh = false } = {}) {
+		return this.#cache.get(refresh, async () => {
+			const data = await requestToken(this.#authBase, {
+				grant_type: "refresh_token",
+				refresh_token: this.#refreshToken,
+				client_id: this.#clientId,
+				client_secret: this.#clientSecret,
+			});
+
+			const tokens = {
+				accessToken: data.access_token,
+				refreshToken: data.refresh_token ?? this.#refreshToken,
+				expiresIn: data.expires_in,
+			};
+
+			this.#refreshToken = tokens.refreshToken;
+			this.#onRefresh?.(tokens);
+
+			return tokens;
+		});
+	}
+}
+
+/**
+ * An auth provider that uses the Client Credentials Grant to get access
+ * tokens for a service account or user without user interaction.
+ * @implements {BoxAuthProvider}
+ */
+export class ClientCredentialsProvider {
+	/**
+	 * The client ID of the Box app.
+	 * @type {string}
+	 */
+	#clientId;
+
+	/**
+	 * The client secret of the Box app.
+	 * @type {string}
+	 */
+	#clientSecret;
+
+	/**
+	 * The type of the subject to authenticate as.
+	 * @type {"enterprise"|"user"}
+	 */
+	#subjectType;
+
+	/**
+	 * The ID of the enterprise or user to authenticate as.
+	 * @type {string}
+	 */
+	#subjectId;
+
+	/**
+	 * The base URL for the token endpoint.
+	 * @type {string}
+	 */
+	#authBase;
+
+	/**
+	 * The access token cache.
+	 * @type {AccessTokenCache}
+	 */
+	#cache = new AccessTokenCache();
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {string} options.clientId The client ID of the Box app.
+	 * @param {string} options.clientSecret The client secret of the Box app.
+	 * @param {string} options.subjectId The ID of the enterprise or user to
+	 *  authenticate as.
+	 * @param {"enterprise"|"user"} [options.subjectType="enterprise"] The type
+	 *  of the subject to authenticate as.
+	 * @param {string} [options.authBase] The base URL for the token endpoint.
+	 * @throws {TypeError} If the client ID, client secret, or subject ID is
+	 *  not a non-empty string.
+	 * @throws {TypeError} If the subject type is not "enterprise" or "user".
+	 */
+	constructor({
+		clientId,
+		clientSecret,
+		subjectId,
+		subjectType = "enterprise",
+		authBase = AUTH_BASE,
+	}) {
+		assertNonEmptyString(clientId, "Client ID");
+		assertNonEmptyString(clientSecret, "Client secret");
+		assertNonEmptyString(subjectId, "Subject ID");
+
+		if (subjectType !== "enterprise" && subjectType !== "user") {
+			throw new TypeError('Subject type must be "enterprise" or "user".');
+		}
+
+		this.#clientId = clientId;
+		this.#clientSecret = clientSecret;
+		this.#subjectId = subjectId;
+		this.#subjectType = subjectType;
+		this.#authBase = authBase;
+	}
+
+	/**
+	 * Returns the access token, requesting a new one first if necessary.
+	 * @param {BoxTokenOptions} [options] The options for the token.
+	 * @returns {Promise<string>} A promise that resolves with the access token.
+	 * @throws {BoxApiError} If the token endpoint returns a non-OK response.
+	 */
+	getToken({ refresh = false } = {}) {
+		return this.#cache.get(refresh, async () => {
+			const data = await requestToken(this.#authBase, {
+				grant_type: "client_credentials",
+				client_id: this.#clientId,
+				client_secret: this.#clientSecret,
+				box_subject_type: this.#subjectType,
+				box_subject_id: this.#subjectId,
+			});
+
+			return {
+				accessToken: data.access_token,
+				expiresIn: data.expires_in,
+			};
+		});
+	}
+}
@@ -2,7 +2,7 @@
  * @fileoverview The main file for the box package.
  * @author Nicholas C. Zakas
  */
-/* global fetch, FormData, Blob, URL */
+/* global fetch, FormData, Blob, URL, TextEncoder, crypto, btoa, setTimeout */
 
 //-----------------------------------------------------------------------------
 // Types
@@ -11,6 +11,28 @@
 /** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
 /** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
 /** @typedef {import("@humanfs/core").Path} Path */
+/** @typedef {import("./box-auth.js").BoxAuthProvider} BoxAuthProvider */
+/** @typedef {import("./box-auth.js").BoxTokenOptions} BoxTokenOptions */
+
+/**
+ * @typedef {BoxAuthProvider|((options: BoxTokenOptions) => string|Promise<string>)} BoxAuth
+ */
+
+/**
+ * @typedef {Object} CachedObject
+ * @property {string} id The ID of the object.
+ * @property {string} type The type of the object, either "file" or "folder".
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { AlreadyExistsError } from "@humanfs/core";
+import { Retrier } from "@humanwhocodes/retry";
+import { StaticTokenProvider } from "./box-auth.js";
+import { BoxApiError, BoxNetworkError, createApiError } from "./box-errors.js";
+import { Sha1 } from "./sha1.js";
 
 //-----------------------------------------------------------------------------
 // Data
@@ -28,8 +50,41 @@ export const API_ENDPOINTS = {
 	upload: "files/content",
 	updateFolder: "folders/:folder_id",
 	copyFolder: "folders/:folder_id/copy",
+	uploadSession: "files/upload_sessions",
+	fileUploadSession: "files/:file_id/upload_sessions",
+	uploadSessionPart: "files/upload_sessions/:session_id",
+	uploadSessionCommit: "files/upload_sessions/:session_id/commit",
 };
 
+/**
+ * The size in bytes above which files are uploaded using an upload session.
+ * Box rejects single uploads larger than 50 MB.
+ */
+export const CHUNKED_UPLOAD_THRESHOLD = 50 * 1024 * 1024;
+
+/**
+ * The number of milliseconds to keep retrying a failed request.
+ */
+export const RETRY_TIMEOUT = 60 * 1000;
+
+/**
+ * The maximum number of milliseconds to wait between retries.
+ */
+export const MAX_RETRY_DELAY = 5 * 1000;
+
+/**
+ * The maximum number of requests that can be in flight at once.
+ */
+export const MAX_CONCURRENCY = 10;
+
+/**
+ * The HTTP methods of requests that can be sent again after a server error
+ * or a network error.
+ */
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+const encoder = new TextEncoder();
+
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
@@ -46,6 +101,81 @@ function replaceParams(url, params) {
 	});
 }
 
+/**
+ * Returns the cache key for the given path steps.
+ * @param {Iterable<string>} steps The steps in the path.
+ * @returns {string} The cache key.
+ */
+function toCacheKey(steps) {
+	return [...steps].join("/");
+}
+
+/**
+ * Returns the cache key for an object inside the folder with the given key.
+ * @param {string} parentKey The cache key of the parent folder.
+ * @param {string} name The name of the object.
+ * @returns {string} The cache key.
+ */
+function toChildCacheKey(parentKey, name) {
+	return parentKey ? `${parentKey}/${name}` : name;
+}
+
+/**
+ * Calculates the SHA-1 digest of the given bytes in the format that Box
+ * expects in the `Digest` header.
+ * @param {Uint8Array} bytes The bytes to calculate the digest for.
+ * @returns {Promise<string>} A promise that resolves with the digest.
+ */
+async function createDigest(bytes) {
+	return formatDigest(
+		new Uint8Array(await crypto.subtle.digest("SHA-1", bytes)),
+	);
+}
+
+/**
+ * Formats a SHA-1 hash in the format that Box expects in the `Digest`
+ * header.
+ * @param {Uint8Array} hash The hash to format.
+ * @returns {string} The digest.
+ */
+function formatDigest(hash) {
+	return `sha=${btoa(String.fromCharCode(...hash))}`;
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise<void>} A promise that resolves after the delay.
+ */
+function delay(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Determines if a request with the given method can be sent again without
+ * changing the result. A POST request that failed with a server error or a
+ * network error may still have been processed, so sending it again could,
+ * for example, create a second folder.
+ * @param {string} method The HTTP method of the request.
+ * @returns {boolean} True if the request can be sent again.
+ */
+function isIdempotentMethod(method) {
+	return IDEMPOTENT_METHODS.has(method.toUpperCase());
+}
+
+/**
+ * Determines if a response with the given status should be tried again.
+ * Box uses 429 when the rate limit is exceeded, in which case the request
+ * wasn't processed, and 5xx for temporary server problems, which are only
+ * tried again for idempotent requests.
+ * @param {number} status The HTTP status code.
+ * @param {boolean} idempotent True if the request is idempotent.
+ * @returns {boolean} True if the request should be tried again.
+ */
+function isRetryableStatus(status, idempotent) {
+	return status === 429 || (idempotent && status >= 500);
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -61,10 +191,10 @@ export class BoxClient {
 	#apiBase;
 
 	/**
-	 * The access token to use for requests.
-	 * @type {string}
+	 * Returns the access token to use for requests.
+	 * @type {(options: BoxTokenOptions) => string|Promise<string>}
 	 */
-	#token;
+	#getToken;
 
 	/**
 	 * The ID of the root folder.
@@ -72,22 +202,111 @@ export class BoxClient {
 	 */
 	#rootFolderId;
 
+	/**
+	 * The size in bytes above which files are uploaded using an upload
+	 * session.
+	 * @type {number}
+	 */
+	#chunkedUploadThreshold;
+
+	/**
+	 * The retrier that sends requests and tries them again when they fail
+	 * because of rate limits, server errors, or network errors.
+	 * @type {Retrier}
+	 */
+	#retrier;
+
+	/**
+	 * The number of milliseconds to keep retrying a failed request.
+	 * @type {number}
+	 */
+	#retryTimeout;
+
+	/**
+	 * Network errors from requests that must not be sent again because the
+	 * server may have processed them.
+	 * @type {WeakSet<BoxNetworkError>}
+	 */
+	#unretryableErrors = new WeakSet();
+
+	/**
+	 * The IDs of the objects this client has seen, keyed by path. Paths
+	 * are relative to the root folder with steps separated by "/", so the
+	 * root folder is the empty string.
+	 * @type {Map<string, CachedObject>}
+	 */
+	#objects = new Map();
+
+	/**
+	 * The paths of the objects in `#objects`, keyed by ID.
+	 * @type {Map<string, string>}
+	 */
+	#paths = new Map();
+
 	/**
 	 * Creates a new instance.
 	 * @param {object} options The options for the instance.
-	 * @param {string} options.token The access token to use for requests.
+	 * @param {string} [options.token] The access token to use for requests.
+	 * @param {BoxAuth} [options.auth] The auth provider that supplies access
+	 *  tokens. Use this instead of `token` when tokens need to be refreshed.
 	 * @param {string} [options.apiBase] The base URL for the Box API.
 	 * @param {string} [options.rootFolderId] The ID of the root folder.
+	 * @param {number} [options.chunkedUploadThreshold] The size in bytes above
+	 *  which files are uploaded in parts using an upload session.
+	 * @param {number} [options.retryTimeout] The number of milliseconds to
+	 *  keep retrying a request that failed with a 429 status, or with a 5xx
+	 *  status or a network error when the request isn't a POST.
+	 * @param {number} [options.maxRetryDelay] The maximum number of
+	 *  milliseconds to wait between retries.
+	 * @param {number} [options.concurrency] The maximum number of requests
+	 *  that can be in flight at once.
+	 * @throws {Error} If neither the token nor the auth provider is provided.
 	 * @throws {TypeError} If the token is not a string.
+	 * @throws {TypeError} If both the token and the auth provider are provided.
+	 * @throws {TypeError} If the auth provider is not a function or an object
+	 *  with a `getToken()` method.
 	 * @throws {TypeError} If the URL base is not a string.
+	 * @throws {TypeError} If the chunked upload threshold is not a
+	 *  non-negative number.
+	 * @throws {TypeError} If the retry timeout or max retry delay is not a
+	 *  non-negative number.
+	 * @throws {TypeError} If the concurrency is not a positive integer.
 	 */
-	constructor({ token, apiBase = API_BASE, rootFolderId = "0" }) {
-		if (!token) {
-			throw new Error("Token must be provided.");
-		}
+	constructor({
+		token,
+		auth,
+		apiBase = API_BASE,
+		rootFolderId = "0",
+		chunkedUploadThreshold = CHUNKED_UPLOAD_THRESHOLD,
+		retryTimeout = RETRY_TIMEOUT,
+		maxRetryDelay = MAX_RETRY_DELAY,
+		concurrency = MAX_CONCURRENCY,
+	}) {
+		if (auth) {
+			if (token) {
+				throw new TypeError(
+					"Token and auth provider can't both be provided.",
+				);
+			}
 
-		if (typeof token !== "string") {
-			throw new TypeError("Token must be a string.");
+			if (
+				typeof auth !== "function" &&
+				typeof auth.getToken !== "function"
+			) {
+				throw new TypeError(
+					"Auth provider must be a function or an object with a getToken() method.",
+				);
+			}
+		} else {
+			if (!token) {
+				throw new Error("Token must be provided.");
+			}
+
+			if (typeof token !== "string") {
+				throw new TypeError("Token must be a string.");
+			}
+
+			auth = new StaticTokenProvider({ token });
 		}
 
 		if (apiBase && typeof apiBase !== "string") {
@@ -98,27 +317,227 @@ export class BoxClient {
 			throw new TypeError("Root folder ID must be a string.");
 		}
 
-		this.#token = token;
+		if (
+			typeof chunkedUploadThreshold !== "number" ||
+			!(chunkedUploadThreshold >= 0)
+		) {
+			throw new TypeError(
+				"Chunked upload threshold must be a non-negative number.",
+			);
+		}
+
+		if (typeof retryTimeout !== "number" || !(retryTimeout >= 0)) {
+			throw new TypeError("Retry timeout must be a non-negative number.");
+		}
+
+		if (typeof maxRetryDelay !== "number" || !(maxRetryDelay >= 0)) {
+			throw new TypeError(
+				"Max retry delay must be a non-negative number.",
+			);
+		}
+
+		if (!Number.isInteger(concurrency) || concurrency < 1) {
+			throw new TypeError("Concurrency must be a positive integer.");
+		}
+
+		this.#getToken =
+			typeof auth === "function"
+				? auth
+				: options =>
+						/** @type {BoxAuthProvider} */ (auth).getToken(options);
 		this.#rootFolderId = rootFolderId;
 		this.#apiBase = apiBase;
+		this.#chunkedUploadThreshold = chunkedUploadThreshold;
+		this.#retryTimeout = retryTimeout;
+		this.#retrier = new Retrier(
+			error => {
+				if (error instanceof BoxNetworkError) {
+					return !this.#unretryableErrors.has(error);
+				}
+
+				// errors with a Retry-After delay are retried by #fetch()
+				return error instanceof BoxApiError && !error.retryAfter;
+			},
+			{ timeout: retryTimeout, maxDelay: maxRetryDelay, concurrency },
+		);
+
+		this.#cacheObject("", { id: rootFolderId, type: "folder" });
 	}
 
 	/**
-	 * Fetches data from the specified URL using the provided options.
+	 * Stores the ID of an object at the given path, replacing any object
+	 * that was previously stored there.
+	 * @param {string} key The cache key of the object.
+	 * @param {CachedObject} object The object to store.
+	 * @returns {void}
+	 */
+	#cacheObject(key, { id, type }) {
+		const existing = this.#objects.get(key);
+		const existingKey = this.#paths.get(id);
+
+		// the path now belongs to a different object
+		if (existing && existing.id !== id) {
+			this.#uncachePath(key);
+		}
+
+		// the object was moved
+		if (existingKey !== undefined && existingKey !== key) {
+			this.#uncachePath(existingKey);
+		}
+
+		this.#objects.set(key, { id, type });
+		this.#paths.set(id, key);
+	}
+
+	/**
+	 * Stores the ID of an object inside a folder. If the path of the folder
+	 * isn't known, then nothing is stored.
+	 * @param {string} parentId The ID of the parent folder.
+	 * @param {string} name The name of the object.
+	 * @param {CachedObject} object The object to store.
+	 * @returns {void}
+	 */
+	#cacheChild(parentId, name, object) {
+		const parentKey = this.#paths.get(parentId);
+
+		if (parentKey === undefined || !name || !object?.id) {
+			return;
+		}
+
+		this.#cacheObject(toChildCacheKey(parentKey, name), object);
+	}
+
+	/**
+	 * Removes the object at the given path and everything inside of it from
+	 * the cache. The root folder is never removed.
+	 * @param {string} key The cache key of the object to remove.
+	 * @returns {void}
+	 */
+	#uncachePath(key) {
+		for (const [otherKey, { id }] of this.#objects) {
+			if (
+				otherKey &&
+				(otherKey === key || otherKey.startsWith(`${key}/`))
+			) {
+				this.#objects.delete(otherKey);
+				this.#paths.delete(id);
+			}
+		}
+	}
+
+	/**
+	 * Removes the object with the given ID and everything inside of it from
+	 * the cache.
+	 * @param {string} id The ID of the object to remove.
+	 * @returns {void}
+	 */
+	#uncacheId(id) {
+		const key = this.#paths.get(id);
+
+		if (key) {
+			this.#uncachePath(key);
+		}
+	}
+
+	/**
+	 * Returns the name of the object with the given ID if it's in the cache.
+	 * @param {string} id The ID of the object.
+	 * @returns {string|undefined} The name of the object or undefined if the
+	 *  object isn't in the cache.
+	 */
+	#cachedNameOf(id) {
+		return this.#paths.get(id)?.split("/").pop() || undefined;
+	}
+
+	/**
+	 * Finds the deepest folder in the cache that contains the given path
+	 * steps.
+	 * @param {Array<string>} steps The steps in the path.
+	 * @param {number} end The number of steps to consider.
+	 * @returns {{folderId:string,depth:number}} The ID of the folder and the
+	 *  number of steps that lead to it.
+	 */
+	#findCachedFolder(steps, end) {
+		for (let depth = end; depth > 0; depth--) {
+			const object = this.#objects.get(toCacheKey(steps.slice(0, depth)));
+
+			if (object?.type === "folder") {
+				return { folderId: object.id, depth };
+			}
+		}
+
+		return { folderId: this.#rootFolderId, depth: 0 };
+	}
+
+	/**
+	 * Fetches data from the specified URL using the provided options. If the
+	 * server rejects the access token, a new token is requested from the auth
+	 * provider and the request is sent once more. Requests that fail because
+	 * of rate limits, server errors, or network errors are tried again with
+	 * an increasing delay, or after the delay in the `Retry-After` header
+	 * when the server sends one.
 	 * @param {string|URL} url The URL to fetch data from.
-	 * @param {object} options The options for the fetch request.
+	 * @param {object} [options] The options for the fetch request.
 	 * @returns {Promise<Response>} A promise that resolves to the response from the fetch request.
+	 * @throws {BoxApiError} If the server keeps returning a 429 or 5xx status.
+	 * @throws {BoxNetworkError} If the request keeps failing to send.
 	 */
-	#fetch(url, options) {
+	async #fetch(url, options = {}) {
 		const { headers, ...otherOptions } = options;
+		const idempotent = isIdempotentMethod(options.method ?? "GET");
+		const send = token =>
+			fetch(url, {
+				headers: {
+					...headers,
+					Authorization: `Bearer ${token}`,
+				},
+				...otherOptions,
+			}).catch(error => {
+				const networkError = new BoxNetworkError(error);
 
-		return fetch(url, {
-			headers: {
-				...headers,
-				Authorization: `Bearer ${this.#token}`,
-			},
-			...otherOptions,
-		});
+				if (!idempotent) {
+					this.#unretryableErrors.add(networkError);
+				}
+
+				throw networkError;
+			});
+
+		const task = async () => {
+			let response = await send(await this.#getToken({ refresh: false }));
+
+			if (response.status === 401) {
+				response = await send(await this.#getToken({ refresh: true }));
+			}
+
+			// other non-OK responses are handled by the caller
+			if (isRetryableStatus(response.status, idempotent)) {
+				throw await createApiError(response);
+			}
+
+			return response;
+		};
+		const deadline = Date.now() + this.#retryTimeout;
+
+		for (;;) {
+			try {
+				return await this.#retrier.retry(task);
+			} catch (error) {
+				/*
+				 * The retrier doesn't retry errors with a Retry-After delay,
+				 * so the delay is waited out here instead, where the request
+				 * doesn't hold a concurrency slot.
+				 */
+				if (
+					!(error instanceof BoxApiError) ||
+					!error.retryAfter ||
+					Date.now() + error.retryAfter > deadline
+				) {
+					throw error;
+				}
+
+				await delay(error.retryAfter);
+			}
+		}
 	}
 
 	/**
@@ -139,18 +558,178 @@ export class BoxClient {
 			url.searchParams.set("marker", marker);
 		}
 
-		return fetch(url, {
-			headers: {
-				Authorization: `Bearer ${this.#token}`,
-			},
-		}).then(response => {
+		return this.#fetch(url).then(async response => {
 			if (!response.ok) {
-				throw new Error(response.statusText);
+				throw await createApiError(response);
 			}
 			return response.json();
 		});
 	}
 
+	/**
+	 * Uploads one part of an upload session. Parts are sent with an
+	 * idempotent PUT request, so `#fetch()` tries a part again when it fails
+	 * with a 429 or 5xx status or a network error until the retry timeout
+	 * passes, and no separate retry loop is needed here.
+	 * @param {Object} session The upload session.
+	 * @param {Uint8Array} part The bytes of the part.
+	 * @param {number} offset The offset of the part in the file.
+	 * @param {number} fileSize The size of the file.
+	 * @returns {Promise<Object>} A promise that resolves with the part
+	 *  information from the server.
+	 * @throws {BoxApiError} If the part couldn't be uploaded.
+	 */
+	async #uploadPart(session, part, offset, fileSize) {
+		const response = await this.#fetch(
+			session.session_endpoints.upload_part,
+			{
+				method: "PUT",
+				headers: {
+					"Content-Type": "application/octet-stream",
+					"Content-Range": `bytes ${offset}-${offset + part.byteLength - 1}/${fileSize}`,
+					Digest: await createDigest(part),
+				},
+				body: part,
+			},
+		);
+
+		if (!response.ok) {
+			throw await createApiError(response);
+		}
+
+		return (await response.json()).part;
+	}
+
+	/**
+	 * Uploads a file in parts using an upload session. If a file ID is
+	 * given, a new version of that file is uploaded. Each part is uploaded as
+	 * soon as enough chunks have arrived to fill it, so only one part is held
+	 * in memory at a time.
+	 * @param {string} name The name of the file to upload.
+	 * @param {string} parentId The ID of the parent folder.
+	 * @param {string|undefined} fileId The ID of the existing file, if any.
+	 * @param {Iterable<Uint8Array>|AsyncIterable<Uint8Array>} chunks The
+	 *  contents of the file to upload.
+	 * @param {number} fileSize The size of the file.
+	 * @returns {Promise<Object>} A promise that resolves to the JSON response
+	 *  from the server.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
+	 * @throws {Error} If the chunks don't add up to the file size.
+	 */
+	async #uploadFileInParts(name, parentId, fileId, chunks, fileSize) {
+		const url = fileId
+			? new URL(
+					replaceParams(API_ENDPOINTS.fileUploadSession, {
+						file_id: fileId,
+					}),
+					this.#apiBase,
+				)
+			: new URL(API_ENDPOINTS.uploadSession, this.#apiBase);
+
+		const sessionResponse = await this.#fetch(url, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+			},
+			body: JSON.stringify({
+				folder_id: fileId ? undefined : parentId,
+				file_size: fileSize,
+				file_name: name,
+			}),
+		});
+
+		if (!sessionResponse.ok) {
+			throw await createApiError(sessionResponse);
+		}
+
+		const session = await sessionResponse.json();
+
+		try {
+			const parts = [];
+			const hash = new Sha1();
+			const buffer = new Uint8Array(session.part_size);
+			let bufferLength = 0;
+			let offset = 0;
+			let received = 0;
+
+			const uploadBuffer = async () => {
+				const part = buffer.subarray(0, bufferLength);
+
+				hash.update(part);
+				parts.push(
+					await this.#uploadPart(session, part, offset, fileSize),
+				);
+				offset += bufferLength;
+				bufferLength = 0;
+			};
+
+			for await (const chunk of chunks) {
+				received += chunk.byteLength;
+
+				if (received > fileSize) {
+					throw new Error(
+						`Expected ${fileSize} bytes but received more.`,
+					);
+				}
+
+				for (let start = 0; start < chunk.byteLength; ) {
+					if (bufferLength === buffer.byteLength) {
+						await uploadBuffer();
+					}
+
+					const count = Math.min(
+						buffer.byteLength - bufferLength,
+						chunk.byteLength - start,
+					);
+
+					buffer.set(
+						chunk.subarray(start, start + count),
+						bufferLength,
+					);
+					bufferLength += count;
+					start += count;
+				}
+			}
+
+			if (received < fileSize) {
+				throw new Error(
+					`Expected ${fileSize} bytes but received ${received}.`,
+				);
+			}
+
+			if (bufferLength) {
+				await uploadBuffer();
+			}
+
+			const response = await this.#fetch(
+				session.session_endpoints.commit,
+				{
+					method: "POST",
+					headers: {
+						"Content-Type": "application/json",
+						Digest: formatDigest(hash.digest()),
+					},
+					body: JSON.stringify({ parts }),
+				},
+			);
+
+			if (!response.ok) {
+				throw await createApiError(response);
+			}
+
+			return await response.json();
+		} catch (ex) {
+			// abort the session so the uploaded parts are discarded
+			await this.#fetch(session.session_endpoints.abort, {
+				method: "DELETE",
+			}).catch(() => {
+				// the original error is more useful than this one
+			});
+
+			throw ex;
+		}
+	}
+
 	/**
 	 * Copies a file to the given parent folder.
 	 * @param {string} fileId The ID of the file to copy.
@@ -158,7 +737,7 @@ export class BoxClient {
 	 * @param {object} [options] Additional options for the request.
 	 * @param {string} [options.name] The name to use for the copied file.
 	 * @returns {Promise<Object>} A promise that resolves to the JSON response from the server.
-	 * @throws {Error} If the server returns a non-OK response.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
 	 */
 	async copyFile(fileId, parentId, { name } = {}) {
 		const url = new URL(
@@ -179,10 +758,15 @@ export class BoxClient {
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
 
-		return response.json();
+		const file = await response.json();
+		const newName = name ?? file.name ?? this.#cachedNameOf(fileId);
+
+		this.#cacheChild(parentId, newName, { id: file.id, type: "file" });
+
+		return file;
 	}
 
 	/**
@@ -192,7 +776,7 @@ export class BoxClient {
 	 * @param {object} [options] Additional options for the request.
 	 * @param {string} [options.name] The name to use for the copied folder.
 	 * @returns {Promise<Object>} A promise that resolves to the JSON response from the server.
-	 * @throws {Error} If the server returns a non-OK response.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
 	 * @throws {TypeError} If the folder ID or parent ID are not strings.
 	 */
 	async copyFolder(folderId, parentId, { name } = {}) {
@@ -214,10 +798,15 @@ export class BoxClient {
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
 
-		return response.json();
+		const folder = await response.json();
+		const newName = name ?? folder.name ?? this.#cachedNameOf(folderId);
+
+		this.#cacheChild(parentId, newName, { id: folder.id, type: "folder" });
+
+		return folder;
 	}
 
 	/**
@@ -225,14 +814,13 @@ export class BoxClient {
 	 * @param {string} name The name of the folder.
 	 * @param {string} parentId The ID of the parent folder.
 	 * @returns {Promise<Object>} A promise that resolves to the JSON response from the server.
-	 * @throws {Error} If the server returns a non-OK response.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
 	 */
 	async createFolder(name, parentId) {
 		const url = new URL("folders", this.#apiBase);
-		const response = await fetch(url, {
+		const response = await this.#fetch(url, {
 			method: "POST",
 			headers: {
-				Authorization: `Bearer ${this.#token}`,
 				"Content-Type": "application/json",
 			},
 			body: JSON.stringify({
@@ -244,10 +832,13 @@ export class BoxClient {
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
 
-		return response.json();
+		const folder = await response.json();
+		this.#cacheChild(parentId, name, { id: folder.id, type: "folder" });
+
+		return folder;
 	}
 
 	/**
@@ -266,8 +857,10 @@ export class BoxClient {
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
+
+		this.#uncacheId(fileId);
 	}
 
 	/**
@@ -286,29 +879,39 @@ export class BoxClient {
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
+
+		this.#uncacheId(folderId);
 	}
 
 	/**
 	 * Downloads a file from the server.
 	 * @param {string} fileId The ID of the file to download.
+	 * @param {object} [options] Additional options for the request.
+	 * @param {{start:number,end:number}} [options.range] The byte range to
+	 *  download. The range starts at `start` and ends just before `end`.
 	 * @returns {Promise<Response>} A promise that resolves to the response object representing the downloaded file.
 	 * @throws {Error} If the server returns a non-OK response status.
 	 */
-	async download(fileId) {
+	async download(fileId, { range } = {}) {
 		const url = new URL(
 			replaceParams(API_ENDPOINTS.file, { file_id: fileId }),
 			this.#apiBase,
 		);
-		const response = await fetch(url, {
-			headers: {
-				Authorization: `Bearer ${this.#token}`,
-			},
+		const headers = {};
+
+		if (range) {
+			// HTTP ranges are inclusive on both ends
+			headers.Range = `bytes=${range.start}-${range.end - 1}`;
+		}
+
+		const response = await this.#fetch(url, {
+			headers,
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
 
 		return response;
@@ -329,22 +932,38 @@ export class BoxClient {
 			replaceParams(API_ENDPOINTS.folderItems, { folder_id: folderId }),
 			this.#apiBase,
 		);
-		url.searchParams.set("fields", "name,type,id,modified_at,size");
+		url.searchParams.set(
+			"fields",
+			"name,type,id,modified_at,created_at,size,etag",
+		);
+
+		return this.#fetchCollection(url, { limit, marker }).then(data => {
+			for (const entry of data.entries ?? []) {
+				this.#cacheChild(folderId, entry.name, entry);
+			}
 
-		return this.#fetchCollection(url, { limit, marker });
+			return data;
+		});
 	}
 
 	/**
-	 * Walks the given path using the Box API to find the given object.
+	 * Walks the given path using the Box API to find the given object. The
+	 * walk starts from the deepest folder in the path whose ID is already
+	 * known, and the folder that contains the object is always fetched so
+	 * the returned entry is up to date.
 	 * @param {Path} fileOrDirPath The path to the object to find.
 	 * @returns {Promise<Object|undefined>} A promise that resolves with the
 	 * object entry.
 	 */
 	async findObject(fileOrDirPath) {
-		let folderId = this.#rootFolderId;
+		const steps = [...fileOrDirPath];
+		let { folderId, depth } = this.#findCachedFolder(
+			steps,
+			steps.length - 1,
+		);
 		let object;
 
-		for (const entryName of fileOrDirPath) {
+		for (const entryName of steps.slice(depth)) {
 			const { entries } = await this.fetchFolderItems(folderId);
 			const entry = entries.find(entry => entry.name === entryName);
 
@@ -363,15 +982,19 @@ export class BoxClient {
 
 	/**
 	 * Ensures that a folder exists at the given path. If the folder doesn't exist,
-	 * or any of its ancestors don't exist, they are created.
+	 * or any of its ancestors don't exist, they are created. Folders whose IDs
+	 * are already known aren't fetched again.
 	 * @param {Path} dirPath The path to the folder to create.
 	 * @returns {Promise<Object>} A promise that resolves with the folder entry.
+	 *  When the folder is already known, the entry only contains its `id`
+	 *  and `type`.
 	 */
 	async ensurePathExists(dirPath) {
-		let folderId = this.#rootFolderId;
-		let folder;
+		const steps = [...dirPath];
+		let { folderId, depth } = this.#findCachedFolder(steps, steps.length);
+		let folder = this.#objects.get(toCacheKey(steps.slice(0, depth)));
 
-		for (const entryName of dirPath) {
+		for (const entryName of steps.slice(depth)) {
 			const { entries } = await this.fetchFolderItems(folderId);
 			const entry = entries.find(entry => entry.name === entryName);
 
@@ -394,7 +1017,7 @@ export class BoxClient {
 	 * @param {object} [options] Additional options for the request.
 	 * @param {string} [options.name] The name to use for the moved file.
 	 * @returns {Promise<Object>} A promise that resolves to the JSON response from the server.
-	 * @throws {Error} If the server returns a non-OK response.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
 	 * @throws {TypeError} If the file ID or parent ID are not strings.
 	 * @throws {PermissionError} If the operation is not permitted.
 	 * @throws {NotFoundError} If the file is not found.
@@ -418,10 +1041,16 @@ export class BoxClient {
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
 
-		return response.json();
+		const file = await response.json();
+		const newName = name ?? file.name ?? this.#cachedNameOf(fileId);
+
+		this.#uncacheId(fileId);
+		this.#cacheChild(parentId, newName, { id: file.id, type: "file" });
+
+		return file;
 	}
 
 	/**
@@ -431,7 +1060,7 @@ export class BoxClient {
 	 * @param {object} [options] Additional options for the request.
 	 * @param {string} [options.name] The name to use for the moved folder.
 	 * @returns {Promise<Object>} A promise that resolves to the JSON response from the server.
-	 * @throws {Error} If the server returns a non-OK response.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
 	 * @throws {TypeError} If the folder ID or parent ID are not strings.
 	 * @throws {PermissionError} If the operation is not permitted.
 	 * @throws {NotFoundError} If the folder is not found.
@@ -455,23 +1084,33 @@ export class BoxClient {
 		});
 
 		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+			throw await createApiError(response);
 		}
 
-		return response.json();
+		const folder = await response.json();
+		const newName = name ?? folder.name ?? this.#cachedNameOf(folderId);
+
+		this.#uncacheId(folderId);
+		this.#cacheChild(parentId, newName, { id: folder.id, type: "folder" });
+
+		return folder;
 	}
 
 	/**
-	 * Uploads a file to the given parent folder. If the file already exists, a new
-	 * version is created. If the file is a different type (e.g. a folder or weblink),
-	 * an error is thrown.
+	 * Checks that a file can be uploaded to the given parent folder and
+	 * finds the ID of the existing file with the same name, if any.
 	 * @param {string} name The name of the file to upload.
 	 * @param {string} parentId The ID of the parent folder.
-	 * @param {string|Uint8Array} contents The contents of the file to upload.
-	 * @returns
+	 * @param {boolean} chunked True if the file will be uploaded using an
+	 *  upload session, in which case no upload URL is needed.
+	 * @returns {Promise<{fileId:string|undefined,uploadUrl:string|undefined}>}
+	 *  A promise that resolves with the ID of the existing file and the URL
+	 *  to upload the file to.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
+	 * @throws {AlreadyExistsError} If a folder or web link with the same name
+	 *  already exists.
 	 */
-	async uploadFile(name, parentId, contents) {
-		// first do the preflight check
+	async #preflightUpload(name, parentId, chunked) {
 		const preflightUrl = new URL(API_ENDPOINTS.upload, this.#apiBase);
 		const preflightOptions = {
 			method: "OPTIONS",
@@ -486,6 +1125,7 @@ export class BoxClient {
 			}),
 		};
 
+		let fileId;
 		let preflightResponse = await this.#fetch(
 			preflightUrl,
 			preflightOptions,
@@ -495,56 +1135,168 @@ export class BoxClient {
 			if (preflight.code === "item_name_in_use") {
 				// if it's a folder or weblink, throw an error
 				if (preflight.context_info.conflicts.type !== "file") {
-					throw new Error(`EEXIST: File exists: ${name}`);
+					throw new AlreadyExistsError(name, {
+						path: name,
+						method: "uploadFile",
+					});
 				}
 
-				const fileId = preflight.context_info.conflicts.id;
+				fileId = preflight.context_info.conflicts.id;
 
 				// if it's a file, then update the file
-				preflightResponse = await this.#fetch(
-					new URL(
-						replaceParams(API_ENDPOINTS.file, { file_id: fileId }),
-						this.#apiBase,
-					),
-					preflightOptions,
-				);
-
-				if (!preflightResponse.ok) {
-					throw new Error(
-						`${preflightResponse.status} ${preflightResponse.statusText}`,
+				if (!chunked) {
+					preflightResponse = await this.#fetch(
+						new URL(
+							replaceParams(API_ENDPOINTS.file, {
+								file_id: fileId,
+							}),
+							this.#apiBase,
+						),
+						preflightOptions,
 					);
-				}
 
-				preflight = await preflightResponse.json();
+					if (!preflightResponse.ok) {
+						throw await createApiError(preflightResponse);
+					}
+
+					preflight = await preflightResponse.json();
+				}
 			} else {
-				throw new Error(
-					`${preflightResponse.status} ${preflightResponse.statusText}`,
-				);
+				throw await createApiError(preflightResponse, preflight);
 			}
 		}
 
-		// then do the file upload
-		const form = new FormData();
-		form.append(
-			"attributes",
-			JSON.stringify({
-				name,
-				parent: {
-					id: parentId,
-				},
-			}),
+		return { fileId, uploadUrl: preflight.upload_url };
+	}
+
+	/**
+	 * Stores the ID of an uploaded file.
+	 * @param {string} name The name of the file.
+	 * @param {string} parentId The ID of the parent folder.
+	 * @param {Object} result The JSON response from the upload.
+	 * @returns {void}
+	 */
+	#cacheUpload(name, parentId, result) {
+		// Box responds to uploads with a collection containing the file
+		const file = result.entries?.[0] ?? result;
+		this.#cacheChild(parentId, name, { id: file.id, type: "file" });
+	}
+
+	/**
+	 * Uploads a file to the given parent folder. If the file already exists, a new
+	 * version is created. If the file is a different type (e.g. a folder or weblink),
+	 * an error is thrown. Files larger than the chunked upload threshold are
+	 * uploaded in parts using an upload session.
+	 * @param {string} name The name of the file to upload.
+	 * @param {string} parentId The ID of the parent folder.
+	 * @param {string|Uint8Array} contents The contents of the file to upload.
+	 * @returns {Promise<Object>} A promise that resolves to the JSON response from the server.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
+	 * @throws {AlreadyExistsError} If a folder or web link with the same name
+	 *  already exists.
+	 */
+	async uploadFile(name, parentId, contents) {
+		const bytes =
+			typeof contents === "string" ? encoder.encode(contents) : contents;
+		const chunked = bytes.byteLength > this.#chunkedUploadThreshold;
+
+		// first do the preflight check
+		const { fileId, uploadUrl } = await this.#preflightUpload(
+			name,
+			parentId,
+			chunked,
 		);
-		form.append("file", new Blob([contents]), name);
 
-		const response = await this.#fetch(preflight.upload_url, {
-			method: "POST",
-			body: form,
-		});
+		let result;
 
-		if (!response.ok) {
-			throw new Error(`${response.status} ${response.statusText}`);
+		if (chunked) {
+			result = await this.#uploadFileInParts(
+				name,
+				parentId,
+				fileId,
+				[bytes],
+				bytes.byteLength,
+			);
+		} else {
+			// then do the file upload
+			const form = new FormData();
+			form.append(
+				"attributes",
+				JSON.stringify({
+					name,
+					parent: {
+						id: parentId,
+					},
+				}),
+			);
+			form.append("file", new Blob([contents]), name);
+
+			const response = await this.#fetch(uploadUrl, {
+				method: "POST",
+				body: form,
+			});
+
+			if (!response.ok) {
+				throw await createApiError(response);
+			}
+
+			result = await response.json();
 		}
 
-		return await response.json();
+		this.#cacheUpload(name, parentId, result);
+
+		return result;
+	}
+
+	/**
+	 * Uploads a file to the given parent folder from chunks that arrive over
+	 * time. When the size is given and is larger than the chunked upload
+	 * threshold, the chunks are passed straight into an upload session so
+	 * only one part is held in memory at a time. Otherwise, the chunks are
+	 * collected and passed to `uploadFile()`.
+	 * @param {string} name The name of the file to upload.
+	 * @param {string} parentId The ID of the parent folder.
+	 * @param {AsyncIterable<Uint8Array>} source The contents of the file to
+	 *  upload.
+	 * @param {object} [options] Additional options for the upload.
+	 * @param {number} [options.size] The number of bytes in the source.
+	 * @returns {Promise<Object>} A promise that resolves to the JSON response from the server.
+	 * @throws {TypeError} If the size is not a non-negative integer.
+	 * @throws {BoxApiError} If the server returns a non-OK response.
+	 * @throws {AlreadyExistsError} If a folder or web link with the same name
+	 *  already exists.
+	 * @throws {Error} If the source doesn't contain the given number of bytes.
+	 */
+	async uploadFileStream(name, parentId, source, { size } = {}) {
+		if (size !== undefined && !(Number.isInteger(size) && size >= 0)) {
+			throw new TypeError("Size must be a non-negative integer.");
+		}
+
+		if (size === undefined || size <= this.#chunkedUploadThreshold) {
+			const chunks = [];
+
+			for await (const chunk of source) {
+				chunks.push(chunk);
+			}
+
+			return this.uploadFile(
+				name,
+				parentId,
+				new Uint8Array(await new Blob(chunks).arrayBuffer()),
+			);
+		}
+
+		const { fileId } = await this.#preflightUpload(name, parentId, true);
+		const result = await this.#uploadFileInParts(
+			name,
+			parentId,
+			fileId,
+			source,
+			size,
+		);
+
+		this.#cacheUpload(name, parentId, result);
+
+		return result;
 	}
 }
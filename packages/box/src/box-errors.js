@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Error classes for the Box API.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Parses the value of a `Retry-After` header, which can be either a number
+ * of seconds or an HTTP date.
+ * @param {string|null} value The value of the header.
+ * @returns {number|undefined} The number of milliseconds to wait or
+ *  undefined if the value is missing or invalid.
+ */
+function parseRetryAfter(value) {
+	if (!value) {
+		return undefined;
+	}
+
+	const seconds = Number(value);
+
+	if (Number.isFinite(seconds)) {
+		return Math.max(seconds, 0) * 1000;
+	}
+
+	const date = Date.parse(value);
+
+	return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Error thrown when the Box API returns a non-OK response.
+ */
+export class BoxApiError extends Error {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "BoxApiError";
+
+	/**
+	 * The HTTP status code of the response.
+	 * @type {number}
+	 */
+	status;
+
+	/**
+	 * The Box error code, such as "item_name_in_use", if the response
+	 * included one.
+	 * @type {string|undefined}
+	 */
+	code;
+
+	/**
+	 * The ID of the request that Box assigned, if the response included one.
+	 * @type {string|undefined}
+	 */
+	requestId;
+
+	/**
+	 * The number of milliseconds that Box asked to wait before trying again,
+	 * if the response included a `Retry-After` header.
+	 * @type {number|undefined}
+	 */
+	retryAfter;
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {object} options The details of the response.
+	 * @param {number} options.status The HTTP status code of the response.
+	 * @param {string} [options.code] The Box error code.
+	 * @param {string} [options.requestId] The ID of the request.
+	 * @param {number} [options.retryAfter] The number of milliseconds to wait
+	 *  before trying again.
+	 */
+	constructor(message, { status, code, requestId, retryAfter }) {
+		super(message);
+		this.status = status;
+		this.code = code;
+		this.requestId = requestId;
+		this.retryAfter = retryAfter;
+	}
+}
+
+/**
+ * Error thrown when a request to the Box API couldn't be sent or no
+ * response was received.
+ */
+export class BoxNetworkError extends Error {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "BoxNetworkError";
+
+	/**
+	 * Creates a new instance.
+	 * @param {Error} cause The error thrown by `fetch()`.
+	 */
+	constructor(cause) {
+		super(`Network error: ${cause.message}`, { cause });
+	}
+}
+
+/**
+ * Creates an error for a non-OK response from the Box API. The error
+ * details are read from the response body when it's JSON. The OAuth token
+ * endpoint uses `error` and `error_description` instead of `code` and
+ * `message`.
+ * @param {Response} response The response from the server.
+ * @param {Object} [body] The already parsed body of the response.
+ * @returns {Promise<BoxApiError>} A promise that resolves with the error.
+ */
+export async function createApiError(response, body) {
+	if (body === undefined) {
+		body = await response.json().catch(() => undefined);
+	}
+
+	const message = `${response.status} ${response.statusText}`;
+	const details = body?.message ?? body?.error_description;
+
+	return new BoxApiError(details ? `${message}: ${details}` : message, {
+		status: response.status,
+		code: body?.code ?? body?.error,
+		requestId: body?.request_id,
+		retryAfter: parseRetryAfter(response.headers.get("Retry-After")),
+	});
+}
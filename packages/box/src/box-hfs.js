@@ -10,14 +10,39 @@
 
 /** @typedef{import("@humanfs/types").HfsImpl} HfsImpl */
 /** @typedef{import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef{import("@humanfs/types").HfsStat} HfsStat */
+/** @typedef{import("./box-client.js").BoxAuth} BoxAuth */
 
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
 
-import { Hfs, Path, NotEmptyError, NotFoundError, DirectoryError } from "@humanfs/core";
+import { Hfs, Path, NotEmptyError, NotFoundError, DirectoryError, MethodNotSupportedError } from "@humanfs/core";
 import { BoxClient } from "./box-client.js";
 
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a path with any ".." steps collapsed so that it can be walked one
+ * folder at a time.
+ * @param {string|URL} fileOrDirPath The path to convert.
+ * @returns {Path} The resolved path.
+ * @throws {TypeError} When the path leads above the root folder.
+ */
+function toPath(fileOrDirPath) {
+	const path = Path.from(fileOrDirPath).resolve();
+
+	if (path.steps().next().value === "..") {
+		throw new TypeError(
+			`Path "${fileOrDirPath}" leads outside of the root folder.`,
+		);
+	}
+
+	return path;
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -43,25 +68,56 @@ export class BoxHfsImpl {
 	/**
 	 * Creates a new instance.
 	 * @param {object} options The options for the instance.
-	 * @param {string} options.token The access token to use for requests.
+	 * @param {string} [options.token] The access token to use for requests.
+	 * @param {BoxAuth} [options.auth] The auth provider that supplies access
+	 *  tokens. Use this instead of `token` when tokens need to be refreshed.
 	 * @param {string} [options.apiBase] The base URL for the Box API.
 	 * @param {string} [options.rootFolderId] The ID of the root folder to use.
+	 * @param {number} [options.chunkedUploadThreshold] The size in bytes above
+	 *  which files are uploaded in parts using an upload session.
+	 * @param {number} [options.retryTimeout] The number of milliseconds to
+	 *  keep retrying a request that failed with a 429 or 5xx status or a
+	 *  network error.
+	 * @param {number} [options.maxRetryDelay] The maximum number of
+	 *  milliseconds to wait between retries.
+	 * @param {number} [options.concurrency] The maximum number of requests
+	 *  that can be in flight at once.
 	 * @throws {TypeError} If the token is not a string.
 	 * @throws {TypeError} If the URL base is not a string.
-	 * @throws {Error} If the token is not provided.
+	 * @throws {Error} If neither the token nor the auth provider is provided.
 	 * @throws {Error} If the token is an empty string.
 	 */
-	constructor({ token, apiBase, rootFolderId = "0" }) {
-		if (!token) {
-			throw new Error("Token must be provided.");
-		}
+	constructor({
+		token,
+		auth,
+		apiBase,
+		rootFolderId = "0",
+		chunkedUploadThreshold,
+		retryTimeout,
+		maxRetryDelay,
+		concurrency,
+	}) {
+		if (!auth) {
+			if (!token) {
+				throw new Error("Token must be provided.");
+			}
 
-		if (typeof token !== "string") {
-			throw new TypeError("Token must be a string.");
+			if (typeof token !== "string") {
+				throw new TypeError("Token must be a string.");
+			}
 		}
 
 		this.#rootFolderId = rootFolderId;
-		this.#client = new BoxClient({ token, apiBase, rootFolderId });
+		this.#client = new BoxClient({
+			token,
+			auth,
+			apiBase,
+			rootFolderId,
+			chunkedUploadThreshold,
+			retryTimeout,
+			maxRetryDelay,
+			concurrency,
+		});
 	}
 
 	/**
@@ -73,7 +129,7 @@ export class BoxHfsImpl {
 	 * @throws {TypeError} If the file path is not a string.
 	 */
 	async bytes(filePath) {
-		const entry = await this.#client.findObject(Path.from(filePath));
+		const entry = await this.#client.findObject(toPath(filePath));
 
 		if (!entry) {
 			return undefined;
@@ -84,6 +140,55 @@ export class BoxHfsImpl {
 			.then(buffer => new Uint8Array(buffer));
 	}
 
+	/**
+	 * Reads a range of bytes from a file using an HTTP Range request so that
+	 * only the requested bytes are downloaded.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The zero-based byte offset to start reading from.
+	 * @param {number} end The zero-based byte offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 *    bytes in the range or undefined if the file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	async slice(filePath, start, end) {
+		const entry = await this.#client.findObject(toPath(filePath));
+
+		if (!entry) {
+			return undefined;
+		}
+
+		// Box rejects ranges that start past the end of the file
+		const last = Math.min(end, entry.size);
+
+		if (start >= last) {
+			return new Uint8Array(0);
+		}
+
+		return this.#client.download(entry.id, { range: { start, end: last } })
+			.then(response => response.arrayBuffer())
+			.then(buffer => new Uint8Array(buffer));
+	}
+
+	/**
+	 * Reads a file and returns the contents as a readable stream. The stream
+	 * is the body of the download response, so the file is never buffered.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 *    resolves with a readable stream of the file contents or undefined if
+	 *    the file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	async stream(filePath) {
+		const entry = await this.#client.findObject(toPath(filePath));
+
+		if (!entry) {
+			return undefined;
+		}
+
+		return this.#client.download(entry.id)
+			.then(response => response.body);
+	}
+
 	/**
 	 * Writes a value to a file. If the value is a string, UTF-8 encoding is used.
 	 * @param {string|URL} filePath The path to the file to write.
@@ -113,7 +218,7 @@ export class BoxHfsImpl {
 		}
 
 		// first ensure that the directory exists
-		const path = Path.from(filePath);
+		const path = toPath(filePath);
 		const name = path.pop();
 		const folder = await this.#client.ensurePathExists(path);
 
@@ -122,6 +227,86 @@ export class BoxHfsImpl {
 
 	}
 
+	/**
+	 * Writes a value to a file so that readers see either the old or the new
+	 * contents. Box only replaces a file once an upload is complete, so
+	 * every write is atomic and this is the same as write().
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {string|ArrayBuffer|ArrayBufferView} contents The contents to write to the
+	 *   file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeAtomic(filePath, contents) {
+		return this.write(filePath, contents);
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file. When the size of
+	 * the file is given, large files are uploaded a part at a time as the
+	 * chunks arrive instead of being collected in memory first.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write to the file.
+	 * @param {object} [options] Additional options for writing.
+	 * @param {number} [options.size] The number of bytes in the source.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeStream(filePath, source, { size } = {}) {
+
+		// first ensure that the directory exists
+		const path = toPath(filePath);
+		const name = path.pop();
+		const folder = await this.#client.ensurePathExists(path);
+
+		// then upload the file
+		await this.#client.uploadFileStream(name, folder.id, source, { size });
+	}
+
+	/**
+	 * Appends a value to a file. Box can't add to the end of an existing
+	 * file, so the existing contents are downloaded and then uploaded again
+	 * with the new contents as a new version of the file.
+	 * @param {string|URL} filePath The path to the file to append to.
+	 * @param {Uint8Array} contents The contents to append to the file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {DirectoryError} If the file path is a directory.
+	 * @throws {Error} If the file cannot be appended to.
+	 */
+	async append(filePath, contents) {
+
+		// first ensure that the directory exists
+		const path = toPath(filePath);
+		const name = path.pop();
+		const folder = await this.#client.ensurePathExists(path);
+
+		// then read the existing contents, if any
+		path.push(name);
+		const entry = await this.#client.findObject(path);
+
+		if (entry?.type === "folder") {
+			throw new DirectoryError(`append ${path}`);
+		}
+
+		let value = contents;
+
+		if (entry) {
+			const existing = await this.#client.download(entry.id)
+				.then(response => response.arrayBuffer())
+				.then(buffer => new Uint8Array(buffer));
+
+			value = new Uint8Array(existing.byteLength + contents.byteLength);
+			value.set(existing);
+			value.set(contents, existing.byteLength);
+		}
+
+		// uploading to an existing file creates a new version of it
+		await this.#client.uploadFile(name, folder.id, value);
+	}
+
 	/**
 	 * Checks if a file exists.
 	 * @param {string|URL} filePath The path to the file to check.
@@ -129,7 +314,7 @@ export class BoxHfsImpl {
 	 *    file exists or false if it does not.
 	 */
 	isFile(filePath) {
-		return this.#client.findObject(Path.from(filePath))
+		return this.#client.findObject(toPath(filePath))
 			.then(entry => entry?.type === "file")
 			.catch(() => false);
 	}
@@ -141,7 +326,7 @@ export class BoxHfsImpl {
 	 *    directory exists or false if it does not.
 	 */
 	isDirectory(dirPath) {
-		return this.#client.findObject(Path.from(dirPath))
+		return this.#client.findObject(toPath(dirPath))
 			.then(entry => entry?.type === "folder")
 			.catch(() => false);
 	}
@@ -153,7 +338,7 @@ export class BoxHfsImpl {
 	 *   created.
 	 */
 	async createDirectory(dirPath) {
-		await this.#client.ensurePathExists(Path.from(dirPath));
+		await this.#client.ensurePathExists(toPath(dirPath));
 	}
 
 	/**
@@ -165,7 +350,7 @@ export class BoxHfsImpl {
 	 */
 	async size(filePath) {
 
-		const entry = await this.#client.findObject(Path.from(filePath));
+		const entry = await this.#client.findObject(toPath(filePath));
 
 		if (!entry) {
 			return undefined;
@@ -183,7 +368,7 @@ export class BoxHfsImpl {
 	 */
 	async lastModified(fileOrDirPath) {
 
-		const entry = await this.#client.findObject(Path.from(fileOrDirPath));
+		const entry = await this.#client.findObject(toPath(fileOrDirPath));
 		
 		if (!entry) {
 			return undefined;
@@ -192,6 +377,34 @@ export class BoxHfsImpl {
 		return new Date(entry.modified_at);
 	}
 
+	/**
+	 * Returns information about a file or directory using the entry found
+	 * while walking the path, so no additional requests are made.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to check.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 *  information about the file or directory or undefined if it doesn't exist.
+	 */
+	async stat(fileOrDirPath) {
+
+		const entry = await this.#client.findObject(toPath(fileOrDirPath));
+
+		if (!entry) {
+			return undefined;
+		}
+
+		const isDirectory = entry.type === "folder";
+
+		return {
+			kind: isDirectory ? "directory" : "file",
+			size: isDirectory ? 0 : entry.size,
+			lastModified: new Date(entry.modified_at),
+			created: entry.created_at ? new Date(entry.created_at) : undefined,
+			isSymlink: false,
+			id: entry.id,
+			etag: entry.etag ?? undefined,
+		};
+	}
+
 
 	/**
 	 * Returns a list of directory entries for the given path.
@@ -208,7 +421,7 @@ export class BoxHfsImpl {
 		 */
 		const folderId = dirPath === "."
 			? this.#rootFolderId
-			: (await this.#client.findObject(Path.from(dirPath))).id;
+			: (await this.#client.findObject(toPath(dirPath))).id;
 
 		let marker = null;
 		
@@ -241,7 +454,7 @@ export class BoxHfsImpl {
 	 */
 	async delete(fileOrDirPath) {
 
-		const path = Path.from(fileOrDirPath);
+		const path = toPath(fileOrDirPath);
 
 		const entry = await this.#client.findObject(path);
 		
@@ -278,7 +491,7 @@ export class BoxHfsImpl {
 	 */
 	async deleteAll(fileOrDirPath) {
 	
-		const path = Path.from(fileOrDirPath);
+		const path = toPath(fileOrDirPath);
 		let entry;
 
 		try {
@@ -315,8 +528,8 @@ export class BoxHfsImpl {
 	 */
 	async copy(source, destination) {
 
-		const sourcePath = Path.from(source);
-		const destPath = Path.from(destination);
+		const sourcePath = toPath(source);
+		const destPath = toPath(destination);
 
 		const sourceFile = await this.#client.findObject(sourcePath);
 
@@ -362,8 +575,8 @@ export class BoxHfsImpl {
 	 */
 	async copyAll(source, destination) {
 
-		const sourcePath = Path.from(source);
-		const destPath = Path.from(destination);
+		const sourcePath = toPath(source);
+		const destPath = toPath(destination);
 		const sourceEntry = await this.#client.findObject(sourcePath);
 
 		if (!sourceEntry) {
@@ -395,8 +608,8 @@ export class BoxHfsImpl {
 	 */
 	async move(source, destination) {
 
-		const sourcePath = Path.from(source);
-		const destPath = Path.from(destination);
+		const sourcePath = toPath(source);
+		const destPath = toPath(destination);
 
 		const sourceFile = await this.#client.findObject(sourcePath);
 
@@ -429,8 +642,8 @@ export class BoxHfsImpl {
 	 */
 	async moveAll(source, destination) {
 
-		const sourcePath = Path.from(source);
-		const destPath = Path.from(destination);
+		const sourcePath = toPath(source);
+		const destPath = toPath(destination);
 		const sourceEntry = await this.#client.findObject(sourcePath);
 
 		if (!sourceEntry) {
@@ -451,6 +664,33 @@ export class BoxHfsImpl {
 
 		await this.#client.moveFolder(sourceEntry.id, destFolder.id, { name: newName });
 	}
+
+	/**
+	 * Symbolic links aren't supported by Box.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {MethodNotSupportedError} Always.
+	 */
+	async createSymlink() {
+		throw new MethodNotSupportedError("createSymlink");
+	}
+
+	/**
+	 * Symbolic links aren't supported by Box.
+	 * @returns {Promise<string|undefined>} A promise that always rejects.
+	 * @throws {MethodNotSupportedError} Always.
+	 */
+	async readSymlink() {
+		throw new MethodNotSupportedError("readSymlink");
+	}
+
+	/**
+	 * Symbolic links aren't supported by Box.
+	 * @returns {Promise<boolean>} A promise that always rejects.
+	 * @throws {MethodNotSupportedError} Always.
+	 */
+	async isSymlink() {
+		throw new MethodNotSupportedError("isSymlink");
+	}
 }
 
 /**
@@ -461,14 +701,43 @@ export class BoxHfs extends Hfs {
 	/**
 	 * Creates a new instance.
 	 * @param {object} options The options for the instance.
-	 * @param {string} options.token The access token to use for requests.
+	 * @param {string} [options.token] The access token to use for requests.
+	 * @param {BoxAuth} [options.auth] The auth provider that supplies access
+	 *  tokens. Use this instead of `token` when tokens need to be refreshed.
 	 * @param {string} [options.urlBase] The base URL for the Box API.
+	 * @param {number} [options.chunkedUploadThreshold] The size in bytes above
+	 *  which files are uploaded in parts using an upload session.
+	 * @param {number} [options.retryTimeout] The number of milliseconds to
+	 *  keep retrying a request that failed with a 429 or 5xx status or a
+	 *  network error.
+	 * @param {number} [options.maxRetryDelay] The maximum number of
+	 *  milliseconds to wait between retries.
+	 * @param {number} [options.concurrency] The maximum number of requests
+	 *  that can be in flight at once.
 	 * @throws {TypeError} If the token is not a string.
 	 * @throws {TypeError} If the URL base is not a string.
-	 * @throws {Error} If the token is not provided.
+	 * @throws {Error} If neither the token nor the auth provider is provided.
 	 * @throws {Error} If the token is an empty string.
 	 */
-	constructor({ token, urlBase }) {
-		super({ impl: new BoxHfsImpl({ token, apiBase: urlBase }) });
+	constructor({
+		token,
+		auth,
+		urlBase,
+		chunkedUploadThreshold,
+		retryTimeout,
+		maxRetryDelay,
+		concurrency,
+	}) {
+		super({
+			impl: new BoxHfsImpl({
+				token,
+				auth,
+				apiBase: urlBase,
+				chunkedUploadThreshold,
+				retryTimeout,
+				maxRetryDelay,
+				concurrency,
+			}),
+		});
 	}
 }
@@ -7,4 +7,10 @@
 //------------------------------------------------------------------------------
 
 export { BoxHfs, BoxHfsImpl } from "./box-hfs.js";
+export {
+	StaticTokenProvider,
+	RefreshTokenProvider,
+	ClientCredentialsProvider,
+} from "./box-auth.js";
+export { BoxApiError, BoxNetworkError } from "./box-errors.js";
 export { Hfs } from "@humanfs/core";
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview A SHA-1 hash that can be calculated a piece at a time.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+const BLOCK_SIZE = 64;
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Calculates a SHA-1 hash from bytes that are passed in over time. The Web
+ * Crypto API can only hash bytes that are all in memory at once, which
+ * doesn't work for files that are uploaded as they're read.
+ */
+export class Sha1 {
+	/**
+	 * The current hash state.
+	 * @type {Uint32Array}
+	 */
+	#state = new Uint32Array([
+		0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0,
+	]);
+
+	/**
+	 * The bytes that haven't been hashed yet because they don't fill a
+	 * block.
+	 * @type {Uint8Array}
+	 */
+	#block = new Uint8Array(BLOCK_SIZE);
+
+	/**
+	 * The number of bytes in the current block.
+	 * @type {number}
+	 */
+	#blockLength = 0;
+
+	/**
+	 * The total number of bytes passed to `update()`.
+	 * @type {number}
+	 */
+	#length = 0;
+
+	/**
+	 * The message schedule, reused for each block.
+	 * @type {Uint32Array}
+	 */
+	#words = new Uint32Array(80);
+
+	/**
+	 * Adds the given bytes to the hash.
+	 * @param {Uint8Array} bytes The bytes to add.
+	 * @returns {Sha1} The hash, for chaining.
+	 */
+	update(bytes) {
+		let offset = 0;
+
+		while (offset < bytes.byteLength) {
+			const count = Math.min(
+				BLOCK_SIZE - this.#blockLength,
+				bytes.byteLength - offset,
+			);
+
+			this.#block.set(
+				bytes.subarray(offset, offset + count),
+				this.#blockLength,
+			);
+			this.#blockLength += count;
+			offset += count;
+
+			if (this.#blockLength === BLOCK_SIZE) {
+				this.#hashBlock();
+			}
+		}
+
+		this.#length += bytes.byteLength;
+
+		return this;
+	}
+
+	/**
+	 * Finishes the hash. No more bytes can be added afterwards.
+	 * @returns {Uint8Array} The 20-byte hash.
+	 */
+	digest() {
+		const bitLength = this.#length * 8;
+		const view = new DataView(this.#block.buffer);
+
+		this.#block[this.#blockLength++] = 0x80;
+
+		// the length needs the last 8 bytes of a block
+		if (this.#blockLength > BLOCK_SIZE - 8) {
+			this.#block.fill(0, this.#blockLength);
+			this.#hashBlock();
+		}
+
+		this.#block.fill(0, this.#blockLength, BLOCK_SIZE - 8);
+		view.setUint32(BLOCK_SIZE - 8, Math.floor(bitLength / 2 ** 32));
+		view.setUint32(BLOCK_SIZE - 4, bitLength >>> 0);
+		this.#hashBlock();
+
+		const hash = new Uint8Array(20);
+		const hashView = new DataView(hash.buffer);
+
+		this.#state.forEach((value, index) =>
+			hashView.setUint32(index * 4, value),
+		);
+
+		return hash;
+	}
+
+	/**
+	 * Hashes the current block and starts a new one.
+	 * @returns {void}
+	 */
+	#hashBlock() {
+		const words = this.#words;
+		const view = new DataView(this.#block.buffer);
+
+		for (let i = 0; i < 16; i++) {
+			words[i] = view.getUint32(i * 4);
+		}
+
+		for (let i = 16; i < 80; i++) {
+			const word =
+				words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16];
+			words[i] = (word << 1) | (word >>> 31);
+		}
+
+		let [a, b, c, d, e] = this.#state;
+
+		for (let i = 0; i < 80; i++) {
+			let f, k;
+
+			if (i < 20) {
+				f = (b & c) | (~b & d);
+				k = 0x5a827999;
+			} else if (i < 40) {
+				f = b ^ c ^ d;
+				k = 0x6ed9eba1;
+			} else if (i < 60) {
+				f = (b & c) | (b & d) | (c & d);
+				k = 0x8f1bbcdc;
+			} else {
+				f = b ^ c ^ d;
+				k = 0xca62c1d6;
+			}
+
+			const temp = (((a << 5) | (a >>> 27)) + f + e + k + words[i]) >>> 0;
+
+			e = d;
+			d = c;
+			c = ((b << 30) | (b >>> 2)) >>> 0;
+			b = a;
+			a = temp;
+		}
+
+		// Uint32Array wraps the sums
+		this.#state[0] += a;
+		this.#state[1] += b;
+		this.#state[2] += c;
+		this.#state[3] += d;
+		this.#state[4] += e;
+
+		this.#blockLength = 0;
+	}
+}
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Tests for the Box auth providers.
+ * @author Nicholas C. Zakas
+ */
+
+/*global describe, it, before, after */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import {
+	StaticTokenProvider,
+	RefreshTokenProvider,
+	ClientCredentialsProvider,
+	AUTH_ENDPOINTS,
+} from "../src/box-auth.js";
+import { handlers, accessTokens, createRefreshToken } from "./util/server.js";
+import { http, HttpResponse } from "msw";
+import { setupServer } from "msw/node";
+import assert from "node:assert";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const CLIENT_ID = "client-id";
+const CLIENT_SECRET = "client-secret";
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("Box auth providers", () => {
+	const server = setupServer(...handlers);
+
+	before(() => {
+		server.listen();
+	});
+
+	after(() => {
+		server.close();
+	});
+
+	describe("StaticTokenProvider", () => {
+		it("should throw an error when the token is missing", () => {
+			assert.throws(() => new StaticTokenProvider({ token: "" }), {
+				name: "TypeError",
+				message: "Token must be a non-empty string.",
+			});
+		});
+
+		it("should return the token even when a refresh is requested", async () => {
+			const provider = new StaticTokenProvider({ token: "abc123" });
+
+			assert.strictEqual(await provider.getToken(), "abc123");
+			assert.strictEqual(
+				await provider.getToken({ refresh: true }),
+				"abc123",
+			);
+		});
+	});
+
+	describe("RefreshTokenProvider", () => {
+		/**
+		 * Creates a provider using a new refresh token from the mock server.
+		 * @param {object} [options] Additional options for the provider.
+		 * @returns {RefreshTokenProvider} The provider.
+		 */
+		function createProvider(options = {}) {
+			return new RefreshTokenProvider({
+				clientId: CLIENT_ID,
+				clientSecret: CLIENT_SECRET,
+				refreshToken: createRefreshToken(),
+				...options,
+			});
+		}
+
+		it("should throw an error when the client ID is missing", () => {
+			assert.throws(
+				() =>
+					new RefreshTokenProvider({
+						clientSecret: CLIENT_SECRET,
+						refreshToken: "refresh",
+					}),
+				{
+					name: "TypeError",
+					message: "Client ID must be a non-empty string.",
+				},
+			);
+		});
+
+		it("should throw an error when the refresh token is missing", () => {
+			assert.throws(
+				() =>
+					new RefreshTokenProvider({
+						clientId: CLIENT_ID,
+						clientSecret: CLIENT_SECRET,
+					}),
+				{
+					name: "TypeError",
+					message: "Refresh token must be a non-empty string.",
+				},
+			);
+		});
+
+		it("should request an access token and reuse it", async () => {
+			const provider = createProvider();
+			const token = await provider.getToken();
+
+			assert.ok(accessTokens.has(token));
+			assert.strictEqual(await provider.getToken(), token);
+		});
+
+		it("should use the new refresh token for each refresh", async () => {
+			const refreshTokens = [];
+			const provider = createProvider({
+				onRefresh(tokens) {
+					refreshTokens.push(tokens.refreshToken);
+				},
+			});
+
+			const first = await provider.getToken();
+			const second = await provider.getToken({ refresh: true });
+
+			assert.notStrictEqual(second, first);
+			assert.strictEqual(refreshTokens.length, 2);
+			assert.notStrictEqual(refreshTokens[1], refreshTokens[0]);
+		});
+
+		it("should make one request for concurrent refreshes", async () => {
+			let count = 0;
+			const provider = createProvider({
+				onRefresh() {
+					count++;
+				},
+			});
+
+			const tokens = await Promise.all([
+				provider.getToken({ refresh: true }),
+				provider.getToken({ refresh: true }),
+				provider.getToken(),
+			]);
+
+			assert.strictEqual(count, 1);
+			assert.strictEqual(new Set(tokens).size, 1);
+		});
+
+		it("should use the given access token until a refresh is requested", async () => {
+			const provider = createProvider({ accessToken: "initial" });
+
+			assert.strictEqual(await provider.getToken(), "initial");
+			assert.notStrictEqual(
+				await provider.getToken({ refresh: true }),
+				"initial",
+			);
+		});
+
+		it("should reject when the refresh token is invalid", async () => {
+			const provider = new RefreshTokenProvider({
+				clientId: CLIENT_ID,
+				clientSecret: CLIENT_SECRET,
+				refreshToken: "invalid",
+			});
+
+			await assert.rejects(provider.getToken(), {
+				name: "BoxApiError",
+				status: 400,
+				code: "invalid_grant",
+			});
+		});
+
+		it("should request tokens from the given auth base", async () => {
+			const authBase = "https://auth.example.com/";
+
+			server.use(
+				http.post(
+					authBase + AUTH_ENDPOINTS.token,
+					() =>
+						HttpResponse.json({
+							access_token: "custom",
+							expires_in: 3600,
+						}),
+					{ once: true },
+				),
+			);
+
+			const provider = new RefreshTokenProvider({
+				clientId: CLIENT_ID,
+				clientSecret: CLIENT_SECRET,
+				refreshToken: "refresh",
+				authBase,
+			});
+
+			assert.strictEqual(await provider.getToken(), "custom");
+		});
+	});
+
+	describe("ClientCredentialsProvider", () => {
+		it("should throw an error when the subject type is invalid", () => {
+			assert.throws(
+				() =>
+					new ClientCredentialsProvider({
+						clientId: CLIENT_ID,
+						clientSecret: CLIENT_SECRET,
+						subjectId: "12345",
+						subjectType: "group",
+					}),
+				{
+					name: "TypeError",
+					message: 'Subject type must be "enterprise" or "user".',
+				},
+			);
+		});
+
+		it("should request an access token and reuse it", async () => {
+			const provider = new ClientCredentialsProvider({
+				clientId: CLIENT_ID,
+				clientSecret: CLIENT_SECRET,
+				subjectId: "12345",
+			});
+			const token = await provider.getToken();
+
+			assert.ok(accessTokens.has(token));
+			assert.strictEqual(await provider.getToken(), token);
+			assert.notStrictEqual(
+				await provider.getToken({ refresh: true }),
+				token,
+			);
+		});
+
+		it("should reject when the client secret is invalid", async () => {
+			const provider = new ClientCredentialsProvider({
+				clientId: CLIENT_ID,
+				clientSecret: "invalid",
+				subjectId: "12345",
+			});
+
+			await assert.rejects(provider.getToken(), {
+				name: "BoxApiError",
+				status: 400,
+				code: "invalid_client",
+			});
+		});
+	});
+});
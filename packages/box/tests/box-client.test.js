@@ -3,6 +3,8 @@
  * @author Nicholas C. Zakas
  */
 
+/* global describe, it, before, beforeEach, after, afterEach, URL, setTimeout, TextEncoder */
+
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
@@ -53,6 +55,316 @@ describe("BoxClient", () => {
             }, /Token must be a string/);
         });
 
+        it("should throw an error when both a token and an auth provider are passed", () => {
+            assert.throws(() => {
+                new BoxClient({ token: "123", auth: () => "123" });
+            }, /Token and auth provider can't both be provided/);
+        });
+
+        it("should throw an error when the auth provider has no getToken() method", () => {
+            assert.throws(() => {
+                new BoxClient({ auth: {} });
+            }, /Auth provider must be a function or an object with a getToken\(\) method/);
+        });
+
+        it("should throw an error when the chunked upload threshold is negative", () => {
+            assert.throws(() => {
+                new BoxClient({ token: "123", chunkedUploadThreshold: -1 });
+            }, /Chunked upload threshold must be a non-negative number/);
+        });
+
+        it("should throw an error when the retry timeout is negative", () => {
+            assert.throws(() => {
+                new BoxClient({ token: "123", retryTimeout: -1 });
+            }, /Retry timeout must be a non-negative number/);
+        });
+
+        it("should throw an error when the max retry delay isn't a number", () => {
+            assert.throws(() => {
+                new BoxClient({ token: "123", maxRetryDelay: "100" });
+            }, /Max retry delay must be a non-negative number/);
+        });
+
+        it("should throw an error when the concurrency is less than 1", () => {
+            assert.throws(() => {
+                new BoxClient({ token: "123", concurrency: 0 });
+            }, /Concurrency must be a positive integer/);
+        });
+
+    });
+
+    describe("Authentication", () => {
+
+        it("should get the token from an auth provider function", async () => {
+            const auth = sinon.fake.resolves("abc");
+            const handler = sinon.fake.resolves(HttpResponse.json({ entries: [] }));
+            const client = new BoxClient({ auth });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            await client.fetchFolderItems("0");
+
+            assert.deepStrictEqual(auth.firstCall.args, [{ refresh: false }]);
+            assert.strictEqual(handler.firstCall.args[0].request.headers.get("Authorization"), "Bearer abc");
+        });
+
+        it("should get a new token and try again when the token is rejected", async () => {
+            const tokens = ["expired", "fresh"];
+            const auth = { getToken: sinon.fake(async () => tokens.shift()) };
+            const handler = sinon.fake(async ({ request }) => {
+
+                if (request.headers.get("Authorization") !== "Bearer fresh") {
+                    return new HttpResponse(null, { status: 401 });
+                }
+
+                return HttpResponse.json({ entries: [] });
+            });
+            const client = new BoxClient({ auth });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            const data = await client.fetchFolderItems("0");
+
+            assert.deepStrictEqual(data, { entries: [] });
+            assert.strictEqual(handler.callCount, 2);
+            assert.deepStrictEqual(auth.getToken.secondCall.args, [{ refresh: true }]);
+        });
+
+        it("should only try again once when the token is rejected", async () => {
+            const handler = sinon.fake.resolves(new HttpResponse(null, { status: 401 }));
+            const client = new BoxClient({ auth: () => "expired" });
+
+            server.use(
+                http.delete(createApiUrl(API_ENDPOINTS.updateFile), handler)
+            );
+
+            await assert.rejects(() => client.deleteFile("file1"), /401/);
+            assert.strictEqual(handler.callCount, 2);
+        });
+
+    });
+
+    describe("Retrying", () => {
+
+        /**
+         * Creates a handler that returns the given response the given number
+         * of times before returning an empty collection.
+         * @param {number} failures The number of failures.
+         * @param {Function} createResponse Creates the failure response.
+         * @returns {Function} The handler.
+         */
+        function createFailingHandler(failures, createResponse) {
+            let count = 0;
+
+            return sinon.fake(async () => {
+                if (count++ < failures) {
+                    return createResponse();
+                }
+
+                return HttpResponse.json({ entries: [] });
+            });
+        }
+
+        it("should try again when the server returns a 5xx status", async () => {
+            const handler = createFailingHandler(2, () => new HttpResponse(null, { status: 503 }));
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            const data = await client.fetchFolderItems("0");
+
+            assert.deepStrictEqual(data, { entries: [] });
+            assert.strictEqual(handler.callCount, 3);
+        });
+
+        it("should try again when the request can't be sent", async () => {
+            const handler = createFailingHandler(1, () => HttpResponse.error());
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            await client.fetchFolderItems("0");
+
+            assert.strictEqual(handler.callCount, 2);
+        });
+
+        it("should wait for the Retry-After delay when rate limited", async () => {
+            const handler = createFailingHandler(1, () => new HttpResponse(null, {
+                status: 429,
+                headers: { "Retry-After": "1" }
+            }));
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            const start = Date.now();
+            await client.fetchFolderItems("0");
+
+            assert.ok(Date.now() - start >= 1000);
+            assert.strictEqual(handler.callCount, 2);
+        });
+
+        it("should not hold a concurrency slot while waiting for the Retry-After delay", async () => {
+            const handler = createFailingHandler(1, () => new HttpResponse(null, {
+                status: 429,
+                headers: { "Retry-After": "1" }
+            }));
+            const client = new BoxClient({ token: "123", concurrency: 1 });
+            const finished = [];
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler),
+                http.delete(createApiUrl(API_ENDPOINTS.updateFile), () => new HttpResponse(null, { status: 204 }))
+            );
+
+            const start = Date.now();
+            await Promise.all([
+                client.fetchFolderItems("0").then(() => finished.push("fetchFolderItems")),
+                client.deleteFile("1").then(() => finished.push("deleteFile"))
+            ]);
+
+            assert.deepStrictEqual(finished, ["deleteFile", "fetchFolderItems"]);
+            assert.ok(Date.now() - start < 2000);
+            assert.strictEqual(handler.callCount, 2);
+        });
+
+        it("should not try again when the Retry-After delay is longer than the retry timeout", async () => {
+            const handler = createFailingHandler(1, () => new HttpResponse(null, {
+                status: 429,
+                headers: { "Retry-After": "120" }
+            }));
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            await assert.rejects(() => client.fetchFolderItems("0"), {
+                name: "BoxApiError",
+                status: 429,
+                retryAfter: 120000
+            });
+            assert.strictEqual(handler.callCount, 1);
+        });
+
+        it("should not try a POST request again when the server returns a 5xx status", async () => {
+            const handler = sinon.fake.resolves(new HttpResponse(null, { status: 500 }));
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.post(createApiUrl(API_ENDPOINTS.folders), handler)
+            );
+
+            await assert.rejects(() => client.createFolder("folder1", "0"), {
+                name: "BoxApiError",
+                status: 500
+            });
+            assert.strictEqual(handler.callCount, 1);
+        });
+
+        it("should not try a POST request again when the request can't be sent", async () => {
+            const handler = sinon.fake(() => HttpResponse.error());
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.post(createApiUrl(API_ENDPOINTS.folders), handler)
+            );
+
+            await assert.rejects(() => client.createFolder("folder1", "0"), {
+                name: "BoxNetworkError"
+            });
+            assert.strictEqual(handler.callCount, 1);
+        });
+
+        it("should try a POST request again when rate limited", async () => {
+            let count = 0;
+            const handler = sinon.fake(() => {
+                if (count++ < 1) {
+                    return new HttpResponse(null, { status: 429 });
+                }
+
+                return HttpResponse.json({ id: "folder1", type: "folder" });
+            });
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.post(createApiUrl(API_ENDPOINTS.folders), handler)
+            );
+
+            const folder = await client.createFolder("folder1", "0");
+
+            assert.deepStrictEqual(folder, { id: "folder1", type: "folder" });
+            assert.strictEqual(handler.callCount, 2);
+        });
+
+        it("should stop trying after the retry timeout", async () => {
+            const handler = sinon.fake.resolves(new HttpResponse(null, { status: 500 }));
+            const client = new BoxClient({ token: "123", retryTimeout: 100 });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            await assert.rejects(() => client.fetchFolderItems("0"), {
+                name: "BoxApiError",
+                status: 500
+            });
+            assert.ok(handler.callCount > 1);
+        });
+
+        it("should not try again when the server returns a 4xx status", async () => {
+            const handler = sinon.fake.resolves(HttpResponse.json({
+                type: "error",
+                status: 404,
+                code: "not_found",
+                message: "Could not find the specified resource",
+                request_id: "abcdef123456"
+            }, { status: 404 }));
+            const client = new BoxClient({ token: "123" });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            await assert.rejects(() => client.fetchFolderItems("0"), {
+                name: "BoxApiError",
+                message: "404 Not Found: Could not find the specified resource",
+                status: 404,
+                code: "not_found",
+                requestId: "abcdef123456"
+            });
+            assert.strictEqual(handler.callCount, 1);
+        });
+
+        it("should limit the number of requests in flight", async () => {
+            let inFlight = 0;
+            let maxInFlight = 0;
+            const client = new BoxClient({ token: "123", concurrency: 2 });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), async () => {
+                    maxInFlight = Math.max(maxInFlight, ++inFlight);
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    inFlight--;
+                    return HttpResponse.json({ entries: [] });
+                })
+            );
+
+            await Promise.all(["1", "2", "3", "4", "5"].map(id => client.fetchFolderItems(id)));
+
+            assert.strictEqual(maxInFlight, 2);
+        });
+
     });
 
     describe("copyFile()", () => {
@@ -257,7 +569,9 @@ describe("BoxClient", () => {
                 })
             );
 
-            await assert.rejects(() => client.createFolder("new-folder", "folder1"));
+            client = new BoxClient({ token: "123", retryTimeout: 100 });
+
+            await assert.rejects(() => client.createFolder("new-folder", "folder1"), { name: "BoxNetworkError" });
         });
     });
 
@@ -446,6 +760,33 @@ describe("BoxClient", () => {
             assert.strictEqual(responseContent, fileContent);
         });
 
+        it("should not send a Range header when no range is given", async () => {
+
+            const handler = sinon.fake.resolves(HttpResponse.text(fileContent));
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.file), handler)
+            );
+
+            await client.download(fileId);
+
+            const headers = handler.firstCall.args[0].request.headers;
+            assert.strictEqual(headers.get("Range"), null);
+        });
+
+        it("should send an inclusive Range header when a range is given", async () => {
+
+            const handler = sinon.fake.resolves(HttpResponse.text("content", { status: 206 }));
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.file), handler)
+            );
+
+            await client.download(fileId, { range: { start: 5, end: 12 } });
+
+            const headers = handler.firstCall.args[0].request.headers;
+            assert.strictEqual(headers.get("Range"), "bytes=5-11");
+        });
 
 
     });
@@ -547,7 +888,7 @@ describe("BoxClient", () => {
     describe("findObject()", () => {
         let client;
 
-        before(() => {
+        beforeEach(() => {
             client = new BoxClient({ token: "123" });
         });
 
@@ -648,7 +989,159 @@ describe("BoxClient", () => {
             const object = await client.findObject(fileOrDirPath);
             assert.strictEqual(object, undefined);
         });
-        
+
+        it("should only fetch the containing folder when the folder IDs are known", async () => {
+            const fileOrDirPath = Path.from("/folder1/folder2/file1.txt");
+            const expectedObject = { id: "file1", name: "file1.txt", type: "file" };
+            const handler = sinon.fake(async ({ params }) => {
+
+                if (params.folder_id === "0") {
+                    return HttpResponse.json({ entries: [{ id: "folder1", name: "folder1", type: "folder" }] });
+                }
+
+                if (params.folder_id === "folder1") {
+                    return HttpResponse.json({ entries: [{ id: "folder2", name: "folder2", type: "folder" }] });
+                }
+
+                return HttpResponse.json({ entries: [expectedObject] });
+            });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            await client.findObject(fileOrDirPath);
+            assert.strictEqual(handler.callCount, 3);
+
+            const object = await client.findObject(fileOrDirPath);
+            assert.deepStrictEqual(object, expectedObject);
+            assert.strictEqual(handler.callCount, 4);
+            assert.strictEqual(handler.lastCall.args[0].params.folder_id, "folder2");
+        });
+
+        it("should use the IDs of folders created by the client", async () => {
+            const handler = sinon.fake.resolves(HttpResponse.json({ entries: [] }));
+
+            server.use(
+                http.post(createApiUrl(API_ENDPOINTS.folders), () => HttpResponse.json({ id: "folder1", name: "folder1", type: "folder" })),
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            await client.createFolder("folder1", "0");
+            await client.findObject(Path.from("/folder1/file1.txt"));
+
+            assert.strictEqual(handler.calledOnce, true);
+            assert.strictEqual(handler.firstCall.args[0].params.folder_id, "folder1");
+        });
+
+        it("should walk the path again after a folder is deleted", async () => {
+            const handler = sinon.fake(async ({ params }) => {
+
+                if (params.folder_id === "0") {
+                    return HttpResponse.json({ entries: [{ id: "folder1", name: "folder1", type: "folder" }] });
+                }
+
+                return HttpResponse.json({ entries: [] });
+            });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler),
+                http.delete(createApiUrl(API_ENDPOINTS.updateFolder), () => new HttpResponse(null, { status: 204 }))
+            );
+
+            await client.findObject(Path.from("/folder1/file1.txt"));
+            await client.deleteFolder("folder1");
+            await client.findObject(Path.from("/folder1/file1.txt"));
+
+            assert.deepStrictEqual(handler.getCalls().map(call => call.args[0].params.folder_id), ["0", "folder1", "0", "folder1"]);
+        });
+
+        it("should use the new path of a folder after it's moved", async () => {
+            const handler = sinon.fake(async ({ params }) => {
+
+                if (params.folder_id === "0") {
+                    return HttpResponse.json({ entries: [
+                        { id: "folder1", name: "folder1", type: "folder" },
+                        { id: "folder2", name: "folder2", type: "folder" }
+                    ] });
+                }
+
+                return HttpResponse.json({ entries: [] });
+            });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler),
+                http.put(createApiUrl(API_ENDPOINTS.updateFolder), () => HttpResponse.json({ id: "folder1", name: "moved", type: "folder" }))
+            );
+
+            await client.findObject(Path.from("/folder1"));
+            await client.moveFolder("folder1", "folder2", { name: "moved" });
+
+            await client.findObject(Path.from("/folder2/moved/file1.txt"));
+            assert.strictEqual(handler.lastCall.args[0].params.folder_id, "folder1");
+            assert.strictEqual(handler.callCount, 2);
+
+            await client.findObject(Path.from("/folder1/file1.txt"));
+            assert.strictEqual(handler.getCall(2).args[0].params.folder_id, "0");
+        });
+
+    });
+
+    describe("ensurePathExists()", () => {
+        let client;
+
+        beforeEach(() => {
+            client = new BoxClient({ token: "123" });
+        });
+
+        it("should create folders that don't exist", async () => {
+            const bodies = [];
+            const createHandler = sinon.fake(async ({ request }) => {
+                const body = await request.json();
+                bodies.push(body);
+                return HttpResponse.json({ id: `${body.name}-id`, name: body.name, type: "folder" });
+            });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), () => HttpResponse.json({ entries: [] })),
+                http.post(createApiUrl(API_ENDPOINTS.folders), createHandler)
+            );
+
+            const folder = await client.ensurePathExists(Path.from("/folder1/folder2"));
+
+            assert.strictEqual(folder.id, "folder2-id");
+            assert.strictEqual(createHandler.callCount, 2);
+            assert.deepStrictEqual(bodies[1], { name: "folder2", parent: { id: "folder1-id" } });
+        });
+
+        it("should not fetch folders whose IDs are known", async () => {
+            const handler = sinon.fake(async ({ params }) => {
+
+                if (params.folder_id === "0") {
+                    return HttpResponse.json({ entries: [{ id: "folder1", name: "folder1", type: "folder" }] });
+                }
+
+                return HttpResponse.json({ entries: [{ id: "folder2", name: "folder2", type: "folder" }] });
+            });
+
+            server.use(
+                http.get(createApiUrl(API_ENDPOINTS.folderItems), handler)
+            );
+
+            const folder = await client.ensurePathExists(Path.from("/folder1/folder2"));
+            assert.strictEqual(folder.id, "folder2");
+            assert.strictEqual(handler.callCount, 2);
+
+            const sameFolder = await client.ensurePathExists(Path.from("/folder1/folder2"));
+            assert.strictEqual(sameFolder.id, "folder2");
+            assert.strictEqual(handler.callCount, 2);
+        });
+
+        it("should return the root folder for an empty path", async () => {
+            const folder = await client.ensurePathExists(new Path());
+            assert.strictEqual(folder.id, "0");
+        });
+
     });
 
     describe("moveFile()", () => {
@@ -963,6 +1456,273 @@ describe("BoxClient", () => {
             return assert.rejects(() => client.uploadFile("file1.txt", "0", "Hello, World!"), /401/);
         });
 
+        describe("Upload sessions", () => {
+
+            const SESSION_URL = "https://upload.box.com/2.0/files/upload_sessions/session1";
+            const COMMIT_URL = `${SESSION_URL}/commit`;
+            const fileContents = "Hello, World!";
+
+            let partHandler, commitHandler, abortHandler, parts;
+
+            /**
+             * Creates a part handler that fails the given number of times for
+             * each part before succeeding.
+             * @param {number} failures The number of failures for each part.
+             * @returns {Function} The handler.
+             */
+            function createPartHandler(failures) {
+                const attempts = new Map();
+
+                return sinon.fake(async ({ request }) => {
+                    const range = request.headers.get("Content-Range");
+                    const attempt = (attempts.get(range) ?? 0) + 1;
+                    attempts.set(range, attempt);
+
+                    if (attempt <= failures) {
+                        return new HttpResponse("Internal Server Error", { status: 500 });
+                    }
+
+                    const offset = Number(range.match(/^bytes (\d+)-/)[1]);
+                    const part = { part_id: `part${offset}`, offset, size: (await request.arrayBuffer()).byteLength };
+                    parts.push({ range, digest: request.headers.get("Digest") });
+
+                    return HttpResponse.json({ part });
+                });
+            }
+
+            beforeEach(() => {
+                client = new BoxClient({ token: "123", chunkedUploadThreshold: 8 });
+                parts = [];
+                partHandler = createPartHandler(0);
+                commitHandler = sinon.fake.resolves(HttpResponse.json({ entries: [{ id: "file1", name: "file1.txt", type: "file" }] }, { status: 201 }));
+                abortHandler = sinon.fake.resolves(new HttpResponse(null, { status: 204 }));
+
+                server.use(
+                    http.options(createApiUrl(API_ENDPOINTS.upload), () => HttpResponse.json({ upload_url: UPLOAD_URL })),
+                    http.post(createApiUrl(API_ENDPOINTS.uploadSession), () => HttpResponse.json({
+                        id: "session1",
+                        part_size: 5,
+                        session_endpoints: {
+                            upload_part: SESSION_URL,
+                            commit: COMMIT_URL,
+                            abort: SESSION_URL
+                        }
+                    }, { status: 201 })),
+                    http.put(SESSION_URL, (...args) => partHandler(...args)),
+                    http.post(COMMIT_URL, (...args) => commitHandler(...args)),
+                    http.delete(SESSION_URL, abortHandler)
+                );
+            });
+
+            it("should upload files above the threshold in parts", async () => {
+
+                const object = await client.uploadFile("file1.txt", "0", fileContents);
+
+                assert.deepStrictEqual(object, { entries: [{ id: "file1", name: "file1.txt", type: "file" }] });
+                assert.deepStrictEqual(parts, [
+                    { range: "bytes 0-4/13", digest: "sha=9/+ei3uy4Jtwk1pdeF4MxdnQq/A=" },
+                    { range: "bytes 5-9/13", digest: "sha=EhNhst9jmY1d/Uf9hVr00qHT174=" },
+                    { range: "bytes 10-12/13", digest: "sha=wg0WiAK7rhyE+QubBJXg2RjaOuo=" }
+                ]);
+
+                const commitRequest = commitHandler.firstCall.args[0].request;
+                assert.strictEqual(commitRequest.headers.get("Digest"), "sha=CgqfKmdylCVXq1NV12r0Qvj2XgE=");
+                assert.deepStrictEqual((await commitRequest.json()).parts.map(part => part.part_id), ["part0", "part5", "part10"]);
+                assert.strictEqual(abortHandler.called, false);
+            });
+
+            it("should pass the folder ID, file name, and file size when creating a session", async () => {
+                const sessionHandler = sinon.fake.resolves(HttpResponse.json({
+                    id: "session1",
+                    part_size: 20,
+                    session_endpoints: { upload_part: SESSION_URL, commit: COMMIT_URL, abort: SESSION_URL }
+                }, { status: 201 }));
+
+                server.use(http.post(createApiUrl(API_ENDPOINTS.uploadSession), sessionHandler));
+
+                await client.uploadFile("file1.txt", "folder1", fileContents);
+
+                const body = await sessionHandler.firstCall.args[0].request.json();
+                assert.deepStrictEqual(body, { folder_id: "folder1", file_name: "file1.txt", file_size: 13 });
+            });
+
+            it("should create a session for the existing file when the file exists", async () => {
+                const sessionHandler = sinon.fake.resolves(HttpResponse.json({
+                    id: "session1",
+                    part_size: 20,
+                    session_endpoints: { upload_part: SESSION_URL, commit: COMMIT_URL, abort: SESSION_URL }
+                }, { status: 201 }));
+
+                server.use(
+                    http.options(createApiUrl(API_ENDPOINTS.upload), () => HttpResponse.json({
+                        code: "item_name_in_use",
+                        context_info: { conflicts: { type: "file", id: "file1" } }
+                    }, { status: 409 })),
+                    http.post(createApiUrl(API_ENDPOINTS.fileUploadSession), sessionHandler)
+                );
+
+                await client.uploadFile("file1.txt", "0", fileContents);
+
+                assert.strictEqual(sessionHandler.firstCall.args[0].params.file_id, "file1");
+                const body = await sessionHandler.firstCall.args[0].request.json();
+                assert.deepStrictEqual(body, { file_name: "file1.txt", file_size: 13 });
+            });
+
+            it("should not use a session for files at the threshold", async () => {
+                const postHandler = sinon.fake.resolves(HttpResponse.json({ id: "file1" }));
+
+                server.use(http.post(UPLOAD_URL, postHandler));
+
+                await client.uploadFile("file1.txt", "0", "12345678");
+
+                assert.strictEqual(postHandler.calledOnce, true);
+                assert.strictEqual(partHandler.called, false);
+            });
+
+            it("should try a failed part again", async () => {
+                partHandler = createPartHandler(2);
+
+                await client.uploadFile("file1.txt", "0", fileContents);
+
+                assert.strictEqual(partHandler.callCount, 9);
+                assert.strictEqual(parts.length, 3);
+                assert.strictEqual(commitHandler.calledOnce, true);
+            });
+
+            it("should try a part again when it can't be sent", async () => {
+                let failed = false;
+
+                server.use(
+                    http.put(SESSION_URL, (...args) => {
+                        if (!failed) {
+                            failed = true;
+                            return HttpResponse.error();
+                        }
+
+                        return partHandler(...args);
+                    })
+                );
+
+                await client.uploadFile("file1.txt", "0", fileContents);
+
+                assert.strictEqual(parts.length, 3);
+                assert.strictEqual(commitHandler.calledOnce, true);
+                assert.strictEqual(abortHandler.called, false);
+            });
+
+            it("should abort the session when a part keeps failing", async () => {
+                client = new BoxClient({ token: "123", chunkedUploadThreshold: 8, retryTimeout: 100 });
+                partHandler = createPartHandler(Infinity);
+
+                await assert.rejects(() => client.uploadFile("file1.txt", "0", fileContents), /500/);
+
+                assert.ok(partHandler.callCount > 1);
+                assert.strictEqual(commitHandler.called, false);
+                assert.strictEqual(abortHandler.calledOnce, true);
+            });
+
+            it("should abort the session when the commit fails", async () => {
+                commitHandler = sinon.fake.resolves(new HttpResponse("Bad Request", { status: 400 }));
+
+                await assert.rejects(() => client.uploadFile("file1.txt", "0", fileContents), /400/);
+
+                assert.strictEqual(abortHandler.calledOnce, true);
+            });
+
+            it("should upload each part of a stream as soon as it's filled", async () => {
+                const events = [];
+
+                async function* createChunks() {
+                    for (const chunk of ["Hel", "lo, ", "World", "!"]) {
+                        events.push(`read ${chunk}`);
+                        yield new TextEncoder().encode(chunk);
+                    }
+                }
+
+                const listener = ({ request }) => {
+                    if (request.method === "PUT") {
+                        events.push(`upload ${request.headers.get("Content-Range")}`);
+                    }
+                };
+
+                server.events.on("request:start", listener);
+
+                let object;
+
+                try {
+                    object = await client.uploadFileStream("file1.txt", "0", createChunks(), { size: 13 });
+                } finally {
+                    server.events.removeListener("request:start", listener);
+                }
+
+                assert.deepStrictEqual(object, { entries: [{ id: "file1", name: "file1.txt", type: "file" }] });
+                assert.deepStrictEqual(events, [
+                    "read Hel",
+                    "read lo, ",
+                    "upload bytes 0-4/13",
+                    "read World",
+                    "upload bytes 5-9/13",
+                    "read !",
+                    "upload bytes 10-12/13"
+                ]);
+
+                const commitRequest = commitHandler.firstCall.args[0].request;
+                assert.strictEqual(commitRequest.headers.get("Digest"), "sha=CgqfKmdylCVXq1NV12r0Qvj2XgE=");
+            });
+
+            it("should collect a stream without a size and upload it", async () => {
+                async function* createChunks() {
+                    yield new TextEncoder().encode("Hello, ");
+                    yield new TextEncoder().encode("World!");
+                }
+
+                await client.uploadFileStream("file1.txt", "0", createChunks());
+
+                assert.deepStrictEqual(parts.map(part => part.range), [
+                    "bytes 0-4/13",
+                    "bytes 5-9/13",
+                    "bytes 10-12/13"
+                ]);
+                assert.strictEqual(commitHandler.calledOnce, true);
+            });
+
+            it("should abort the session when a stream has fewer bytes than its size", async () => {
+                async function* createChunks() {
+                    yield new TextEncoder().encode(fileContents);
+                }
+
+                await assert.rejects(
+                    () => client.uploadFileStream("file1.txt", "0", createChunks(), { size: 20 }),
+                    /Expected 20 bytes but received 13/
+                );
+
+                assert.strictEqual(commitHandler.called, false);
+                assert.strictEqual(abortHandler.calledOnce, true);
+            });
+
+            it("should abort the session when a stream has more bytes than its size", async () => {
+                async function* createChunks() {
+                    yield new TextEncoder().encode(fileContents);
+                }
+
+                await assert.rejects(
+                    () => client.uploadFileStream("file1.txt", "0", createChunks(), { size: 10 }),
+                    /Expected 10 bytes but received more/
+                );
+
+                assert.strictEqual(partHandler.called, false);
+                assert.strictEqual(abortHandler.calledOnce, true);
+            });
+
+            it("should throw an error when the size isn't a non-negative integer", async () => {
+                await assert.rejects(
+                    () => client.uploadFileStream("file1.txt", "0", [], { size: 1.5 }),
+                    new TypeError("Size must be a non-negative integer.")
+                );
+            });
+
+        });
+
     });
 
 });
@@ -3,7 +3,7 @@
  * @author Nicholas C. Zakas
  */
 
-/*global describe, before, after */
+/*global describe, it, before, after, beforeEach, afterEach, TextEncoder, TextDecoder */
 
 //------------------------------------------------------------------------------
 // Imports
@@ -11,7 +11,13 @@
 
 import { BoxHfsImpl } from "../src/box-hfs.js";
 import { HfsImplTester } from "@humanfs/test";
-import { server } from "./util/server.js";
+import { RefreshTokenProvider } from "../src/box-auth.js";
+import {
+	server,
+	uploadSessions,
+	accessTokens,
+	createRefreshToken,
+} from "./util/server.js";
 import assert from "node:assert";
 import dotenv from "dotenv";
 
@@ -22,6 +28,8 @@ dotenv.config();
 //------------------------------------------------------------------------------
 
 const fixturesDir = "fixtures";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
 
 //------------------------------------------------------------------------------
 // Tests
@@ -43,6 +51,199 @@ describe("BoxHfs", async () => {
 		server.close();
 	});
 
+	describe("BoxHfsImpl Customizations", () => {
+		let impl;
+
+		beforeEach(() => {
+			impl = new BoxHfsImpl({ token: "abc123", rootFolderId: "0" });
+		});
+
+		afterEach(async () => {
+			await impl.deleteAll("tmp-append");
+		});
+
+		describe("write()", () => {
+			const filePath = "tmp-append/large.txt";
+			const text = "abcdefghijklmnopqrstuvwxyz0123456789";
+
+			beforeEach(() => {
+				impl = new BoxHfsImpl({
+					token: "abc123",
+					rootFolderId: "0",
+					chunkedUploadThreshold: 16,
+				});
+			});
+
+			it("should upload a large file using an upload session", async () => {
+				const requests = [];
+				const listener = ({ request }) =>
+					requests.push(`${request.method} ${request.url}`);
+
+				server.events.on("request:start", listener);
+
+				try {
+					await impl.write(filePath, encoder.encode(text));
+				} finally {
+					server.events.removeListener("request:start", listener);
+				}
+
+				assert.strictEqual(
+					requests.filter(request =>
+						request.startsWith(
+							"PUT https://api.box.com/2.0/files/upload_sessions/",
+						),
+					).length,
+					5,
+				);
+				assert.strictEqual(
+					decoder.decode(await impl.bytes(filePath)),
+					text,
+				);
+				assert.strictEqual(uploadSessions.size, 0);
+			});
+
+			it("should upload a new version of a large file using an upload session", async () => {
+				await impl.write(filePath, encoder.encode("small"));
+				const { id } = await impl.stat(filePath);
+
+				await impl.write(filePath, encoder.encode(text));
+
+				assert.strictEqual((await impl.stat(filePath)).id, id);
+				assert.strictEqual(
+					decoder.decode(await impl.bytes(filePath)),
+					text,
+				);
+				assert.strictEqual(uploadSessions.size, 0);
+			});
+		});
+
+		describe("writeStream()", () => {
+			const filePath = "tmp-append/large.txt";
+			const text = "abcdefghijklmnopqrstuvwxyz0123456789";
+
+			beforeEach(() => {
+				impl = new BoxHfsImpl({
+					token: "abc123",
+					rootFolderId: "0",
+					chunkedUploadThreshold: 16,
+				});
+			});
+
+			/**
+			 * Creates an async iterable that yields the text in small chunks.
+			 * @returns {AsyncIterable<Uint8Array>} The chunks.
+			 */
+			async function* createChunks() {
+				for (let i = 0; i < text.length; i += 3) {
+					yield encoder.encode(text.slice(i, i + 3));
+				}
+			}
+
+			it("should upload a large file using an upload session when the size is given", async () => {
+				await impl.writeStream(filePath, createChunks(), {
+					size: text.length,
+				});
+
+				assert.strictEqual(
+					decoder.decode(await impl.bytes(filePath)),
+					text,
+				);
+				assert.strictEqual(uploadSessions.size, 0);
+			});
+
+			it("should upload a large file when the size isn't given", async () => {
+				await impl.writeStream(filePath, createChunks());
+
+				assert.strictEqual(
+					decoder.decode(await impl.bytes(filePath)),
+					text,
+				);
+				assert.strictEqual(uploadSessions.size, 0);
+			});
+		});
+
+		describe("Paths", () => {
+			it('should resolve ".." steps before walking the path', async () => {
+				await impl.write(
+					"tmp-append/sub/../a.txt",
+					encoder.encode("Hello"),
+				);
+
+				assert.strictEqual(
+					decoder.decode(await impl.bytes("tmp-append/a.txt")),
+					"Hello",
+				);
+				assert.strictEqual(
+					await impl.isDirectory("tmp-append/sub"),
+					false,
+				);
+			});
+
+			it("should throw a TypeError when the path leads outside of the root folder", async () => {
+				await assert.rejects(
+					impl.write("../a.txt", encoder.encode("Hello")),
+					{
+						name: "TypeError",
+						message:
+							'Path "../a.txt" leads outside of the root folder.',
+					},
+				);
+				await assert.rejects(
+					impl.bytes("tmp-append/../../a.txt"),
+					TypeError,
+				);
+			});
+		});
+
+		describe("Authentication", () => {
+			it("should refresh the access token when it expires", async () => {
+				const auth = new RefreshTokenProvider({
+					clientId: "client-id",
+					clientSecret: "client-secret",
+					refreshToken: createRefreshToken(),
+				});
+
+				impl = new BoxHfsImpl({ auth, rootFolderId: "0" });
+
+				await impl.write("tmp-append/auth.txt", encoder.encode("one"));
+
+				// expire the access token
+				accessTokens.delete(await auth.getToken());
+
+				assert.strictEqual(
+					decoder.decode(await impl.bytes("tmp-append/auth.txt")),
+					"one",
+				);
+			});
+		});
+
+		describe("append()", () => {
+			it("should upload a new version of an existing file", async () => {
+				const filePath = "tmp-append/log.txt";
+
+				await impl.write(filePath, encoder.encode("one\n"));
+				const { id } = await impl.stat(filePath);
+
+				await impl.append(filePath, encoder.encode("two\n"));
+
+				assert.strictEqual((await impl.stat(filePath)).id, id);
+				assert.strictEqual(
+					decoder.decode(await impl.bytes(filePath)),
+					"one\ntwo\n",
+				);
+			});
+
+			it("should reject when the file path is a directory", async () => {
+				await impl.createDirectory("tmp-append/logs");
+
+				await assert.rejects(
+					impl.append("tmp-append/logs", encoder.encode("one\n")),
+					{ name: "DirectoryError" },
+				);
+			});
+		});
+	});
+
 	await tester.test({
 		name: "BoxHfsImpl",
 		impl: new BoxHfsImpl({ token: "abc123", rootFolderId: "0" }),
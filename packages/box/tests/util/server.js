@@ -3,6 +3,8 @@
  * @author Nicholas C. Zakas
  */
 
+/* global URLSearchParams */
+
 //------------------------------------------------------------------------------
 // Imports
 //------------------------------------------------------------------------------
@@ -10,7 +12,9 @@
 import { http, HttpResponse } from "msw";
 import { setupServer } from "msw/node";
 import { API_BASE, API_ENDPOINTS } from "../../src/box-client.js";
+import { AUTH_BASE, AUTH_ENDPOINTS } from "../../src/box-auth.js";
 import { ObjectStore } from "@humanwhocodes/object-store";
+import { createHash } from "node:crypto";
 
 //------------------------------------------------------------------------------
 // Helpers
@@ -20,15 +24,175 @@ function createApiUrl(endpoint) {
 	return API_BASE + endpoint;
 }
 
+/**
+ * Calculates the SHA-1 digest of the given bytes in the format that Box
+ * uses in the `Digest` header.
+ * @param {Uint8Array} bytes The bytes to calculate the digest for.
+ * @returns {string} The digest.
+ */
+function createDigest(bytes) {
+	return `sha=${createHash("sha1").update(bytes).digest("base64")}`;
+}
+
+/**
+ * Creates an error response in the format that Box uses.
+ * @param {number} status The HTTP status code.
+ * @param {string} code The Box error code.
+ * @returns {HttpResponse} The response.
+ */
+function createErrorResponse(status, code) {
+	return HttpResponse.json({ type: "error", status, code }, { status });
+}
+
 //-----------------------------------------------------------------------------
 // Server
 //-----------------------------------------------------------------------------
 
 const ROOT_ID = "0";
 const store = new ObjectStore({ rootFolderId: ROOT_ID });
-const server = setupServer();
 
-server.use(
+// the credentials of the Box app that the token endpoint accepts
+const CLIENT_ID = "client-id";
+const CLIENT_SECRET = "client-secret";
+
+// the access tokens that the API accepts
+const accessTokens = new Set(["abc123"]);
+
+// the refresh tokens that the token endpoint accepts
+const refreshTokens = new Set();
+let lastTokenId = 0;
+
+// small enough that the test files are uploaded in several parts
+const UPLOAD_PART_SIZE = 8;
+const uploadSessions = new Map();
+let lastUploadSessionId = 0;
+
+/**
+ * Creates a new upload session and returns the response for it.
+ * @param {object} options The options for the session.
+ * @param {string} [options.folderId] The ID of the folder for a new file.
+ * @param {string} [options.fileId] The ID of the file for a new version.
+ * @param {string} options.fileName The name of the file.
+ * @param {number} options.fileSize The size of the file in bytes.
+ * @returns {HttpResponse} The response.
+ */
+function createUploadSession({ folderId, fileId, fileName, fileSize }) {
+	const id = String(++lastUploadSessionId);
+	const partUrl = createApiUrl(
+		API_ENDPOINTS.uploadSessionPart.replace(":session_id", id),
+	);
+
+	uploadSessions.set(id, {
+		folderId,
+		fileId,
+		fileName,
+		fileSize,
+		parts: new Map(),
+	});
+
+	return HttpResponse.json(
+		{
+			id,
+			type: "upload_session",
+			part_size: UPLOAD_PART_SIZE,
+			total_parts: Math.ceil(fileSize / UPLOAD_PART_SIZE),
+			session_endpoints: {
+				upload_part: partUrl,
+				commit: createApiUrl(
+					API_ENDPOINTS.uploadSessionCommit.replace(
+						":session_id",
+						id,
+					),
+				),
+				abort: partUrl,
+			},
+		},
+		{ status: 201 },
+	);
+}
+
+const handlers = [
+	//-------------------------------------------------------------------------
+	// Authentication
+	//-------------------------------------------------------------------------
+
+	// reject requests without a valid access token
+	http.all(`${API_BASE}*`, ({ request }) => {
+		const token = request.headers
+			.get("Authorization")
+			?.replace(/^Bearer /u, "");
+
+		if (!accessTokens.has(token)) {
+			return new HttpResponse(null, { status: 401 });
+		}
+
+		// continue to the next handler
+		return undefined;
+	}),
+
+	// issue tokens - RefreshTokenProvider, ClientCredentialsProvider
+	http.post(AUTH_BASE + AUTH_ENDPOINTS.token, async ({ request }) => {
+		const params = new URLSearchParams(await request.text());
+
+		if (
+			params.get("client_id") !== CLIENT_ID ||
+			params.get("client_secret") !== CLIENT_SECRET
+		) {
+			return HttpResponse.json(
+				{ error: "invalid_client" },
+				{ status: 400 },
+			);
+		}
+
+		const tokenId = ++lastTokenId;
+		const accessToken = `access-${tokenId}`;
+		const grantType = params.get("grant_type");
+
+		if (grantType === "refresh_token") {
+			// refresh tokens can only be used once
+			if (!refreshTokens.delete(params.get("refresh_token"))) {
+				return HttpResponse.json(
+					{ error: "invalid_grant" },
+					{ status: 400 },
+				);
+			}
+
+			const refreshToken = `refresh-${tokenId}`;
+
+			accessTokens.add(accessToken);
+			refreshTokens.add(refreshToken);
+
+			return HttpResponse.json({
+				access_token: accessToken,
+				expires_in: 3600,
+				refresh_token: refreshToken,
+				token_type: "bearer",
+			});
+		}
+
+		if (grantType === "client_credentials") {
+			if (!params.get("box_subject_id")) {
+				return HttpResponse.json(
+					{ error: "invalid_request" },
+					{ status: 400 },
+				);
+			}
+
+			accessTokens.add(accessToken);
+
+			return HttpResponse.json({
+				access_token: accessToken,
+				expires_in: 3600,
+				token_type: "bearer",
+			});
+		}
+
+		return HttpResponse.json(
+			{ error: "unsupported_grant_type" },
+			{ status: 400 },
+		);
+	}),
+
 	//-------------------------------------------------------------------------
 	// Files
 	//-------------------------------------------------------------------------
@@ -51,7 +215,7 @@ server.use(
 		});
 	}),
 
-	// update existing file -- write()
+	// update existing file -- write(), append()
 	http.post(createApiUrl(API_ENDPOINTS.file), async ({ request, params }) => {
 		const { file_id: fileId } = params;
 		const formData = await request.formData();
@@ -99,7 +263,7 @@ server.use(
 		});
 	}),
 
-	// preflight check for existing file - write()
+	// preflight check for existing file - write(), append()
 	http.options(
 		createApiUrl(API_ENDPOINTS.file),
 		async ({ params, request }) => {
@@ -142,12 +306,23 @@ server.use(
 		},
 	),
 
-	// download file - bytes()
-	http.get(createApiUrl(API_ENDPOINTS.file), async ({ params }) => {
+	// download file - bytes(), slice(), append()
+	http.get(createApiUrl(API_ENDPOINTS.file), async ({ params, request }) => {
 		const { file_id: fileId } = params;
 
 		try {
 			const contents = store.getFileContent(fileId);
+			const range = request.headers
+				.get("Range")
+				?.match(/^bytes=(\d+)-(\d+)$/);
+
+			if (range) {
+				return HttpResponse.arrayBuffer(
+					contents.slice(Number(range[1]), Number(range[2]) + 1),
+					{ status: 206 },
+				);
+			}
+
 			return HttpResponse.arrayBuffer(contents);
 		} catch (ex) {
 			if (ex.code === "ENOENT") {
@@ -183,6 +358,144 @@ server.use(
 		return new HttpResponse(204);
 	}),
 
+	//-------------------------------------------------------------------------
+	// Upload Sessions
+	//-------------------------------------------------------------------------
+
+	// create upload session for new file - write() for large files
+	http.post(
+		createApiUrl(API_ENDPOINTS.uploadSession),
+		async ({ request }) => {
+			const {
+				folder_id: folderId,
+				file_name: fileName,
+				file_size: fileSize,
+			} = await request.json();
+
+			return createUploadSession({ folderId, fileName, fileSize });
+		},
+	),
+
+	// create upload session for existing file - write() for large files
+	http.post(
+		createApiUrl(API_ENDPOINTS.fileUploadSession),
+		async ({ request, params }) => {
+			const { file_id: fileId } = params;
+			const { file_name: fileName, file_size: fileSize } =
+				await request.json();
+
+			return createUploadSession({ fileId, fileName, fileSize });
+		},
+	),
+
+	// upload part
+	http.put(
+		createApiUrl(API_ENDPOINTS.uploadSessionPart),
+		async ({ request, params }) => {
+			const session = uploadSessions.get(params.session_id);
+
+			if (!session) {
+				return createErrorResponse(404, "not_found");
+			}
+
+			const range = request.headers
+				.get("Content-Range")
+				?.match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+			const bytes = new Uint8Array(await request.arrayBuffer());
+
+			if (
+				!range ||
+				Number(range[3]) !== session.fileSize ||
+				Number(range[2]) - Number(range[1]) + 1 !== bytes.byteLength
+			) {
+				return createErrorResponse(
+					416,
+					"requested_range_not_satisfiable",
+				);
+			}
+
+			if (request.headers.get("Digest") !== createDigest(bytes)) {
+				return createErrorResponse(400, "bad_digest");
+			}
+
+			const offset = Number(range[1]);
+			const part = {
+				part_id: offset.toString(16).padStart(8, "0"),
+				offset,
+				size: bytes.byteLength,
+				sha1: createHash("sha1").update(bytes).digest("hex"),
+			};
+
+			session.parts.set(part.part_id, { part, bytes });
+
+			return HttpResponse.json({ part });
+		},
+	),
+
+	// commit upload session
+	http.post(
+		createApiUrl(API_ENDPOINTS.uploadSessionCommit),
+		async ({ request, params }) => {
+			const session = uploadSessions.get(params.session_id);
+
+			if (!session) {
+				return createErrorResponse(404, "not_found");
+			}
+
+			const { parts } = await request.json();
+			const content = new Uint8Array(session.fileSize);
+
+			for (const { part_id: partId } of parts) {
+				const uploaded = session.parts.get(partId);
+
+				if (!uploaded) {
+					return createErrorResponse(400, "invalid_parts");
+				}
+
+				content.set(uploaded.bytes, uploaded.part.offset);
+			}
+
+			if (request.headers.get("Digest") !== createDigest(content)) {
+				return createErrorResponse(400, "bad_digest");
+			}
+
+			uploadSessions.delete(params.session_id);
+
+			let fileId = session.fileId;
+
+			if (fileId) {
+				store.updateFile(fileId, { content: content.buffer });
+			} else {
+				({ id: fileId } = store.createFile(session.fileName, {
+					parentId: session.folderId,
+					content: content.buffer,
+				}));
+			}
+
+			return HttpResponse.json(
+				{
+					total_count: 1,
+					entries: [
+						{ id: fileId, type: "file", name: session.fileName },
+					],
+				},
+				{ status: 201 },
+			);
+		},
+	),
+
+	// abort upload session
+	http.delete(
+		createApiUrl(API_ENDPOINTS.uploadSessionPart),
+		async ({ params }) => {
+			if (!uploadSessions.delete(params.session_id)) {
+				return createErrorResponse(404, "not_found");
+			}
+
+			return new HttpResponse(null, { status: 204 });
+		},
+	),
+
 	//-------------------------------------------------------------------------
 	// Folders
 	//-------------------------------------------------------------------------
@@ -259,6 +572,18 @@ server.use(
 			return new HttpResponse(204);
 		},
 	),
-);
+];
+
+const server = setupServer(...handlers);
+
+/**
+ * Creates a refresh token that the token endpoint accepts once.
+ * @returns {string} The refresh token.
+ */
+function createRefreshToken() {
+	const refreshToken = `refresh-${++lastTokenId}`;
+	refreshTokens.add(refreshToken);
+	return refreshToken;
+}
 
-export { server };
+export { server, handlers, uploadSessions, accessTokens, createRefreshToken };
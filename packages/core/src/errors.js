@@ -3,10 +3,147 @@
  * @author Nicholas C. Zakas
  */
 
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} HfsErrorOptions
+ * @property {string|URL} [path] The path of the file or directory that
+ *  caused the error.
+ * @property {string|URL} [destination] The destination path for operations
+ *  that have one, such as copying and moving.
+ * @property {string} [syscall] The name of the native operation that failed,
+ *  such as "open" or "rename".
+ * @property {string} [method] The name of the impl method that failed, such
+ *  as "copy" or "write".
+ * @property {unknown} [cause] The original error.
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Base class for errors that describe a file system failure. Each subclass
+ * has a `code` that matches the POSIX error code used by Node.js so that
+ * errors can be checked the same way regardless of the impl.
+ */
+export class HfsError extends Error {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "HfsError";
+
+	/**
+	 * Error code.
+	 * @type {string|undefined}
+	 */
+	code;
+
+	/**
+	 * The path of the file or directory that caused the error.
+	 * @type {string|URL|undefined}
+	 */
+	path;
+
+	/**
+	 * The destination path for operations that have one.
+	 * @type {string|URL|undefined}
+	 */
+	destination;
+
+	/**
+	 * The name of the native operation that failed.
+	 * @type {string|undefined}
+	 */
+	syscall;
+
+	/**
+	 * The name of the impl method that failed.
+	 * @type {string|undefined}
+	 */
+	method;
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, { path, destination, syscall, method, cause } = {}) {
+		super(message, cause === undefined ? undefined : { cause });
+		this.path = path;
+		this.destination = destination;
+		this.syscall = syscall;
+		this.method = method;
+	}
+
+	/**
+	 * Converts a native error into the matching `HfsError` subclass. Errors
+	 * are matched by their POSIX error code (`node:fs` and Deno), then by
+	 * their name (Deno error classes and DOMExceptions), and then by their
+	 * HTTP status (web APIs such as Box). The native error is kept as
+	 * `cause`. The message names the native operation, or the impl method
+	 * when there isn't one, and the paths; without a path, the native
+	 * message is used without its code. Errors that are already `HfsError`
+	 * instances and errors that don't match are returned unchanged.
+	 * @param {any} error The error to convert.
+	 * @param {HfsErrorOptions} [options] Details to use when the error
+	 *  doesn't include them.
+	 * @returns {any} The converted error or the original error.
+	 */
+	static from(error, { path, destination, syscall, method } = {}) {
+		if (error instanceof HfsError) {
+			return error;
+		}
+
+		const ErrorClass =
+			ERROR_CLASSES.get(error?.code) ??
+			ERROR_NAME_CLASSES.get(error?.name) ??
+			ERROR_STATUS_CLASSES.get(error?.status);
+
+		if (!ErrorClass) {
+			return error;
+		}
+
+		const details = {
+			path: error.path ?? path,
+			destination: error.dest ?? destination,
+			syscall: error.syscall ?? syscall,
+			method,
+			cause: error,
+		};
+		const operation = details.syscall ?? method;
+		let message;
+
+		if (operation && details.path) {
+			message = `${operation} '${details.path}'`;
+
+			if (details.destination) {
+				message += ` -> '${details.destination}'`;
+			}
+		} else {
+			// the class adds its own code and description to the message
+			const codePrefix = `${error.code}: `;
+
+			message = String(error.message ?? "");
+
+			if (message.startsWith(codePrefix)) {
+				message = message
+					.slice(codePrefix.length)
+					.replace(/^[^,]*, /u, "");
+			}
+		}
+
+		return new ErrorClass(message, details);
+	}
+}
+
 /**
  * Error thrown when a file or directory is not found.
  */
-export class NotFoundError extends Error {
+export class NotFoundError extends HfsError {
 	/**
 	 * Name of the error class.
 	 * @type {string}
@@ -22,16 +159,17 @@ export class NotFoundError extends Error {
 	/**
 	 * Creates a new instance.
 	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
 	 */
-	constructor(message) {
-		super(`ENOENT: No such file or directory, ${message}`);
+	constructor(message, options) {
+		super(`ENOENT: No such file or directory, ${message}`, options);
 	}
 }
 
 /**
  * Error thrown when an operation is not permitted.
  */
-export class PermissionError extends Error {
+export class PermissionError extends HfsError {
 	/**
 	 * Name of the error class.
 	 * @type {string}
@@ -47,9 +185,10 @@ export class PermissionError extends Error {
 	/**
 	 * Creates a new instance.
 	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
 	 */
-	constructor(message) {
-		super(`EPERM: Operation not permitted, ${message}`);
+	constructor(message, options) {
+		super(`EPERM: Operation not permitted, ${message}`, options);
 	}
 }
 
@@ -57,7 +196,7 @@ export class PermissionError extends Error {
  * Error thrown when an operation is not allowed on a directory.
  */
 
-export class DirectoryError extends Error {
+export class DirectoryError extends HfsError {
 	/**
 	 * Name of the error class.
 	 * @type {string}
@@ -73,16 +212,17 @@ export class DirectoryError extends Error {
 	/**
 	 * Creates a new instance.
 	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
 	 */
-	constructor(message) {
-		super(`EISDIR: Illegal operation on a directory, ${message}`);
+	constructor(message, options) {
+		super(`EISDIR: Illegal operation on a directory, ${message}`, options);
 	}
 }
 
 /**
  * Error thrown when a directory is not empty.
  */
-export class NotEmptyError extends Error {
+export class NotEmptyError extends HfsError {
 	/**
 	 * Name of the error class.
 	 * @type {string}
@@ -98,8 +238,313 @@ export class NotEmptyError extends Error {
 	/**
 	 * Creates a new instance.
 	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
 	 */
-	constructor(message) {
-		super(`ENOTEMPTY: Directory not empty, ${message}`);
+	constructor(message, options) {
+		super(`ENOTEMPTY: Directory not empty, ${message}`, options);
 	}
 }
+
+/**
+ * Error thrown when a file or directory already exists.
+ */
+export class AlreadyExistsError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "AlreadyExistsError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "EEXIST";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`EEXIST: File already exists, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when a directory is expected but a file was found.
+ */
+export class NotDirectoryError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "NotDirectoryError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "ENOTDIR";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`ENOTDIR: Not a directory, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when a path can't be resolved because it follows too many
+ * symbolic links, usually because the links form a loop.
+ */
+export class SymlinkLoopError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "SymlinkLoopError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "ELOOP";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`ELOOP: Too many levels of symbolic links, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when the process or system has too many open files.
+ */
+export class TooManyOpenFilesError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "TooManyOpenFilesError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "EMFILE";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`EMFILE: Too many open files, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when writing to a read-only file system.
+ */
+export class ReadOnlyError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "ReadOnlyError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "EROFS";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`EROFS: Read-only file system, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when there is no space left to write.
+ */
+export class NoSpaceError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "NoSpaceError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "ENOSPC";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`ENOSPC: No space left on device, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when moving or linking across devices isn't possible.
+ */
+export class CrossDeviceError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "CrossDeviceError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "EXDEV";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`EXDEV: Cross-device link not permitted, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when an operation takes too long.
+ */
+export class TimeoutError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "TimeoutError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "ETIMEDOUT";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`ETIMEDOUT: Operation timed out, ${message}`, options);
+	}
+}
+
+/**
+ * Error thrown when a storage quota has been exceeded.
+ */
+export class QuotaExceededError extends HfsError {
+	/**
+	 * Name of the error class.
+	 * @type {string}
+	 */
+	name = "QuotaExceededError";
+
+	/**
+	 * Error code.
+	 * @type {string}
+	 */
+	code = "EDQUOT";
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} message The error message.
+	 * @param {HfsErrorOptions} [options] Details about the error.
+	 */
+	constructor(message, options) {
+		super(`EDQUOT: Quota exceeded, ${message}`, options);
+	}
+}
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The error classes to use for each native error code. Some classes cover
+ * more than one code, such as `PermissionError` for both EPERM and EACCES.
+ * @type {Map<string, new (message: string, options?: HfsErrorOptions) => HfsError>}
+ */
+const ERROR_CLASSES = new Map([
+	["ENOENT", NotFoundError],
+	["EPERM", PermissionError],
+	["EACCES", PermissionError],
+	["EISDIR", DirectoryError],
+	["ERR_FS_EISDIR", DirectoryError],
+	["ENOTEMPTY", NotEmptyError],
+	["EEXIST", AlreadyExistsError],
+	["ENOTDIR", NotDirectoryError],
+	["ELOOP", SymlinkLoopError],
+	["EMFILE", TooManyOpenFilesError],
+	["ENFILE", TooManyOpenFilesError],
+	["EROFS", ReadOnlyError],
+	["ENOSPC", NoSpaceError],
+	["EXDEV", CrossDeviceError],
+	["ETIMEDOUT", TimeoutError],
+	["EDQUOT", QuotaExceededError],
+]);
+
+/**
+ * The error classes to use for each error name. This covers the classes in
+ * `Deno.errors` and the DOMException names used by the File System API.
+ * @type {Map<string, new (message: string, options?: HfsErrorOptions) => HfsError>}
+ */
+const ERROR_NAME_CLASSES = new Map([
+	// Deno
+	["NotFound", NotFoundError],
+	["PermissionDenied", PermissionError],
+	["NotCapable", PermissionError],
+	["AlreadyExists", AlreadyExistsError],
+	["IsADirectory", DirectoryError],
+	["NotADirectory", NotDirectoryError],
+	["DirectoryNotEmpty", NotEmptyError],
+	["FilesystemLoop", SymlinkLoopError],
+	["TimedOut", TimeoutError],
+
+	// DOMException
+	["NotFoundError", NotFoundError],
+	["NotAllowedError", PermissionError],
+	["SecurityError", PermissionError],
+	["NoModificationAllowedError", PermissionError],
+	["InvalidModificationError", NotEmptyError],
+	["TypeMismatchError", DirectoryError],
+	["QuotaExceededError", QuotaExceededError],
+	["TimeoutError", TimeoutError],
+]);
+
+/**
+ * The error classes to use for each HTTP status.
+ * @type {Map<number, new (message: string, options?: HfsErrorOptions) => HfsError>}
+ */
+const ERROR_STATUS_CLASSES = new Map([
+	[401, PermissionError],
+	[403, PermissionError],
+	[404, NotFoundError],
+	[408, TimeoutError],
+	[409, AlreadyExistsError],
+	[507, NoSpaceError],
+]);
@@ -0,0 +1,396 @@
+/**
+ * @fileoverview Glob pattern matching for paths relative to a directory.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {RegExp|typeof GLOBSTAR} CompiledSegment */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * Marker for a `**` segment, which matches zero or more path segments.
+ */
+const GLOBSTAR = Symbol("globstar");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Escapes a character so it can be used literally in a regular expression.
+ * @param {string} char The character to escape.
+ * @returns {string} The escaped character.
+ */
+function escapeRegExpChar(char) {
+	return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Finds the index of the closing brace that matches the opening brace at the
+ * given index, ignoring escaped characters and nested braces.
+ * @param {string} pattern The pattern to search.
+ * @param {number} start The index of the opening brace.
+ * @returns {number} The index of the closing brace or -1 if not found.
+ */
+function findClosingBrace(pattern, start) {
+	let depth = 0;
+
+	for (let i = start; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if (char === "\\") {
+			i++;
+		} else if (char === "{") {
+			depth++;
+		} else if (char === "}") {
+			depth--;
+
+			if (depth === 0) {
+				return i;
+			}
+		}
+	}
+
+	return -1;
+}
+
+/**
+ * Splits the body of a brace expression on commas that aren't nested inside
+ * another brace expression.
+ * @param {string} body The text between the braces.
+ * @returns {Array<string>} The alternatives.
+ */
+function splitAlternatives(body) {
+	const alternatives = [];
+	let depth = 0;
+	let current = "";
+
+	for (let i = 0; i < body.length; i++) {
+		const char = body[i];
+
+		if (char === "\\") {
+			current += char + (body[i + 1] ?? "");
+			i++;
+			continue;
+		}
+
+		if (char === "{") {
+			depth++;
+		} else if (char === "}") {
+			depth--;
+		} else if (char === "," && depth === 0) {
+			alternatives.push(current);
+			current = "";
+			continue;
+		}
+
+		current += char;
+	}
+
+	alternatives.push(current);
+	return alternatives;
+}
+
+/**
+ * Expands brace expressions such as `*.{js,ts}` into multiple patterns.
+ * Braces without a comma, such as `{a}`, are left as literal text.
+ * @param {string} pattern The pattern to expand.
+ * @param {number} [from=0] The index to start searching for braces.
+ * @returns {Array<string>} The expanded patterns.
+ */
+function expandBraces(pattern, from = 0) {
+	for (let i = from; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if (char === "\\") {
+			i++;
+			continue;
+		}
+
+		if (char !== "{") {
+			continue;
+		}
+
+		const end = findClosingBrace(pattern, i);
+
+		if (end === -1) {
+			break;
+		}
+
+		const alternatives = splitAlternatives(pattern.slice(i + 1, end));
+
+		if (alternatives.length === 1) {
+			continue;
+		}
+
+		const prefix = pattern.slice(0, i);
+		const suffix = pattern.slice(end + 1);
+
+		return alternatives.flatMap(alternative =>
+			expandBraces(prefix + alternative + suffix, i),
+		);
+	}
+
+	return [pattern];
+}
+
+/**
+ * Converts a single path segment of a glob pattern into a regular expression.
+ * @param {string} segment The segment to convert.
+ * @returns {RegExp} The regular expression that matches the segment.
+ */
+function segmentToRegExp(segment) {
+	let source = "";
+
+	for (let i = 0; i < segment.length; i++) {
+		const char = segment[i];
+
+		if (char === "\\") {
+			i++;
+			source += escapeRegExpChar(segment[i] ?? "\\");
+			continue;
+		}
+
+		if (char === "*") {
+			// consecutive stars inside a segment act like a single star
+			while (segment[i + 1] === "*") {
+				i++;
+			}
+
+			source += "[^/]*";
+			continue;
+		}
+
+		if (char === "?") {
+			source += "[^/]";
+			continue;
+		}
+
+		if (char === "[") {
+			let classStart = i + 1;
+			const negated =
+				segment[classStart] === "!" || segment[classStart] === "^";
+
+			if (negated) {
+				classStart++;
+			}
+
+			// a "]" immediately after the opening bracket is literal
+			const classEnd = segment.indexOf(
+				"]",
+				segment[classStart] === "]" ? classStart + 1 : classStart,
+			);
+
+			if (classEnd !== -1) {
+				const body = segment
+					.slice(classStart, classEnd)
+					.replace(/[\\\]^[]/g, "\\$&");
+
+				source += `[${negated ? "^" : ""}${body}]`;
+				i = classEnd;
+				continue;
+			}
+		}
+
+		source += escapeRegExpChar(char);
+	}
+
+	return new RegExp(`^${source}$`, "u");
+}
+
+/**
+ * Compiles a glob pattern without braces into an array of segments.
+ * @param {string} pattern The pattern to compile.
+ * @returns {Array<CompiledSegment>} The compiled segments.
+ */
+function compilePattern(pattern) {
+	const normalizedPattern = pattern.replace(/^(?:\.\/|\/)+/, "");
+
+	return normalizedPattern
+		.split("/")
+		.filter(Boolean)
+		.map(segment =>
+			segment === "**" ? GLOBSTAR : segmentToRegExp(segment),
+		);
+}
+
+/**
+ * Determines if the given path segments match the compiled pattern.
+ * @param {Array<string>} pathSegments The segments of the path to check.
+ * @param {Array<CompiledSegment>} patternSegments The compiled pattern.
+ * @param {number} [pathIndex=0] The index of the path segment to check.
+ * @param {number} [patternIndex=0] The index of the pattern segment to check.
+ * @returns {boolean} True if the path matches the pattern.
+ */
+function matchSegments(
+	pathSegments,
+	patternSegments,
+	pathIndex = 0,
+	patternIndex = 0,
+) {
+	if (patternIndex === patternSegments.length) {
+		return pathIndex === pathSegments.length;
+	}
+
+	const patternSegment = patternSegments[patternIndex];
+
+	if (patternSegment === GLOBSTAR) {
+		return (
+			matchSegments(
+				pathSegments,
+				patternSegments,
+				pathIndex,
+				patternIndex + 1,
+			) ||
+			(pathIndex < pathSegments.length &&
+				matchSegments(
+					pathSegments,
+					patternSegments,
+					pathIndex + 1,
+					patternIndex,
+				))
+		);
+	}
+
+	if (pathIndex === pathSegments.length) {
+		return false;
+	}
+
+	return (
+		/** @type {RegExp} */ (patternSegment).test(pathSegments[pathIndex]) &&
+		matchSegments(
+			pathSegments,
+			patternSegments,
+			pathIndex + 1,
+			patternIndex + 1,
+		)
+	);
+}
+
+/**
+ * Determines if anything inside the directory with the given path segments
+ * could match the compiled pattern.
+ * @param {Array<string>} dirSegments The segments of the directory path.
+ * @param {Array<CompiledSegment>} patternSegments The compiled pattern.
+ * @param {number} [dirIndex=0] The index of the directory segment to check.
+ * @param {number} [patternIndex=0] The index of the pattern segment to check.
+ * @returns {boolean} True if a descendant of the directory could match.
+ */
+function couldMatchDescendant(
+	dirSegments,
+	patternSegments,
+	dirIndex = 0,
+	patternIndex = 0,
+) {
+	// the directory is used up, so any remaining segments could match children
+	if (dirIndex === dirSegments.length) {
+		return patternIndex < patternSegments.length;
+	}
+
+	if (patternIndex === patternSegments.length) {
+		return false;
+	}
+
+	const patternSegment = patternSegments[patternIndex];
+
+	if (patternSegment === GLOBSTAR) {
+		return true;
+	}
+
+	return (
+		/** @type {RegExp} */ (patternSegment).test(dirSegments[dirIndex]) &&
+		couldMatchDescendant(
+			dirSegments,
+			patternSegments,
+			dirIndex + 1,
+			patternIndex + 1,
+		)
+	);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Matches paths relative to a directory against a list of glob patterns.
+ * Patterns beginning with `!` exclude paths that would otherwise match.
+ */
+export class GlobMatcher {
+	/**
+	 * The compiled patterns that paths must match.
+	 * @type {Array<Array<CompiledSegment>>}
+	 */
+	#include = [];
+
+	/**
+	 * The compiled patterns that paths must not match.
+	 * @type {Array<Array<CompiledSegment>>}
+	 */
+	#exclude = [];
+
+	/**
+	 * Creates a new instance.
+	 * @param {Array<string>} patterns The glob patterns to match. When all
+	 *   of the patterns are negated, every other path matches.
+	 */
+	constructor(patterns) {
+		for (const pattern of patterns) {
+			const negated = pattern.startsWith("!");
+			const compiled = expandBraces(
+				negated ? pattern.slice(1) : pattern,
+			).map(compilePattern);
+
+			(negated ? this.#exclude : this.#include).push(...compiled);
+		}
+
+		if (this.#include.length === 0) {
+			this.#include.push([GLOBSTAR]);
+		}
+	}
+
+	/**
+	 * Determines if the given path matches the patterns.
+	 * @param {string} path The path to check, relative to the directory
+	 *   being searched and using forward slashes.
+	 * @returns {boolean} True if the path matches.
+	 */
+	matches(path) {
+		const segments = path.split("/");
+
+		return (
+			this.#include.some(pattern => matchSegments(segments, pattern)) &&
+			!this.#exclude.some(pattern => matchSegments(segments, pattern))
+		);
+	}
+
+	/**
+	 * Determines if the given directory could contain paths that match the
+	 * patterns. Directories excluded by a negated pattern ending in `/**`
+	 * never contain matches.
+	 * @param {string} dirPath The path to the directory, relative to the
+	 *   directory being searched and using forward slashes.
+	 * @returns {boolean} True if the directory should be searched.
+	 */
+	shouldWalk(dirPath) {
+		const segments = dirPath.split("/");
+		const excluded = this.#exclude.some(
+			pattern =>
+				pattern[pattern.length - 1] === GLOBSTAR &&
+				matchSegments(segments, pattern.slice(0, -1)),
+		);
+
+		return (
+			!excluded &&
+			this.#include.some(pattern =>
+				couldMatchDescendant(segments, pattern),
+			)
+		);
+	}
+}
@@ -3,7 +3,7 @@
  * @author Nicholas C. Zakas
  */
 
-/* global URL, TextDecoder, TextEncoder */
+/* global URL, TextDecoder, TextEncoder, setTimeout, clearTimeout, performance */
 
 //-----------------------------------------------------------------------------
 // Types
@@ -12,6 +12,18 @@
 /** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
 /** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
 /** @typedef {import("@humanfs/types").HfsWalkEntry} HfsWalkEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
+/** @typedef {import("@humanfs/types").HfsTransactionOperation} HfsTransactionOperation */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { GlobMatcher } from "./glob.js";
+import { ReadOnlyHfsImpl } from "./read-only-hfs.js";
+import { HfsError } from "./errors.js";
+import { toReadableStream, concatChunks } from "./impl-fallbacks.js";
 
 //-----------------------------------------------------------------------------
 // Helpers
@@ -20,6 +32,17 @@
 const decoder = new TextDecoder();
 const encoder = new TextEncoder();
 
+/**
+ * The impl methods whose second argument is a destination path.
+ */
+const DESTINATION_METHODS = new Set(["copy", "copyAll", "move", "moveAll"]);
+
+/**
+ * The impl methods that return an async iterable. Streams are also async
+ * iterable, so only these methods have their results wrapped.
+ */
+const ITERABLE_METHODS = new Set(["list", "watch"]);
+
 /**
  * Error to represent when a method is missing on an impl.
  */
@@ -75,6 +98,70 @@ function assertValidFileOrDirPath(fileOrDirPath) {
 	}
 }
 
+/**
+ * Asserts that the given symlink target is valid.
+ * @param {any} target The target to check.
+ * @returns {void}
+ * @throws {TypeError} When the target is not a non-empty string.
+ */
+function assertValidSymlinkTarget(target) {
+	if (!target || typeof target !== "string") {
+		throw new TypeError("Symlink target must be a non-empty string.");
+	}
+}
+
+/**
+ * Asserts that the given glob patterns are valid.
+ * @param {any} patterns The patterns to check.
+ * @returns {void}
+ * @throws {TypeError} When the patterns are not a non-empty string or an
+ *   array of non-empty strings.
+ */
+function assertValidGlobPatterns(patterns) {
+	const isValidPattern = pattern => typeof pattern === "string" && pattern;
+
+	if (
+		!isValidPattern(patterns) &&
+		!(
+			Array.isArray(patterns) &&
+			patterns.length > 0 &&
+			patterns.every(isValidPattern)
+		)
+	) {
+		throw new TypeError(
+			"Patterns must be a non-empty string or array of non-empty strings.",
+		);
+	}
+}
+
+/**
+ * Asserts that the given walk options are valid.
+ * @param {Object} options The options to check.
+ * @param {any} options.order The traversal order.
+ * @param {any} options.concurrency The maximum number of directories to read at once.
+ * @param {any} options.maxDepth The maximum depth to walk.
+ * @returns {void}
+ * @throws {TypeError} When any of the options are invalid.
+ */
+function assertValidWalkOptions({ order, concurrency, maxDepth }) {
+	if (order !== "depth-first" && order !== "breadth-first") {
+		throw new TypeError('Order must be "depth-first" or "breadth-first".');
+	}
+
+	if (!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new TypeError("Concurrency must be a positive integer.");
+	}
+
+	if (
+		maxDepth !== Infinity &&
+		(!Number.isInteger(maxDepth) || maxDepth < 1)
+	) {
+		throw new TypeError(
+			"Max depth must be a positive integer or Infinity.",
+		);
+	}
+}
+
 /**
  * Asserts that the given file contents are valid.
  * @param {any} contents The contents to check.
@@ -93,6 +180,71 @@ function assertValidFileContents(contents) {
 	}
 }
 
+/**
+ * Asserts that the given polling interval is valid.
+ * @param {any} interval The interval to check.
+ * @returns {void}
+ * @throws {TypeError} When the interval is not a positive number.
+ */
+function assertValidInterval(interval) {
+	if (typeof interval !== "number" || !(interval > 0)) {
+		throw new TypeError("Interval must be a positive number.");
+	}
+}
+
+/**
+ * Asserts that the given byte range is valid.
+ * @param {any} start The start of the range.
+ * @param {any} end The end of the range.
+ * @returns {void}
+ * @throws {TypeError} When start or end is not a non-negative integer or end
+ *  is less than start.
+ */
+function assertValidByteRange(start, end) {
+	if (!Number.isInteger(start) || start < 0) {
+		throw new TypeError("Start must be a non-negative integer.");
+	}
+
+	if (!Number.isInteger(end) || end < 0) {
+		throw new TypeError("End must be a non-negative integer.");
+	}
+
+	if (end < start) {
+		throw new TypeError("End must be greater than or equal to start.");
+	}
+}
+
+/**
+ * Asserts that the given value is a valid stream source.
+ * @param {any} source The value to check.
+ * @returns {void}
+ * @throws {TypeError} When the source is not a ReadableStream or async iterable.
+ */
+function assertValidStreamSource(source) {
+	if (
+		!source ||
+		(typeof source.getReader !== "function" &&
+			typeof source[Symbol.asyncIterator] !== "function")
+	) {
+		throw new TypeError(
+			"Stream source must be a ReadableStream or async iterable.",
+		);
+	}
+}
+
+/**
+ * Asserts that the given stream size is valid.
+ * @param {any} size The size to check.
+ * @returns {void}
+ * @throws {TypeError} When the size is defined and is not a non-negative
+ *  integer.
+ */
+function assertValidStreamSize(size) {
+	if (size !== undefined && (!Number.isInteger(size) || size < 0)) {
+		throw new TypeError("Size must be a non-negative integer.");
+	}
+}
+
 /**
  * Converts the given contents to Uint8Array.
  * @param {any} contents The data to convert.
@@ -124,6 +276,551 @@ function toUint8Array(contents) {
 	);
 }
 
+/**
+ * Converts a ReadableStream or async iterable into an async iterable. Not all
+ * runtimes support async iteration of ReadableStream, so the reader is used
+ * directly in that case.
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} source The
+ *  source to convert.
+ * @returns {AsyncIterable<Uint8Array>} An async iterable of the chunks.
+ */
+async function* toAsyncIterable(source) {
+	if (typeof source[Symbol.asyncIterator] === "function") {
+		yield* /** @type {AsyncIterable<Uint8Array>} */ (source);
+		return;
+	}
+
+	const reader = /** @type {ReadableStream<Uint8Array>} */ (
+		source
+	).getReader();
+
+	try {
+		while (true) {
+			const { done, value } = await reader.read();
+
+			if (done) {
+				return;
+			}
+
+			yield value;
+		}
+	} finally {
+		reader.releaseLock();
+	}
+}
+
+/**
+ * Converts an error thrown by an impl method into the matching `HfsError`
+ * subclass, using the method arguments to fill in the paths. Errors that
+ * don't name a native operation, such as those from Deno, the File System
+ * API, and web services, are described by the method name instead.
+ * @param {any} error The error to convert.
+ * @param {string} methodName The name of the impl method that failed.
+ * @param {Array<any>} args The arguments passed to the impl method.
+ * @returns {any} The converted error or the original error.
+ */
+function normalizeError(error, methodName, args) {
+	const [first, second] = args;
+	const isPath = value => typeof value === "string" || value instanceof URL;
+	const path = methodName === "createSymlink" ? second : first;
+
+	return HfsError.from(error, {
+		path: isPath(path) ? path : undefined,
+		destination:
+			DESTINATION_METHODS.has(methodName) && isPath(second)
+				? second
+				: undefined,
+		method: methodName,
+	});
+}
+
+/**
+ * Wraps an async iterable returned by an impl method so that errors thrown
+ * while iterating are converted into the matching `HfsError` subclass.
+ * @param {AsyncIterable<any>} iterable The iterable to wrap.
+ * @param {string} methodName The name of the impl method.
+ * @param {Array<any>} args The arguments passed to the impl method.
+ * @returns {AsyncIterable<any>} The wrapped iterable.
+ */
+async function* normalizeIterableErrors(iterable, methodName, args) {
+	try {
+		yield* iterable;
+	} catch (error) {
+		throw normalizeError(error, methodName, args);
+	}
+}
+
+/**
+ * Creates a walk entry from a directory entry.
+ * @param {HfsDirectoryEntry} listEntry The directory entry.
+ * @param {string} parentPath The path of the directory containing the entry
+ *   relative to the directory where the walk started.
+ * @param {number} depth The depth of the entry.
+ * @returns {HfsWalkEntry} The walk entry.
+ */
+function createWalkEntry(listEntry, parentPath, depth) {
+	return {
+		...listEntry,
+		path: parentPath ? `${parentPath}/${listEntry.name}` : listEntry.name,
+		depth,
+	};
+}
+
+/**
+ * Calls a walk filter and waits for the result if it returns a promise.
+ * @param {Function} filter The filter to call.
+ * @param {HfsWalkEntry} walkEntry The entry to pass to the filter.
+ * @returns {Promise<boolean>} The result of the filter.
+ */
+async function applyFilter(filter, walkEntry) {
+	return filter(walkEntry);
+}
+
+/**
+ * Appends an entry name to a directory path or URL.
+ * @param {string|URL} dirPath The directory path.
+ * @param {string} name The name of the entry.
+ * @returns {string|URL} The path to the entry.
+ */
+function joinDirPath(dirPath, name) {
+	// make sure there's a trailing slash on the directory path before appending
+	return dirPath instanceof URL
+		? new URL(
+				name,
+				dirPath.href.endsWith("/") ? dirPath.href : `${dirPath.href}/`,
+			)
+		: `${dirPath.endsWith("/") ? dirPath : `${dirPath}/`}${name}`;
+}
+
+/**
+ * Wraps an async function so that only a limited number of calls are
+ * pending at once. Additional calls wait in the order they were made.
+ * Rejections are also handled immediately, so a result that's never
+ * awaited, such as when a walk ends early, doesn't cause an unhandled
+ * rejection.
+ * @template T, R
+ * @param {number} concurrency The maximum number of pending calls.
+ * @param {(arg: T) => Promise<R>} fn The function to wrap.
+ * @returns {(arg: T) => Promise<R>} The wrapped function.
+ */
+function createLimiter(concurrency, fn) {
+	let active = 0;
+	const waiting = [];
+
+	const next = () => {
+		if (active >= concurrency || waiting.length === 0) {
+			return;
+		}
+
+		const { arg, resolve, reject } = waiting.shift();
+		active++;
+
+		fn(arg)
+			.then(resolve, reject)
+			.finally(() => {
+				active--;
+				next();
+			});
+	};
+
+	return arg => {
+		const promise = new Promise((resolve, reject) => {
+			waiting.push({ arg, resolve, reject });
+			next();
+		});
+
+		promise.catch(() => {});
+		return promise;
+	};
+}
+
+/**
+ * Waits for the given number of milliseconds or until the signal is aborted,
+ * whichever comes first.
+ * @param {number} ms The number of milliseconds to wait.
+ * @param {AbortSignal} [signal] The signal that ends the wait early.
+ * @returns {Promise<void>} A promise that resolves when the wait is over.
+ */
+function delay(ms, signal) {
+	return new Promise(resolve => {
+		const done = () => {
+			clearTimeout(timeout);
+			signal?.removeEventListener("abort", done);
+			resolve();
+		};
+		const timeout = setTimeout(done, ms);
+
+		signal?.addEventListener("abort", done);
+	});
+}
+
+/**
+ * Compares two snapshots of a directory and returns the changes between them.
+ * @param {Map<string, number|undefined>} previous The earlier snapshot.
+ * @param {Map<string, number|undefined>} current The later snapshot.
+ * @returns {Iterable<HfsWatchEvent>} The changes from `previous` to `current`.
+ */
+function* diffSnapshots(previous, current) {
+	for (const [path, lastModified] of current) {
+		if (!previous.has(path)) {
+			yield { type: "create", path };
+		} else if (previous.get(path) !== lastModified) {
+			yield { type: "change", path };
+		}
+	}
+
+	for (const path of previous.keys()) {
+		if (!current.has(path)) {
+			yield { type: "delete", path };
+		}
+	}
+}
+
+/**
+ * Creates the path of a hidden file next to the given file or directory.
+ * @param {string|URL} fileOrDirPath The path to the file or directory.
+ * @param {string} suffix The text to add to the end of the name.
+ * @returns {string|URL} The path to the hidden file.
+ */
+function getSiblingPath(fileOrDirPath, suffix) {
+	if (fileOrDirPath instanceof URL) {
+		const { pathname } = fileOrDirPath;
+		const name = pathname.slice(pathname.lastIndexOf("/") + 1);
+		return new URL(`.${name}.${suffix}`, fileOrDirPath);
+	}
+
+	const index = Math.max(
+		fileOrDirPath.lastIndexOf("/"),
+		fileOrDirPath.lastIndexOf("\\"),
+	);
+
+	return `${fileOrDirPath.slice(0, index + 1)}.${fileOrDirPath.slice(index + 1)}.${suffix}`;
+}
+
+/**
+ * Determines which impl methods are needed to apply the given operations
+ * without the impl's `commit()` method.
+ * @param {Array<HfsTransactionOperation>} operations The operations to apply.
+ * @returns {Set<string>} The names of the impl methods.
+ */
+function getTransactionMethodNames(operations) {
+	const methodNames = new Set(["isFile", "move", "delete"]);
+
+	for (const { type } of operations) {
+		if (type === "write") {
+			methodNames.add("write");
+		} else if (type === "copy") {
+			methodNames.add("copy");
+		} else if (type === "delete") {
+			methodNames.add("isDirectory");
+			methodNames.add("createDirectory");
+		}
+	}
+
+	return methodNames;
+}
+
+/**
+ * Applies the given operations in order using the basic methods of an impl.
+ * New contents are written to temporary files next to their destinations
+ * before any operation is applied, and files that are replaced or deleted are
+ * moved aside instead, so the operations already applied can be undone if a
+ * later one fails.
+ * @param {HfsImpl} impl The impl to apply the operations with.
+ * @param {Array<HfsTransactionOperation>} operations The operations to apply.
+ * @returns {Promise<void>} A promise that resolves when all of the operations
+ * 	have been applied.
+ * @throws {Error} When an operation fails. The operations already applied are
+ * 	undone before the error is thrown.
+ * @throws {AggregateError} When an operation fails and the operations already
+ * 	applied can't be undone.
+ */
+async function applyOperations(impl, operations) {
+	const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+	/** @type {Map<HfsTransactionOperation, string|URL>} */
+	const tempPaths = new Map();
+
+	/** @type {Array<string|URL>} */
+	const backupPaths = [];
+
+	/** @type {Array<() => Promise<any>>} */
+	const undoSteps = [];
+
+	/**
+	 * Moves an existing file out of the way so it can be put back if the
+	 * transaction fails.
+	 * @param {string|URL} filePath The path to the file.
+	 * @param {number} index The index of the operation.
+	 * @returns {Promise<void>}
+	 */
+	async function moveAside(filePath, index) {
+		if (!(await impl.isFile(filePath))) {
+			return;
+		}
+
+		const backupPath = getSiblingPath(filePath, `${id}-${index}.bak`);
+		await impl.move(filePath, backupPath);
+		backupPaths.push(backupPath);
+		undoSteps.push(async () => impl.move(backupPath, filePath));
+	}
+
+	try {
+		for (const [index, operation] of operations.entries()) {
+			if (operation.type === "write") {
+				const tempPath = getSiblingPath(
+					operation.path,
+					`${id}-${index}.tmp`,
+				);
+
+				tempPaths.set(operation, tempPath);
+				await impl.write(tempPath, operation.contents);
+			}
+		}
+
+		for (const [index, operation] of operations.entries()) {
+			switch (operation.type) {
+				case "write":
+					await moveAside(operation.path, index);
+					await impl.move(tempPaths.get(operation), operation.path);
+					undoSteps.push(async () => impl.delete(operation.path));
+					break;
+
+				case "delete":
+					if (await impl.isDirectory(operation.path)) {
+						await impl.delete(operation.path);
+						undoSteps.push(async () =>
+							impl.createDirectory(operation.path),
+						);
+					} else {
+						await moveAside(operation.path, index);
+					}
+					break;
+
+				case "move":
+					await moveAside(operation.to, index);
+					await impl.move(operation.from, operation.to);
+					undoSteps.push(async () =>
+						impl.move(operation.to, operation.from),
+					);
+					break;
+
+				case "copy":
+					await moveAside(operation.to, index);
+					await impl.copy(operation.from, operation.to);
+					undoSteps.push(async () => impl.delete(operation.to));
+					break;
+
+				// no default
+			}
+		}
+	} catch (error) {
+		const undoErrors = [];
+
+		for (const undo of undoSteps.reverse()) {
+			try {
+				await undo();
+			} catch (undoError) {
+				undoErrors.push(undoError);
+			}
+		}
+
+		for (const tempPath of tempPaths.values()) {
+			try {
+				await impl.delete(tempPath);
+			} catch {
+				// ignore because the original error is more important
+			}
+		}
+
+		if (undoErrors.length > 0) {
+			throw new AggregateError(
+				[error, ...undoErrors],
+				"Transaction failed and could not be rolled back.",
+			);
+		}
+
+		throw error;
+	}
+
+	for (const backupPath of backupPaths) {
+		try {
+			await impl.delete(backupPath);
+		} catch {
+			// the transaction succeeded, so a leftover backup isn't an error
+		}
+	}
+}
+
+/**
+ * Tracks a logged call so that its result or error can be logged when it
+ * ends. The entry is added to each log that was open when the call started
+ * and is still open when it ends.
+ */
+class LoggedCall {
+	/**
+	 * The ID shared by all of the entries for the call.
+	 * @type {number}
+	 */
+	#id;
+
+	/**
+	 * The name of the method being called.
+	 * @type {string}
+	 */
+	#methodName;
+
+	/**
+	 * The currently open logs.
+	 * @type {Map<string,Array<LogEntry>>}
+	 */
+	#logs;
+
+	/**
+	 * The logs that were open when the call started.
+	 * @type {Array<Array<LogEntry>>}
+	 */
+	#targets;
+
+	/**
+	 * The time at which the call started.
+	 * @type {number}
+	 */
+	#start = Date.now();
+
+	/**
+	 * The high resolution time at which the call started, used to measure
+	 * the duration.
+	 * @type {number}
+	 */
+	#startTime = performance.now();
+
+	/**
+	 * Whether the end of the call has already been logged.
+	 * @type {boolean}
+	 */
+	#ended = false;
+
+	/**
+	 * Creates a new instance.
+	 * @param {number} id The ID of the call.
+	 * @param {string} methodName The name of the method being called.
+	 * @param {Map<string,Array<LogEntry>>} logs The currently open logs.
+	 */
+	constructor(id, methodName, logs) {
+		this.#id = id;
+		this.#methodName = methodName;
+		this.#logs = logs;
+		this.#targets = [...logs.values()];
+	}
+
+	/**
+	 * Logs that the call returned.
+	 * @template T
+	 * @param {T} [result] The value returned from the call.
+	 * @returns {T} The value returned from the call.
+	 */
+	return(result) {
+		this.#end("return", { result });
+		return result;
+	}
+
+	/**
+	 * Logs that the call threw an error.
+	 * @param {any} error The error thrown by the call.
+	 * @returns {any} The error thrown by the call.
+	 */
+	error(error) {
+		this.#end("error", { error });
+		return error;
+	}
+
+	/**
+	 * Adds an entry for the end of the call onto the logs. Only the first
+	 * end of the call is logged.
+	 * @param {"return"|"error"} type The type of log entry.
+	 * @param {object} data The result or error of the call.
+	 * @returns {void}
+	 */
+	#end(type, data) {
+		if (this.#ended) {
+			return;
+		}
+
+		this.#ended = true;
+
+		const end = Date.now();
+		const duration = performance.now() - this.#startTime;
+		const openLogs = new Set(this.#logs.values());
+
+		for (const logs of this.#targets) {
+			if (openLogs.has(logs)) {
+				logs.push(
+					new LogEntry(
+						type,
+						{
+							methodName: this.#methodName,
+							...data,
+							start: this.#start,
+							end,
+							duration,
+						},
+						this.#id,
+					),
+				);
+			}
+		}
+	}
+}
+
+/**
+ * Runs a logged call and logs its result or error. When the call returns a
+ * promise, the end is logged once the promise settles.
+ * @param {LoggedCall} call The logged call.
+ * @param {() => any} fn The function that makes the call.
+ * @returns {any} The value returned from the function.
+ */
+function trackCall(call, fn) {
+	let result;
+
+	try {
+		result = fn();
+	} catch (error) {
+		throw call.error(error);
+	}
+
+	if (typeof result?.then === "function") {
+		return result.then(
+			value => call.return(value),
+			error => {
+				throw call.error(error);
+			},
+		);
+	}
+
+	return call.return(result);
+}
+
+/**
+ * Runs a logged call that returns an async iterable and logs the end of the
+ * call when iterating stops, either because the iterable is done, an error
+ * was thrown, or the caller stopped iterating.
+ * @template T
+ * @param {LoggedCall} call The logged call.
+ * @param {() => AsyncIterable<T>|Iterable<T>|Promise<AsyncIterable<T>|Iterable<T>>} fn
+ *  The function that makes the call.
+ * @returns {AsyncIterable<T>} The values from the iterable.
+ */
+async function* trackIterable(call, fn) {
+	try {
+		yield* await fn();
+	} catch (error) {
+		throw call.error(error);
+	} finally {
+		call.return();
+	}
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -139,25 +836,117 @@ export class LogEntry {
 	type;
 
 	/**
-	 * The data associated with the log entry.
-	 * @type {any}
+	 * The data associated with the log entry.
+	 * @type {any}
+	 */
+	data;
+
+	/**
+	 * The time at which the log entry was created.
+	 * @type {number}
+	 */
+	timestamp = Date.now();
+
+	/**
+	 * The ID of the call that the entry belongs to. The `"call"` entry and
+	 * the `"return"` or `"error"` entry for the same call share an ID.
+	 * @type {number|undefined}
+	 */
+	id;
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} type The type of log entry.
+	 * @param {any} [data] The data associated with the log entry.
+	 * @param {number} [id] The ID of the call that the entry belongs to.
+	 */
+	constructor(type, data, id) {
+		this.type = type;
+		this.data = data;
+		this.id = id;
+	}
+}
+
+/**
+ * A class for staging changes in a transaction. The changes aren't made
+ * until the transaction callback completes.
+ */
+export class HfsTransaction {
+	/**
+	 * The function to call with each staged operation.
+	 * @type {(operation: HfsTransactionOperation) => void}
+	 */
+	#stage;
+
+	/**
+	 * Creates a new instance.
+	 * @param {(operation: HfsTransactionOperation) => void} stage The
+	 * 	function to call with each staged operation.
+	 */
+	constructor(stage) {
+		this.#stage = stage;
+	}
+
+	/**
+	 * Stages writing the given data to the given file. Creates any necessary
+	 * directories along the way. If the data is a string, UTF-8 encoding is used.
+	 * @param {string|URL} filePath The file to write.
+	 * @param {string|ArrayBuffer|ArrayBufferView} contents The data to write.
+	 * @returns {void}
+	 * @throws {TypeError} When the file path is not a non-empty string.
+	 * @throws {TypeError} When the file contents are not a string or ArrayBuffer.
+	 * @throws {Error} When the transaction has already ended.
+	 */
+	write(filePath, contents) {
+		assertValidFileOrDirPath(filePath);
+		assertValidFileContents(contents);
+
+		// copy the contents so later changes by the caller aren't committed
+		this.#stage({
+			type: "write",
+			path: filePath,
+			contents: toUint8Array(contents).slice(),
+		});
+	}
+
+	/**
+	 * Stages deleting the given file or empty directory.
+	 * @param {string|URL} fileOrDirPath The file or directory to delete.
+	 * @returns {void}
+	 * @throws {TypeError} When the path is not a non-empty string.
+	 * @throws {Error} When the transaction has already ended.
 	 */
-	data;
+	delete(fileOrDirPath) {
+		assertValidFileOrDirPath(fileOrDirPath);
+		this.#stage({ type: "delete", path: fileOrDirPath });
+	}
 
 	/**
-	 * The time at which the log entry was created.
-	 * @type {number}
+	 * Stages moving a file from one location to another.
+	 * @param {string|URL} source The file to move.
+	 * @param {string|URL} destination The destination of the file.
+	 * @returns {void}
+	 * @throws {TypeError} When either path is not a non-empty string.
+	 * @throws {Error} When the transaction has already ended.
 	 */
-	timestamp = Date.now();
+	move(source, destination) {
+		assertValidFileOrDirPath(source);
+		assertValidFileOrDirPath(destination);
+		this.#stage({ type: "move", from: source, to: destination });
+	}
 
 	/**
-	 * Creates a new instance.
-	 * @param {string} type The type of log entry.
-	 * @param {any} [data] The data associated with the log entry.
+	 * Stages copying a file from one location to another.
+	 * @param {string|URL} source The file to copy.
+	 * @param {string|URL} destination The destination of the copy.
+	 * @returns {void}
+	 * @throws {TypeError} When either path is not a non-empty string.
+	 * @throws {Error} When the transaction has already ended.
 	 */
-	constructor(type, data) {
-		this.type = type;
-		this.data = data;
+	copy(source, destination) {
+		assertValidFileOrDirPath(source);
+		assertValidFileOrDirPath(destination);
+		this.#stage({ type: "copy", from: source, to: destination });
 	}
 }
 
@@ -184,6 +973,12 @@ export class Hfs {
 	 */
 	#logs = new Map();
 
+	/**
+	 * The ID to use for the next logged call.
+	 * @type {number}
+	 */
+	#nextCallId = 1;
+
 	/**
 	 * Creates a new instance.
 	 * @param {object} options The options for the instance.
@@ -195,15 +990,30 @@ export class Hfs {
 	}
 
 	/**
-	 * Logs an entry onto all currently open logs.
+	 * Logs a `"call"` entry onto all currently open logs.
 	 * @param {string} methodName The name of the method being called.
 	 * @param {...*} args The arguments to the method.
-	 * @returns {void}
+	 * @returns {LoggedCall} The logged call, used to log its result or error.
 	 */
 	#log(methodName, ...args) {
+		const id = this.#nextCallId++;
+
 		for (const logs of this.#logs.values()) {
-			logs.push(new LogEntry("call", { methodName, args }));
+			logs.push(new LogEntry("call", { methodName, args }, id));
 		}
+
+		return new LoggedCall(id, methodName, this.#logs);
+	}
+
+	/**
+	 * Logs a call, runs it, and then logs its result or error.
+	 * @param {string} methodName The name of the method being called.
+	 * @param {Array<any>} args The arguments to the method.
+	 * @param {() => any} fn The function that makes the call.
+	 * @returns {any} The value returned from the function.
+	 */
+	#logCall(methodName, args, fn) {
+		return trackCall(this.#log(methodName, ...args), fn);
 	}
 
 	/**
@@ -226,7 +1036,11 @@ export class Hfs {
 	}
 
 	/**
-	 * Ends a log with the given name and returns the entries.
+	 * Ends a log with the given name and returns the entries. Each call has
+	 * a `"call"` entry with its arguments and, once it ends, a `"return"`
+	 * entry with its result or an `"error"` entry with its error. These
+	 * entries also include the start and end times and the duration in
+	 * milliseconds, and share an `id` with the `"call"` entry.
 	 * @param {string} name The name of the log to end.
 	 * @returns {Array<LogEntry>} The entries in the log.
 	 * @throws {Error} When the log does not exist.
@@ -255,13 +1069,13 @@ export class Hfs {
 	 * @returns {void}
 	 */
 	setImpl(impl) {
-		this.#log("implSet", impl);
-
-		if (this.#impl !== this.#baseImpl) {
-			throw new ImplAlreadySetError();
-		}
+		this.#logCall("implSet", [impl], () => {
+			if (this.#impl !== this.#baseImpl) {
+				throw new ImplAlreadySetError();
+			}
 
-		this.#impl = impl;
+			this.#impl = impl;
+		});
 	}
 
 	/**
@@ -269,8 +1083,18 @@ export class Hfs {
 	 * @returns {void}
 	 */
 	resetImpl() {
-		this.#log("implReset");
-		this.#impl = this.#baseImpl;
+		this.#logCall("implReset", [], () => {
+			this.#impl = this.#baseImpl;
+		});
+	}
+
+	/**
+	 * Creates a new instance that reads from the current implementation but
+	 * throws a `PermissionError` for any method that would make changes.
+	 * @returns {Hfs} The read-only instance.
+	 */
+	readOnly() {
+		return new Hfs({ impl: new ReadOnlyHfsImpl({ impl: this.#impl }) });
 	}
 
 	/**
@@ -308,9 +1132,9 @@ export class Hfs {
 	 * @throws {NoSuchMethodError} When the method does not exist on the current implementation.
 	 */
 	#callImplMethod(methodName, ...args) {
-		this.#log(methodName, ...args);
-		this.#assertImplMethod(methodName);
-		return this.#impl[methodName](...args);
+		return this.#logCall(methodName, args, () =>
+			this.#callImplMethodWithoutLog(methodName, ...args),
+		);
 	}
 
 	/**
@@ -322,21 +1146,56 @@ export class Hfs {
 	 */
 	#callImplMethodWithoutLog(methodName, ...args) {
 		this.#assertImplMethod(methodName);
-		return this.#impl[methodName](...args);
+		return this.#invokeImplMethod(methodName, args);
 	}
 
 	/**
-	 * Calls the given method on the current implementation but logs a different method name.
+	 * Calls the given method on the current implementation and doesn't log the
+	 * call. When the method doesn't exist, the error uses a different method name.
 	 * @param {string} methodName The name of the method to call.
-	 * @param {string} targetMethodName The name of the method to log.
+	 * @param {string} targetMethodName The name of the method to report as
+	 *  not supported.
 	 * @param {...any} args The arguments to the method.
 	 * @returns {any} The return value from the method.
-	 * @throws {NoSuchMethodError} When the method does not exist on the current implementation.
+	 * @throws {MethodNotSupportedError} When the method does not exist on the current implementation.
 	 */
 	#callImplMethodAlt(methodName, targetMethodName, ...args) {
-		this.#log(targetMethodName, ...args);
 		this.#assertImplMethodAlt(methodName, targetMethodName);
-		return this.#impl[methodName](...args);
+		return this.#invokeImplMethod(methodName, args);
+	}
+
+	/**
+	 * Calls the given method on the current implementation and converts any
+	 * error it throws, whether directly, by rejecting the returned promise,
+	 * or while iterating the returned async iterable, into the matching
+	 * `HfsError` subclass so that every impl reports the same errors.
+	 * @param {string} methodName The name of the method to call.
+	 * @param {Array<any>} args The arguments to the method.
+	 * @returns {any} The return value from the method.
+	 */
+	#invokeImplMethod(methodName, args) {
+		let result;
+
+		try {
+			result = this.#impl[methodName](...args);
+		} catch (error) {
+			throw normalizeError(error, methodName, args);
+		}
+
+		if (typeof result?.then === "function") {
+			return result.then(undefined, error => {
+				throw normalizeError(error, methodName, args);
+			});
+		}
+
+		if (
+			ITERABLE_METHODS.has(methodName) &&
+			typeof result?.[Symbol.asyncIterator] === "function"
+		) {
+			return normalizeIterableErrors(result, methodName, args);
+		}
+
+		return result;
 	}
 
 	/**
@@ -349,8 +1208,14 @@ export class Hfs {
 	async text(filePath) {
 		assertValidFileOrDirPath(filePath);
 
-		const result = await this.#callImplMethodAlt("bytes", "text", filePath);
-		return result ? decoder.decode(result) : undefined;
+		return this.#logCall("text", [filePath], async () => {
+			const result = await this.#callImplMethodAlt(
+				"bytes",
+				"text",
+				filePath,
+			);
+			return result ? decoder.decode(result) : undefined;
+		});
 	}
 
 	/**
@@ -364,8 +1229,14 @@ export class Hfs {
 	async json(filePath) {
 		assertValidFileOrDirPath(filePath);
 
-		const result = await this.#callImplMethodAlt("bytes", "json", filePath);
-		return result ? JSON.parse(decoder.decode(result)) : undefined;
+		return this.#logCall("json", [filePath], async () => {
+			const result = await this.#callImplMethodAlt(
+				"bytes",
+				"json",
+				filePath,
+			);
+			return result ? JSON.parse(decoder.decode(result)) : undefined;
+		});
 	}
 
 	/**
@@ -379,12 +1250,14 @@ export class Hfs {
 	async arrayBuffer(filePath) {
 		assertValidFileOrDirPath(filePath);
 
-		const result = await this.#callImplMethodAlt(
-			"bytes",
-			"arrayBuffer",
-			filePath,
-		);
-		return result?.buffer;
+		return this.#logCall("arrayBuffer", [filePath], async () => {
+			const result = await this.#callImplMethodAlt(
+				"bytes",
+				"arrayBuffer",
+				filePath,
+			);
+			return result?.buffer;
+		});
 	}
 
 	/**
@@ -399,6 +1272,68 @@ export class Hfs {
 		return this.#callImplMethod("bytes", filePath);
 	}
 
+	/**
+	 * Reads the given byte range from the given file. The range starts at
+	 * `start` and ends just before `end`. If the file is shorter than `end`,
+	 * then only the bytes up to the end of the file are returned. If the impl
+	 * doesn't have a `slice()` method, then the entire file is read with
+	 * `bytes()` and the range is extracted from the result.
+	 * @param {string|URL} filePath The file to read.
+	 * @param {number} start The zero-based byte offset to start reading from.
+	 * @param {number} end The zero-based byte offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} The bytes in the range or
+	 *  undefined if the file doesn't exist.
+	 * @throws {MethodNotSupportedError} When neither `slice()` nor `bytes()`
+	 *  exists on the current implementation.
+	 * @throws {TypeError} When the file path is not a non-empty string.
+	 * @throws {TypeError} When the range is not valid.
+	 */
+	async slice(filePath, start, end) {
+		assertValidFileOrDirPath(filePath);
+		assertValidByteRange(start, end);
+
+		if (typeof this.#impl.slice === "function") {
+			return this.#callImplMethod("slice", filePath, start, end);
+		}
+
+		return this.#logCall("slice", [filePath, start, end], async () => {
+			const result = await this.#callImplMethodAlt(
+				"bytes",
+				"slice",
+				filePath,
+			);
+			return result?.subarray(start, end);
+		});
+	}
+
+	/**
+	 * Reads the given file and returns the contents as a readable stream. If
+	 * the impl doesn't have a `stream()` method, then `bytes()` is used and
+	 * its result is wrapped in a stream.
+	 * @param {string|URL} filePath The file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} The contents of
+	 *  the file as a readable stream or undefined if the file doesn't exist.
+	 * @throws {MethodNotSupportedError} When neither `stream()` nor `bytes()`
+	 *  exists on the current implementation.
+	 * @throws {TypeError} When the file path is not a non-empty string.
+	 */
+	async stream(filePath) {
+		assertValidFileOrDirPath(filePath);
+
+		if (typeof this.#impl.stream === "function") {
+			return this.#callImplMethod("stream", filePath);
+		}
+
+		return this.#logCall("stream", [filePath], async () => {
+			const result = await this.#callImplMethodAlt(
+				"bytes",
+				"stream",
+				filePath,
+			);
+			return result ? toReadableStream(result) : undefined;
+		});
+	}
+
 	/**
 	 * Writes the given data to the given file. Creates any necessary directories along the way.
 	 * If the data is a string, UTF-8 encoding is used.
@@ -411,10 +1346,77 @@ export class Hfs {
 	async write(filePath, contents) {
 		assertValidFileOrDirPath(filePath);
 		assertValidFileContents(contents);
-		this.#log("write", filePath, contents);
+		return this.#logCall("write", [filePath, contents], () => {
+			const value = toUint8Array(contents);
+			return this.#callImplMethodWithoutLog("write", filePath, value);
+		});
+	}
+
+	/**
+	 * Writes the given data to the given file so that readers see either the
+	 * old or the new contents, never a partially written file. Creates any
+	 * necessary directories along the way. If the data is a string, UTF-8
+	 * encoding is used.
+	 * @param {string|URL} filePath The file to write.
+	 * @param {string|ArrayBuffer|ArrayBufferView} contents The data to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is written.
+	 * @throws {NoSuchMethodError} When the method does not exist on the current implementation.
+	 * @throws {TypeError} When the file path is not a non-empty string.
+	 * @throws {TypeError} When the file contents are not a string or ArrayBuffer.
+	 */
+	async writeAtomic(filePath, contents) {
+		assertValidFileOrDirPath(filePath);
+		assertValidFileContents(contents);
+		return this.#logCall("writeAtomic", [filePath, contents], () => {
+			const value = toUint8Array(contents);
+			return this.#callImplMethodWithoutLog(
+				"writeAtomic",
+				filePath,
+				value,
+			);
+		});
+	}
+
+	/**
+	 * Writes the chunks from the given source to the given file without
+	 * requiring the entire contents to be in memory. Creates any necessary
+	 * directories along the way. If the impl doesn't have a `writeStream()`
+	 * method, then the chunks are collected and passed to `write()`.
+	 * @param {string|URL} filePath The file to write.
+	 * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} source The
+	 *  chunks to write.
+	 * @param {Object} [options] The options for writing.
+	 * @param {number} [options.size] The number of bytes in the source, if
+	 * 	known. Impls that need the size before writing use it instead of
+	 * 	collecting the chunks first.
+	 * @returns {Promise<void>} A promise that resolves when the file is written.
+	 * @throws {MethodNotSupportedError} When neither `writeStream()` nor
+	 *  `write()` exists on the current implementation.
+	 * @throws {TypeError} When the file path is not a non-empty string.
+	 * @throws {TypeError} When the source is not a ReadableStream or async iterable.
+	 * @throws {TypeError} When the size is not a non-negative integer.
+	 */
+	async writeStream(filePath, source, { size } = {}) {
+		assertValidFileOrDirPath(filePath);
+		assertValidStreamSource(source);
+		assertValidStreamSize(size);
+		return this.#logCall("writeStream", [filePath, source], async () => {
+			const chunks = toAsyncIterable(source);
+
+			if (typeof this.#impl.writeStream === "function") {
+				return this.#invokeImplMethod("writeStream", [
+					filePath,
+					chunks,
+					{ size },
+				]);
+			}
 
-		let value = toUint8Array(contents);
-		return this.#callImplMethodWithoutLog("write", filePath, value);
+			this.#assertImplMethodAlt("write", "writeStream");
+			return this.#invokeImplMethod("write", [
+				filePath,
+				await concatChunks(chunks),
+			]);
+		});
 	}
 
 	/**
@@ -431,10 +1433,10 @@ export class Hfs {
 	async append(filePath, contents) {
 		assertValidFileOrDirPath(filePath);
 		assertValidFileContents(contents);
-		this.#log("append", filePath, contents);
-
-		let value = toUint8Array(contents);
-		return this.#callImplMethodWithoutLog("append", filePath, value);
+		return this.#logCall("append", [filePath, contents], () => {
+			const value = toUint8Array(contents);
+			return this.#callImplMethodWithoutLog("append", filePath, value);
+		});
 	}
 
 	/**
@@ -511,107 +1513,335 @@ export class Hfs {
 	 */
 	async *list(dirPath) {
 		assertValidFileOrDirPath(dirPath);
-		yield* await this.#callImplMethod("list", dirPath);
+		yield* trackIterable(this.#log("list", dirPath), () =>
+			this.#callImplMethodWithoutLog("list", dirPath),
+		);
 	}
 
 	/**
-	 * Walks a directory using a depth-first traversal and returns the entries
-	 * from the traversal.
+	 * Walks a directory and returns the entries from the traversal.
 	 * @param {string|URL} dirPath The path to the directory to walk.
 	 * @param {Object} [options] The options for the walk.
 	 * @param {(entry:HfsWalkEntry) => Promise<boolean>|boolean} [options.directoryFilter] A filter function to determine
 	 * 	if a directory's entries should be included in the walk.
 	 * @param {(entry:HfsWalkEntry) => Promise<boolean>|boolean} [options.entryFilter] A filter function to determine if
 	 * 	an entry should be included in the walk.
+	 * @param {"depth-first"|"breadth-first"} [options.order="depth-first"] The
+	 * 	order in which to return entries. Depth-first returns each directory's
+	 * 	contents immediately after the directory; breadth-first returns all
+	 * 	entries at one depth before any entries at the next depth.
+	 * @param {number} [options.concurrency=1] The maximum number of directories
+	 * 	to read at once. When greater than 1, directories are read ahead of
+	 * 	when their entries are returned.
+	 * @param {number} [options.maxDepth=Infinity] The maximum depth of entries
+	 * 	to return. Directories at this depth are not walked.
 	 * @returns {AsyncIterable<HfsWalkEntry>} A promise that resolves with the
 	 * 	directory entries.
 	 * @throws {TypeError} If the directory path is not a string or URL.
+	 * @throws {TypeError} If the order, concurrency, or maxDepth is invalid.
 	 * @throws {Error} If the directory cannot be read.
 	 */
 	async *walk(
 		dirPath,
-		{ directoryFilter = () => true, entryFilter = () => true } = {},
+		{
+			directoryFilter = () => true,
+			entryFilter = () => true,
+			order = "depth-first",
+			concurrency = 1,
+			maxDepth = Infinity,
+		} = {},
 	) {
 		assertValidFileOrDirPath(dirPath);
-		this.#log("walk", dirPath, { directoryFilter, entryFilter });
+		assertValidWalkOptions({ order, concurrency, maxDepth });
+		const call = this.#log("walk", dirPath, {
+			directoryFilter,
+			entryFilter,
+			order,
+			concurrency,
+			maxDepth,
+		});
+
+		const options = { directoryFilter, entryFilter, maxDepth };
+
+		// without concurrency, depth-first entries can be streamed from list()
+		if (order === "depth-first" && concurrency === 1) {
+			yield* trackIterable(call, () => this.#walk(dirPath, options));
+			return;
+		}
 
-		// inner function for recursion without additional logging
-		const walk = async function* (
-			dirPath,
-			{ directoryFilter, entryFilter, parentPath = "", depth = 1 },
-		) {
-			let dirEntries;
+		const readDirectory = createLimiter(concurrency, dirPath =>
+			this.#readDirectory(dirPath),
+		);
 
-			try {
-				dirEntries = await this.#callImplMethodWithoutLog(
-					"list",
-					dirPath,
-				);
-			} catch (error) {
-				// if the directory does not exist then return an empty array
-				if (error.code === "ENOENT") {
-					return;
-				}
+		yield* trackIterable(call, () =>
+			order === "depth-first"
+				? this.#walkDepthFirst(dirPath, readDirectory(dirPath), {
+						...options,
+						readDirectory,
+					})
+				: this.#walkBreadthFirst(dirPath, {
+						...options,
+						readDirectory,
+					}),
+		);
+	}
 
-				// otherwise, rethrow the error
-				throw error;
+	/**
+	 * Walks a directory depth-first without logging, one directory at a time,
+	 * so that it can be used recursively and by other methods.
+	 * @param {string|URL} dirPath The path to the directory to walk.
+	 * @param {Object} options The options for the walk.
+	 * @param {Function} options.directoryFilter A filter function to determine
+	 *   if a directory's entries should be included in the walk.
+	 * @param {Function} options.entryFilter A filter function to determine if
+	 *   an entry should be included in the walk.
+	 * @param {number} [options.maxDepth=Infinity] The maximum depth of entries
+	 *   to return.
+	 * @param {string} [options.parentPath=""] The path of the directory
+	 *   relative to the directory where the walk started.
+	 * @param {number} [options.depth=1] The depth of the directory's entries.
+	 * @returns {AsyncIterable<HfsWalkEntry>} An async iterable of the entries.
+	 */
+	async *#walk(
+		dirPath,
+		{
+			directoryFilter,
+			entryFilter,
+			maxDepth = Infinity,
+			parentPath = "",
+			depth = 1,
+		},
+	) {
+		let dirEntries;
+
+		try {
+			dirEntries = await this.#callImplMethodWithoutLog("list", dirPath);
+		} catch (error) {
+			// if the directory does not exist then return an empty array
+			if (error.code === "ENOENT") {
+				return;
 			}
 
-			for await (const listEntry of dirEntries) {
-				const walkEntry = {
-					path: listEntry.name,
-					depth,
-					...listEntry,
-				};
+			// otherwise, rethrow the error
+			throw error;
+		}
 
-				if (parentPath) {
-					walkEntry.path = `${parentPath}/${walkEntry.path}`;
-				}
+		for await (const listEntry of dirEntries) {
+			const walkEntry = createWalkEntry(listEntry, parentPath, depth);
 
-				// first emit the entry but only if the entry filter returns true
-				let shouldEmitEntry = entryFilter(walkEntry);
-				if (shouldEmitEntry.then) {
-					shouldEmitEntry = await shouldEmitEntry;
-				}
+			// first emit the entry but only if the entry filter returns true
+			if (await applyFilter(entryFilter, walkEntry)) {
+				yield walkEntry;
+			}
 
-				if (shouldEmitEntry) {
-					yield walkEntry;
+			// if it's a directory then yield the entry and walk the directory
+			if (listEntry.isDirectory && depth < maxDepth) {
+				// if the directory filter returns false, skip the directory
+				if (!(await applyFilter(directoryFilter, walkEntry))) {
+					continue;
 				}
 
-				// if it's a directory then yield the entry and walk the directory
-				if (listEntry.isDirectory) {
-					// if the directory filter returns false, skip the directory
-					let shouldWalkDirectory = directoryFilter(walkEntry);
-					if (shouldWalkDirectory.then) {
-						shouldWalkDirectory = await shouldWalkDirectory;
-					}
+				yield* this.#walk(joinDirPath(dirPath, listEntry.name), {
+					directoryFilter,
+					entryFilter,
+					maxDepth,
+					parentPath: walkEntry.path,
+					depth: depth + 1,
+				});
+			}
+		}
+	}
 
-					if (!shouldWalkDirectory) {
-						continue;
-					}
+	/**
+	 * Walks a directory depth-first while reading subdirectories ahead of
+	 * when their entries are needed.
+	 * @param {string|URL} dirPath The path to the directory to walk.
+	 * @param {Promise<Array<HfsDirectoryEntry>>} dirEntries The pending
+	 *   entries of the directory.
+	 * @param {Object} options The options for the walk.
+	 * @param {Function} options.directoryFilter A filter function to determine
+	 *   if a directory's entries should be included in the walk.
+	 * @param {Function} options.entryFilter A filter function to determine if
+	 *   an entry should be included in the walk.
+	 * @param {number} options.maxDepth The maximum depth of entries to return.
+	 * @param {(dirPath: string|URL) => Promise<Array<HfsDirectoryEntry>>} options.readDirectory
+	 *   The function to read a directory with limited concurrency.
+	 * @param {string} [options.parentPath=""] The path of the directory
+	 *   relative to the directory where the walk started.
+	 * @param {number} [options.depth=1] The depth of the directory's entries.
+	 * @returns {AsyncIterable<HfsWalkEntry>} An async iterable of the entries.
+	 */
+	async *#walkDepthFirst(
+		dirPath,
+		dirEntries,
+		{
+			directoryFilter,
+			entryFilter,
+			maxDepth,
+			readDirectory,
+			parentPath = "",
+			depth = 1,
+		},
+	) {
+		const pending = [];
+
+		// start reading every subdirectory before returning any entries
+		for (const listEntry of await dirEntries) {
+			const walkEntry = createWalkEntry(listEntry, parentPath, depth);
+			let subdirectory;
+
+			if (
+				listEntry.isDirectory &&
+				depth < maxDepth &&
+				(await applyFilter(directoryFilter, walkEntry))
+			) {
+				const subdirPath = joinDirPath(dirPath, listEntry.name);
+				subdirectory = {
+					dirPath: subdirPath,
+					dirEntries: readDirectory(subdirPath),
+				};
+			}
 
-					// make sure there's a trailing slash on the directory path before appending
-					const directoryPath =
-						dirPath instanceof URL
-							? new URL(
-									listEntry.name,
-									dirPath.href.endsWith("/")
-										? dirPath.href
-										: `${dirPath.href}/`,
-								)
-							: `${dirPath.endsWith("/") ? dirPath : `${dirPath}/`}${listEntry.name}`;
-
-					yield* walk(directoryPath, {
+			pending.push({ walkEntry, subdirectory });
+		}
+
+		for (const { walkEntry, subdirectory } of pending) {
+			if (await applyFilter(entryFilter, walkEntry)) {
+				yield walkEntry;
+			}
+
+			if (subdirectory) {
+				yield* this.#walkDepthFirst(
+					subdirectory.dirPath,
+					subdirectory.dirEntries,
+					{
 						directoryFilter,
 						entryFilter,
+						maxDepth,
+						readDirectory,
+						parentPath: walkEntry.path,
+						depth: depth + 1,
+					},
+				);
+			}
+		}
+	}
+
+	/**
+	 * Walks a directory breadth-first, reading directories as soon as they
+	 * are found.
+	 * @param {string|URL} dirPath The path to the directory to walk.
+	 * @param {Object} options The options for the walk.
+	 * @param {Function} options.directoryFilter A filter function to determine
+	 *   if a directory's entries should be included in the walk.
+	 * @param {Function} options.entryFilter A filter function to determine if
+	 *   an entry should be included in the walk.
+	 * @param {number} options.maxDepth The maximum depth of entries to return.
+	 * @param {(dirPath: string|URL) => Promise<Array<HfsDirectoryEntry>>} options.readDirectory
+	 *   The function to read a directory with limited concurrency.
+	 * @returns {AsyncIterable<HfsWalkEntry>} An async iterable of the entries.
+	 */
+	async *#walkBreadthFirst(
+		dirPath,
+		{ directoryFilter, entryFilter, maxDepth, readDirectory },
+	) {
+		const queue = [
+			{
+				dirPath,
+				dirEntries: readDirectory(dirPath),
+				parentPath: "",
+				depth: 1,
+			},
+		];
+
+		while (queue.length > 0) {
+			const { dirPath, dirEntries, parentPath, depth } = queue.shift();
+
+			for (const listEntry of await dirEntries) {
+				const walkEntry = createWalkEntry(listEntry, parentPath, depth);
+
+				if (await applyFilter(entryFilter, walkEntry)) {
+					yield walkEntry;
+				}
+
+				if (
+					listEntry.isDirectory &&
+					depth < maxDepth &&
+					(await applyFilter(directoryFilter, walkEntry))
+				) {
+					const subdirPath = joinDirPath(dirPath, listEntry.name);
+
+					queue.push({
+						dirPath: subdirPath,
+						dirEntries: readDirectory(subdirPath),
 						parentPath: walkEntry.path,
 						depth: depth + 1,
 					});
 				}
 			}
-		}.bind(this);
+		}
+	}
+
+	/**
+	 * Reads all of the entries in a directory without logging.
+	 * @param {string|URL} dirPath The path to the directory to read.
+	 * @returns {Promise<Array<HfsDirectoryEntry>>} The entries in the
+	 *   directory or an empty array if the directory does not exist.
+	 * @throws {Error} If the directory cannot be read.
+	 */
+	async #readDirectory(dirPath) {
+		const entries = [];
+
+		try {
+			const dirEntries = await this.#callImplMethodWithoutLog(
+				"list",
+				dirPath,
+			);
+
+			for await (const entry of dirEntries) {
+				entries.push(entry);
+			}
+		} catch (error) {
+			// if the directory does not exist then return an empty array
+			if (error.code === "ENOENT") {
+				return [];
+			}
+
+			throw error;
+		}
+
+		return entries;
+	}
+
+	/**
+	 * Finds the entries in a directory whose paths match the given glob
+	 * patterns. Patterns are matched against paths relative to the directory
+	 * and support `**`, `*`, `?`, braces such as `{a,b}`, and character
+	 * classes such as `[a-z]`. Patterns beginning with `!` exclude entries.
+	 * Directories that can't contain a match are not read.
+	 * @param {string|URL} dirPath The path to the directory to search.
+	 * @param {string|Array<string>} patterns The glob pattern or patterns to match.
+	 * @returns {AsyncIterable<HfsWalkEntry>} An async iterable of the matching
+	 *   entries.
+	 * @throws {TypeError} If the directory path is not a string or URL.
+	 * @throws {TypeError} If the patterns are not a non-empty string or array
+	 *   of non-empty strings.
+	 * @throws {Error} If the directory cannot be read.
+	 */
+	async *glob(dirPath, patterns) {
+		assertValidFileOrDirPath(dirPath);
+		assertValidGlobPatterns(patterns);
+		const call = this.#log("glob", dirPath, patterns);
+		const matcher = new GlobMatcher(
+			typeof patterns === "string" ? [patterns] : patterns,
+		);
 
-		yield* walk(dirPath, { directoryFilter, entryFilter });
+		yield* trackIterable(call, () =>
+			this.#walk(dirPath, {
+				directoryFilter: entry => matcher.shouldWalk(entry.path),
+				entryFilter: entry => matcher.matches(entry.path),
+			}),
+		);
 	}
 
 	/**
@@ -638,6 +1868,19 @@ export class Hfs {
 		return this.#callImplMethod("lastModified", fileOrDirPath);
 	}
 
+	/**
+	 * Returns information about the given file or directory in a single call.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 *  information about the file or directory or undefined if it does not exist.
+	 * @throws {NoSuchMethodError} When the method does not exist on the current implementation.
+	 * @throws {TypeError} If the path is not a string or URL.
+	 */
+	async stat(fileOrDirPath) {
+		assertValidFileOrDirPath(fileOrDirPath);
+		return this.#callImplMethod("stat", fileOrDirPath);
+	}
+
 	/**
 	 * Copys a file from one location to another.
 	 * @param {string|URL} source The path to the file to copy.
@@ -696,4 +1939,225 @@ export class Hfs {
 		assertValidFileOrDirPath(destination);
 		return this.#callImplMethod("moveAll", source, destination);
 	}
+
+	/**
+	 * Creates a symbolic link at the given path that points to the given
+	 * target. The target is stored as-is, so a relative target is resolved
+	 * relative to the directory containing the link.
+	 * @param {string} target The path the link should point to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is created.
+	 * @throws {NoSuchMethodError} When the method does not exist on the current implementation.
+	 * @throws {TypeError} When the target is not a non-empty string.
+	 * @throws {TypeError} When the link path is not a non-empty string or URL.
+	 * @throws {Error} If the link cannot be created.
+	 */
+	async createSymlink(target, linkPath) {
+		assertValidSymlinkTarget(target);
+		assertValidFileOrDirPath(linkPath);
+		return this.#callImplMethod("createSymlink", target, linkPath);
+	}
+
+	/**
+	 * Reads the target of the given symbolic link.
+	 * @param {string|URL} linkPath The path of the link to read.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 *   target of the link or undefined if the path doesn't exist or isn't a
+	 *   symbolic link.
+	 * @throws {NoSuchMethodError} When the method does not exist on the current implementation.
+	 * @throws {TypeError} When the link path is not a non-empty string or URL.
+	 */
+	async readSymlink(linkPath) {
+		assertValidFileOrDirPath(linkPath);
+		return this.#callImplMethod("readSymlink", linkPath);
+	}
+
+	/**
+	 * Determines if the given path is a symbolic link. Unlike `isFile()` and
+	 * `isDirectory()`, the link itself is checked rather than its target.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} True if the path is a symbolic link.
+	 * @throws {NoSuchMethodError} When the method does not exist on the current implementation.
+	 * @throws {TypeError} When the path is not a non-empty string or URL.
+	 */
+	async isSymlink(fileOrDirPath) {
+		assertValidFileOrDirPath(fileOrDirPath);
+		return this.#callImplMethod("isSymlink", fileOrDirPath);
+	}
+
+	/**
+	 * Watches a directory and its subdirectories and returns the changes as
+	 * they happen. If the impl doesn't have a `watch()` method, then the
+	 * directory is polled using `walk()` and `lastModified()` instead.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {Object} [options] The options for watching.
+	 * @param {AbortSignal} [options.signal] A signal that stops watching when
+	 * 	aborted.
+	 * @param {number} [options.interval=1000] The number of milliseconds
+	 * 	between checks when polling.
+	 * @returns {AsyncIterable<HfsWatchEvent>} An async iterable of the
+	 * 	changes. The iterable ends when the signal is aborted or the caller
+	 * 	stops iterating.
+	 * @throws {TypeError} If the directory path is not a string or URL.
+	 * @throws {TypeError} If the interval is not a positive number.
+	 * @throws {MethodNotSupportedError} When the impl has no `watch()` method
+	 * 	and doesn't have `list()` and `lastModified()` methods for polling.
+	 */
+	async *watch(dirPath, { signal, interval = 1000 } = {}) {
+		assertValidFileOrDirPath(dirPath);
+		assertValidInterval(interval);
+		yield* trackIterable(
+			this.#log("watch", dirPath, { signal, interval }),
+			() => this.#watch(dirPath, { signal, interval }),
+		);
+	}
+
+	/**
+	 * Watches a directory without logging, either with the impl's `watch()`
+	 * method or by polling.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {Object} options The options for watching.
+	 * @param {AbortSignal} [options.signal] A signal that stops watching when
+	 * 	aborted.
+	 * @param {number} options.interval The number of milliseconds between
+	 * 	checks when polling.
+	 * @returns {AsyncIterable<HfsWatchEvent>} An async iterable of the
+	 * 	changes.
+	 * @throws {MethodNotSupportedError} When the impl has no `watch()` method
+	 * 	and doesn't have `list()` and `lastModified()` methods for polling.
+	 */
+	async *#watch(dirPath, { signal, interval }) {
+		if (typeof this.#impl.watch === "function") {
+			yield* this.#invokeImplMethod("watch", [dirPath, { signal }]);
+			return;
+		}
+
+		this.#assertImplMethodAlt("list", "watch");
+		this.#assertImplMethodAlt("lastModified", "watch");
+
+		let previous = await this.#takeSnapshot(dirPath);
+
+		while (!signal?.aborted) {
+			await delay(interval, signal);
+
+			if (signal?.aborted) {
+				return;
+			}
+
+			const current = await this.#takeSnapshot(dirPath);
+			yield* diffSnapshots(previous, current);
+			previous = current;
+		}
+	}
+
+	/**
+	 * Makes several changes as a single unit. The callback receives an
+	 * `HfsTransaction` for staging writes, deletes, moves, and copies, which
+	 * are made in order once the callback completes. If any change fails, the
+	 * changes already made are undone. If the impl doesn't have a `commit()`
+	 * method, then the changes are staged through temporary files using the
+	 * impl's other methods.
+	 * @template T
+	 * @param {(tx: HfsTransaction) => T|Promise<T>} callback The function that
+	 * 	stages the changes.
+	 * @returns {Promise<T>} A promise that resolves with the value returned
+	 * 	from the callback once all of the changes have been made.
+	 * @throws {TypeError} When the callback is not a function.
+	 * @throws {MethodNotSupportedError} When the impl has no `commit()` method
+	 * 	and doesn't have the methods needed to stage the changes.
+	 */
+	async transaction(callback) {
+		if (typeof callback !== "function") {
+			throw new TypeError("Callback must be a function.");
+		}
+
+		return this.#logCall("transaction", [callback], () =>
+			this.#transaction(callback),
+		);
+	}
+
+	/**
+	 * Runs a transaction without logging.
+	 * @template T
+	 * @param {(tx: HfsTransaction) => T|Promise<T>} callback The function that
+	 * 	stages the changes.
+	 * @returns {Promise<T>} A promise that resolves with the value returned
+	 * 	from the callback once all of the changes have been made.
+	 * @throws {MethodNotSupportedError} When the impl has no `commit()` method
+	 * 	and doesn't have the methods needed to stage the changes.
+	 */
+	async #transaction(callback) {
+		/** @type {Array<HfsTransactionOperation>} */
+		const operations = [];
+		let active = true;
+
+		const tx = new HfsTransaction(operation => {
+			if (!active) {
+				throw new Error(
+					"Cannot stage changes after the transaction has ended.",
+				);
+			}
+
+			operations.push(operation);
+		});
+
+		let result;
+
+		try {
+			result = await callback(tx);
+		} finally {
+			active = false;
+		}
+
+		if (operations.length === 0) {
+			return result;
+		}
+
+		if (typeof this.#impl.commit === "function") {
+			await this.#invokeImplMethod("commit", [operations]);
+			return result;
+		}
+
+		for (const methodName of getTransactionMethodNames(operations)) {
+			this.#assertImplMethodAlt(methodName, "transaction");
+		}
+
+		try {
+			await applyOperations(this.#impl, operations);
+		} catch (error) {
+			throw normalizeError(error, "transaction", []);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Records the last modified time of every file in a directory and its
+	 * subdirectories so that changes can be detected by polling.
+	 * @param {string|URL} dirPath The path to the directory.
+	 * @returns {Promise<Map<string, number|undefined>>} A map of each entry's
+	 * 	relative path to its last modified time in milliseconds. Directories
+	 * 	are included with a value of undefined.
+	 */
+	async #takeSnapshot(dirPath) {
+		const snapshot = new Map();
+
+		for await (const entry of this.#walk(dirPath, {
+			directoryFilter: () => true,
+			entryFilter: () => true,
+		})) {
+			let lastModified;
+
+			if (entry.isFile) {
+				const date = await this.#invokeImplMethod("lastModified", [
+					joinDirPath(dirPath, entry.path),
+				]);
+				lastModified = date?.getTime();
+			}
+
+			snapshot.set(entry.path, lastModified);
+		}
+
+		return snapshot;
+	}
 }
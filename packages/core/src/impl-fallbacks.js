@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Helpers for calling optional impl methods that fall back to
+ * 	the required methods the same way the Hfs class does. These are used by
+ * 	impls that wrap other impls.
+ * @author Nicholas C. Zakas
+ */
+
+/* global ReadableStream */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a readable stream that emits the given bytes as a single chunk.
+ * @param {Uint8Array} bytes The bytes to emit.
+ * @returns {ReadableStream<Uint8Array>} The readable stream.
+ */
+export function toReadableStream(bytes) {
+	return new ReadableStream({
+		start(controller) {
+			controller.enqueue(bytes);
+			controller.close();
+		},
+	});
+}
+
+/**
+ * Reads all chunks from an async iterable into a single Uint8Array.
+ * @param {AsyncIterable<Uint8Array>} chunks The chunks to concatenate.
+ * @returns {Promise<Uint8Array>} The concatenated bytes.
+ */
+export async function concatChunks(chunks) {
+	const parts = [];
+	let length = 0;
+
+	for await (const chunk of chunks) {
+		parts.push(chunk);
+		length += chunk.byteLength;
+	}
+
+	const result = new Uint8Array(length);
+	let offset = 0;
+
+	for (const part of parts) {
+		result.set(part, offset);
+		offset += part.byteLength;
+	}
+
+	return result;
+}
+
+/**
+ * Reads a range of bytes from a file with the impl's `slice()` method or,
+ * if it doesn't have one, by reading the whole file with `bytes()`.
+ * @param {HfsImpl} impl The impl to read from.
+ * @param {string|URL} filePath The path to the file to read.
+ * @param {number} start The offset to start reading from.
+ * @param {number} end The offset to stop reading before.
+ * @returns {Promise<Uint8Array|undefined>} The bytes in the range or
+ * 	undefined if the file doesn't exist.
+ */
+export async function sliceFile(impl, filePath, start, end) {
+	if (typeof impl.slice === "function") {
+		return impl.slice(filePath, start, end);
+	}
+
+	return (await impl.bytes(filePath))?.subarray(start, end);
+}
+
+/**
+ * Reads a file as a stream with the impl's `stream()` method or, if it
+ * doesn't have one, by wrapping the result of `bytes()` in a stream.
+ * @param {HfsImpl} impl The impl to read from.
+ * @param {string|URL} filePath The path to the file to read.
+ * @returns {Promise<ReadableStream<Uint8Array>|undefined>} The contents of
+ * 	the file or undefined if the file doesn't exist.
+ */
+export async function streamFile(impl, filePath) {
+	if (typeof impl.stream === "function") {
+		return impl.stream(filePath);
+	}
+
+	const bytes = await impl.bytes(filePath);
+	return bytes ? toReadableStream(bytes) : undefined;
+}
+
+/**
+ * Writes chunks to a file with the impl's `writeStream()` method or, if it
+ * doesn't have one, by collecting the chunks and passing them to `write()`.
+ * @param {HfsImpl} impl The impl to write to.
+ * @param {string|URL} filePath The path to the file to write.
+ * @param {AsyncIterable<Uint8Array>} source The chunks to write.
+ * @param {{size?:number}} [options] The options for writing.
+ * @returns {Promise<void>} A promise that resolves when the file is written.
+ */
+export async function writeFileStream(impl, filePath, source, options) {
+	if (typeof impl.writeStream === "function") {
+		return impl.writeStream(filePath, source, options);
+	}
+
+	return impl.write(filePath, await concatChunks(source));
+}
@@ -3,6 +3,16 @@
  * @author Nicholas C. Zakas
  */
 
-export { Hfs } from "./hfs.js";
+export {
+	Hfs,
+	HfsTransaction,
+	NoSuchMethodError,
+	MethodNotSupportedError,
+	ImplAlreadySetError,
+} from "./hfs.js";
 export { Path } from "./path.js";
+export { OverlayHfsImpl } from "./overlay-hfs.js";
+export { MountHfsImpl } from "./mount-hfs.js";
+export { ScopedHfsImpl } from "./scoped-hfs.js";
+export { ReadOnlyHfsImpl } from "./read-only-hfs.js";
 export * from "./errors.js";
@@ -0,0 +1,836 @@
+/**
+ * @fileoverview An impl that routes paths to different impls by prefix.
+ * @author Nicholas C. Zakas
+ */
+
+/* global URL */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
+/** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+
+/**
+ * @typedef {Object} Mount
+ * @property {Array<string>} steps The steps of the path the impl is mounted at.
+ * @property {HfsImpl} impl The mounted impl.
+ */
+
+/**
+ * @typedef {Object} ResolvedPath
+ * @property {Mount} mount The mount containing the path.
+ * @property {string} path The path relative to the mount point.
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { Path } from "./path.js";
+import { NotFoundError, DirectoryError, PermissionError } from "./errors.js";
+import { NoSuchMethodError } from "./hfs.js";
+import { sliceFile, streamFile, writeFileStream } from "./impl-fallbacks.js";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Converts a string path or file URL into a Path. Unlike `Path.from()`, the
+ * root directory and "." are allowed and become an empty path, and ".." steps
+ * are resolved.
+ * @param {string|URL} fileOrDirPath The path to convert.
+ * @returns {Path} The path.
+ */
+function toPath(fileOrDirPath) {
+	const pathString =
+		fileOrDirPath instanceof URL
+			? decodeURIComponent(fileOrDirPath.pathname)
+			: fileOrDirPath;
+	const path = new Path();
+
+	for (const step of pathString.split(/[/\\]/u)) {
+		if (step === "..") {
+			path.pop();
+		} else if (step && step !== ".") {
+			path.push(step);
+		}
+	}
+
+	return path;
+}
+
+/**
+ * Determines if one list of steps starts with another.
+ * @param {Array<string>} steps The steps to check.
+ * @param {Array<string>} prefix The steps to look for.
+ * @returns {boolean} True if steps starts with prefix.
+ */
+function startsWith(steps, prefix) {
+	return (
+		prefix.length <= steps.length &&
+		prefix.every((step, index) => steps[index] === step)
+	);
+}
+
+/**
+ * Creates a directory entry for a mount point or a directory containing one.
+ * @param {string} name The name of the directory.
+ * @returns {HfsDirectoryEntry} The directory entry.
+ */
+function createDirectoryEntry(name) {
+	return {
+		name,
+		isDirectory: true,
+		isFile: false,
+		isSymlink: false,
+	};
+}
+
+/**
+ * Asserts that a mounted impl has the given optional method so that a
+ * missing method fails the same way as it does without the mount.
+ * @param {HfsImpl} impl The mounted impl to check.
+ * @param {string} methodName The name of the method to check.
+ * @returns {void}
+ * @throws {NoSuchMethodError} When the impl doesn't have the method.
+ */
+function assertMountMethod(impl, methodName) {
+	if (typeof impl[methodName] !== "function") {
+		throw new NoSuchMethodError(methodName);
+	}
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * An impl that mounts other impls at different paths, like a mount table.
+ * Each path is handled by the impl mounted at its longest matching prefix,
+ * which receives the rest of the path relative to the mount point. Copying
+ * and moving between mounts reads from one impl and writes to the other.
+ *
+ * Symbolic link targets are passed to the mounted impl unchanged, so a link
+ * can only point to paths inside its own mount.
+ * @implements {HfsImpl}
+ */
+export class MountHfsImpl {
+	/**
+	 * The mounts, from the longest path to the shortest.
+	 * @type {Array<Mount>}
+	 */
+	#mounts;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {Record<string, HfsImpl>} options.mounts An object whose keys
+	 * 	are the paths to mount at and whose values are the impls to mount.
+	 * @throws {TypeError} When mounts is empty or two keys refer to the same
+	 * 	path.
+	 */
+	constructor({ mounts }) {
+		const entries = Object.entries(mounts ?? {});
+
+		if (entries.length === 0) {
+			throw new TypeError("Mounts must contain at least one impl.");
+		}
+
+		const seen = new Set();
+
+		this.#mounts = entries
+			.map(([mountPath, impl]) => {
+				const steps = [...toPath(mountPath)];
+				const key = steps.join("/");
+
+				if (seen.has(key)) {
+					throw new TypeError(`Duplicate mount path '${mountPath}'.`);
+				}
+
+				seen.add(key);
+				return { steps, impl };
+			})
+			.sort((a, b) => b.steps.length - a.steps.length);
+	}
+
+	/**
+	 * Finds the mount that handles a path.
+	 * @param {Path} path The path to resolve.
+	 * @returns {ResolvedPath|undefined} The mount and the path relative to
+	 * 	it or undefined if no impl is mounted at any prefix of the path.
+	 */
+	#resolve(path) {
+		const steps = [...path];
+		const mount = this.#mounts.find(({ steps: mountSteps }) =>
+			startsWith(steps, mountSteps),
+		);
+
+		if (!mount) {
+			return undefined;
+		}
+
+		const relativeSteps = steps.slice(mount.steps.length);
+
+		return {
+			mount,
+			path: relativeSteps.length ? relativeSteps.join("/") : ".",
+		};
+	}
+
+	/**
+	 * Returns the names of the directories inside a directory that are
+	 * either mount points or contain mount points.
+	 * @param {Path} dirPath The path of the directory.
+	 * @returns {Set<string>} The names of the directories.
+	 */
+	#getMountedNames(dirPath) {
+		const steps = [...dirPath];
+		const names = new Set();
+
+		for (const { steps: mountSteps } of this.#mounts) {
+			if (
+				mountSteps.length > steps.length &&
+				startsWith(mountSteps, steps)
+			) {
+				names.add(mountSteps[steps.length]);
+			}
+		}
+
+		return names;
+	}
+
+	/**
+	 * Determines if a path is a mount point or contains one, in which case
+	 * it always exists as a directory.
+	 * @param {Path} path The path to check.
+	 * @returns {boolean} True if the path is or contains a mount point.
+	 */
+	#isMountedDirectory(path) {
+		const steps = [...path];
+
+		return this.#mounts.some(({ steps: mountSteps }) =>
+			startsWith(mountSteps, steps),
+		);
+	}
+
+	/**
+	 * Throws an error if a path is or contains a mount point, which can't be
+	 * deleted or moved.
+	 * @param {Path} path The path to check.
+	 * @param {string} operation The operation being attempted.
+	 * @returns {void}
+	 * @throws {PermissionError} If the path is or contains a mount point.
+	 */
+	#assertNotMounted(path, operation) {
+		if (this.#isMountedDirectory(path)) {
+			throw new PermissionError(`${operation} (mount point)`);
+		}
+	}
+
+	/**
+	 * Finds the mount that handles a path that's about to be modified.
+	 * @param {Path} path The path to resolve.
+	 * @param {string} operation The operation being attempted.
+	 * @returns {ResolvedPath} The mount and the path relative to it.
+	 * @throws {NotFoundError} If no impl is mounted at any prefix of the path.
+	 */
+	#resolveForWrite(path, operation) {
+		const resolved = this.#resolve(path);
+
+		if (!resolved) {
+			throw new NotFoundError(operation);
+		}
+
+		return resolved;
+	}
+
+	/**
+	 * Reads a file and returns the contents as an Uint8Array.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 * 	contents of the file or undefined if the file doesn't exist.
+	 */
+	async bytes(filePath) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			return undefined;
+		}
+
+		const resolved = this.#resolve(path);
+		return resolved?.mount.impl.bytes(resolved.path);
+	}
+
+	/**
+	 * Reads a range of bytes from a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The offset to start reading from.
+	 * @param {number} end The offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with
+	 * 	the bytes in the range or undefined if the file doesn't exist.
+	 */
+	async slice(filePath, start, end) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			return undefined;
+		}
+
+		const resolved = this.#resolve(path);
+		return resolved
+			? sliceFile(resolved.mount.impl, resolved.path, start, end)
+			: undefined;
+	}
+
+	/**
+	 * Reads a file as a stream.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 * 	resolves with the contents of the file or undefined if the file
+	 * 	doesn't exist.
+	 */
+	async stream(filePath) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			return undefined;
+		}
+
+		const resolved = this.#resolve(path);
+		return resolved
+			? streamFile(resolved.mount.impl, resolved.path)
+			: undefined;
+	}
+
+	/**
+	 * Writes a value to a file, creating any necessary directories along the
+	 * way.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {NotFoundError} If no impl is mounted at the path.
+	 * @throws {DirectoryError} If the path is a mount point.
+	 */
+	async write(filePath, contents) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			throw new DirectoryError(`write '${filePath}'`);
+		}
+
+		const { mount, path: relativePath } = this.#resolveForWrite(
+			path,
+			`write '${filePath}'`,
+		);
+
+		await mount.impl.write(relativePath, contents);
+	}
+
+	/**
+	 * Writes a value to a file so that the file either has the old contents
+	 * or the new contents, never a mix of both.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {NotFoundError} If no impl is mounted at the path.
+	 * @throws {DirectoryError} If the path is a mount point.
+	 * @throws {NoSuchMethodError} When the mounted impl doesn't have the
+	 * 	method.
+	 */
+	async writeAtomic(filePath, contents) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			throw new DirectoryError(`writeAtomic '${filePath}'`);
+		}
+
+		const { mount, path: relativePath } = this.#resolveForWrite(
+			path,
+			`writeAtomic '${filePath}'`,
+		);
+
+		assertMountMethod(mount.impl, "writeAtomic");
+		await mount.impl.writeAtomic(relativePath, contents);
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write.
+	 * @param {{size?:number}} [options] The options for writing.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {NotFoundError} If no impl is mounted at the path.
+	 * @throws {DirectoryError} If the path is a mount point.
+	 */
+	async writeStream(filePath, source, options) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			throw new DirectoryError(`writeStream '${filePath}'`);
+		}
+
+		const { mount, path: relativePath } = this.#resolveForWrite(
+			path,
+			`writeStream '${filePath}'`,
+		);
+
+		await writeFileStream(mount.impl, relativePath, source, options);
+	}
+
+	/**
+	 * Appends a value to a file, creating any necessary directories along the
+	 * way.
+	 * @param {string|URL} filePath The path to the file to append to.
+	 * @param {Uint8Array} contents The contents to append.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {NotFoundError} If no impl is mounted at the path.
+	 * @throws {DirectoryError} If the path is a mount point.
+	 * @throws {NoSuchMethodError} When the mounted impl doesn't have the
+	 * 	method.
+	 */
+	async append(filePath, contents) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			throw new DirectoryError(`append '${filePath}'`);
+		}
+
+		const { mount, path: relativePath } = this.#resolveForWrite(
+			path,
+			`append '${filePath}'`,
+		);
+
+		assertMountMethod(mount.impl, "append");
+		await mount.impl.append(relativePath, contents);
+	}
+
+	/**
+	 * Checks if a file exists.
+	 * @param {string|URL} filePath The path to the file to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file exists or false if it doesn't.
+	 */
+	async isFile(filePath) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			return false;
+		}
+
+		const resolved = this.#resolve(path);
+		return resolved ? resolved.mount.impl.isFile(resolved.path) : false;
+	}
+
+	/**
+	 * Checks if a directory exists. Mount points and the directories
+	 * containing them always exist.
+	 * @param {string|URL} dirPath The path to the directory to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	directory exists or false if it doesn't.
+	 */
+	async isDirectory(dirPath) {
+		const path = toPath(dirPath);
+
+		if (this.#isMountedDirectory(path)) {
+			return true;
+		}
+
+		const resolved = this.#resolve(path);
+		return resolved
+			? resolved.mount.impl.isDirectory(resolved.path)
+			: false;
+	}
+
+	/**
+	 * Creates a directory, along with any missing parent directories.
+	 * @param {string|URL} dirPath The path to the directory to create.
+	 * @returns {Promise<void>} A promise that resolves when the directory is
+	 * 	created.
+	 * @throws {NotFoundError} If no impl is mounted at the path.
+	 */
+	async createDirectory(dirPath) {
+		const path = toPath(dirPath);
+
+		if (this.#isMountedDirectory(path)) {
+			return;
+		}
+
+		const { mount, path: relativePath } = this.#resolveForWrite(
+			path,
+			`createDirectory '${dirPath}'`,
+		);
+
+		await mount.impl.createDirectory(relativePath);
+	}
+
+	/**
+	 * Deletes a file or empty directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file or directory was deleted or false if it doesn't exist.
+	 * @throws {PermissionError} If the path is or contains a mount point.
+	 */
+	async delete(fileOrDirPath) {
+		const path = toPath(fileOrDirPath);
+
+		this.#assertNotMounted(path, `delete '${fileOrDirPath}'`);
+
+		const resolved = this.#resolve(path);
+		return resolved ? resolved.mount.impl.delete(resolved.path) : false;
+	}
+
+	/**
+	 * Deletes a file or directory recursively.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file or directory was deleted or false if it doesn't exist.
+	 * @throws {PermissionError} If the path is or contains a mount point.
+	 */
+	async deleteAll(fileOrDirPath) {
+		const path = toPath(fileOrDirPath);
+
+		this.#assertNotMounted(path, `deleteAll '${fileOrDirPath}'`);
+
+		const resolved = this.#resolve(path);
+		return resolved ? resolved.mount.impl.deleteAll(resolved.path) : false;
+	}
+
+	/**
+	 * Returns the entries in a directory. Mount points inside the directory
+	 * are included as directories and hide any entries with the same name.
+	 * @param {string|URL} dirPath The path to the directory to read.
+	 * @returns {AsyncIterable<HfsDirectoryEntry>} An async iterable of the
+	 * 	entries in the directory.
+	 * @throws {NotFoundError} If the directory doesn't exist.
+	 */
+	async *list(dirPath) {
+		const path = toPath(dirPath);
+		const mountedNames = this.#getMountedNames(path);
+		const resolved = this.#resolve(path);
+
+		// mount points always exist even if the impl can't check the root
+		const exists =
+			resolved &&
+			(resolved.path === "." ||
+				(await resolved.mount.impl.isDirectory(resolved.path)));
+
+		if (exists) {
+			for await (const entry of resolved.mount.impl.list(resolved.path)) {
+				if (!mountedNames.has(entry.name)) {
+					yield entry;
+				}
+			}
+		} else if (mountedNames.size === 0) {
+			throw new NotFoundError(`list '${dirPath}'`);
+		}
+
+		for (const name of mountedNames) {
+			yield createDirectoryEntry(name);
+		}
+	}
+
+	/**
+	 * Returns the size of a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<number|undefined>} A promise that resolves with the
+	 * 	size of the file in bytes or undefined if the file doesn't exist.
+	 */
+	async size(filePath) {
+		const path = toPath(filePath);
+
+		if (this.#isMountedDirectory(path)) {
+			return undefined;
+		}
+
+		const resolved = this.#resolve(path);
+		return resolved?.mount.impl.size(resolved.path);
+	}
+
+	/**
+	 * Returns the last modified date of a file or directory. Mount points and
+	 * the directories containing them don't have one.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<Date|undefined>} A promise that resolves with the last
+	 * 	modified date or undefined if the file or directory doesn't exist.
+	 */
+	async lastModified(fileOrDirPath) {
+		const path = toPath(fileOrDirPath);
+
+		if (this.#isMountedDirectory(path)) {
+			return undefined;
+		}
+
+		const resolved = this.#resolve(path);
+		return resolved?.mount.impl.lastModified(resolved.path);
+	}
+
+	/**
+	 * Returns information about a file or directory. Like `lastModified()`,
+	 * this isn't available for mount points and the directories containing
+	 * them.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 * 	information or undefined if the file or directory doesn't exist.
+	 * @throws {NoSuchMethodError} When the mounted impl doesn't have the
+	 * 	method.
+	 */
+	async stat(fileOrDirPath) {
+		const path = toPath(fileOrDirPath);
+
+		if (this.#isMountedDirectory(path)) {
+			return undefined;
+		}
+
+		const resolved = this.#resolve(path);
+
+		if (!resolved) {
+			return undefined;
+		}
+
+		assertMountMethod(resolved.mount.impl, "stat");
+		return resolved.mount.impl.stat(resolved.path);
+	}
+
+	/**
+	 * Creates a symbolic link in the impl mounted at the link's path.
+	 * @param {string} target The path the link points to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is
+	 * 	created.
+	 * @throws {NotFoundError} If no impl is mounted at the path.
+	 * @throws {DirectoryError} If the path is a mount point.
+	 * @throws {NoSuchMethodError} When the mounted impl doesn't have the
+	 * 	method.
+	 */
+	async createSymlink(target, linkPath) {
+		const operation = `createSymlink '${target}' -> '${linkPath}'`;
+		const path = toPath(linkPath);
+
+		if (this.#isMountedDirectory(path)) {
+			throw new DirectoryError(operation);
+		}
+
+		const { mount, path: relativePath } = this.#resolveForWrite(
+			path,
+			operation,
+		);
+
+		assertMountMethod(mount.impl, "createSymlink");
+		await mount.impl.createSymlink(target, relativePath);
+	}
+
+	/**
+	 * Reads the target of a symbolic link.
+	 * @param {string|URL} linkPath The path to the link.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 * 	target or undefined if the link doesn't exist.
+	 */
+	async readSymlink(linkPath) {
+		const path = toPath(linkPath);
+
+		if (this.#isMountedDirectory(path)) {
+			return undefined;
+		}
+
+		const resolved = this.#resolve(path);
+
+		return typeof resolved?.mount.impl.readSymlink === "function"
+			? resolved.mount.impl.readSymlink(resolved.path)
+			: undefined;
+	}
+
+	/**
+	 * Checks if a path is a symbolic link. Mount points and the directories
+	 * containing them never are.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	path is a symbolic link or false if not.
+	 */
+	async isSymlink(fileOrDirPath) {
+		const path = toPath(fileOrDirPath);
+
+		if (this.#isMountedDirectory(path)) {
+			return false;
+		}
+
+		const resolved = this.#resolve(path);
+
+		return typeof resolved?.mount.impl.isSymlink === "function"
+			? resolved.mount.impl.isSymlink(resolved.path)
+			: false;
+	}
+
+	/**
+	 * Copies a file from one location to another. When the locations are in
+	 * different mounts, the file is read from one impl and written to the
+	 * other.
+	 * @param {string|URL} source The path to the file to copy.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is copied.
+	 * @throws {NotFoundError} If the source file doesn't exist.
+	 * @throws {DirectoryError} If the source or destination is a directory.
+	 */
+	async copy(source, destination) {
+		const operation = `copy '${source}' -> '${destination}'`;
+		const sourcePath = toPath(source);
+		const destinationPath = toPath(destination);
+
+		if (
+			this.#isMountedDirectory(sourcePath) ||
+			this.#isMountedDirectory(destinationPath)
+		) {
+			throw new DirectoryError(operation);
+		}
+
+		const from = this.#resolveForWrite(sourcePath, operation);
+		const to = this.#resolveForWrite(destinationPath, operation);
+
+		if (from.mount === to.mount) {
+			await from.mount.impl.copy(from.path, to.path);
+			return;
+		}
+
+		if (await from.mount.impl.isDirectory(from.path)) {
+			throw new DirectoryError(operation);
+		}
+
+		const contents = await from.mount.impl.bytes(from.path);
+
+		if (!contents) {
+			throw new NotFoundError(operation);
+		}
+
+		if (await to.mount.impl.isDirectory(to.path)) {
+			throw new DirectoryError(operation);
+		}
+
+		await to.mount.impl.write(to.path, contents);
+	}
+
+	/**
+	 * Copies a file or directory and its contents. When the source and
+	 * destination are in different mounts or the source contains a mount
+	 * point, each file is copied separately.
+	 * @param {string|URL} source The path to the file or directory to copy.
+	 * @param {string|URL} destination The path to copy to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 * 	copied.
+	 * @throws {NotFoundError} If the source doesn't exist.
+	 */
+	async copyAll(source, destination) {
+		const operation = `copyAll '${source}' -> '${destination}'`;
+		const sourcePath = toPath(source);
+		const destinationPath = toPath(destination);
+		const from = this.#resolve(sourcePath);
+		const to = this.#resolve(destinationPath);
+
+		if (
+			from &&
+			from.mount === to?.mount &&
+			!this.#isMountedDirectory(sourcePath) &&
+			!this.#isMountedDirectory(destinationPath)
+		) {
+			await from.mount.impl.copyAll(from.path, to.path);
+			return;
+		}
+
+		if (await this.isFile(source)) {
+			await this.copy(source, destination);
+			return;
+		}
+
+		if (!(await this.isDirectory(source))) {
+			throw new NotFoundError(operation);
+		}
+
+		await this.createDirectory(destination);
+
+		for await (const entry of this.list(source)) {
+			const sourceEntryPath = new Path(sourcePath);
+			const destinationEntryPath = new Path(destinationPath);
+
+			sourceEntryPath.push(entry.name);
+			destinationEntryPath.push(entry.name);
+
+			await this.copyAll(
+				sourceEntryPath.toString(),
+				destinationEntryPath.toString(),
+			);
+		}
+	}
+
+	/**
+	 * Moves a file from one location to another. When the locations are in
+	 * different mounts, the file is copied and then deleted.
+	 * @param {string|URL} source The path to the file to move.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is moved.
+	 * @throws {NotFoundError} If the source file doesn't exist.
+	 * @throws {DirectoryError} If the source or destination is a directory.
+	 */
+	async move(source, destination) {
+		const operation = `move '${source}' -> '${destination}'`;
+		const sourcePath = toPath(source);
+		const destinationPath = toPath(destination);
+
+		if (
+			this.#isMountedDirectory(sourcePath) ||
+			this.#isMountedDirectory(destinationPath)
+		) {
+			throw new DirectoryError(operation);
+		}
+
+		const from = this.#resolveForWrite(sourcePath, operation);
+		const to = this.#resolveForWrite(destinationPath, operation);
+
+		if (from.mount === to.mount) {
+			await from.mount.impl.move(from.path, to.path);
+			return;
+		}
+
+		await this.copy(source, destination);
+		await from.mount.impl.delete(from.path);
+	}
+
+	/**
+	 * Moves a file or directory and its contents. When the source and
+	 * destination are in different mounts, everything is copied and then the
+	 * source is deleted.
+	 * @param {string|URL} source The path to the file or directory to move.
+	 * @param {string|URL} destination The path to move to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 * 	moved.
+	 * @throws {NotFoundError} If the source doesn't exist.
+	 * @throws {PermissionError} If the source is or contains a mount point.
+	 */
+	async moveAll(source, destination) {
+		const operation = `moveAll '${source}' -> '${destination}'`;
+		const sourcePath = toPath(source);
+
+		this.#assertNotMounted(sourcePath, operation);
+
+		const from = this.#resolveForWrite(sourcePath, operation);
+		const to = this.#resolve(toPath(destination));
+
+		if (
+			from.mount === to?.mount &&
+			!this.#isMountedDirectory(toPath(destination))
+		) {
+			await from.mount.impl.moveAll(from.path, to.path);
+			return;
+		}
+
+		await this.copyAll(source, destination);
+		await from.mount.impl.deleteAll(from.path);
+	}
+}
@@ -0,0 +1,776 @@
+/**
+ * @fileoverview An impl that layers a writable impl over read-only impls.
+ * @author Nicholas C. Zakas
+ */
+
+/* global URL */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
+/** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { NotFoundError, DirectoryError, NotEmptyError } from "./errors.js";
+import { NoSuchMethodError } from "./hfs.js";
+import { sliceFile, streamFile, writeFileStream } from "./impl-fallbacks.js";
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The prefix of a whiteout marker, which hides the entry of the same name in
+ * the lower layers.
+ */
+const WHITEOUT_PREFIX = ".wh.";
+
+/**
+ * The name of the marker that hides the contents of the lower layers'
+ * directories of the same path.
+ */
+const OPAQUE_MARKER = ".wh..wh..opq";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Gets the name of the file or directory at the end of a path.
+ * @param {string|URL} fileOrDirPath The path.
+ * @returns {string} The name.
+ */
+function getName(fileOrDirPath) {
+	if (fileOrDirPath instanceof URL) {
+		const pathname = fileOrDirPath.pathname.replace(/\/+$/u, "");
+		return decodeURIComponent(
+			pathname.slice(pathname.lastIndexOf("/") + 1),
+		);
+	}
+
+	const trimmed = fileOrDirPath.replace(/[/\\]+$/u, "");
+
+	return trimmed.slice(
+		Math.max(trimmed.lastIndexOf("/"), trimmed.lastIndexOf("\\")) + 1,
+	);
+}
+
+/**
+ * Gets the path of the directory containing a file or directory. The parent
+ * of a root directory, including the "." of a relative path, is itself.
+ * @param {string|URL} fileOrDirPath The path.
+ * @returns {string|URL} The path of the parent directory.
+ */
+function getParentPath(fileOrDirPath) {
+	if (fileOrDirPath instanceof URL) {
+		return fileOrDirPath.pathname === "/"
+			? fileOrDirPath
+			: new URL(".", fileOrDirPath.href.replace(/\/+$/u, ""));
+	}
+
+	const trimmed = fileOrDirPath.replace(/[/\\]+$/u, "");
+
+	// "/" and "C:\" are roots
+	if (!trimmed || /^[a-z]:$/iu.test(trimmed)) {
+		return fileOrDirPath;
+	}
+
+	const index = Math.max(trimmed.lastIndexOf("/"), trimmed.lastIndexOf("\\"));
+
+	if (index === -1) {
+		return ".";
+	}
+
+	const parentPath = trimmed.slice(0, index);
+
+	return !parentPath || /^[a-z]:$/iu.test(parentPath)
+		? trimmed.slice(0, index + 1)
+		: parentPath;
+}
+
+/**
+ * Determines if a path is a root directory.
+ * @param {string|URL} dirPath The path to check.
+ * @returns {boolean} True if the path is a root directory.
+ */
+function isRootPath(dirPath) {
+	return (
+		dirPath === "." || String(getParentPath(dirPath)) === String(dirPath)
+	);
+}
+
+/**
+ * Gets the paths of every directory containing a file or directory, starting
+ * with its parent and ending before the root.
+ * @param {string|URL} fileOrDirPath The path.
+ * @returns {Array<string|URL>} The paths of the ancestors.
+ */
+function getAncestorPaths(fileOrDirPath) {
+	const ancestors = [];
+	let current = getParentPath(fileOrDirPath);
+
+	while (!isRootPath(current)) {
+		ancestors.push(current);
+		current = getParentPath(current);
+	}
+
+	return ancestors;
+}
+
+/**
+ * Creates the path of an entry inside a directory.
+ * @param {string|URL} dirPath The path of the directory.
+ * @param {string} name The name of the entry.
+ * @returns {string|URL} The path of the entry.
+ */
+function joinPath(dirPath, name) {
+	if (dirPath instanceof URL) {
+		const dirUrl = new URL(dirPath.href.replace(/\/*$/u, "/"));
+		return new URL(encodeURIComponent(name), dirUrl);
+	}
+
+	if (dirPath === ".") {
+		return name;
+	}
+
+	return /[/\\]$/u.test(dirPath) ? dirPath + name : `${dirPath}/${name}`;
+}
+
+/**
+ * Gets the path of the whiteout marker that hides an entry.
+ * @param {string|URL} fileOrDirPath The path of the entry.
+ * @returns {string|URL} The path of the marker.
+ */
+function getWhiteoutPath(fileOrDirPath) {
+	return joinPath(
+		getParentPath(fileOrDirPath),
+		WHITEOUT_PREFIX + getName(fileOrDirPath),
+	);
+}
+
+/**
+ * Determines if a name belongs to a whiteout or opaque marker.
+ * @param {string} name The name to check.
+ * @returns {boolean} True if the name is a marker.
+ */
+function isMarker(name) {
+	return name.startsWith(WHITEOUT_PREFIX);
+}
+
+/**
+ * Asserts that a layer has the given optional method so that a missing
+ * method fails the same way as it does without the overlay.
+ * @param {HfsImpl} layer The layer to check.
+ * @param {string} methodName The name of the method to check.
+ * @returns {void}
+ * @throws {NoSuchMethodError} When the layer doesn't have the method.
+ */
+function assertLayerMethod(layer, methodName) {
+	if (typeof layer[methodName] !== "function") {
+		throw new NoSuchMethodError(methodName);
+	}
+}
+
+/**
+ * Combines two arrays of bytes.
+ * @param {Uint8Array} first The first bytes.
+ * @param {Uint8Array} second The second bytes.
+ * @returns {Uint8Array} The combined bytes.
+ */
+function concatBytes(first, second) {
+	const result = new Uint8Array(first.byteLength + second.byteLength);
+	result.set(first);
+	result.set(second, first.byteLength);
+	return result;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * An impl that combines several impls into layers. Reads look at each layer
+ * from the top down and directory listings are merged, while all changes are
+ * made to the top layer. Deleting an entry that exists in a lower layer
+ * creates a whiteout marker in the top layer that hides it, so the lower
+ * layers are never modified.
+ *
+ * Symbolic links are created in the top layer and resolved by the layer that
+ * contains them, so a link can only reach files in its own layer.
+ * @implements {HfsImpl}
+ */
+export class OverlayHfsImpl {
+	/**
+	 * The layer that receives all changes.
+	 * @type {HfsImpl}
+	 */
+	#top;
+
+	/**
+	 * The layers below the top layer, from highest to lowest.
+	 * @type {Array<HfsImpl>}
+	 */
+	#lower;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {Array<HfsImpl>} options.layers The impls to combine, from top
+	 * 	to bottom. The first impl receives all changes.
+	 * @throws {TypeError} When layers is not a non-empty array.
+	 */
+	constructor({ layers }) {
+		if (!Array.isArray(layers) || layers.length === 0) {
+			throw new TypeError("Layers must be a non-empty array.");
+		}
+
+		[this.#top, ...this.#lower] = layers;
+	}
+
+	/**
+	 * Determines if a layer has a file, directory, or symbolic link at the
+	 * given path. Links are checked so that links to missing targets are
+	 * still found.
+	 * @param {HfsImpl} layer The layer to check.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} True if the path exists in the layer.
+	 */
+	async #exists(layer, fileOrDirPath) {
+		return (
+			(await layer.isFile(fileOrDirPath)) ||
+			(await layer.isDirectory(fileOrDirPath)) ||
+			(typeof layer.isSymlink === "function" &&
+				(await layer.isSymlink(fileOrDirPath)))
+		);
+	}
+
+	/**
+	 * Determines if the lower layers' entries at the given path are hidden
+	 * by a whiteout marker for the path or one of its ancestors, or by an
+	 * opaque marker in one of its ancestors.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} True if the lower layers are hidden.
+	 */
+	async #isHidden(fileOrDirPath) {
+		if (await this.#top.isFile(getWhiteoutPath(fileOrDirPath))) {
+			return true;
+		}
+
+		for (const ancestorPath of getAncestorPaths(fileOrDirPath)) {
+			if (
+				(await this.#top.isFile(getWhiteoutPath(ancestorPath))) ||
+				(await this.#top.isFile(joinPath(ancestorPath, OPAQUE_MARKER)))
+			) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Finds the layer that an entry is read from.
+	 * @param {string|URL} fileOrDirPath The path of the entry.
+	 * @returns {Promise<HfsImpl|undefined>} The highest layer containing the
+	 * 	entry or undefined if the entry doesn't exist.
+	 */
+	async #findLayer(fileOrDirPath) {
+		if (await this.#exists(this.#top, fileOrDirPath)) {
+			return this.#top;
+		}
+
+		if (await this.#isHidden(fileOrDirPath)) {
+			return undefined;
+		}
+
+		for (const layer of this.#lower) {
+			if (await this.#exists(layer, fileOrDirPath)) {
+				return layer;
+			}
+		}
+
+		return undefined;
+	}
+
+	/**
+	 * Determines if an entry exists in one of the lower layers and isn't
+	 * hidden.
+	 * @param {string|URL} fileOrDirPath The path of the entry.
+	 * @returns {Promise<boolean>} True if a lower layer has a visible entry.
+	 */
+	async #existsBelow(fileOrDirPath) {
+		if (await this.#isHidden(fileOrDirPath)) {
+			return false;
+		}
+
+		for (const layer of this.#lower) {
+			if (await this.#exists(layer, fileOrDirPath)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Removes the whiteout markers that would hide an entry about to be
+	 * created in the top layer. Directories that were deleted and are now
+	 * being recreated are marked as opaque so the contents of the lower
+	 * layers stay hidden.
+	 * @param {string|URL} fileOrDirPath The path of the entry.
+	 * @param {boolean} isDirectory Whether the entry is a directory.
+	 * @returns {Promise<void>}
+	 */
+	async #prepareTop(fileOrDirPath, isDirectory) {
+		const dirPaths = getAncestorPaths(fileOrDirPath).reverse();
+
+		if (isDirectory) {
+			dirPaths.push(fileOrDirPath);
+		}
+
+		for (const dirPath of dirPaths) {
+			const whiteoutPath = getWhiteoutPath(dirPath);
+
+			if (await this.#top.isFile(whiteoutPath)) {
+				await this.#top.delete(whiteoutPath);
+				await this.#top.write(
+					joinPath(dirPath, OPAQUE_MARKER),
+					new Uint8Array(0),
+				);
+			}
+		}
+
+		if (!isDirectory) {
+			const whiteoutPath = getWhiteoutPath(fileOrDirPath);
+
+			if (await this.#top.isFile(whiteoutPath)) {
+				await this.#top.delete(whiteoutPath);
+			}
+		}
+	}
+
+	/**
+	 * Determines if a directory has no entries in any layer.
+	 * @param {string|URL} dirPath The path of the directory.
+	 * @returns {Promise<boolean>} True if the directory is empty.
+	 */
+	async #isEmptyDirectory(dirPath) {
+		const entries = this.list(dirPath)[Symbol.asyncIterator]();
+		const { done } = await entries.next();
+
+		await entries.return?.();
+		return Boolean(done);
+	}
+
+	/**
+	 * Removes an entry from the top layer and hides it in the lower layers.
+	 * @param {string|URL} fileOrDirPath The path of the entry.
+	 * @returns {Promise<void>}
+	 */
+	async #remove(fileOrDirPath) {
+		const existsBelow = await this.#existsBelow(fileOrDirPath);
+
+		if (await this.#exists(this.#top, fileOrDirPath)) {
+			await this.#top.deleteAll(fileOrDirPath);
+		}
+
+		if (existsBelow) {
+			await this.#top.write(
+				getWhiteoutPath(fileOrDirPath),
+				new Uint8Array(0),
+			);
+		}
+	}
+
+	/**
+	 * Reads a file and returns the contents as an Uint8Array.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 * 	contents of the file or undefined if the file doesn't exist.
+	 */
+	async bytes(filePath) {
+		const layer = await this.#findLayer(filePath);
+		return layer?.bytes(filePath);
+	}
+
+	/**
+	 * Reads a range of bytes from a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The offset to start reading from.
+	 * @param {number} end The offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with
+	 * 	the bytes in the range or undefined if the file doesn't exist.
+	 */
+	async slice(filePath, start, end) {
+		const layer = await this.#findLayer(filePath);
+		return layer ? sliceFile(layer, filePath, start, end) : undefined;
+	}
+
+	/**
+	 * Reads a file as a stream.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 * 	resolves with the contents of the file or undefined if the file
+	 * 	doesn't exist.
+	 */
+	async stream(filePath) {
+		const layer = await this.#findLayer(filePath);
+		return layer ? streamFile(layer, filePath) : undefined;
+	}
+
+	/**
+	 * Writes a value to a file in the top layer, creating any necessary
+	 * directories along the way.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 */
+	async write(filePath, contents) {
+		await this.#prepareTop(filePath, false);
+		await this.#top.write(filePath, contents);
+	}
+
+	/**
+	 * Writes a value to a file in the top layer so that the file either has
+	 * the old contents or the new contents, never a mix of both.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {NoSuchMethodError} When the top layer doesn't have the method.
+	 */
+	async writeAtomic(filePath, contents) {
+		assertLayerMethod(this.#top, "writeAtomic");
+		await this.#prepareTop(filePath, false);
+		await this.#top.writeAtomic(filePath, contents);
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file in the top layer.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write.
+	 * @param {{size?:number}} [options] The options for writing.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 */
+	async writeStream(filePath, source, options) {
+		await this.#prepareTop(filePath, false);
+		await writeFileStream(this.#top, filePath, source, options);
+	}
+
+	/**
+	 * Appends a value to a file. If the file only exists in a lower layer,
+	 * it's first copied into the top layer.
+	 * @param {string|URL} filePath The path to the file to append to.
+	 * @param {Uint8Array} contents The contents to append.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 */
+	async append(filePath, contents) {
+		const existing = (await this.bytes(filePath)) ?? new Uint8Array(0);
+		await this.write(filePath, concatBytes(existing, contents));
+	}
+
+	/**
+	 * Checks if a file exists.
+	 * @param {string|URL} filePath The path to the file to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file exists or false if it doesn't.
+	 */
+	async isFile(filePath) {
+		const layer = await this.#findLayer(filePath);
+		return layer ? layer.isFile(filePath) : false;
+	}
+
+	/**
+	 * Checks if a directory exists.
+	 * @param {string|URL} dirPath The path to the directory to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	directory exists or false if it doesn't.
+	 */
+	async isDirectory(dirPath) {
+		const layer = await this.#findLayer(dirPath);
+		return layer ? layer.isDirectory(dirPath) : false;
+	}
+
+	/**
+	 * Creates a directory in the top layer, along with any missing parent
+	 * directories.
+	 * @param {string|URL} dirPath The path to the directory to create.
+	 * @returns {Promise<void>} A promise that resolves when the directory is
+	 * 	created.
+	 */
+	async createDirectory(dirPath) {
+		await this.#prepareTop(dirPath, true);
+		await this.#top.createDirectory(dirPath);
+	}
+
+	/**
+	 * Deletes a file or empty directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file or directory was deleted or false if it doesn't exist.
+	 * @throws {NotEmptyError} If the directory isn't empty in any layer.
+	 */
+	async delete(fileOrDirPath) {
+		if (!(await this.#findLayer(fileOrDirPath))) {
+			return false;
+		}
+
+		if (
+			(await this.isDirectory(fileOrDirPath)) &&
+			!(await this.#isEmptyDirectory(fileOrDirPath))
+		) {
+			throw new NotEmptyError(`delete '${fileOrDirPath}'`);
+		}
+
+		await this.#remove(fileOrDirPath);
+		return true;
+	}
+
+	/**
+	 * Deletes a file or directory recursively.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file or directory was deleted or false if it doesn't exist.
+	 */
+	async deleteAll(fileOrDirPath) {
+		if (!(await this.#findLayer(fileOrDirPath))) {
+			return false;
+		}
+
+		await this.#remove(fileOrDirPath);
+		return true;
+	}
+
+	/**
+	 * Returns the entries in a directory, merged from every layer. When more
+	 * than one layer has an entry with the same name, the highest layer's
+	 * entry is used.
+	 * @param {string|URL} dirPath The path to the directory to read.
+	 * @returns {AsyncIterable<HfsDirectoryEntry>} An async iterable of the
+	 * 	entries in the directory.
+	 * @throws {NotFoundError} If the directory doesn't exist.
+	 */
+	async *list(dirPath) {
+		// the root directory always exists, so it isn't checked
+		const isRoot = isRootPath(dirPath);
+		const layer = isRoot ? this.#top : await this.#findLayer(dirPath);
+
+		if (!layer || !(isRoot || (await layer.isDirectory(dirPath)))) {
+			throw new NotFoundError(`list '${dirPath}'`);
+		}
+
+		/** @type {Map<string, HfsDirectoryEntry>} */
+		const entries = new Map();
+		const hiddenNames = new Set();
+		let opaque = false;
+
+		if (layer === this.#top) {
+			for await (const entry of this.#top.list(dirPath)) {
+				if (entry.name === OPAQUE_MARKER) {
+					opaque = true;
+				} else if (entry.name.startsWith(WHITEOUT_PREFIX)) {
+					hiddenNames.add(entry.name.slice(WHITEOUT_PREFIX.length));
+				} else {
+					entries.set(entry.name, entry);
+				}
+			}
+		}
+
+		if (!opaque && (isRoot || !(await this.#isHidden(dirPath)))) {
+			for (const lowerLayer of this.#lower) {
+				if (!isRoot && !(await lowerLayer.isDirectory(dirPath))) {
+					continue;
+				}
+
+				for await (const entry of lowerLayer.list(dirPath)) {
+					if (
+						!isMarker(entry.name) &&
+						!hiddenNames.has(entry.name) &&
+						!entries.has(entry.name)
+					) {
+						entries.set(entry.name, entry);
+					}
+				}
+			}
+		}
+
+		yield* entries.values();
+	}
+
+	/**
+	 * Returns the size of a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<number|undefined>} A promise that resolves with the
+	 * 	size of the file in bytes or undefined if the file doesn't exist.
+	 */
+	async size(filePath) {
+		const layer = await this.#findLayer(filePath);
+		return layer?.size(filePath);
+	}
+
+	/**
+	 * Returns the last modified date of a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<Date|undefined>} A promise that resolves with the last
+	 * 	modified date or undefined if the file or directory doesn't exist.
+	 */
+	async lastModified(fileOrDirPath) {
+		const layer = await this.#findLayer(fileOrDirPath);
+		return layer?.lastModified(fileOrDirPath);
+	}
+
+	/**
+	 * Returns information about a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 * 	information or undefined if the file or directory doesn't exist.
+	 * @throws {NoSuchMethodError} When the layer that has the file or
+	 * 	directory doesn't have the method.
+	 */
+	async stat(fileOrDirPath) {
+		const layer = await this.#findLayer(fileOrDirPath);
+
+		if (!layer) {
+			return undefined;
+		}
+
+		assertLayerMethod(layer, "stat");
+		return layer.stat(fileOrDirPath);
+	}
+
+	/**
+	 * Creates a symbolic link in the top layer.
+	 * @param {string} target The path the link points to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is
+	 * 	created.
+	 * @throws {NoSuchMethodError} When the top layer doesn't have the method.
+	 */
+	async createSymlink(target, linkPath) {
+		assertLayerMethod(this.#top, "createSymlink");
+		await this.#prepareTop(linkPath, false);
+		await this.#top.createSymlink(target, linkPath);
+	}
+
+	/**
+	 * Reads the target of a symbolic link from the highest layer that has
+	 * the link.
+	 * @param {string|URL} linkPath The path to the link.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 * 	target or undefined if the link doesn't exist.
+	 */
+	async readSymlink(linkPath) {
+		const layer = await this.#findLayer(linkPath);
+
+		return typeof layer?.readSymlink === "function"
+			? layer.readSymlink(linkPath)
+			: undefined;
+	}
+
+	/**
+	 * Checks if a path is a symbolic link in the highest layer that has the
+	 * path.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	path is a symbolic link or false if not.
+	 */
+	async isSymlink(fileOrDirPath) {
+		const layer = await this.#findLayer(fileOrDirPath);
+
+		return typeof layer?.isSymlink === "function"
+			? layer.isSymlink(fileOrDirPath)
+			: false;
+	}
+
+	/**
+	 * Copies a file into the top layer.
+	 * @param {string|URL} source The path to the file to copy.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is copied.
+	 * @throws {NotFoundError} If the source file doesn't exist.
+	 * @throws {DirectoryError} If the source or destination is a directory.
+	 */
+	async copy(source, destination) {
+		const layer = await this.#findLayer(source);
+
+		if (!layer) {
+			throw new NotFoundError(`copy '${source}' -> '${destination}'`);
+		}
+
+		if (
+			!(await layer.isFile(source)) ||
+			(await this.isDirectory(destination))
+		) {
+			throw new DirectoryError(`copy '${source}' -> '${destination}'`);
+		}
+
+		await this.write(destination, await layer.bytes(source));
+	}
+
+	/**
+	 * Copies a file or directory and its contents into the top layer.
+	 * @param {string|URL} source The path to the file or directory to copy.
+	 * @param {string|URL} destination The path to copy to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 * 	copied.
+	 * @throws {NotFoundError} If the source doesn't exist.
+	 */
+	async copyAll(source, destination) {
+		if (await this.isFile(source)) {
+			await this.copy(source, destination);
+			return;
+		}
+
+		if (!(await this.isDirectory(source))) {
+			throw new NotFoundError(`copyAll '${source}' -> '${destination}'`);
+		}
+
+		await this.createDirectory(destination);
+
+		for await (const entry of this.list(source)) {
+			await this.copyAll(
+				joinPath(source, entry.name),
+				joinPath(destination, entry.name),
+			);
+		}
+	}
+
+	/**
+	 * Moves a file by copying it into the top layer and then deleting the
+	 * original.
+	 * @param {string|URL} source The path to the file to move.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is moved.
+	 * @throws {NotFoundError} If the source file doesn't exist.
+	 * @throws {DirectoryError} If the source or destination is a directory.
+	 */
+	async move(source, destination) {
+		await this.copy(source, destination);
+		await this.#remove(source);
+	}
+
+	/**
+	 * Moves a file or directory by copying it into the top layer and then
+	 * deleting the original.
+	 * @param {string|URL} source The path to the file or directory to move.
+	 * @param {string|URL} destination The path to move to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 * 	moved.
+	 * @throws {NotFoundError} If the source doesn't exist.
+	 */
+	async moveAll(source, destination) {
+		await this.copyAll(source, destination);
+		await this.#remove(source);
+	}
+}
@@ -17,36 +17,99 @@
 //-----------------------------------------------------------------------------
 
 /**
- * Normalizes a path to use forward slashes.
- * @param {string} filePath The path to normalize.
- * @returns {string} The normalized path.
+ * Splits a path string into its root and the rest of the path. The root uses
+ * forward slashes and ends with a slash, so it's "/" for POSIX paths, "C:/"
+ * for Windows drive paths, "//server/share/" for UNC paths, and an empty
+ * string for relative paths.
+ * @param {string} filePath The path to split.
+ * @returns {{root:string,rest:string}} The root and the rest of the path.
  */
-function normalizePath(filePath) {
-	let startIndex = 0;
-	let endIndex = filePath.length;
+function parseRoot(filePath) {
+	const unc = /^[/\\]{2}([^/\\]+)[/\\]+([^/\\]+)(?:[/\\]|$)/u.exec(filePath);
+
+	if (unc) {
+		return {
+			root: `//${unc[1]}/${unc[2]}/`,
+			rest: filePath.slice(unc[0].length),
+		};
+	}
+
+	const drive = /^([a-z]):(?:[/\\]|$)/iu.exec(filePath);
 
-	if (/[a-z]:\//i.test(filePath)) {
-		startIndex = 3;
+	if (drive) {
+		return {
+			root: `${drive[1]}:/`,
+			rest: filePath.slice(drive[0].length),
+		};
 	}
 
-	if (filePath.startsWith("./")) {
-		startIndex = 2;
+	if (/^[/\\]/u.test(filePath)) {
+		return { root: "/", rest: filePath.slice(1) };
 	}
 
-	if (filePath.startsWith("/")) {
-		startIndex = 1;
+	return { root: "", rest: filePath };
+}
+
+/**
+ * Splits a path string without a root into steps. Either slashes or
+ * backslashes can separate steps, and empty and "." steps are skipped.
+ * @param {string} filePath The path to split.
+ * @returns {Array<string>} The steps in the path.
+ */
+function splitPath(filePath) {
+	return filePath.split(/[/\\]/u).filter(step => step && step !== ".");
+}
+
+/**
+ * Normalizes a root to use forward slashes and end with a slash.
+ * @param {string} root The root to normalize.
+ * @returns {string} The normalized root.
+ * @throws {TypeError} When root is not a valid root.
+ */
+function normalizeRoot(root) {
+	if (typeof root !== "string") {
+		throw new TypeError("root must be a string");
 	}
 
-	if (filePath.endsWith("/")) {
-		endIndex = filePath.length - 1;
+	const parsed = parseRoot(root);
+
+	if (parsed.rest) {
+		throw new TypeError(
+			`root must be empty, "/", a drive such as "C:/", or a UNC share such as "//server/share/": "${root}"`,
+		);
 	}
 
-	return filePath.slice(startIndex, endIndex).replace(/\\/g, "/");
+	return parsed.root;
 }
 
 /**
- * Asserts that the given name is a non-empty string, no equal to "." or "..",
- * and does not contain a forward slash or backslash.
+ * Collapses ".." steps into the steps that precede them. Leading ".." steps
+ * are kept for relative paths and dropped for absolute paths because there
+ * is nothing above the root.
+ * @param {Array<string>} steps The steps to collapse.
+ * @param {boolean} absolute True if the steps follow a root.
+ * @returns {Array<string>} The collapsed steps.
+ */
+function collapseSteps(steps, absolute) {
+	const result = [];
+
+	for (const step of steps) {
+		if (step !== "..") {
+			result.push(step);
+		} else if (result.length && result[result.length - 1] !== "..") {
+			result.pop();
+		} else if (!absolute) {
+			result.push(step);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Asserts that the given name is a non-empty string, not equal to ".", and
+ * does not contain a forward slash or backslash. The name ".." is allowed
+ * so that paths can refer to parent directories.
  * @param {string} name The name to check.
  * @returns {void}
  * @throws {TypeError} When name is not valid.
@@ -64,10 +127,6 @@ function assertValidName(name) {
 		throw new TypeError(`name cannot be "."`);
 	}
 
-	if (name === "..") {
-		throw new TypeError(`name cannot be ".."`);
-	}
-
 	if (name.includes("/") || name.includes("\\")) {
 		throw new TypeError(
 			`name cannot contain a slash or backslash: "${name}"`,
@@ -86,18 +145,32 @@ export class Path {
 	 */
 	#steps;
 
+	/**
+	 * The root of the path: "/", a drive such as "C:/", a UNC share such as
+	 * "//server/share/", or an empty string for relative paths.
+	 * @type {string}
+	 */
+	#root;
+
 	/**
 	 * Creates a new instance.
 	 * @param {Iterable<string>} [steps] The steps to use for the path.
+	 * @param {object} [options] The options for the path.
+	 * @param {string} [options.root=""] The root of the path. Use "/" for
+	 * 	POSIX paths, a drive such as "C:/" or a UNC share such as
+	 * 	"//server/share/" for Windows paths, or an empty string for relative
+	 * 	paths. Backslashes may be used instead of slashes.
 	 * @throws {TypeError} When steps is not iterable.
+	 * @throws {TypeError} When root is not a valid root.
 	 */
-	constructor(steps = []) {
+	constructor(steps = [], { root = "" } = {}) {
 		if (typeof steps[Symbol.iterator] !== "function") {
 			throw new TypeError("steps must be iterable");
 		}
 
 		this.#steps = [...steps];
 		this.#steps.forEach(assertValidName);
+		this.#root = normalizeRoot(root);
 	}
 
 	/**
@@ -151,6 +224,50 @@ export class Path {
 		this.#steps[this.#steps.length - 1] = value;
 	}
 
+	/**
+	 * Retrieves the extension of the name, including the leading dot, or an
+	 * empty string if the name has no extension. Names that start with a dot
+	 * and have no other dots, such as ".gitignore", have no extension.
+	 * @type {string|undefined}
+	 */
+	get extension() {
+		const name = this.name;
+
+		if (name === undefined) {
+			return undefined;
+		}
+
+		const index = name.lastIndexOf(".");
+		return index > 0 && name !== ".." ? name.slice(index) : "";
+	}
+
+	/**
+	 * Retrieves the name without its extension.
+	 * @type {string|undefined}
+	 */
+	get stem() {
+		const name = this.name;
+
+		if (name === undefined) {
+			return undefined;
+		}
+
+		return name.slice(0, name.length - this.extension.length);
+	}
+
+	/**
+	 * Retrieves a new path to the directory containing this path, or
+	 * undefined if the path has no steps.
+	 * @type {Path|undefined}
+	 */
+	get parent() {
+		if (!this.#steps.length) {
+			return undefined;
+		}
+
+		return new Path(this.#steps.slice(0, -1), { root: this.#root });
+	}
+
 	/**
 	 * Retrieves the size of the path.
 	 * @type {number}
@@ -160,11 +277,177 @@ export class Path {
 	}
 
 	/**
-	 * Returns the path as a string.
+	 * Retrieves the root of the path: "/", a drive such as "C:/", a UNC share
+	 * such as "//server/share/", or an empty string for relative paths.
+	 * @type {string}
+	 */
+	get root() {
+		return this.#root;
+	}
+
+	/**
+	 * Indicates if the path starts at a root rather than being relative to
+	 * another location.
+	 * @type {boolean}
+	 */
+	get isAbsolute() {
+		return this.#root !== "";
+	}
+
+	/**
+	 * Creates a new path by appending the steps of the given paths to the
+	 * steps of this path. The paths are appended as-is, so use `resolve()`
+	 * to collapse any ".." steps.
+	 * @param {...(string|URL|Path|Array<string>)} pathishes The paths to
+	 * 	append.
+	 * @returns {Path} A new Path instance.
+	 * @throws {TypeError} When any of the paths is not valid.
+	 */
+	join(...pathishes) {
+		const steps = [...this.#steps];
+
+		for (const pathish of pathishes) {
+			steps.push(...Path.from(pathish));
+		}
+
+		return new Path(steps, { root: this.#root });
+	}
+
+	/**
+	 * Creates a new path with every ".." step collapsed into the step before
+	 * it. Leading ".." steps are kept for relative paths and dropped for
+	 * absolute paths.
+	 * @returns {Path} A new Path instance.
+	 */
+	resolve() {
+		return new Path(collapseSteps(this.#steps, this.isAbsolute), {
+			root: this.#root,
+		});
+	}
+
+	/**
+	 * Creates a new relative path that leads from the given path to this
+	 * path. For example, the path "a/b/c" relative to "a/d" is "../b/c".
+	 * @param {string|URL|Path|Array<string>} pathish The path to start from.
+	 * @returns {Path} A new Path instance.
+	 * @throws {TypeError} When the paths have different roots.
+	 * @throws {TypeError} When the path to start from has ".." steps that
+	 * 	can't be collapsed.
+	 */
+	relativeTo(pathish) {
+		const other = Path.from(pathish);
+
+		if (this.#root !== other.root) {
+			throw new TypeError(
+				`paths must have the same root: "${this.#root}" and "${other.root}"`,
+			);
+		}
+
+		const steps = collapseSteps(this.#steps, this.isAbsolute);
+		const otherSteps = [...other.resolve()];
+		let index = 0;
+
+		while (
+			index < steps.length &&
+			index < otherSteps.length &&
+			steps[index] === otherSteps[index]
+		) {
+			index++;
+		}
+
+		const remaining = otherSteps.slice(index);
+
+		if (remaining.includes("..")) {
+			throw new TypeError(
+				`cannot find a path relative to "${other}" because it starts outside of the current directory`,
+			);
+		}
+
+		return new Path([...remaining.map(() => ".."), ...steps.slice(index)]);
+	}
+
+	/**
+	 * Determines if the given path has the same root and steps as this path.
+	 * Steps are compared as-is, so call `resolve()` first to ignore ".."
+	 * steps.
+	 * @param {string|URL|Path|Array<string>} pathish The path to compare.
+	 * @returns {boolean} True if the paths are equal.
+	 */
+	equals(pathish) {
+		const other = Path.from(pathish);
+
+		return this.size === other.size && this.startsWith(other);
+	}
+
+	/**
+	 * Determines if this path has the same root as the given path and starts
+	 * with all of its steps. Only whole steps are compared, so "foo/barbaz"
+	 * does not start with "foo/bar".
+	 * @param {string|URL|Path|Array<string>} pathish The path to look for.
+	 * @returns {boolean} True if this path starts with the given path.
+	 */
+	startsWith(pathish) {
+		const other = Path.from(pathish);
+
+		if (this.#root !== other.root || other.size > this.size) {
+			return false;
+		}
+
+		let index = 0;
+
+		for (const step of other) {
+			if (step !== this.#steps[index++]) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Returns the path as a string, including the root. POSIX style separates
+	 * steps with slashes and Windows style separates them with backslashes,
+	 * so the path "C:/foo/bar" is "C:\foo\bar" in Windows style.
+	 * @param {object} [options] The options for the string.
+	 * @param {"posix"|"windows"} [options.style="posix"] The style of the
+	 * 	string.
 	 * @returns {string} The path as a string.
+	 * @throws {TypeError} When style is not "posix" or "windows".
+	 */
+	toString({ style = "posix" } = {}) {
+		const posixPath = this.#root + this.#steps.join("/");
+
+		if (style === "windows") {
+			// steps can't contain slashes, so only separators are replaced
+			return posixPath.replace(/\//gu, "\\");
+		}
+
+		if (style !== "posix") {
+			throw new TypeError(`style must be "posix" or "windows"`);
+		}
+
+		return posixPath;
+	}
+
+	/**
+	 * Returns the path as a file URL. Any ".." steps are collapsed first and
+	 * UNC shares use the server as the host of the URL.
+	 * @returns {URL} The path as a file URL.
+	 * @throws {TypeError} When the path is not absolute.
 	 */
-	toString() {
-		return this.#steps.join("/");
+	toURL() {
+		if (!this.isAbsolute) {
+			throw new TypeError("path must be absolute to convert to a URL");
+		}
+
+		const steps = collapseSteps(this.#steps, true)
+			.map(encodeURIComponent)
+			.join("/");
+		const base = this.#root.startsWith("//")
+			? `file:${this.#root}`
+			: `file:///${this.#root === "/" ? "" : this.#root}`;
+
+		return new URL(base + steps);
 	}
 
 	/**
@@ -192,7 +475,11 @@ export class Path {
 			return Path.fromURL(pathish);
 		}
 
-		if (pathish instanceof Path || Array.isArray(pathish)) {
+		if (pathish instanceof Path) {
+			return new Path(pathish, { root: pathish.root });
+		}
+
+		if (Array.isArray(pathish)) {
 			return new Path(pathish);
 		}
 
@@ -206,7 +493,8 @@ export class Path {
 	 * @deprecated Use Path.from() instead.
 	 */
 	static fromString(fileOrDirPath) {
-		return new Path(normalizePath(fileOrDirPath).split("/"));
+		const { root, rest } = parseRoot(fileOrDirPath);
+		return new Path(splitPath(rest), { root });
 	}
 
 	/**
@@ -231,7 +519,17 @@ export class Path {
 			throw new TypeError(`url.protocol must be "file:"`);
 		}
 
-		// Remove leading slash in pathname
-		return new Path(normalizePath(url.pathname.slice(1)).split("/"));
+		// decode each step after splitting so encoded slashes don't create
+		// new steps
+		const steps = splitPath(url.pathname).map(decodeURIComponent);
+		let root = "/";
+
+		if (url.hostname) {
+			root = `//${url.hostname}/${steps.shift()}/`;
+		} else if (/^[a-z]:$/iu.test(steps[0])) {
+			root = `${steps.shift()}/`;
+		}
+
+		return new Path(steps, { root });
 	}
 }
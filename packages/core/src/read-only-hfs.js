@@ -0,0 +1,335 @@
+/**
+ * @fileoverview An impl that prevents changes to another impl.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
+/** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { PermissionError } from "./errors.js";
+import { Hfs, NoSuchMethodError } from "./hfs.js";
+import { sliceFile, streamFile } from "./impl-fallbacks.js";
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * An impl that forwards reads to another impl and rejects every method that
+ * would make changes with a `PermissionError`.
+ * @implements {HfsImpl}
+ */
+export class ReadOnlyHfsImpl {
+	/**
+	 * The impl to read from.
+	 * @type {HfsImpl}
+	 */
+	#impl;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {HfsImpl} options.impl The impl to read from.
+	 */
+	constructor({ impl }) {
+		this.#impl = impl;
+	}
+
+	/**
+	 * Asserts that the wrapped impl has the given optional method so that
+	 * a missing method fails the same way as it does without the wrapper.
+	 * @param {string} methodName The name of the method to check.
+	 * @returns {void}
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	#assertImplMethod(methodName) {
+		if (typeof this.#impl[methodName] !== "function") {
+			throw new NoSuchMethodError(methodName);
+		}
+	}
+
+	/**
+	 * Reads a file and returns the contents as an Uint8Array.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 * 	contents of the file or undefined if the file doesn't exist.
+	 */
+	async bytes(filePath) {
+		return this.#impl.bytes(filePath);
+	}
+
+	/**
+	 * Reads a range of bytes from a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The offset to start reading from.
+	 * @param {number} end The offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with
+	 * 	the bytes in the range or undefined if the file doesn't exist.
+	 */
+	async slice(filePath, start, end) {
+		return sliceFile(this.#impl, filePath, start, end);
+	}
+
+	/**
+	 * Reads a file as a stream.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 * 	resolves with the contents of the file or undefined if the file
+	 * 	doesn't exist.
+	 */
+	async stream(filePath) {
+		return streamFile(this.#impl, filePath);
+	}
+
+	/**
+	 * Checks if a file exists.
+	 * @param {string|URL} filePath The path to the file to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file exists or false if it doesn't.
+	 */
+	async isFile(filePath) {
+		return this.#impl.isFile(filePath);
+	}
+
+	/**
+	 * Checks if a directory exists.
+	 * @param {string|URL} dirPath The path to the directory to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	directory exists or false if it doesn't.
+	 */
+	async isDirectory(dirPath) {
+		return this.#impl.isDirectory(dirPath);
+	}
+
+	/**
+	 * Returns the entries in a directory.
+	 * @param {string|URL} dirPath The path to the directory to read.
+	 * @returns {AsyncIterable<HfsDirectoryEntry>} An async iterable of the
+	 * 	entries in the directory.
+	 */
+	async *list(dirPath) {
+		yield* this.#impl.list(dirPath);
+	}
+
+	/**
+	 * Returns the size of a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<number|undefined>} A promise that resolves with the
+	 * 	size of the file in bytes or undefined if the file doesn't exist.
+	 */
+	async size(filePath) {
+		return this.#impl.size(filePath);
+	}
+
+	/**
+	 * Returns the last modified date of a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<Date|undefined>} A promise that resolves with the last
+	 * 	modified date or undefined if the file or directory doesn't exist.
+	 */
+	async lastModified(fileOrDirPath) {
+		return this.#impl.lastModified(fileOrDirPath);
+	}
+
+	/**
+	 * Returns information about a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 * 	information or undefined if the file or directory doesn't exist.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async stat(fileOrDirPath) {
+		this.#assertImplMethod("stat");
+		return this.#impl.stat(fileOrDirPath);
+	}
+
+	/**
+	 * Reads the target of a symbolic link.
+	 * @param {string|URL} linkPath The path to the link.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 * 	target or undefined if the link doesn't exist.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async readSymlink(linkPath) {
+		this.#assertImplMethod("readSymlink");
+		return this.#impl.readSymlink(linkPath);
+	}
+
+	/**
+	 * Checks if a path is a symbolic link.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	path is a symbolic link or false if not.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async isSymlink(fileOrDirPath) {
+		this.#assertImplMethod("isSymlink");
+		return this.#impl.isSymlink(fileOrDirPath);
+	}
+
+	/**
+	 * Watches a directory and its subdirectories for changes. If the wrapped
+	 * impl can't watch, then the directory is polled instead.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {{signal?:AbortSignal}} [options] The options for watching.
+	 * @returns {AsyncIterable<HfsWatchEvent>} An async iterable of the
+	 * 	changes with paths relative to the directory.
+	 */
+	async *watch(dirPath, options) {
+		if (typeof this.#impl.watch === "function") {
+			yield* this.#impl.watch(dirPath, options);
+			return;
+		}
+
+		yield* new Hfs({ impl: this.#impl }).watch(dirPath, options);
+	}
+
+	/**
+	 * Rejects writing a file.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async write(filePath) {
+		throw new PermissionError(`write '${filePath}' (read-only)`);
+	}
+
+	/**
+	 * Rejects writing a file atomically.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async writeAtomic(filePath) {
+		throw new PermissionError(`writeAtomic '${filePath}' (read-only)`);
+	}
+
+	/**
+	 * Rejects writing a file from a stream.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async writeStream(filePath) {
+		throw new PermissionError(`writeStream '${filePath}' (read-only)`);
+	}
+
+	/**
+	 * Rejects appending to a file.
+	 * @param {string|URL} filePath The path to the file to append to.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async append(filePath) {
+		throw new PermissionError(`append '${filePath}' (read-only)`);
+	}
+
+	/**
+	 * Rejects creating a directory.
+	 * @param {string|URL} dirPath The path to the directory to create.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async createDirectory(dirPath) {
+		throw new PermissionError(`createDirectory '${dirPath}' (read-only)`);
+	}
+
+	/**
+	 * Rejects deleting a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async delete(fileOrDirPath) {
+		throw new PermissionError(`delete '${fileOrDirPath}' (read-only)`);
+	}
+
+	/**
+	 * Rejects deleting a file or directory recursively.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async deleteAll(fileOrDirPath) {
+		throw new PermissionError(`deleteAll '${fileOrDirPath}' (read-only)`);
+	}
+
+	/**
+	 * Rejects copying a file.
+	 * @param {string|URL} source The path to the file to copy.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async copy(source, destination) {
+		throw new PermissionError(
+			`copy '${source}' -> '${destination}' (read-only)`,
+		);
+	}
+
+	/**
+	 * Rejects copying a file or directory recursively.
+	 * @param {string|URL} source The path to the file or directory to copy.
+	 * @param {string|URL} destination The path to copy to.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async copyAll(source, destination) {
+		throw new PermissionError(
+			`copyAll '${source}' -> '${destination}' (read-only)`,
+		);
+	}
+
+	/**
+	 * Rejects moving a file.
+	 * @param {string|URL} source The path to the file to move.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async move(source, destination) {
+		throw new PermissionError(
+			`move '${source}' -> '${destination}' (read-only)`,
+		);
+	}
+
+	/**
+	 * Rejects moving a file or directory recursively.
+	 * @param {string|URL} source The path to the file or directory to move.
+	 * @param {string|URL} destination The path to move to.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async moveAll(source, destination) {
+		throw new PermissionError(
+			`moveAll '${source}' -> '${destination}' (read-only)`,
+		);
+	}
+
+	/**
+	 * Rejects creating a symbolic link.
+	 * @param {string} target The path the link points to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {PermissionError} Always.
+	 */
+	async createSymlink(target, linkPath) {
+		throw new PermissionError(`createSymlink '${linkPath}' (read-only)`);
+	}
+}
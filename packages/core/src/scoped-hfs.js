@@ -0,0 +1,1010 @@
+/**
+ * @fileoverview An impl that confines all paths to a root directory.
+ * @author Nicholas C. Zakas
+ */
+
+/* global URL */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
+/** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
+/** @typedef {import("./errors.js").HfsErrorOptions} HfsErrorOptions */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { Path } from "./path.js";
+import { HfsError, PermissionError, SymlinkLoopError } from "./errors.js";
+import { Hfs, NoSuchMethodError } from "./hfs.js";
+import { sliceFile, streamFile, writeFileStream } from "./impl-fallbacks.js";
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The most symbolic links that are followed while resolving a path, which
+ * matches the limit used by Linux.
+ */
+const MAX_SYMLINKS = 40;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Resolves a string path or file URL into a Path relative to the root
+ * directory. Absolute paths, including file URLs, are treated as starting at
+ * the root directory.
+ * @param {string|URL} fileOrDirPath The path to resolve.
+ * @returns {Path|undefined} The path relative to the root directory or
+ * 	undefined if a ".." step would leave the root directory.
+ */
+function resolvePath(fileOrDirPath) {
+	const pathString =
+		fileOrDirPath instanceof URL
+			? decodeURIComponent(fileOrDirPath.pathname)
+			: fileOrDirPath.replace(/^[a-z]:/iu, "");
+	const path = new Path();
+
+	for (const step of pathString.split(/[/\\]/u)) {
+		if (step === "..") {
+			if (!path.size) {
+				return undefined;
+			}
+
+			path.pop();
+		} else if (step && step !== ".") {
+			path.push(step);
+		}
+	}
+
+	return path;
+}
+
+/**
+ * Checks if a symbolic link target is an absolute path.
+ * @param {string} target The target to check.
+ * @returns {boolean} True if the target is absolute.
+ */
+function isAbsoluteTarget(target) {
+	return /^(?:[/\\]|[a-z]:)/iu.test(target);
+}
+
+/**
+ * Resolves a relative symbolic link target against the directory that
+ * contains the link.
+ * @param {string} target The relative target of the link.
+ * @param {Path} parentPath The path to the directory that contains the link
+ * 	relative to the root directory.
+ * @returns {Path|undefined} The path the target points to relative to the
+ * 	root directory or undefined if it's outside of the root directory.
+ */
+function resolveRelativeTarget(target, parentPath) {
+	return resolvePath(`${parentPath}/${target}`);
+}
+
+/**
+ * Escapes the characters in a string that have a special meaning in a
+ * regular expression.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/gu, "\\$&");
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * An impl that confines another impl to a root directory, like `chroot`.
+ * Every path is resolved relative to the root directory, so absolute paths
+ * start at the root directory and paths that use ".." to leave it are
+ * rejected. The impl can also be made read-only.
+ *
+ * Errors from the wrapped impl don't reveal where the root directory is:
+ * their paths and messages are converted to start at the root directory and
+ * the original error isn't kept as the cause.
+ *
+ * Symbolic links created through this impl must point inside the root
+ * directory. Before each call to the wrapped impl, the links in the path are
+ * followed one step at a time with `isSymlink()` and `readSymlink()`, and a
+ * path that leads outside of the root directory is rejected, so links that
+ * already exist in the wrapped impl can't be used to escape. Links are
+ * checked before the call rather than during it, so a link that's changed
+ * in between by something outside of this impl isn't caught.
+ * @implements {HfsImpl}
+ */
+export class ScopedHfsImpl {
+	/**
+	 * The impl to confine.
+	 * @type {HfsImpl}
+	 */
+	#impl;
+
+	/**
+	 * The root directory in the wrapped impl. Strings have no trailing slash
+	 * and URLs always have one so steps can be resolved against them.
+	 * @type {string|URL}
+	 */
+	#root;
+
+	/**
+	 * The root directory as a path, used to convert paths in the wrapped impl
+	 * back into paths inside of the root directory.
+	 * @type {Path}
+	 */
+	#rootPath;
+
+	/**
+	 * Matches the root directory in the messages of errors from the wrapped
+	 * impl or undefined if the root directory is a filesystem root, which
+	 * doesn't need to be hidden.
+	 * @type {RegExp|undefined}
+	 */
+	#rootPattern;
+
+	/**
+	 * Whether the methods that make changes should be rejected.
+	 * @type {boolean}
+	 */
+	#readOnly;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {HfsImpl} options.impl The impl to confine.
+	 * @param {string|URL} options.root The directory in the wrapped impl that
+	 * 	all paths are confined to.
+	 * @param {boolean} [options.readOnly=false] Whether to reject all methods
+	 * 	that make changes.
+	 * @throws {TypeError} When root is not a non-empty string or file URL.
+	 */
+	constructor({ impl, root, readOnly = false }) {
+		if (
+			!(root instanceof URL && root.protocol === "file:") &&
+			(typeof root !== "string" || !root)
+		) {
+			throw new TypeError("Root must be a non-empty string or file URL.");
+		}
+
+		this.#impl = impl;
+		this.#root =
+			root instanceof URL
+				? new URL(root.href.replace(/\/*$/u, "/"))
+				: root.replace(/(?<=.)[/\\]+$/u, "");
+		this.#readOnly = readOnly;
+		this.#rootPath =
+			root instanceof URL && root.pathname === "/"
+				? new Path([], { root: "/" })
+				: Path.from(this.#root).resolve();
+
+		const rootStrings = [
+			this.#root instanceof URL
+				? this.#root.href.replace(/\/$/u, "")
+				: this.#root,
+			this.#rootPath.toString(),
+			this.#rootPath.toString({ style: "windows" }),
+		].filter(rootString => /[^/\\]$/u.test(rootString));
+
+		if (rootStrings.length) {
+			this.#rootPattern = new RegExp(
+				`(?<=^|[\\s'"])(?:${[...new Set(rootStrings)]
+					.sort((a, b) => b.length - a.length)
+					.map(escapeRegExp)
+					.join("|")})(?=([/\\\\])|[\\s'",:]|$)`,
+				"gu",
+			);
+		}
+	}
+
+	/**
+	 * Whether the methods that make changes are rejected.
+	 * @type {boolean}
+	 */
+	get readOnly() {
+		return this.#readOnly;
+	}
+
+	/**
+	 * Follows the symbolic links in a path one step at a time to make sure
+	 * that none of them leads outside of the root directory. When the wrapped
+	 * impl can't read links, there are no links to follow.
+	 * @param {string|URL} fileOrDirPath The path to resolve.
+	 * @param {string} operation The operation being attempted.
+	 * @param {boolean} followLast Whether to follow a link at the end of the
+	 * 	path or leave it as-is, such as when deleting the link.
+	 * @returns {Promise<{path: Path, resolvedPath: Path}>} The path relative
+	 * 	to the root directory and the same path with its links resolved.
+	 * @throws {PermissionError} If the path or a link in it leads outside of
+	 * 	the root directory.
+	 * @throws {SymlinkLoopError} If the path has too many links to follow.
+	 */
+	async #resolve(fileOrDirPath, operation, followLast) {
+		const path = resolvePath(fileOrDirPath);
+
+		if (!path) {
+			throw new PermissionError(`${operation} (outside of scope)`);
+		}
+
+		if (
+			typeof this.#impl.isSymlink !== "function" ||
+			typeof this.#impl.readSymlink !== "function"
+		) {
+			return { path, resolvedPath: path };
+		}
+
+		const pending = [...path];
+		let resolvedPath = new Path();
+		let linkCount = 0;
+
+		while (pending.length) {
+			const step = pending.shift();
+
+			if (step === "..") {
+				if (!resolvedPath.size) {
+					throw new PermissionError(
+						`${operation} (outside of scope)`,
+					);
+				}
+
+				resolvedPath.pop();
+				continue;
+			}
+
+			resolvedPath.push(step);
+
+			if (!pending.length && !followLast) {
+				break;
+			}
+
+			const implPath = this.#getImplPath(resolvedPath);
+			let target;
+
+			try {
+				target = (await this.#impl.isSymlink(implPath))
+					? await this.#impl.readSymlink(implPath)
+					: undefined;
+			} catch {
+				// the rest of the path can't exist, so the wrapped impl reports it
+				break;
+			}
+
+			if (target === undefined) {
+				continue;
+			}
+
+			if (++linkCount > MAX_SYMLINKS) {
+				throw new SymlinkLoopError(operation);
+			}
+
+			resolvedPath.pop();
+
+			if (isAbsoluteTarget(target)) {
+				const scopePath = this.#toScopePath(target);
+
+				if (scopePath === undefined) {
+					throw new PermissionError(
+						`${operation} (outside of scope)`,
+					);
+				}
+
+				resolvedPath = new Path();
+				pending.unshift(...resolvePath(scopePath));
+			} else {
+				pending.unshift(
+					...target
+						.split(/[/\\]/u)
+						.filter(targetStep => targetStep && targetStep !== "."),
+				);
+			}
+		}
+
+		return { path, resolvedPath };
+	}
+
+	/**
+	 * Converts a path into the matching path in the wrapped impl after making
+	 * sure that the symbolic links in it don't lead outside of the root
+	 * directory.
+	 * @param {string|URL} fileOrDirPath The path to convert.
+	 * @param {string} operation The operation being attempted.
+	 * @param {{followLast?: boolean}} [options] Whether to check a link at
+	 * 	the end of the path, which isn't needed when the operation doesn't
+	 * 	follow it.
+	 * @returns {Promise<string|URL>} The path in the wrapped impl.
+	 * @throws {PermissionError} If the path or a link in it leads outside of
+	 * 	the root directory.
+	 * @throws {SymlinkLoopError} If the path has too many links to follow.
+	 */
+	async #toImplPath(fileOrDirPath, operation, { followLast = true } = {}) {
+		const { path } = await this.#resolve(
+			fileOrDirPath,
+			operation,
+			followLast,
+		);
+
+		return this.#getImplPath(path);
+	}
+
+	/**
+	 * Converts a path relative to the root directory into the matching path
+	 * in the wrapped impl.
+	 * @param {Path} path The path relative to the root directory.
+	 * @returns {string|URL} The path in the wrapped impl.
+	 */
+	#getImplPath(path) {
+		if (!path.size) {
+			return this.#root;
+		}
+
+		if (this.#root instanceof URL) {
+			return new URL(
+				[...path].map(step => encodeURIComponent(step)).join("/"),
+				this.#root,
+			);
+		}
+
+		return /[/\\]$/u.test(this.#root)
+			? this.#root + path.toString()
+			: `${this.#root}/${path}`;
+	}
+
+	/**
+	 * Converts a path in the wrapped impl into a path that starts at the root
+	 * directory.
+	 * @param {string|URL|undefined} implPath The path in the wrapped impl.
+	 * @returns {string|undefined} The path starting with "/" or undefined if
+	 * 	the path isn't inside of the root directory.
+	 */
+	#toScopePath(implPath) {
+		let path;
+
+		try {
+			path = Path.from(implPath).resolve();
+		} catch {
+			return undefined;
+		}
+
+		if (!path.startsWith(this.#rootPath)) {
+			return undefined;
+		}
+
+		return `/${[...path].slice(this.#rootPath.size).join("/")}`;
+	}
+
+	/**
+	 * Converts an error from the wrapped impl into an error that doesn't
+	 * reveal the root directory. Paths inside of the root directory are
+	 * converted to start at the root directory, other paths are removed, and
+	 * the original error isn't kept as the cause.
+	 * @param {any} error The error from the wrapped impl.
+	 * @param {string} methodName The name of the method that failed.
+	 * @returns {any} The converted error or the original error if it isn't
+	 * 	a file system error.
+	 */
+	#toScopeError(error, methodName) {
+		const hfsError = HfsError.from(error, { method: methodName });
+
+		if (!(hfsError instanceof HfsError)) {
+			return error;
+		}
+
+		const ErrorClass =
+			/** @type {new (message: string, options?: HfsErrorOptions) => HfsError} */ (
+				hfsError.constructor
+			);
+
+		// the constructor adds the prefix again
+		const prefix = new ErrorClass("").message;
+		let message = hfsError.message.startsWith(prefix)
+			? hfsError.message.slice(prefix.length)
+			: hfsError.message;
+
+		if (this.#rootPattern) {
+			message = message.replace(this.#rootPattern, (match, separator) =>
+				separator ? "" : "/",
+			);
+		}
+
+		return new ErrorClass(message, {
+			path: this.#toScopePath(hfsError.path),
+			destination: this.#toScopePath(hfsError.destination),
+			syscall: hfsError.syscall,
+			method: hfsError.method ?? methodName,
+		});
+	}
+
+	/**
+	 * Calls the wrapped impl and converts any error it throws so that the
+	 * root directory isn't revealed.
+	 * @template T
+	 * @param {string} methodName The name of the method being called.
+	 * @param {() => Promise<T>} call Calls the wrapped impl.
+	 * @returns {Promise<T>} The result of the call.
+	 */
+	async #call(methodName, call) {
+		try {
+			return await call();
+		} catch (error) {
+			throw this.#toScopeError(error, methodName);
+		}
+	}
+
+	/**
+	 * Converts the target of a symbolic link in the wrapped impl into a
+	 * target inside of the root directory. Relative targets are kept as-is
+	 * and absolute targets are converted to start at the root directory.
+	 * @param {string} target The target of the link in the wrapped impl.
+	 * @param {Path} parentPath The path to the directory that contains the
+	 * 	link with its links resolved.
+	 * @param {string} operation The operation being attempted.
+	 * @returns {string} The target inside of the root directory.
+	 * @throws {PermissionError} If the target is outside of the root
+	 * 	directory.
+	 */
+	#toScopeTarget(target, parentPath, operation) {
+		const scopeTarget = isAbsoluteTarget(target)
+			? this.#toScopePath(target)
+			: resolveRelativeTarget(target, parentPath) && target;
+
+		if (!scopeTarget) {
+			throw new PermissionError(`${operation} (outside of scope)`);
+		}
+
+		return scopeTarget;
+	}
+
+	/**
+	 * Converts the target of a symbolic link into a target for the wrapped
+	 * impl. Relative targets are kept as-is and absolute targets, which start
+	 * at the root directory, are converted into targets relative to the
+	 * link so they don't depend on where the root directory is.
+	 * @param {string} target The target of the link.
+	 * @param {Path} parentPath The path to the directory that contains the
+	 * 	link with its links resolved.
+	 * @param {string} operation The operation being attempted.
+	 * @returns {string} The target for the wrapped impl.
+	 * @throws {PermissionError} If the target is outside of the root
+	 * 	directory.
+	 */
+	#toImplTarget(target, parentPath, operation) {
+		if (isAbsoluteTarget(target)) {
+			const targetPath = resolvePath(target);
+
+			if (!targetPath) {
+				throw new PermissionError(`${operation} (outside of scope)`);
+			}
+
+			return (
+				[...Array(parentPath.size).fill(".."), ...targetPath].join(
+					"/",
+				) || "."
+			);
+		}
+
+		if (!resolveRelativeTarget(target, parentPath)) {
+			throw new PermissionError(`${operation} (outside of scope)`);
+		}
+
+		return target;
+	}
+
+	/**
+	 * Asserts that the wrapped impl has the given optional method so that
+	 * a missing method fails the same way as it does without the scope.
+	 * @param {string} methodName The name of the method to check.
+	 * @returns {void}
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	#assertImplMethod(methodName) {
+		if (typeof this.#impl[methodName] !== "function") {
+			throw new NoSuchMethodError(methodName);
+		}
+	}
+
+	/**
+	 * Throws an error if the impl is read-only.
+	 * @param {string} operation The operation being attempted.
+	 * @returns {void}
+	 * @throws {PermissionError} If the impl is read-only.
+	 */
+	#assertWritable(operation) {
+		if (this.#readOnly) {
+			throw new PermissionError(`${operation} (read-only)`);
+		}
+	}
+
+	/**
+	 * Reads a file and returns the contents as an Uint8Array.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 * 	contents of the file or undefined if the file doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async bytes(filePath) {
+		const implPath = await this.#toImplPath(
+			filePath,
+			`bytes '${filePath}'`,
+		);
+		return this.#call("bytes", () => this.#impl.bytes(implPath));
+	}
+
+	/**
+	 * Reads a range of bytes from a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The offset to start reading from.
+	 * @param {number} end The offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with
+	 * 	the bytes in the range or undefined if the file doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async slice(filePath, start, end) {
+		const implPath = await this.#toImplPath(
+			filePath,
+			`slice '${filePath}'`,
+		);
+		return this.#call("slice", () =>
+			sliceFile(this.#impl, implPath, start, end),
+		);
+	}
+
+	/**
+	 * Reads a file as a stream.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 * 	resolves with the contents of the file or undefined if the file
+	 * 	doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async stream(filePath) {
+		const implPath = await this.#toImplPath(
+			filePath,
+			`stream '${filePath}'`,
+		);
+		return this.#call("stream", () => streamFile(this.#impl, implPath));
+	}
+
+	/**
+	 * Writes a value to a file, creating any necessary directories along the
+	 * way.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {PermissionError} If the path is outside of the root directory
+	 * 	or the impl is read-only.
+	 */
+	async write(filePath, contents) {
+		const operation = `write '${filePath}'`;
+
+		this.#assertWritable(operation);
+		const implPath = await this.#toImplPath(filePath, operation);
+		return this.#call("write", () => this.#impl.write(implPath, contents));
+	}
+
+	/**
+	 * Writes a value to a file so that readers see either the old or the new
+	 * contents.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {PermissionError} If the path is outside of the root directory
+	 * 	or the impl is read-only.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async writeAtomic(filePath, contents) {
+		this.#assertImplMethod("writeAtomic");
+
+		const operation = `writeAtomic '${filePath}'`;
+
+		this.#assertWritable(operation);
+		const implPath = await this.#toImplPath(filePath, operation);
+		return this.#call("writeAtomic", () =>
+			this.#impl.writeAtomic(implPath, contents),
+		);
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write.
+	 * @param {{size?:number}} [options] The options for writing.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {PermissionError} If the path is outside of the root directory
+	 * 	or the impl is read-only.
+	 */
+	async writeStream(filePath, source, options) {
+		const operation = `writeStream '${filePath}'`;
+
+		this.#assertWritable(operation);
+		const implPath = await this.#toImplPath(filePath, operation);
+		return this.#call("writeStream", () =>
+			writeFileStream(this.#impl, implPath, source, options),
+		);
+	}
+
+	/**
+	 * Appends a value to a file, creating any necessary directories along the
+	 * way.
+	 * @param {string|URL} filePath The path to the file to append to.
+	 * @param {Uint8Array} contents The contents to append.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 * 	written.
+	 * @throws {PermissionError} If the path is outside of the root directory
+	 * 	or the impl is read-only.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async append(filePath, contents) {
+		this.#assertImplMethod("append");
+
+		const operation = `append '${filePath}'`;
+
+		this.#assertWritable(operation);
+		const implPath = await this.#toImplPath(filePath, operation);
+		return this.#call("append", () =>
+			this.#impl.append(implPath, contents),
+		);
+	}
+
+	/**
+	 * Checks if a file exists.
+	 * @param {string|URL} filePath The path to the file to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file exists or false if it doesn't.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async isFile(filePath) {
+		const implPath = await this.#toImplPath(
+			filePath,
+			`isFile '${filePath}'`,
+		);
+		return this.#call("isFile", () => this.#impl.isFile(implPath));
+	}
+
+	/**
+	 * Checks if a directory exists.
+	 * @param {string|URL} dirPath The path to the directory to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	directory exists or false if it doesn't.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async isDirectory(dirPath) {
+		const implPath = await this.#toImplPath(
+			dirPath,
+			`isDirectory '${dirPath}'`,
+		);
+		return this.#call("isDirectory", () =>
+			this.#impl.isDirectory(implPath),
+		);
+	}
+
+	/**
+	 * Creates a directory, along with any missing parent directories.
+	 * @param {string|URL} dirPath The path to the directory to create.
+	 * @returns {Promise<void>} A promise that resolves when the directory is
+	 * 	created.
+	 * @throws {PermissionError} If the path is outside of the root directory
+	 * 	or the impl is read-only.
+	 */
+	async createDirectory(dirPath) {
+		const operation = `createDirectory '${dirPath}'`;
+
+		this.#assertWritable(operation);
+		const implPath = await this.#toImplPath(dirPath, operation);
+		return this.#call("createDirectory", () =>
+			this.#impl.createDirectory(implPath),
+		);
+	}
+
+	/**
+	 * Deletes a file or empty directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file or directory was deleted or false if it doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory
+	 * 	or the impl is read-only.
+	 */
+	async delete(fileOrDirPath) {
+		const operation = `delete '${fileOrDirPath}'`;
+
+		this.#assertWritable(operation);
+		const implPath = await this.#toImplPath(fileOrDirPath, operation, {
+			followLast: false,
+		});
+		return this.#call("delete", () => this.#impl.delete(implPath));
+	}
+
+	/**
+	 * Deletes a file or directory recursively.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 * 	delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	file or directory was deleted or false if it doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory
+	 * 	or the impl is read-only.
+	 */
+	async deleteAll(fileOrDirPath) {
+		const operation = `deleteAll '${fileOrDirPath}'`;
+
+		this.#assertWritable(operation);
+		const implPath = await this.#toImplPath(fileOrDirPath, operation, {
+			followLast: false,
+		});
+		return this.#call("deleteAll", () => this.#impl.deleteAll(implPath));
+	}
+
+	/**
+	 * Returns the entries in a directory.
+	 * @param {string|URL} dirPath The path to the directory to read.
+	 * @returns {AsyncIterable<HfsDirectoryEntry>} An async iterable of the
+	 * 	entries in the directory.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async *list(dirPath) {
+		const implPath = await this.#toImplPath(dirPath, `list '${dirPath}'`);
+
+		try {
+			yield* this.#impl.list(implPath);
+		} catch (error) {
+			throw this.#toScopeError(error, "list");
+		}
+	}
+
+	/**
+	 * Returns the size of a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<number|undefined>} A promise that resolves with the
+	 * 	size of the file in bytes or undefined if the file doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async size(filePath) {
+		const implPath = await this.#toImplPath(filePath, `size '${filePath}'`);
+		return this.#call("size", () => this.#impl.size(implPath));
+	}
+
+	/**
+	 * Returns the last modified date of a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<Date|undefined>} A promise that resolves with the last
+	 * 	modified date or undefined if the file or directory doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async lastModified(fileOrDirPath) {
+		const implPath = await this.#toImplPath(
+			fileOrDirPath,
+			`lastModified '${fileOrDirPath}'`,
+		);
+		return this.#call("lastModified", () =>
+			this.#impl.lastModified(implPath),
+		);
+	}
+
+	/**
+	 * Returns information about a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 * 	information or undefined if the file or directory doesn't exist.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async stat(fileOrDirPath) {
+		this.#assertImplMethod("stat");
+		const implPath = await this.#toImplPath(
+			fileOrDirPath,
+			`stat '${fileOrDirPath}'`,
+		);
+		return this.#call("stat", () => this.#impl.stat(implPath));
+	}
+
+	/**
+	 * Copies a file from one location to another.
+	 * @param {string|URL} source The path to the file to copy.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is copied.
+	 * @throws {PermissionError} If either path is outside of the root
+	 * 	directory or the impl is read-only.
+	 */
+	async copy(source, destination) {
+		const operation = `copy '${source}' -> '${destination}'`;
+
+		this.#assertWritable(operation);
+		const implSource = await this.#toImplPath(source, operation, {
+			followLast: false,
+		});
+		const implDestination = await this.#toImplPath(destination, operation);
+		return this.#call("copy", () =>
+			this.#impl.copy(implSource, implDestination),
+		);
+	}
+
+	/**
+	 * Copies a file or directory and its contents.
+	 * @param {string|URL} source The path to the file or directory to copy.
+	 * @param {string|URL} destination The path to copy to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 * 	copied.
+	 * @throws {PermissionError} If either path is outside of the root
+	 * 	directory or the impl is read-only.
+	 */
+	async copyAll(source, destination) {
+		const operation = `copyAll '${source}' -> '${destination}'`;
+
+		this.#assertWritable(operation);
+		const implSource = await this.#toImplPath(source, operation, {
+			followLast: false,
+		});
+		const implDestination = await this.#toImplPath(destination, operation);
+		return this.#call("copyAll", () =>
+			this.#impl.copyAll(implSource, implDestination),
+		);
+	}
+
+	/**
+	 * Moves a file from one location to another.
+	 * @param {string|URL} source The path to the file to move.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is moved.
+	 * @throws {PermissionError} If either path is outside of the root
+	 * 	directory or the impl is read-only.
+	 */
+	async move(source, destination) {
+		const operation = `move '${source}' -> '${destination}'`;
+
+		this.#assertWritable(operation);
+		const implSource = await this.#toImplPath(source, operation, {
+			followLast: false,
+		});
+		const implDestination = await this.#toImplPath(destination, operation, {
+			followLast: false,
+		});
+		return this.#call("move", () =>
+			this.#impl.move(implSource, implDestination),
+		);
+	}
+
+	/**
+	 * Moves a file or directory and its contents.
+	 * @param {string|URL} source The path to the file or directory to move.
+	 * @param {string|URL} destination The path to move to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 * 	moved.
+	 * @throws {PermissionError} If either path is outside of the root
+	 * 	directory or the impl is read-only.
+	 */
+	async moveAll(source, destination) {
+		const operation = `moveAll '${source}' -> '${destination}'`;
+
+		this.#assertWritable(operation);
+		const implSource = await this.#toImplPath(source, operation, {
+			followLast: false,
+		});
+		const implDestination = await this.#toImplPath(destination, operation, {
+			followLast: false,
+		});
+		return this.#call("moveAll", () =>
+			this.#impl.moveAll(implSource, implDestination),
+		);
+	}
+
+	/**
+	 * Creates a symbolic link. Absolute targets start at the root directory.
+	 * @param {string} target The path the link points to.
+	 * @param {string|URL} linkPath The path to the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is
+	 * 	created.
+	 * @throws {PermissionError} If the link or its target is outside of the
+	 * 	root directory or the impl is read-only.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async createSymlink(target, linkPath) {
+		this.#assertImplMethod("createSymlink");
+
+		const operation = `createSymlink '${target}' -> '${linkPath}'`;
+
+		this.#assertWritable(operation);
+		const { path, resolvedPath } = await this.#resolve(
+			linkPath,
+			operation,
+			false,
+		);
+		const implTarget = this.#toImplTarget(
+			target,
+			resolvedPath.parent ?? resolvedPath,
+			operation,
+		);
+		const implPath = this.#getImplPath(path);
+		return this.#call("createSymlink", () =>
+			this.#impl.createSymlink(implTarget, implPath),
+		);
+	}
+
+	/**
+	 * Reads the target of a symbolic link. Absolute targets start at the root
+	 * directory.
+	 * @param {string|URL} linkPath The path to the link.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 * 	target or undefined if the link doesn't exist.
+	 * @throws {PermissionError} If the link or its target is outside of the
+	 * 	root directory.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async readSymlink(linkPath) {
+		this.#assertImplMethod("readSymlink");
+		const operation = `readSymlink '${linkPath}'`;
+		const { path, resolvedPath } = await this.#resolve(
+			linkPath,
+			operation,
+			false,
+		);
+		const implPath = this.#getImplPath(path);
+		const target = await this.#call("readSymlink", () =>
+			this.#impl.readSymlink(implPath),
+		);
+
+		return target === undefined
+			? undefined
+			: this.#toScopeTarget(
+					target,
+					resolvedPath.parent ?? resolvedPath,
+					operation,
+				);
+	}
+
+	/**
+	 * Checks if a path is a symbolic link.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 * 	path is a symbolic link or false if not.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 * 	method.
+	 */
+	async isSymlink(fileOrDirPath) {
+		this.#assertImplMethod("isSymlink");
+		const implPath = await this.#toImplPath(
+			fileOrDirPath,
+			`isSymlink '${fileOrDirPath}'`,
+			{ followLast: false },
+		);
+		return this.#call("isSymlink", () => this.#impl.isSymlink(implPath));
+	}
+
+	/**
+	 * Watches a directory and its subdirectories for changes. If the wrapped
+	 * impl can't watch, then the directory is polled instead.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {{signal?:AbortSignal}} [options] The options for watching.
+	 * @returns {AsyncIterable<HfsWatchEvent>} An async iterable of the
+	 * 	changes with paths relative to the directory.
+	 * @throws {PermissionError} If the path is outside of the root directory.
+	 */
+	async *watch(dirPath, options) {
+		const implPath = await this.#toImplPath(dirPath, `watch '${dirPath}'`);
+
+		try {
+			yield* typeof this.#impl.watch === "function"
+				? this.#impl.watch(implPath, options)
+				: new Hfs({ impl: this.#impl }).watch(implPath, options);
+		} catch (error) {
+			throw this.#toScopeError(error, "watch");
+		}
+	}
+}
@@ -2,16 +2,27 @@
  * @fileoverview Tests for the Hfs class.
  * @author Nicholas C. Zakas
  */
-/* global it, describe */
+/* global it, describe, DOMException */
 
 //------------------------------------------------------------------------------
 // Imports
 //------------------------------------------------------------------------------
 
 import {
+	HfsError,
 	PermissionError,
 	DirectoryError,
 	NotFoundError,
+	NotEmptyError,
+	AlreadyExistsError,
+	NotDirectoryError,
+	SymlinkLoopError,
+	TooManyOpenFilesError,
+	ReadOnlyError,
+	NoSpaceError,
+	CrossDeviceError,
+	TimeoutError,
+	QuotaExceededError,
 } from "../src/errors.js";
 import assert from "node:assert";
 
@@ -52,4 +63,225 @@ describe("Errors", () => {
 			assert.strictEqual(error.code, "EISDIR");
 		});
 	});
+
+	describe("HfsError", () => {
+		it("should store the details of the error", () => {
+			const cause = new Error("Boom");
+			const error = new HfsError("Something failed", {
+				path: "foo.txt",
+				destination: "bar.txt",
+				syscall: "rename",
+				method: "move",
+				cause,
+			});
+
+			assert.strictEqual(error.name, "HfsError");
+			assert.strictEqual(error.message, "Something failed");
+			assert.strictEqual(error.path, "foo.txt");
+			assert.strictEqual(error.destination, "bar.txt");
+			assert.strictEqual(error.syscall, "rename");
+			assert.strictEqual(error.method, "move");
+			assert.strictEqual(error.cause, cause);
+		});
+
+		it("should not have a cause when none is given", () => {
+			const error = new HfsError("Something failed");
+
+			assert.strictEqual("cause" in error, false);
+		});
+	});
+
+	describe("Subclasses", () => {
+		const errors = [
+			[NotFoundError, "ENOENT", "No such file or directory"],
+			[PermissionError, "EPERM", "Operation not permitted"],
+			[DirectoryError, "EISDIR", "Illegal operation on a directory"],
+			[NotEmptyError, "ENOTEMPTY", "Directory not empty"],
+			[AlreadyExistsError, "EEXIST", "File already exists"],
+			[NotDirectoryError, "ENOTDIR", "Not a directory"],
+			[SymlinkLoopError, "ELOOP", "Too many levels of symbolic links"],
+			[TooManyOpenFilesError, "EMFILE", "Too many open files"],
+			[ReadOnlyError, "EROFS", "Read-only file system"],
+			[NoSpaceError, "ENOSPC", "No space left on device"],
+			[CrossDeviceError, "EXDEV", "Cross-device link not permitted"],
+			[TimeoutError, "ETIMEDOUT", "Operation timed out"],
+			[QuotaExceededError, "EDQUOT", "Quota exceeded"],
+		];
+
+		errors.forEach(([ErrorClass, code, description]) => {
+			it(`should create a ${ErrorClass.name} with the correct code and message`, () => {
+				const error = new ErrorClass("foo.txt", { path: "foo.txt" });
+
+				assert.ok(error instanceof HfsError);
+				assert.ok(error instanceof Error);
+				assert.strictEqual(error.name, ErrorClass.name);
+				assert.strictEqual(error.code, code);
+				assert.strictEqual(
+					error.message,
+					`${code}: ${description}, foo.txt`,
+				);
+				assert.strictEqual(error.path, "foo.txt");
+			});
+		});
+	});
+
+	describe("HfsError.from()", () => {
+		/**
+		 * Creates an error that looks like one thrown by `node:fs`.
+		 * @param {string} code The error code.
+		 * @param {Object} [details] Additional properties for the error.
+		 * @returns {Error} The error.
+		 */
+		function createNativeError(code, details = {}) {
+			return Object.assign(new Error(`${code}: failed`), {
+				code,
+				...details,
+			});
+		}
+
+		it("should convert a native error into the matching class", () => {
+			const cause = createNativeError("EEXIST", {
+				path: "foo",
+				syscall: "mkdir",
+			});
+			const error = HfsError.from(cause);
+
+			assert.ok(error instanceof AlreadyExistsError);
+			assert.strictEqual(error.code, "EEXIST");
+			assert.strictEqual(
+				error.message,
+				"EEXIST: File already exists, mkdir 'foo'",
+			);
+			assert.strictEqual(error.path, "foo");
+			assert.strictEqual(error.syscall, "mkdir");
+			assert.strictEqual(error.cause, cause);
+		});
+
+		it("should include the destination in the message", () => {
+			const error = HfsError.from(
+				createNativeError("EXDEV", {
+					path: "foo",
+					dest: "bar",
+					syscall: "rename",
+				}),
+			);
+
+			assert.ok(error instanceof CrossDeviceError);
+			assert.strictEqual(error.destination, "bar");
+			assert.strictEqual(
+				error.message,
+				"EXDEV: Cross-device link not permitted, rename 'foo' -> 'bar'",
+			);
+		});
+
+		it("should use the canonical code for codes that share a class", () => {
+			const eacces = HfsError.from(createNativeError("EACCES"));
+			const enfile = HfsError.from(createNativeError("ENFILE"));
+
+			assert.ok(eacces instanceof PermissionError);
+			assert.strictEqual(eacces.code, "EPERM");
+			assert.strictEqual(eacces.cause.code, "EACCES");
+			assert.ok(enfile instanceof TooManyOpenFilesError);
+			assert.strictEqual(enfile.code, "EMFILE");
+		});
+
+		it("should use the given details when the error has none", () => {
+			const error = HfsError.from(createNativeError("ENOENT"), {
+				path: "foo.txt",
+				syscall: "open",
+				method: "text",
+			});
+
+			assert.strictEqual(error.path, "foo.txt");
+			assert.strictEqual(error.method, "text");
+			assert.strictEqual(
+				error.message,
+				"ENOENT: No such file or directory, open 'foo.txt'",
+			);
+		});
+
+		it("should use the original message without its code when there is no path", () => {
+			const error = HfsError.from(createNativeError("ENOSPC"));
+			const described = HfsError.from(
+				Object.assign(
+					new Error("ENOENT: no such file or directory, open 'x'"),
+					{ code: "ENOENT" },
+				),
+			);
+
+			assert.strictEqual(
+				error.message,
+				"ENOSPC: No space left on device, failed",
+			);
+			assert.strictEqual(
+				described.message,
+				"ENOENT: No such file or directory, open 'x'",
+			);
+		});
+
+		it("should use the method in the message when there is no syscall", () => {
+			const error = HfsError.from(
+				new DOMException(
+					"A requested file or directory could not be found",
+					"NotFoundError",
+				),
+				{ path: "foo.txt", method: "bytes" },
+			);
+
+			assert.strictEqual(
+				error.message,
+				"ENOENT: No such file or directory, bytes 'foo.txt'",
+			);
+			assert.strictEqual(error.syscall, undefined);
+		});
+
+		it("should convert an error by its name", () => {
+			class AlreadyExists extends Error {
+				name = "AlreadyExists";
+			}
+
+			const deno = HfsError.from(new AlreadyExists("File exists"), {
+				path: "foo.txt",
+			});
+			const dom = HfsError.from(
+				new DOMException("Quota exceeded", "QuotaExceededError"),
+			);
+
+			assert.ok(deno instanceof AlreadyExistsError);
+			assert.strictEqual(deno.path, "foo.txt");
+			assert.ok(dom instanceof QuotaExceededError);
+		});
+
+		it("should convert an error by its HTTP status", () => {
+			const notFound = HfsError.from(
+				Object.assign(new Error("404 Not Found"), {
+					status: 404,
+					code: "not_found",
+				}),
+			);
+			const conflict = HfsError.from(
+				Object.assign(new Error("409 Conflict"), { status: 409 }),
+			);
+
+			assert.ok(notFound instanceof NotFoundError);
+			assert.strictEqual(notFound.code, "ENOENT");
+			assert.strictEqual(notFound.cause.code, "not_found");
+			assert.ok(conflict instanceof AlreadyExistsError);
+		});
+
+		it("should return an HfsError unchanged", () => {
+			const error = new NotFoundError("foo.txt");
+
+			assert.strictEqual(HfsError.from(error), error);
+		});
+
+		it("should return an error with an unknown code unchanged", () => {
+			const unknown = createNativeError("EUNKNOWN");
+			const plain = new TypeError("Bad value");
+
+			assert.strictEqual(HfsError.from(unknown), unknown);
+			assert.strictEqual(HfsError.from(plain), plain);
+			assert.strictEqual(HfsError.from(undefined), undefined);
+		});
+	});
 });
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Tests for the GlobMatcher class.
+ * @author Nicholas C. Zakas
+ */
+/* global it, describe */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { GlobMatcher } from "../src/glob.js";
+import assert from "node:assert";
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("GlobMatcher", () => {
+	describe("matches()", () => {
+		[
+			// pattern, path, expected
+			["*.js", "index.js", true],
+			["*.js", "src/index.js", false],
+			["*.js", "index.ts", false],
+			["src/*.js", "src/index.js", true],
+			["**/*.js", "index.js", true],
+			["**/*.js", "src/lib/index.js", true],
+			["src/**", "src", true],
+			["src/**", "src/lib/index.js", true],
+			["src/**/test.js", "src/test.js", true],
+			["src/**/test.js", "src/a/b/test.js", true],
+			["src/**/test.js", "lib/a/test.js", false],
+			["file?.txt", "file1.txt", true],
+			["file?.txt", "file10.txt", false],
+			["*.{js,ts}", "index.ts", true],
+			["*.{js,ts}", "index.md", false],
+			["{src,lib}/*.js", "lib/index.js", true],
+			["*.{js,{c,m}js}", "index.mjs", true],
+			["{a}.txt", "{a}.txt", true],
+			["file[0-9].txt", "file5.txt", true],
+			["file[0-9].txt", "filea.txt", false],
+			["file[!0-9].txt", "filea.txt", true],
+			["file[^0-9].txt", "file5.txt", false],
+			["file[]].txt", "file].txt", true],
+			["a.b", "aXb", false],
+			["\\*.txt", "*.txt", true],
+			["\\*.txt", "a.txt", false],
+			["./src/*.js", "src/index.js", true],
+			["/src/*.js", "src/index.js", true],
+			["(a|b).txt", "(a|b).txt", true],
+		].forEach(([pattern, path, expected]) => {
+			it(`should return ${expected} for "${path}" with "${pattern}"`, () => {
+				const matcher = new GlobMatcher([pattern]);
+				assert.strictEqual(matcher.matches(path), expected);
+			});
+		});
+
+		it("should match when any of the patterns match", () => {
+			const matcher = new GlobMatcher(["*.js", "*.ts"]);
+			assert.strictEqual(matcher.matches("index.ts"), true);
+		});
+
+		it("should not match paths that match a negated pattern", () => {
+			const matcher = new GlobMatcher(["**/*.js", "!**/*.test.js"]);
+			assert.strictEqual(matcher.matches("src/index.js"), true);
+			assert.strictEqual(matcher.matches("src/index.test.js"), false);
+		});
+
+		it("should match everything else when all patterns are negated", () => {
+			const matcher = new GlobMatcher(["!*.md"]);
+			assert.strictEqual(matcher.matches("src/index.js"), true);
+			assert.strictEqual(matcher.matches("README.md"), false);
+		});
+	});
+
+	describe("shouldWalk()", () => {
+		it("should return true when the pattern starts with **", () => {
+			const matcher = new GlobMatcher(["**/*.js"]);
+			assert.strictEqual(matcher.shouldWalk("a/b/c"), true);
+		});
+
+		it("should return true when the directory matches a prefix of the pattern", () => {
+			const matcher = new GlobMatcher(["src/lib/*.js"]);
+			assert.strictEqual(matcher.shouldWalk("src"), true);
+			assert.strictEqual(matcher.shouldWalk("src/lib"), true);
+		});
+
+		it("should return false when the directory doesn't match the pattern", () => {
+			const matcher = new GlobMatcher(["src/lib/*.js"]);
+			assert.strictEqual(matcher.shouldWalk("tests"), false);
+			assert.strictEqual(matcher.shouldWalk("src/util"), false);
+		});
+
+		it("should return false when the pattern can't match anything deeper", () => {
+			const matcher = new GlobMatcher(["*.js"]);
+			assert.strictEqual(matcher.shouldWalk("src"), false);
+		});
+
+		it("should return false when a negated pattern excludes the directory's contents", () => {
+			const matcher = new GlobMatcher(["**/*.js", "!**/node_modules/**"]);
+			assert.strictEqual(matcher.shouldWalk("node_modules"), false);
+			assert.strictEqual(matcher.shouldWalk("a/node_modules"), false);
+			assert.strictEqual(matcher.shouldWalk("src"), true);
+		});
+
+		it("should use braces to determine which directories to walk", () => {
+			const matcher = new GlobMatcher(["{src,lib}/**/*.js"]);
+			assert.strictEqual(matcher.shouldWalk("lib"), true);
+			assert.strictEqual(matcher.shouldWalk("tests"), false);
+		});
+	});
+});
@@ -2,7 +2,7 @@
  * @fileoverview Tests for the Hfs class.
  * @author Nicholas C. Zakas
  */
-/* global it, describe, beforeEach, URL, TextEncoder */
+/* global it, describe, beforeEach, URL, TextEncoder, TextDecoder, ReadableStream, setTimeout, AbortController, DOMException */
 
 //------------------------------------------------------------------------------
 // Imports
@@ -10,11 +10,17 @@
 
 import {
 	Hfs,
+	HfsTransaction,
 	NoSuchMethodError,
 	ImplAlreadySetError,
 	MethodNotSupportedError,
 } from "../src/hfs.js";
-import { NotFoundError } from "../src/errors.js";
+import {
+	NotFoundError,
+	PermissionError,
+	NotEmptyError,
+	NotDirectoryError,
+} from "../src/errors.js";
 import assert from "node:assert";
 
 //-----------------------------------------------------------------------------
@@ -22,23 +28,98 @@ import assert from "node:assert";
 //-----------------------------------------------------------------------------
 
 /**
- * Strips the timestamp from a log entry.
+ * Strips the timestamp, call ID, and timing data from a log entry.
  * @param {LogEntry} logEntry The log entry to strip.
- * @returns {object} The log entry without the timestamp.
+ * @returns {object} The log entry without the timestamp, call ID, and timing
+ *  data.
+ */
+function normalizeLogEntry({ timestamp, id, ...rest }) {
+	if (rest.type === "call") {
+		return rest;
+	}
+
+	const { start, end, duration, ...data } = rest.data;
+	return { ...rest, data };
+}
+
+/**
+ * Returns the "call" entries from a log without their timestamps and call IDs.
+ * @param {Array<LogEntry>} logEntries The log entries.
+ * @returns {Array<object>} The stripped "call" entries.
  */
-function normalizeLogEntry({ timestamp, ...rest }) {
-	return rest;
+function getCallEntries(logEntries) {
+	return logEntries
+		.filter(logEntry => logEntry.type === "call")
+		.map(normalizeLogEntry);
 }
 
 const encoder = new TextEncoder();
 
+/**
+ * Reads all chunks from a stream.
+ * @param {ReadableStream} stream The stream to read.
+ * @returns {Promise<Array<any>>} The chunks from the stream.
+ */
+async function readChunks(stream) {
+	const chunks = [];
+
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+
+	return chunks;
+}
+
+/**
+ * Creates an impl that stores text files in a map, for checking exactly which
+ * files exist after a transaction.
+ * @param {Record<string, string>} initialFiles The files to start with.
+ * @returns {{impl: object, files: Map<string, string>}} The impl and its files.
+ */
+function createFileMapImpl(initialFiles) {
+	const files = new Map(Object.entries(initialFiles));
+	const dirs = new Set();
+	const decoder = new TextDecoder();
+
+	const impl = {
+		isFile(filePath) {
+			return files.has(filePath);
+		},
+		isDirectory(dirPath) {
+			return dirs.has(dirPath);
+		},
+		createDirectory(dirPath) {
+			dirs.add(dirPath);
+		},
+		write(filePath, contents) {
+			files.set(filePath, decoder.decode(contents));
+		},
+		copy(source, destination) {
+			if (!files.has(source)) {
+				throw new NotFoundError(`copy ${source}`);
+			}
+
+			files.set(destination, files.get(source));
+		},
+		move(source, destination) {
+			impl.copy(source, destination);
+			files.delete(source);
+		},
+		delete(fileOrDirPath) {
+			return files.delete(fileOrDirPath) || dirs.delete(fileOrDirPath);
+		},
+	};
+
+	return { impl, files };
+}
+
 //------------------------------------------------------------------------------
 // Tests
 //------------------------------------------------------------------------------
 
 describe("Hfs", () => {
 	describe("Missing Methods", () => {
-		["text", "json", "arrayBuffer"].forEach(methodName => {
+		["text", "json", "arrayBuffer", "stream"].forEach(methodName => {
 			it(`should reject a promise when the ${methodName}() method is not present on the impl`, () => {
 				const hfs = new Hfs({ impl: {} });
 
@@ -49,7 +130,7 @@ describe("Hfs", () => {
 			});
 		});
 
-		["bytes"].forEach(methodName => {
+		["bytes", "readSymlink", "isSymlink"].forEach(methodName => {
 			it(`should reject a promise when the ${methodName}() method is not present on the impl`, () => {
 				const hfs = new Hfs({ impl: {} });
 
@@ -61,6 +142,167 @@ describe("Hfs", () => {
 		});
 	});
 
+	describe("Error normalization", () => {
+		it("should convert an error with a Node.js error code", async () => {
+			const cause = Object.assign(new Error("ENOENT: no such file"), {
+				code: "ENOENT",
+				syscall: "copyfile",
+			});
+			const hfs = new Hfs({
+				impl: {
+					async copy() {
+						throw cause;
+					},
+				},
+			});
+
+			await assert.rejects(hfs.copy("/a.txt", "/b.txt"), error => {
+				assert.ok(error instanceof NotFoundError);
+				assert.strictEqual(error.cause, cause);
+				assert.strictEqual(error.path, "/a.txt");
+				assert.strictEqual(error.destination, "/b.txt");
+				assert.strictEqual(error.method, "copy");
+				assert.strictEqual(
+					error.message,
+					"ENOENT: No such file or directory, copyfile '/a.txt' -> '/b.txt'",
+				);
+				return true;
+			});
+		});
+
+		it("should convert an error with a Deno error class name", async () => {
+			class NotFound extends Error {
+				name = "NotFound";
+			}
+
+			const hfs = new Hfs({
+				impl: {
+					async bytes() {
+						throw new NotFound("No such file or directory");
+					},
+				},
+			});
+
+			await assert.rejects(hfs.text("/a.txt"), error => {
+				assert.ok(error instanceof NotFoundError);
+				assert.ok(error.cause instanceof NotFound);
+				assert.strictEqual(error.path, "/a.txt");
+				assert.strictEqual(error.method, "bytes");
+				assert.strictEqual(
+					error.message,
+					"ENOENT: No such file or directory, bytes '/a.txt'",
+				);
+				return true;
+			});
+		});
+
+		it("should convert a DOMException", async () => {
+			const cause = new DOMException(
+				"The directory is not empty.",
+				"InvalidModificationError",
+			);
+			const hfs = new Hfs({
+				impl: {
+					async delete() {
+						throw cause;
+					},
+				},
+			});
+
+			await assert.rejects(hfs.delete("/dir"), error => {
+				assert.ok(error instanceof NotEmptyError);
+				assert.strictEqual(error.cause, cause);
+				assert.strictEqual(
+					error.message,
+					"ENOTEMPTY: Directory not empty, delete '/dir'",
+				);
+				return true;
+			});
+		});
+
+		it("should convert an error with an HTTP status", async () => {
+			const cause = Object.assign(new Error("403 Forbidden"), {
+				status: 403,
+				code: "access_denied_insufficient_permissions",
+			});
+			const hfs = new Hfs({
+				impl: {
+					async write() {
+						throw cause;
+					},
+				},
+			});
+
+			await assert.rejects(hfs.write("/a.txt", "Hello"), error => {
+				assert.ok(error instanceof PermissionError);
+				assert.strictEqual(error.cause, cause);
+				assert.strictEqual(
+					error.message,
+					"EPERM: Operation not permitted, write '/a.txt'",
+				);
+				return true;
+			});
+		});
+
+		it("should convert an error thrown synchronously", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isFile() {
+						throw Object.assign(new Error("EACCES"), {
+							code: "EACCES",
+						});
+					},
+				},
+			});
+
+			await assert.rejects(hfs.isFile("/a.txt"), PermissionError);
+		});
+
+		it("should convert an error thrown while listing a directory", async () => {
+			const hfs = new Hfs({
+				impl: {
+					async *list() {
+						yield {
+							name: "file.txt",
+							isFile: true,
+							isDirectory: false,
+							isSymlink: false,
+						};
+						throw Object.assign(new Error("ENOTDIR"), {
+							code: "ENOTDIR",
+						});
+					},
+				},
+			});
+			const entries = [];
+
+			await assert.rejects(async () => {
+				for await (const entry of hfs.list("/dir")) {
+					entries.push(entry);
+				}
+			}, NotDirectoryError);
+			assert.strictEqual(entries.length, 1);
+		});
+
+		it("should not change an error that can't be converted", async () => {
+			const cause = Object.assign(new Error("500 Server Error"), {
+				status: 500,
+			});
+			const hfs = new Hfs({
+				impl: {
+					async size() {
+						throw cause;
+					},
+				},
+			});
+
+			await assert.rejects(hfs.size("/a.txt"), error => {
+				assert.strictEqual(error, cause);
+				return true;
+			});
+		});
+	});
+
 	describe("Changing impl", () => {
 		it("should change the impl when setImpl() is called", async () => {
 			const hfs = new Hfs({ impl: {} });
@@ -127,6 +369,68 @@ describe("Hfs", () => {
 		});
 	});
 
+	describe("readOnly()", () => {
+		it("should return a new instance that reads from the current impl", async () => {
+			const hfs = new Hfs({ impl: {} });
+
+			hfs.setImpl({
+				bytes() {
+					return encoder.encode("Hello, world!");
+				},
+			});
+
+			const readOnlyHfs = hfs.readOnly();
+
+			assert.ok(readOnlyHfs instanceof Hfs);
+			assert.notStrictEqual(readOnlyHfs, hfs);
+			assert.strictEqual(
+				await readOnlyHfs.text("/path/to/file.txt"),
+				"Hello, world!",
+			);
+		});
+
+		it("should reject with a PermissionError without calling the impl", async () => {
+			const calls = [];
+			const hfs = new Hfs({
+				impl: {
+					write(...args) {
+						calls.push(args);
+					},
+				},
+			});
+
+			await assert.rejects(
+				hfs.readOnly().write("/path/to/file.txt", "Hello, world!"),
+				{
+					name: "PermissionError",
+					message:
+						"EPERM: Operation not permitted, write '/path/to/file.txt' (read-only)",
+				},
+			);
+			assert.deepStrictEqual(calls, []);
+		});
+
+		it("should log the rejected method call", async () => {
+			const readOnlyHfs = new Hfs({ impl: {} }).readOnly();
+
+			readOnlyHfs.logStart("readOnly");
+			await assert.rejects(readOnlyHfs.delete("/path/to/file.txt"), {
+				name: "PermissionError",
+			});
+			const logs = getCallEntries(readOnlyHfs.logEnd("readOnly"));
+
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "delete",
+						args: ["/path/to/file.txt"],
+					},
+				},
+			]);
+		});
+	});
+
 	describe("logStart() and logEnd()", () => {
 		it("should start a new log and add an entry", async () => {
 			const hfs = new Hfs({
@@ -148,6 +452,13 @@ describe("Hfs", () => {
 						args: ["/path/to/file.txt"],
 					},
 				},
+				{
+					type: "return",
+					data: {
+						methodName: "text",
+						result: "Hello, world!",
+					},
+				},
 			]);
 		});
 
@@ -165,8 +476,7 @@ describe("Hfs", () => {
 			await hfs.text("/path/to/file.txt");
 			const logs1 = hfs.logEnd("test1").map(normalizeLogEntry);
 			const logs2 = hfs.logEnd("test2").map(normalizeLogEntry);
-
-			assert.deepStrictEqual(logs1, [
+			const expected = [
 				{
 					type: "call",
 					data: {
@@ -174,16 +484,197 @@ describe("Hfs", () => {
 						args: ["/path/to/file.txt"],
 					},
 				},
-			]);
-			assert.deepStrictEqual(logs2, [
 				{
-					type: "call",
+					type: "return",
 					data: {
 						methodName: "text",
+						result: "Hello, world!",
+					},
+				},
+			];
+
+			assert.deepStrictEqual(logs1, expected);
+			assert.deepStrictEqual(logs2, expected);
+		});
+
+		it("should add the same ID and the timing to the return entry", async () => {
+			const hfs = new Hfs({
+				impl: {
+					async isFile() {
+						await new Promise(resolve => setTimeout(resolve, 20));
+						return true;
+					},
+				},
+			});
+
+			hfs.logStart("test");
+			await hfs.isFile("/path/to/file.txt");
+			const [call, ret] = hfs.logEnd("test");
+
+			assert.strictEqual(call.type, "call");
+			assert.strictEqual(ret.type, "return");
+			assert.strictEqual(typeof call.id, "number");
+			assert.strictEqual(ret.id, call.id);
+			assert.strictEqual(ret.data.result, true);
+			assert.ok(ret.data.start >= call.timestamp);
+			assert.ok(ret.data.end >= ret.data.start);
+			assert.ok(ret.data.duration >= 15);
+		});
+
+		it("should add an error entry when the call fails", async () => {
+			const error = new Error("Boom!");
+			const hfs = new Hfs({
+				impl: {
+					async size() {
+						throw error;
+					},
+				},
+			});
+
+			hfs.logStart("test");
+			await assert.rejects(hfs.size("/path/to/file.txt"), /Boom!/u);
+			const logs = hfs.logEnd("test");
+
+			assert.deepStrictEqual(logs.map(normalizeLogEntry), [
+				{
+					type: "call",
+					data: {
+						methodName: "size",
 						args: ["/path/to/file.txt"],
 					},
 				},
+				{
+					type: "error",
+					data: {
+						methodName: "size",
+						error,
+					},
+				},
+			]);
+			assert.strictEqual(logs[1].id, logs[0].id);
+			assert.strictEqual(typeof logs[1].data.duration, "number");
+		});
+
+		it("should add an error entry when the method is missing", async () => {
+			const hfs = new Hfs({ impl: {} });
+
+			hfs.logStart("test");
+			await assert.rejects(
+				hfs.text("/path/to/file.txt"),
+				MethodNotSupportedError,
+			);
+			const logs = hfs.logEnd("test");
+
+			assert.strictEqual(logs[1].type, "error");
+			assert.ok(logs[1].data.error instanceof MethodNotSupportedError);
+		});
+
+		it("should match entries for calls that overlap", async () => {
+			const hfs = new Hfs({
+				impl: {
+					async isFile(filePath) {
+						const ms = filePath === "/slow.txt" ? 20 : 0;
+						await new Promise(resolve => setTimeout(resolve, ms));
+						return filePath === "/slow.txt";
+					},
+				},
+			});
+
+			hfs.logStart("test");
+			await Promise.all([
+				hfs.isFile("/slow.txt"),
+				hfs.isFile("/fast.txt"),
 			]);
+			const logs = hfs.logEnd("test");
+
+			assert.deepStrictEqual(
+				logs.map(({ type, data }) => [type, data.args ?? data.result]),
+				[
+					["call", ["/slow.txt"]],
+					["call", ["/fast.txt"]],
+					["return", false],
+					["return", true],
+				],
+			);
+			assert.notStrictEqual(logs[0].id, logs[1].id);
+			assert.strictEqual(logs[2].id, logs[1].id);
+			assert.strictEqual(logs[3].id, logs[0].id);
+		});
+
+		it("should add the return entry for walk() when iterating is done", async () => {
+			const hfs = new Hfs({
+				impl: {
+					async *list() {
+						await new Promise(resolve => setTimeout(resolve, 20));
+						yield {
+							name: "file.txt",
+							isFile: true,
+							isDirectory: false,
+							isSymlink: false,
+						};
+					},
+				},
+			});
+
+			hfs.logStart("test");
+
+			const entries = [];
+			for await (const entry of hfs.walk("/dir")) {
+				entries.push(entry.path);
+			}
+
+			const logs = hfs.logEnd("test");
+
+			assert.deepStrictEqual(entries, ["file.txt"]);
+			assert.deepStrictEqual(
+				logs.map(entry => entry.type),
+				["call", "return"],
+			);
+			assert.strictEqual(logs[1].data.methodName, "walk");
+			assert.ok(logs[1].data.duration >= 15);
+		});
+
+		it("should add the return entry for list() when the caller stops iterating", async () => {
+			const hfs = new Hfs({
+				impl: {
+					async *list() {
+						yield { name: "a.txt", isFile: true };
+						yield { name: "b.txt", isFile: true };
+					},
+				},
+			});
+
+			hfs.logStart("test");
+
+			for await (const entry of hfs.list("/dir")) {
+				assert.strictEqual(entry.name, "a.txt");
+				break;
+			}
+
+			assert.deepStrictEqual(
+				hfs.logEnd("test").map(entry => entry.type),
+				["call", "return"],
+			);
+		});
+
+		it("should not add entries to a log that ended before the call did", async () => {
+			const hfs = new Hfs({
+				impl: {
+					async isFile() {
+						return true;
+					},
+				},
+			});
+
+			hfs.logStart("test");
+			const promise = hfs.isFile("/path/to/file.txt");
+			const logs = hfs.logEnd("test");
+			await promise;
+
+			assert.deepStrictEqual(
+				logs.map(entry => entry.type),
+				["call"],
+			);
 		});
 	});
 
@@ -227,7 +718,7 @@ describe("Hfs", () => {
 
 			hfs.logStart("text");
 			hfs.text("/path/to/file.txt");
-			const logs = hfs.logEnd("text").map(normalizeLogEntry);
+			const logs = getCallEntries(hfs.logEnd("text"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
@@ -310,7 +801,7 @@ describe("Hfs", () => {
 
 			hfs.logStart("json");
 			await hfs.json("/path/to/file.txt");
-			const logs = hfs.logEnd("json").map(normalizeLogEntry);
+			const logs = getCallEntries(hfs.logEnd("json"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
@@ -393,7 +884,7 @@ describe("Hfs", () => {
 
 			hfs.logStart("arrayBuffer");
 			await hfs.arrayBuffer("/path/to/file.txt");
-			const logs = hfs.logEnd("arrayBuffer").map(normalizeLogEntry);
+			const logs = getCallEntries(hfs.logEnd("arrayBuffer"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
@@ -476,7 +967,7 @@ describe("Hfs", () => {
 
 			hfs.logStart("bytes");
 			await hfs.bytes("/path/to/file.txt");
-			const logs = hfs.logEnd("bytes").map(normalizeLogEntry);
+			const logs = getCallEntries(hfs.logEnd("bytes"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
@@ -544,7 +1035,7 @@ describe("Hfs", () => {
 
 			hfs.logStart("bytes");
 			await hfs.bytes("/path/to/file.txt");
-			const logs = hfs.logEnd("bytes").map(normalizeLogEntry);
+			const logs = getCallEntries(hfs.logEnd("bytes"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
@@ -587,265 +1078,256 @@ describe("Hfs", () => {
 		});
 	});
 
-	describe("append()", () => {
-		it("should not reject a promise when the value to write is a string", async () => {
+	describe("slice()", () => {
+		it("should return the bytes from the impl", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					slice(filePath, start, end) {
+						return new Uint8Array([start, end]);
 					},
 				},
 			});
 
-			await hfs.append("/path/to/file.txt", "Hello, world!");
+			const result = await hfs.slice("/path/to/file.txt", 1, 3);
+			assert.deepStrictEqual(result, new Uint8Array([1, 3]));
 		});
 
-		it("should not reject a promise when the value to write is an ArayBuffer", async () => {
+		it("should return a subarray of bytes() when slice() is missing", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					bytes() {
+						return new Uint8Array([1, 2, 3, 4, 5]);
 					},
 				},
 			});
 
-			await hfs.append(
-				"/path/to/file.txt",
-				new Uint8Array([1, 2, 3]).buffer,
-			);
+			const result = await hfs.slice("/path/to/file.txt", 1, 3);
+			assert.deepStrictEqual(result, new Uint8Array([2, 3]));
 		});
 
-		it("should not reject a promise when the value to write is a Uint8Array", async () => {
+		it("should return undefined when bytes() returns undefined and slice() is missing", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
+					bytes() {
 						return undefined;
 					},
 				},
 			});
 
-			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
+			const result = await hfs.slice("/path/to/file.txt", 1, 3);
+			assert.strictEqual(result, undefined);
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					slice() {
+						return new Uint8Array();
 					},
 				},
 			});
 
-			hfs.logStart("append");
-			await hfs.append("/path/to/file.txt", "Hello, world!");
-			const logs = hfs.logEnd("append").map(normalizeLogEntry);
+			hfs.logStart("slice");
+			await hfs.slice("/path/to/file.txt", 1, 3);
+			const logs = getCallEntries(hfs.logEnd("slice"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "append",
-						args: ["/path/to/file.txt", "Hello, world!"],
+						methodName: "slice",
+						args: ["/path/to/file.txt", 1, 3],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the file path is not a string", () => {
+		it("should log the method call when falling back to bytes()", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					bytes() {
+						return new Uint8Array();
 					},
 				},
 			});
 
+			hfs.logStart("slice");
+			await hfs.slice("/path/to/file.txt", 1, 3);
+			const logs = getCallEntries(hfs.logEnd("slice"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "slice",
+						args: ["/path/to/file.txt", 1, 3],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when neither slice() nor bytes() is present", () => {
+			const hfs = new Hfs({ impl: {} });
+
 			return assert.rejects(
-				hfs.append(123, "Hello, world!"),
-				new TypeError("Path must be a non-empty string or URL."),
+				hfs.slice("/path/to/file.txt", 1, 3),
+				new MethodNotSupportedError("slice"),
 			);
 		});
 
-		it("should reject a promise when the file path is empty", () => {
-			const hfs = new Hfs({
-				impl: {
-					append() {
-						return undefined;
-					},
-				},
-			});
+		it("should reject a promise when the file path is not a string", () => {
+			const hfs = new Hfs({ impl: {} });
 
 			return assert.rejects(
-				hfs.append("", "Hello, world!"),
+				hfs.slice(123, 1, 3),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should reject a promise when the contents are a number", () => {
-			const hfs = new Hfs({
-				impl: {
-					append() {
-						return undefined;
-					},
-				},
-			});
+		it("should reject a promise when start is not a non-negative integer", () => {
+			const hfs = new Hfs({ impl: {} });
 
 			return assert.rejects(
-				hfs.append("/path/to/file.txt", 123),
-				new TypeError(
-					"File contents must be a string, ArrayBuffer, or ArrayBuffer view.",
-				),
+				hfs.slice("/path/to/file.txt", -1, 3),
+				new TypeError("Start must be a non-negative integer."),
 			);
 		});
 
-		it("should pass a Uint8Array to the impl method when text is passed", async () => {
-			const hfs = new Hfs({
-				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
-					},
-				},
-			});
+		it("should reject a promise when end is not a non-negative integer", () => {
+			const hfs = new Hfs({ impl: {} });
 
-			await hfs.append("/path/to/file.txt", "Hello, world!");
+			return assert.rejects(
+				hfs.slice("/path/to/file.txt", 1, 1.5),
+				new TypeError("End must be a non-negative integer."),
+			);
 		});
 
-		it("should pass a Uint8Array to the impl method when an ArrayBuffer is passed", async () => {
-			const hfs = new Hfs({
-				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
-					},
-				},
-			});
+		it("should reject a promise when end is less than start", () => {
+			const hfs = new Hfs({ impl: {} });
 
-			await hfs.append(
-				"/path/to/file.txt",
-				new Uint8Array([1, 2, 3]).buffer,
+			return assert.rejects(
+				hfs.slice("/path/to/file.txt", 3, 1),
+				new TypeError("End must be greater than or equal to start."),
 			);
 		});
+	});
 
-		it("should pass a Uint8Array to the impl method when a Uint8Array is passed", async () => {
+	describe("stream()", () => {
+		it("should return the stream from the impl", async () => {
+			const stream = new ReadableStream();
 			const hfs = new Hfs({
 				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
+					stream() {
+						return stream;
 					},
 				},
 			});
 
-			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
+			const result = await hfs.stream("/path/to/file.txt");
+			assert.strictEqual(result, stream);
 		});
 
-		it("should pass a Uint8Array to the impl method when a DataView is passed", async () => {
+		it("should prefer stream() over bytes() when both exist", async () => {
+			const stream = new ReadableStream();
 			const hfs = new Hfs({
 				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
+					bytes() {
+						throw new Error("bytes() should not be called");
+					},
+					stream() {
+						return stream;
 					},
 				},
 			});
 
-			await hfs.append(
-				"/path/to/file.txt",
-				new DataView(new Uint8Array([1, 2, 3]).buffer),
-			);
+			const result = await hfs.stream("/path/to/file.txt");
+			assert.strictEqual(result, stream);
 		});
 
-		it("should pass a Uint8Array to the impl method when a Uint8Array subarray is passed", async () => {
+		it("should wrap the result of bytes() when stream() is missing", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
-						assert.strictEqual(contents.byteLength, 2);
-						assert.deepStrictEqual(
-							contents,
-							new Uint8Array([2, 3]),
-						);
+					bytes() {
+						return new Uint8Array([1, 2, 3]);
 					},
 				},
 			});
 
-			await hfs.append(
-				"/path/to/file.txt",
-				new Uint8Array([1, 2, 3]).subarray(1),
-			);
+			const result = await hfs.stream("/path/to/file.txt");
+			assert.ok(result instanceof ReadableStream);
+			assert.deepStrictEqual(await readChunks(result), [
+				new Uint8Array([1, 2, 3]),
+			]);
 		});
-	});
 
-	describe("append()", () => {
-		it("should not reject a promise when the value to write is a string", async () => {
+		it("should return undefined when bytes() returns undefined and stream() is missing", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
+					bytes() {
 						return undefined;
 					},
 				},
 			});
 
-			await hfs.append("/path/to/file.txt", "Hello, world!");
+			const result = await hfs.stream("/path/to/file.txt");
+			assert.strictEqual(result, undefined);
 		});
 
-		it("should not reject a promise when the value to write is an ArayBuffer", async () => {
+		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					stream() {
+						return new ReadableStream();
 					},
 				},
 			});
 
-			await hfs.append(
-				"/path/to/file.txt",
-				new Uint8Array([1, 2, 3]).buffer,
-			);
-		});
-
-		it("should not reject a promise when the value to write is a Uint8Array", async () => {
-			const hfs = new Hfs({
-				impl: {
-					append() {
-						return undefined;
+			hfs.logStart("stream");
+			await hfs.stream("/path/to/file.txt");
+			const logs = getCallEntries(hfs.logEnd("stream"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "stream",
+						args: ["/path/to/file.txt"],
 					},
 				},
-			});
-
-			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
+			]);
 		});
 
-		it("should log the method call", async () => {
+		it("should log the method call when falling back to bytes()", async () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					bytes() {
+						return new Uint8Array([1, 2, 3]);
 					},
 				},
 			});
 
-			hfs.logStart("append");
-			await hfs.append("/path/to/file.txt", "Hello, world!");
-			const logs = hfs.logEnd("append").map(normalizeLogEntry);
+			hfs.logStart("stream");
+			await hfs.stream("/path/to/file.txt");
+			const logs = getCallEntries(hfs.logEnd("stream"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "append",
-						args: ["/path/to/file.txt", "Hello, world!"],
+						methodName: "stream",
+						args: ["/path/to/file.txt"],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the file path is not a string or URL", () => {
+		it("should reject a promise when the file path is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					stream() {
+						return new ReadableStream();
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.append(123, "Hello, world!"),
+				hfs.stream(123),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
@@ -853,171 +1335,178 @@ describe("Hfs", () => {
 		it("should reject a promise when the file path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					stream() {
+						return new ReadableStream();
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.append("", "Hello, world!"),
+				hfs.stream(""),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
+	});
 
-		it("should reject a promise when the contents are a number", () => {
+	describe("writeStream()", () => {
+		/**
+		 * Creates an async iterable that yields the given chunks.
+		 * @param {...Uint8Array} chunks The chunks to yield.
+		 * @returns {AsyncIterable<Uint8Array>} The async iterable.
+		 */
+		async function* createChunks(...chunks) {
+			yield* chunks;
+		}
+
+		it("should pass an async iterable of chunks to the impl", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					append() {
-						return undefined;
+					async writeStream(filePath, source) {
+						received = await readChunks(source);
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.append("/path/to/file.txt", 123),
-				new TypeError(
-					"File contents must be a string, ArrayBuffer, or ArrayBuffer view.",
-				),
+			await hfs.writeStream(
+				"/path/to/file.txt",
+				createChunks(new Uint8Array([1, 2]), new Uint8Array([3])),
 			);
-		});
-
-		it("should pass a Uint8Array to the impl method when text is passed", async () => {
-			const hfs = new Hfs({
-				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
-					},
-				},
-			});
 
-			await hfs.append("/path/to/file.txt", "Hello, world!");
+			assert.deepStrictEqual(received, [
+				new Uint8Array([1, 2]),
+				new Uint8Array([3]),
+			]);
 		});
 
-		it("should pass a Uint8Array to the impl method when an ArrayBuffer is passed", async () => {
+		it("should pass the size to the impl", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
+					async writeStream(filePath, source, options) {
+						received = options;
 					},
 				},
 			});
 
-			await hfs.append(
+			await hfs.writeStream(
 				"/path/to/file.txt",
-				new Uint8Array([1, 2, 3]).buffer,
+				createChunks(new Uint8Array([1, 2])),
+				{ size: 2 },
 			);
+
+			assert.deepStrictEqual(received, { size: 2 });
 		});
 
-		it("should pass a Uint8Array to the impl method when a Uint8Array is passed", async () => {
+		it("should pass the chunks of a ReadableStream to the impl", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
+					async writeStream(filePath, source) {
+						received = await readChunks(source);
 					},
 				},
 			});
 
-			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
-		});
-
-		it("should pass a Uint8Array to the impl method when a DataView is passed", async () => {
-			const hfs = new Hfs({
-				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
-					},
+			const stream = new ReadableStream({
+				start(controller) {
+					controller.enqueue(new Uint8Array([1, 2]));
+					controller.enqueue(new Uint8Array([3]));
+					controller.close();
 				},
 			});
 
-			await hfs.append(
-				"/path/to/file.txt",
-				new DataView(new Uint8Array([1, 2, 3]).buffer),
-			);
+			await hfs.writeStream("/path/to/file.txt", stream);
+
+			assert.deepStrictEqual(received, [
+				new Uint8Array([1, 2]),
+				new Uint8Array([3]),
+			]);
 		});
 
-		it("should pass a Uint8Array to the impl method when a Uint8Array subarray is passed", async () => {
+		it("should pass the chunks of a ReadableStream that isn't async iterable to the impl", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					append(path, contents) {
-						assert.ok(contents instanceof Uint8Array);
-						assert.strictEqual(contents.byteLength, 2);
-						assert.deepStrictEqual(
-							contents,
-							new Uint8Array([2, 3]),
-						);
+					async writeStream(filePath, source) {
+						received = await readChunks(source);
 					},
 				},
 			});
 
-			await hfs.append(
-				"/path/to/file.txt",
-				new Uint8Array([1, 2, 3]).subarray(1),
-			);
-		});
-	});
-
-	describe("isFile()", () => {
-		it("should return true when the file exists", async () => {
-			const hfs = new Hfs({
-				impl: {
-					isFile() {
-						return true;
-					},
+			const stream = new ReadableStream({
+				start(controller) {
+					controller.enqueue(new Uint8Array([1, 2]));
+					controller.close();
 				},
 			});
 
-			const result = await hfs.isFile("/path/to/file.txt");
-			assert.strictEqual(result, true);
+			// simulate runtimes that can't iterate a ReadableStream
+			stream[Symbol.asyncIterator] = undefined;
+
+			await hfs.writeStream("/path/to/file.txt", stream);
+
+			assert.deepStrictEqual(received, [new Uint8Array([1, 2])]);
 		});
 
-		it("should return false when the file does not exist", async () => {
+		it("should call write() with the combined chunks when writeStream() is missing", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					isFile() {
-						return false;
+					async write(filePath, contents) {
+						received = contents;
 					},
 				},
 			});
 
-			const result = await hfs.isFile("/path/to/file.txt");
-			assert.strictEqual(result, false);
+			await hfs.writeStream(
+				"/path/to/file.txt",
+				createChunks(new Uint8Array([1, 2]), new Uint8Array([3])),
+			);
+
+			assert.deepStrictEqual(received, new Uint8Array([1, 2, 3]));
 		});
 
-		it("should log the method call", async () => {
+		it("should log the method call once", async () => {
 			const hfs = new Hfs({
 				impl: {
-					isFile() {
-						return true;
-					},
+					async write() {},
 				},
 			});
+			const source = createChunks(new Uint8Array([1]));
 
-			hfs.logStart("isFile");
-			await hfs.isFile("/path/to/file.txt");
-			const logs = hfs.logEnd("isFile").map(normalizeLogEntry);
+			hfs.logStart("writeStream");
+			await hfs.writeStream("/path/to/file.txt", source);
+			const logs = getCallEntries(hfs.logEnd("writeStream"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "isFile",
-						args: ["/path/to/file.txt"],
+						methodName: "writeStream",
+						args: ["/path/to/file.txt", source],
 					},
 				},
 			]);
 		});
 
+		it("should reject a promise when neither writeStream() nor write() is present", () => {
+			const hfs = new Hfs({ impl: {} });
+
+			return assert.rejects(
+				hfs.writeStream("/path/to/file.txt", createChunks()),
+				new MethodNotSupportedError("writeStream"),
+			);
+		});
+
 		it("should reject a promise when the file path is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					isFile() {
-						return true;
-					},
+					async writeStream() {},
 				},
 			});
 
 			return assert.rejects(
-				hfs.isFile(123),
+				hfs.writeStream(123, createChunks()),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
@@ -1025,198 +1514,223 @@ describe("Hfs", () => {
 		it("should reject a promise when the file path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					isFile() {
-						return true;
-					},
+					async writeStream() {},
 				},
 			});
 
 			return assert.rejects(
-				hfs.isFile(""),
+				hfs.writeStream("", createChunks()),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
-	});
 
-	describe("isDirectory()", () => {
-		it("should return true when the directory exists", async () => {
+		it("should reject a promise when the source is not a stream or async iterable", () => {
 			const hfs = new Hfs({
 				impl: {
-					isDirectory() {
-						return true;
-					},
+					async writeStream() {},
 				},
 			});
 
-			const result = await hfs.isDirectory("/path/to/dir");
-			assert.strictEqual(result, true);
+			return assert.rejects(
+				hfs.writeStream("/path/to/file.txt", new Uint8Array([1])),
+				new TypeError(
+					"Stream source must be a ReadableStream or async iterable.",
+				),
+			);
 		});
 
-		it("should return false when the directory does not exist", async () => {
+		it("should reject a promise when the size is not a non-negative integer", () => {
 			const hfs = new Hfs({
 				impl: {
-					isDirectory() {
-						return false;
-					},
+					async writeStream() {},
 				},
 			});
 
-			const result = await hfs.isDirectory("/path/to/dir");
-			assert.strictEqual(result, false);
+			return assert.rejects(
+				hfs.writeStream("/path/to/file.txt", createChunks(), {
+					size: -1,
+				}),
+				new TypeError("Size must be a non-negative integer."),
+			);
 		});
+	});
 
-		it("should log the method call", async () => {
+	describe("writeAtomic()", () => {
+		it("should pass a Uint8Array to the impl method when text is passed", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					isDirectory() {
-						return true;
+					writeAtomic(path, contents) {
+						received = contents;
 					},
 				},
 			});
 
-			hfs.logStart("isDirectory");
-			await hfs.isDirectory("/path/to/dir");
-			const logs = hfs.logEnd("isDirectory").map(normalizeLogEntry);
-			assert.deepStrictEqual(logs, [
-				{
-					type: "call",
-					data: {
-						methodName: "isDirectory",
-						args: ["/path/to/dir"],
-					},
-				},
-			]);
+			await hfs.writeAtomic("/path/to/file.txt", "Hello, world!");
+			assert.deepStrictEqual(received, encoder.encode("Hello, world!"));
 		});
 
-		it("should reject a promise when the directory path is not a string", () => {
+		it("should pass a Uint8Array to the impl method when a Uint8Array subarray is passed", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					isDirectory() {
-						return true;
+					writeAtomic(path, contents) {
+						received = contents;
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.isDirectory(123),
-				/Path must be a non-empty string./,
+			await hfs.writeAtomic(
+				"/path/to/file.txt",
+				new Uint8Array([1, 2, 3]).subarray(1),
 			);
+			assert.deepStrictEqual(received, new Uint8Array([2, 3]));
 		});
 
-		it("should reject a promise when the directory path is empty", () => {
+		it("should not call write() on the impl", async () => {
 			const hfs = new Hfs({
 				impl: {
-					isDirectory() {
-						return true;
+					write() {
+						throw new Error("write() should not be called.");
 					},
-				},
-			});
-
-			return assert.rejects(
-				hfs.isDirectory(""),
-				/Path must be a non-empty string./,
-			);
-		});
-	});
-
-	describe("createDirectory()", () => {
-		it("should not reject a promise when the directory path is a string", async () => {
-			const hfs = new Hfs({
-				impl: {
-					createDirectory() {
+					writeAtomic() {
 						return undefined;
 					},
 				},
 			});
 
-			await hfs.createDirectory("/path/to/dir");
+			await hfs.writeAtomic("/path/to/file.txt", "Hello, world!");
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					createDirectory() {
+					writeAtomic() {
 						return undefined;
 					},
 				},
 			});
 
-			hfs.logStart("createDirectory");
-			await hfs.createDirectory("/path/to/dir");
-			const logs = hfs.logEnd("createDirectory").map(normalizeLogEntry);
+			hfs.logStart("writeAtomic");
+			await hfs.writeAtomic("/path/to/file.txt", "Hello, world!");
+			const logs = getCallEntries(hfs.logEnd("writeAtomic"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "createDirectory",
-						args: ["/path/to/dir"],
+						methodName: "writeAtomic",
+						args: ["/path/to/file.txt", "Hello, world!"],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the directory path is not a string", () => {
+		it("should reject a promise when the file path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					createDirectory() {
+					writeAtomic() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.createDirectory(123),
-				/Path must be a non-empty string./,
+				hfs.writeAtomic("", "Hello, world!"),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should reject a promise when the directory path is empty", () => {
+		it("should reject a promise when the contents are a number", () => {
 			const hfs = new Hfs({
 				impl: {
-					createDirectory() {
+					writeAtomic() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.createDirectory(""),
-				/Path must be a non-empty string./,
+				hfs.writeAtomic("/path/to/file.txt", 123),
+				new TypeError(
+					"File contents must be a string, ArrayBuffer, or ArrayBuffer view.",
+				),
+			);
+		});
+
+		it("should reject a promise when the impl doesn't have writeAtomic()", () => {
+			const hfs = new Hfs({
+				impl: {
+					write() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.writeAtomic("/path/to/file.txt", "Hello, world!"),
+				new NoSuchMethodError("writeAtomic"),
 			);
 		});
 	});
 
-	describe("delete()", () => {
-		it("should not reject a promise when the file path is a string", async () => {
+	describe("append()", () => {
+		it("should not reject a promise when the value to write is a string", async () => {
 			const hfs = new Hfs({
 				impl: {
-					delete() {
+					append() {
 						return undefined;
 					},
 				},
 			});
 
-			await hfs.delete("/path/to/file.txt");
+			await hfs.append("/path/to/file.txt", "Hello, world!");
+		});
+
+		it("should not reject a promise when the value to write is an ArayBuffer", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append() {
+						return undefined;
+					},
+				},
+			});
+
+			await hfs.append(
+				"/path/to/file.txt",
+				new Uint8Array([1, 2, 3]).buffer,
+			);
+		});
+
+		it("should not reject a promise when the value to write is a Uint8Array", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append() {
+						return undefined;
+					},
+				},
+			});
+
+			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					delete() {
+					append() {
 						return undefined;
 					},
 				},
 			});
 
-			hfs.logStart("delete");
-			await hfs.delete("/path/to/file.txt");
-			const logs = hfs.logEnd("delete").map(normalizeLogEntry);
+			hfs.logStart("append");
+			await hfs.append("/path/to/file.txt", "Hello, world!");
+			const logs = getCallEntries(hfs.logEnd("append"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "delete",
-						args: ["/path/to/file.txt"],
+						methodName: "append",
+						args: ["/path/to/file.txt", "Hello, world!"],
 					},
 				},
 			]);
@@ -1225,14 +1739,14 @@ describe("Hfs", () => {
 		it("should reject a promise when the file path is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					delete() {
+					append() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.delete(123),
+				hfs.append(123, "Hello, world!"),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
@@ -1240,357 +1754,1526 @@ describe("Hfs", () => {
 		it("should reject a promise when the file path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					delete() {
+					append() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.delete(""),
+				hfs.append("", "Hello, world!"),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should return true when the impl method returns true", async () => {
+		it("should reject a promise when the contents are a number", () => {
 			const hfs = new Hfs({
 				impl: {
-					delete() {
-						return true;
+					append() {
+						return undefined;
 					},
 				},
 			});
 
-			const result = await hfs.delete("/path/to/file.txt");
-			assert.strictEqual(result, true);
+			return assert.rejects(
+				hfs.append("/path/to/file.txt", 123),
+				new TypeError(
+					"File contents must be a string, ArrayBuffer, or ArrayBuffer view.",
+				),
+			);
 		});
 
-		it("should return false when the impl method returns false", async () => {
+		it("should pass a Uint8Array to the impl method when text is passed", async () => {
 			const hfs = new Hfs({
 				impl: {
-					delete() {
-						return false;
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
 					},
 				},
 			});
 
-			const result = await hfs.delete("/path/to/file.txt");
-			assert.strictEqual(result, false);
+			await hfs.append("/path/to/file.txt", "Hello, world!");
 		});
-	});
 
-	describe("deleteAll()", () => {
-		it("should not reject a promise when the file path is a string", async () => {
+		it("should pass a Uint8Array to the impl method when an ArrayBuffer is passed", async () => {
 			const hfs = new Hfs({
 				impl: {
-					delete() {
-						return undefined;
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
 					},
 				},
 			});
 
-			await hfs.delete("/path/to/directory");
+			await hfs.append(
+				"/path/to/file.txt",
+				new Uint8Array([1, 2, 3]).buffer,
+			);
 		});
 
-		it("should log the method call", async () => {
+		it("should pass a Uint8Array to the impl method when a Uint8Array is passed", async () => {
 			const hfs = new Hfs({
 				impl: {
-					deleteAll() {
-						return undefined;
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
 					},
 				},
 			});
 
-			hfs.logStart("delete");
-			await hfs.deleteAll("/path/to/directory");
-			const logs = hfs.logEnd("delete").map(normalizeLogEntry);
-			assert.deepStrictEqual(logs, [
-				{
-					type: "call",
-					data: {
-						methodName: "deleteAll",
-						args: ["/path/to/directory"],
+			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
+		});
+
+		it("should pass a Uint8Array to the impl method when a DataView is passed", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
 					},
 				},
-			]);
+			});
+
+			await hfs.append(
+				"/path/to/file.txt",
+				new DataView(new Uint8Array([1, 2, 3]).buffer),
+			);
 		});
 
-		it("should reject a promise when the file path is not a string", () => {
+		it("should pass a Uint8Array to the impl method when a Uint8Array subarray is passed", async () => {
 			const hfs = new Hfs({
 				impl: {
-					deleteAll() {
-						return undefined;
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
+						assert.strictEqual(contents.byteLength, 2);
+						assert.deepStrictEqual(
+							contents,
+							new Uint8Array([2, 3]),
+						);
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.deleteAll(123),
-				/Path must be a non-empty string./,
+			await hfs.append(
+				"/path/to/file.txt",
+				new Uint8Array([1, 2, 3]).subarray(1),
 			);
 		});
+	});
 
-		it("should reject a promise when the file path is empty", () => {
+	describe("append()", () => {
+		it("should not reject a promise when the value to write is a string", async () => {
 			const hfs = new Hfs({
 				impl: {
-					deleteAll() {
+					append() {
 						return undefined;
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.deleteAll(""),
-				/Path must be a non-empty string./,
-			);
+			await hfs.append("/path/to/file.txt", "Hello, world!");
 		});
 
-		it("should return true when the impl method returns true", async () => {
+		it("should not reject a promise when the value to write is an ArayBuffer", async () => {
 			const hfs = new Hfs({
 				impl: {
-					deleteAll() {
-						return true;
+					append() {
+						return undefined;
 					},
 				},
 			});
 
-			const result = await hfs.deleteAll("/path/to/directory");
-			assert.strictEqual(result, true);
+			await hfs.append(
+				"/path/to/file.txt",
+				new Uint8Array([1, 2, 3]).buffer,
+			);
 		});
 
-		it("should return false when the impl method returns false", async () => {
+		it("should not reject a promise when the value to write is a Uint8Array", async () => {
 			const hfs = new Hfs({
 				impl: {
-					deleteAll() {
-						return false;
+					append() {
+						return undefined;
 					},
 				},
 			});
 
-			const result = await hfs.deleteAll("/path/to/directory");
-			assert.strictEqual(result, false);
+			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
 		});
-	});
 
-	describe("list()", () => {
-		it("should return the list of files", async () => {
-			const data = [
-				{
-					name: "file1.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
-				},
-				{
-					name: "file2.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append() {
+						return undefined;
+					},
 				},
+			});
+
+			hfs.logStart("append");
+			await hfs.append("/path/to/file.txt", "Hello, world!");
+			const logs = getCallEntries(hfs.logEnd("append"));
+			assert.deepStrictEqual(logs, [
 				{
-					name: "file3.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+					type: "call",
+					data: {
+						methodName: "append",
+						args: ["/path/to/file.txt", "Hello, world!"],
+					},
 				},
-				{
-					name: "subdir",
-					isFile: false,
-					isDirectory: true,
-					isSymlink: false,
+			]);
+		});
+
+		it("should reject a promise when the file path is not a string or URL", () => {
+			const hfs = new Hfs({
+				impl: {
+					append() {
+						return undefined;
+					},
 				},
-			];
+			});
+
+			return assert.rejects(
+				hfs.append(123, "Hello, world!"),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
 
+		it("should reject a promise when the file path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					list() {
-						return data;
+					append() {
+						return undefined;
 					},
 				},
 			});
 
-			const result = await hfs.list("/path/to/dir");
-			assert.ok(
-				result[Symbol.asyncIterator],
-				"list() should return an AsyncIterable.",
+			return assert.rejects(
+				hfs.append("", "Hello, world!"),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
+		});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
+		it("should reject a promise when the contents are a number", () => {
+			const hfs = new Hfs({
+				impl: {
+					append() {
+						return undefined;
+					},
+				},
+			});
 
-			assert.strictEqual(entries.length, data.length);
+			return assert.rejects(
+				hfs.append("/path/to/file.txt", 123),
+				new TypeError(
+					"File contents must be a string, ArrayBuffer, or ArrayBuffer view.",
+				),
+			);
+		});
 
-			for (const entry of data) {
-				const item = entries.find(item => item.name === entry.name);
-				assert.ok(item, `Could not find item with name ${entry.name}.`);
+		it("should pass a Uint8Array to the impl method when text is passed", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
+					},
+				},
+			});
 
-				assert.strictEqual(item.isDirectory, entry.isDirectory);
-				assert.strictEqual(item.isFile, entry.isFile);
-				assert.strictEqual(item.isSymlink, entry.isSymlink);
-			}
+			await hfs.append("/path/to/file.txt", "Hello, world!");
 		});
-	});
 
-	describe("walk()", () => {
-		const data = {
-			"/path/to/dir": [
-				{
-					name: "subdir1",
-					isFile: false,
-					isDirectory: true,
-					isSymlink: false,
+		it("should pass a Uint8Array to the impl method when an ArrayBuffer is passed", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
+					},
 				},
-				{
-					name: "subdir2",
-					isFile: false,
-					isDirectory: true,
-					isSymlink: false,
+			});
+
+			await hfs.append(
+				"/path/to/file.txt",
+				new Uint8Array([1, 2, 3]).buffer,
+			);
+		});
+
+		it("should pass a Uint8Array to the impl method when a Uint8Array is passed", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
+					},
 				},
-				{
-					name: "file1.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+			});
+
+			await hfs.append("/path/to/file.txt", new Uint8Array([1, 2, 3]));
+		});
+
+		it("should pass a Uint8Array to the impl method when a DataView is passed", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
+					},
 				},
-				{
-					name: "file2.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+			});
+
+			await hfs.append(
+				"/path/to/file.txt",
+				new DataView(new Uint8Array([1, 2, 3]).buffer),
+			);
+		});
+
+		it("should pass a Uint8Array to the impl method when a Uint8Array subarray is passed", async () => {
+			const hfs = new Hfs({
+				impl: {
+					append(path, contents) {
+						assert.ok(contents instanceof Uint8Array);
+						assert.strictEqual(contents.byteLength, 2);
+						assert.deepStrictEqual(
+							contents,
+							new Uint8Array([2, 3]),
+						);
+					},
 				},
-				{
-					name: "file3.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+			});
+
+			await hfs.append(
+				"/path/to/file.txt",
+				new Uint8Array([1, 2, 3]).subarray(1),
+			);
+		});
+	});
+
+	describe("isFile()", () => {
+		it("should return true when the file exists", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isFile() {
+						return true;
+					},
 				},
-			],
-			"/path/to/dir/subdir1": [
-				{
-					name: "subdir3",
-					isFile: false,
-					isDirectory: true,
-					isSymlink: false,
+			});
+
+			const result = await hfs.isFile("/path/to/file.txt");
+			assert.strictEqual(result, true);
+		});
+
+		it("should return false when the file does not exist", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isFile() {
+						return false;
+					},
 				},
-				{
-					name: "file4.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+			});
+
+			const result = await hfs.isFile("/path/to/file.txt");
+			assert.strictEqual(result, false);
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isFile() {
+						return true;
+					},
 				},
+			});
+
+			hfs.logStart("isFile");
+			await hfs.isFile("/path/to/file.txt");
+			const logs = getCallEntries(hfs.logEnd("isFile"));
+			assert.deepStrictEqual(logs, [
 				{
-					name: "file5.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+					type: "call",
+					data: {
+						methodName: "isFile",
+						args: ["/path/to/file.txt"],
+					},
 				},
-			],
-			"/path/to/dir/subdir1/subdir3": [
-				{
-					name: "file6.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+			]);
+		});
+
+		it("should reject a promise when the file path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					isFile() {
+						return true;
+					},
 				},
-			],
-			"/path/to/dir/subdir2": [
+			});
+
+			return assert.rejects(
+				hfs.isFile(123),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should reject a promise when the file path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					isFile() {
+						return true;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.isFile(""),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+	});
+
+	describe("isDirectory()", () => {
+		it("should return true when the directory exists", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isDirectory() {
+						return true;
+					},
+				},
+			});
+
+			const result = await hfs.isDirectory("/path/to/dir");
+			assert.strictEqual(result, true);
+		});
+
+		it("should return false when the directory does not exist", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isDirectory() {
+						return false;
+					},
+				},
+			});
+
+			const result = await hfs.isDirectory("/path/to/dir");
+			assert.strictEqual(result, false);
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isDirectory() {
+						return true;
+					},
+				},
+			});
+
+			hfs.logStart("isDirectory");
+			await hfs.isDirectory("/path/to/dir");
+			const logs = getCallEntries(hfs.logEnd("isDirectory"));
+			assert.deepStrictEqual(logs, [
 				{
-					name: "file7.txt",
-					isFile: true,
-					isDirectory: false,
-					isSymlink: false,
+					type: "call",
+					data: {
+						methodName: "isDirectory",
+						args: ["/path/to/dir"],
+					},
 				},
-			],
-		};
+			]);
+		});
 
-		const traversed = [
-			{
-				path: "subdir1",
-				name: "subdir1",
-				depth: 1,
-				isFile: false,
-				isDirectory: true,
-				isSymlink: false,
-			},
-			{
-				path: "subdir1/subdir3",
-				name: "subdir3",
-				depth: 2,
-				isFile: false,
-				isDirectory: true,
-				isSymlink: false,
-			},
-			{
-				path: "subdir1/subdir3/file6.txt",
-				name: "file6.txt",
-				depth: 3,
-				isFile: true,
-				isDirectory: false,
-				isSymlink: false,
-			},
-			{
-				path: "subdir1/file4.txt",
-				name: "file4.txt",
-				depth: 2,
-				isFile: true,
-				isDirectory: false,
-				isSymlink: false,
-			},
-			{
-				path: "subdir1/file5.txt",
-				name: "file5.txt",
-				depth: 2,
-				isFile: true,
-				isDirectory: false,
-				isSymlink: false,
-			},
-			{
-				path: "subdir2",
-				name: "subdir2",
-				depth: 1,
-				isFile: false,
-				isDirectory: true,
-				isSymlink: false,
-			},
-			{
-				path: "subdir2/file7.txt",
-				name: "file7.txt",
-				depth: 2,
-				isFile: true,
-				isDirectory: false,
-				isSymlink: false,
-			},
-			{
-				path: "file1.txt",
-				name: "file1.txt",
-				depth: 1,
-				isFile: true,
-				isDirectory: false,
-				isSymlink: false,
-			},
-			{
-				path: "file2.txt",
-				name: "file2.txt",
-				depth: 1,
-				isFile: true,
-				isDirectory: false,
-				isSymlink: false,
-			},
-			{
-				path: "file3.txt",
-				name: "file3.txt",
-				depth: 1,
-				isFile: true,
-				isDirectory: false,
+		it("should reject a promise when the directory path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					isDirectory() {
+						return true;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.isDirectory(123),
+				/Path must be a non-empty string./,
+			);
+		});
+
+		it("should reject a promise when the directory path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					isDirectory() {
+						return true;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.isDirectory(""),
+				/Path must be a non-empty string./,
+			);
+		});
+	});
+
+	describe("createDirectory()", () => {
+		it("should not reject a promise when the directory path is a string", async () => {
+			const hfs = new Hfs({
+				impl: {
+					createDirectory() {
+						return undefined;
+					},
+				},
+			});
+
+			await hfs.createDirectory("/path/to/dir");
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					createDirectory() {
+						return undefined;
+					},
+				},
+			});
+
+			hfs.logStart("createDirectory");
+			await hfs.createDirectory("/path/to/dir");
+			const logs = getCallEntries(hfs.logEnd("createDirectory"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "createDirectory",
+						args: ["/path/to/dir"],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when the directory path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					createDirectory() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.createDirectory(123),
+				/Path must be a non-empty string./,
+			);
+		});
+
+		it("should reject a promise when the directory path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					createDirectory() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.createDirectory(""),
+				/Path must be a non-empty string./,
+			);
+		});
+	});
+
+	describe("delete()", () => {
+		it("should not reject a promise when the file path is a string", async () => {
+			const hfs = new Hfs({
+				impl: {
+					delete() {
+						return undefined;
+					},
+				},
+			});
+
+			await hfs.delete("/path/to/file.txt");
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					delete() {
+						return undefined;
+					},
+				},
+			});
+
+			hfs.logStart("delete");
+			await hfs.delete("/path/to/file.txt");
+			const logs = getCallEntries(hfs.logEnd("delete"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "delete",
+						args: ["/path/to/file.txt"],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when the file path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					delete() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.delete(123),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should reject a promise when the file path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					delete() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.delete(""),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should return true when the impl method returns true", async () => {
+			const hfs = new Hfs({
+				impl: {
+					delete() {
+						return true;
+					},
+				},
+			});
+
+			const result = await hfs.delete("/path/to/file.txt");
+			assert.strictEqual(result, true);
+		});
+
+		it("should return false when the impl method returns false", async () => {
+			const hfs = new Hfs({
+				impl: {
+					delete() {
+						return false;
+					},
+				},
+			});
+
+			const result = await hfs.delete("/path/to/file.txt");
+			assert.strictEqual(result, false);
+		});
+	});
+
+	describe("deleteAll()", () => {
+		it("should not reject a promise when the file path is a string", async () => {
+			const hfs = new Hfs({
+				impl: {
+					delete() {
+						return undefined;
+					},
+				},
+			});
+
+			await hfs.delete("/path/to/directory");
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					deleteAll() {
+						return undefined;
+					},
+				},
+			});
+
+			hfs.logStart("delete");
+			await hfs.deleteAll("/path/to/directory");
+			const logs = getCallEntries(hfs.logEnd("delete"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "deleteAll",
+						args: ["/path/to/directory"],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when the file path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					deleteAll() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.deleteAll(123),
+				/Path must be a non-empty string./,
+			);
+		});
+
+		it("should reject a promise when the file path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					deleteAll() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.deleteAll(""),
+				/Path must be a non-empty string./,
+			);
+		});
+
+		it("should return true when the impl method returns true", async () => {
+			const hfs = new Hfs({
+				impl: {
+					deleteAll() {
+						return true;
+					},
+				},
+			});
+
+			const result = await hfs.deleteAll("/path/to/directory");
+			assert.strictEqual(result, true);
+		});
+
+		it("should return false when the impl method returns false", async () => {
+			const hfs = new Hfs({
+				impl: {
+					deleteAll() {
+						return false;
+					},
+				},
+			});
+
+			const result = await hfs.deleteAll("/path/to/directory");
+			assert.strictEqual(result, false);
+		});
+	});
+
+	describe("list()", () => {
+		it("should return the list of files", async () => {
+			const data = [
+				{
+					name: "file1.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+				{
+					name: "file2.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+				{
+					name: "file3.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+				{
+					name: "subdir",
+					isFile: false,
+					isDirectory: true,
+					isSymlink: false,
+				},
+			];
+
+			const hfs = new Hfs({
+				impl: {
+					list() {
+						return data;
+					},
+				},
+			});
+
+			const result = await hfs.list("/path/to/dir");
+			assert.ok(
+				result[Symbol.asyncIterator],
+				"list() should return an AsyncIterable.",
+			);
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			assert.strictEqual(entries.length, data.length);
+
+			for (const entry of data) {
+				const item = entries.find(item => item.name === entry.name);
+				assert.ok(item, `Could not find item with name ${entry.name}.`);
+
+				assert.strictEqual(item.isDirectory, entry.isDirectory);
+				assert.strictEqual(item.isFile, entry.isFile);
+				assert.strictEqual(item.isSymlink, entry.isSymlink);
+			}
+		});
+	});
+
+	describe("walk()", () => {
+		const data = {
+			"/path/to/dir": [
+				{
+					name: "subdir1",
+					isFile: false,
+					isDirectory: true,
+					isSymlink: false,
+				},
+				{
+					name: "subdir2",
+					isFile: false,
+					isDirectory: true,
+					isSymlink: false,
+				},
+				{
+					name: "file1.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+				{
+					name: "file2.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+				{
+					name: "file3.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+			],
+			"/path/to/dir/subdir1": [
+				{
+					name: "subdir3",
+					isFile: false,
+					isDirectory: true,
+					isSymlink: false,
+				},
+				{
+					name: "file4.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+				{
+					name: "file5.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+			],
+			"/path/to/dir/subdir1/subdir3": [
+				{
+					name: "file6.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+			],
+			"/path/to/dir/subdir2": [
+				{
+					name: "file7.txt",
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+				},
+			],
+		};
+
+		const traversed = [
+			{
+				path: "subdir1",
+				name: "subdir1",
+				depth: 1,
+				isFile: false,
+				isDirectory: true,
+				isSymlink: false,
+			},
+			{
+				path: "subdir1/subdir3",
+				name: "subdir3",
+				depth: 2,
+				isFile: false,
+				isDirectory: true,
+				isSymlink: false,
+			},
+			{
+				path: "subdir1/subdir3/file6.txt",
+				name: "file6.txt",
+				depth: 3,
+				isFile: true,
+				isDirectory: false,
+				isSymlink: false,
+			},
+			{
+				path: "subdir1/file4.txt",
+				name: "file4.txt",
+				depth: 2,
+				isFile: true,
+				isDirectory: false,
+				isSymlink: false,
+			},
+			{
+				path: "subdir1/file5.txt",
+				name: "file5.txt",
+				depth: 2,
+				isFile: true,
+				isDirectory: false,
+				isSymlink: false,
+			},
+			{
+				path: "subdir2",
+				name: "subdir2",
+				depth: 1,
+				isFile: false,
+				isDirectory: true,
+				isSymlink: false,
+			},
+			{
+				path: "subdir2/file7.txt",
+				name: "file7.txt",
+				depth: 2,
+				isFile: true,
+				isDirectory: false,
+				isSymlink: false,
+			},
+			{
+				path: "file1.txt",
+				name: "file1.txt",
+				depth: 1,
+				isFile: true,
+				isDirectory: false,
+				isSymlink: false,
+			},
+			{
+				path: "file2.txt",
+				name: "file2.txt",
+				depth: 1,
+				isFile: true,
+				isDirectory: false,
+				isSymlink: false,
+			},
+			{
+				path: "file3.txt",
+				name: "file3.txt",
+				depth: 1,
+				isFile: true,
+				isDirectory: false,
+				isSymlink: false,
+			},
+		];
+
+		let hfs;
+
+		beforeEach(() => {
+			hfs = new Hfs({
+				impl: {
+					list(dirPath) {
+						if (dirPath instanceof URL) {
+							dirPath = dirPath.pathname;
+						}
+
+						if (dirPath.endsWith("/")) {
+							dirPath = dirPath.slice(0, -1);
+						}
+
+						return data[dirPath] ?? [];
+					},
+				},
+			});
+		});
+
+		it("should log the method call", async () => {
+			hfs.logStart("walk");
+			const directoryFilter = () => false;
+			const entryFilter = () => false;
+
+			// eslint-disable-next-line no-unused-vars -- Needed for async iteration
+			for await (const entry of hfs.walk("/path/to/dir", {
+				directoryFilter,
+				entryFilter,
+			}));
+			const logs = getCallEntries(hfs.logEnd("walk"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "walk",
+						args: [
+							"/path/to/dir",
+							{
+								directoryFilter,
+								entryFilter,
+								order: "depth-first",
+								concurrency: 1,
+								maxDepth: Infinity,
+							},
+						],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when the directory path is not a string", () => {
+			return assert.rejects(
+				async () => hfs.walk(123).next(),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should reject a promise when the directory path is empty", () => {
+			return assert.rejects(
+				async () => hfs.walk("").next(),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should reject a promise when entryFilter throws an error", () => {
+			const error = new Error("Error in entryFilter");
+			return assert.rejects(
+				async () =>
+					hfs
+						.walk("/path/to/dir", {
+							entryFilter() {
+								throw error;
+							},
+						})
+						.next(),
+				error,
+			);
+		});
+
+		it("should reject a promise when entryFilter rejects an error", () => {
+			const error = new Error("Error in entryFilter");
+			return assert.rejects(
+				async () =>
+					hfs
+						.walk("/path/to/dir", {
+							async entryFilter() {
+								throw error;
+							},
+						})
+						.next(),
+				error,
+			);
+		});
+
+		it("should reject a promise when directoryFilter throws an error", () => {
+			const error = new Error("Error in directoryFilter");
+			return assert.rejects(async () => {
+				const walk = hfs.walk("/path/to/dir", {
+					directoryFilter() {
+						throw error;
+					},
+				});
+
+				await walk.next();
+				await walk.next();
+			}, error);
+		});
+
+		it("should reject a promise when directoryFilter rejects an error", () => {
+			const error = new Error("Error in directoryFilter");
+			return assert.rejects(async () => {
+				const walk = hfs.walk("/path/to/dir", {
+					async directoryFilter() {
+						throw error;
+					},
+				});
+
+				await walk.next();
+				await walk.next();
+			}, error);
+		});
+
+		it("should return the list of files and directories", async () => {
+			const result = await hfs.walk("/path/to/dir");
+			assert.ok(
+				result[Symbol.asyncIterator],
+				"walk() should return an AsyncIterable.",
+			);
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(entries, traversed);
+		});
+
+		it("should return the list of files and directories when passed a URL without a trailing slash", async () => {
+			const result = await hfs.walk(new URL("file:///path/to/dir"));
+			assert.ok(
+				result[Symbol.asyncIterator],
+				"walk() should return an AsyncIterable.",
+			);
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(entries, traversed);
+		});
+
+		it("should return the list of files and directories when passed a URL with a trailing slash", async () => {
+			const result = await hfs.walk(new URL("file:///path/to/dir/"));
+			assert.ok(
+				result[Symbol.asyncIterator],
+				"walk() should return an AsyncIterable.",
+			);
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(entries, traversed);
+		});
+
+		it("should return only files when the entryFilter filters on isFile synchronously", async () => {
+			const result = await hfs.walk("/path/to/dir", {
+				entryFilter(entry) {
+					return entry.isFile;
+				},
+			});
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(
+				entries,
+				traversed.filter(entry => entry.isFile),
+			);
+		});
+
+		it("should return only files when the entryFilter filters on isFile asynchronously", async () => {
+			const result = await hfs.walk("/path/to/dir", {
+				async entryFilter(entry) {
+					return entry.isFile;
+				},
+			});
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(
+				entries,
+				traversed.filter(entry => entry.isFile),
+			);
+		});
+
+		it("should return only the top-level entries when the directoryFilter return false synchronously", async () => {
+			const result = await hfs.walk("/path/to/dir", {
+				directoryFilter() {
+					return false;
+				},
+			});
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			const expected = traversed.filter(entry =>
+				data["/path/to/dir"].find(e => e.name === entry.name),
+			);
+			assert.deepStrictEqual(entries, expected);
+		});
+
+		it("should return only the top-level entries when the directoryFilter return false asynchronously", async () => {
+			const result = await hfs.walk("/path/to/dir", {
+				async directoryFilter() {
+					return false;
+				},
+			});
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			const expected = traversed.filter(entry =>
+				data["/path/to/dir"].find(e => e.name === entry.name),
+			);
+			assert.deepStrictEqual(entries, expected);
+		});
+
+		it("should skip subdir3 only when the directoryFilter return false synchronously", async () => {
+			const result = await hfs.walk("/path/to/dir", {
+				directoryFilter(entry) {
+					return entry.name !== "subdir3";
+				},
+			});
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			const expected = traversed.filter(
+				entry => !entry.path.includes("subdir3/"),
+			);
+			assert.deepStrictEqual(entries, expected);
+		});
+
+		it("should pass deep entries to the directoryFilter", async () => {
+			const deepEntries = [];
+			const result = await hfs.walk("/path/to/dir", {
+				directoryFilter(entry) {
+					deepEntries.push(entry.path);
+					return true;
+				},
+			});
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			const expected = traversed
+				.filter(entry => entry.isDirectory)
+				.map(entry => entry.path);
+			assert.deepStrictEqual(deepEntries, expected);
+		});
+
+		it("should pass deep entries to the entryFilter", async () => {
+			const deepEntries = [];
+			const result = await hfs.walk("/path/to/dir", {
+				entryFilter(entry) {
+					deepEntries.push(entry.path);
+					return true;
+				},
+			});
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			const expected = traversed.map(entry => entry.path);
+			assert.deepStrictEqual(deepEntries, expected);
+		});
+
+		it("should silently skip directories when list() throws ENONENT", async () => {
+			const hfs = new Hfs({
+				impl: {
+					list(dirPath) {
+						if (dirPath instanceof URL) {
+							dirPath = dirPath.pathname;
+						}
+
+						if (dirPath.endsWith("/")) {
+							dirPath = dirPath.slice(0, -1);
+						}
+
+						if (dirPath === "/path/to/dir/subdir1") {
+							throw new NotFoundError("dirPath");
+						}
+
+						return data[dirPath] ?? [];
+					},
+				},
+			});
+
+			const result = await hfs.walk("/path/to/dir");
+
+			const entries = [];
+			for await (const entry of result) {
+				entries.push(entry);
+			}
+
+			const expected = traversed.filter(
+				entry => !entry.path.includes("subdir1/"),
+			);
+			assert.deepStrictEqual(entries, expected);
+		});
+
+		it("should reject a promise when order is invalid", () => {
+			return assert.rejects(
+				async () =>
+					hfs.walk("/path/to/dir", { order: "random" }).next(),
+				new TypeError(
+					'Order must be "depth-first" or "breadth-first".',
+				),
+			);
+		});
+
+		[0, 1.5, "2"].forEach(concurrency => {
+			it(`should reject a promise when concurrency is ${JSON.stringify(concurrency)}`, () => {
+				return assert.rejects(
+					async () =>
+						hfs.walk("/path/to/dir", { concurrency }).next(),
+					new TypeError("Concurrency must be a positive integer."),
+				);
+			});
+		});
+
+		[0, -1, 1.5].forEach(maxDepth => {
+			it(`should reject a promise when maxDepth is ${maxDepth}`, () => {
+				return assert.rejects(
+					async () => hfs.walk("/path/to/dir", { maxDepth }).next(),
+					new TypeError(
+						"Max depth must be a positive integer or Infinity.",
+					),
+				);
+			});
+		});
+
+		it("should return only the top-level entries when maxDepth is 1", async () => {
+			const entries = [];
+			for await (const entry of hfs.walk("/path/to/dir", {
+				maxDepth: 1,
+			})) {
+				entries.push(entry);
+			}
+
+			const expected = traversed.filter(entry => entry.depth === 1);
+			assert.deepStrictEqual(entries, expected);
+		});
+
+		it("should not read directories deeper than maxDepth", async () => {
+			const listed = [];
+			const hfs = new Hfs({
+				impl: {
+					list(dirPath) {
+						listed.push(dirPath);
+						return data[dirPath] ?? [];
+					},
+				},
+			});
+
+			const entries = [];
+			for await (const entry of hfs.walk("/path/to/dir", {
+				maxDepth: 2,
+			})) {
+				entries.push(entry);
+			}
+
+			const expected = traversed.filter(entry => entry.depth <= 2);
+			assert.deepStrictEqual(entries, expected);
+			assert.deepStrictEqual(listed, [
+				"/path/to/dir",
+				"/path/to/dir/subdir1",
+				"/path/to/dir/subdir2",
+			]);
+		});
+
+		it("should return entries one depth at a time when order is breadth-first", async () => {
+			const entries = [];
+			for await (const entry of hfs.walk("/path/to/dir", {
+				order: "breadth-first",
+			})) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(
+				entries.map(entry => entry.path),
+				[
+					"subdir1",
+					"subdir2",
+					"file1.txt",
+					"file2.txt",
+					"file3.txt",
+					"subdir1/subdir3",
+					"subdir1/file4.txt",
+					"subdir1/file5.txt",
+					"subdir2/file7.txt",
+					"subdir1/subdir3/file6.txt",
+				],
+			);
+		});
+
+		it("should apply filters and maxDepth when order is breadth-first", async () => {
+			const entries = [];
+			for await (const entry of hfs.walk("/path/to/dir", {
+				order: "breadth-first",
+				maxDepth: 2,
+				directoryFilter: entry => entry.name !== "subdir2",
+				entryFilter: entry => entry.isFile,
+			})) {
+				entries.push(entry.path);
+			}
+
+			assert.deepStrictEqual(entries, [
+				"file1.txt",
+				"file2.txt",
+				"file3.txt",
+				"subdir1/file4.txt",
+				"subdir1/file5.txt",
+			]);
+		});
+
+		it("should return entries in depth-first order when concurrency is greater than 1", async () => {
+			const entries = [];
+			for await (const entry of hfs.walk("/path/to/dir", {
+				concurrency: 4,
+			})) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(entries, traversed);
+		});
+
+		it("should apply filters when concurrency is greater than 1", async () => {
+			const entries = [];
+			for await (const entry of hfs.walk(new URL("file:///path/to/dir"), {
+				concurrency: 4,
+				directoryFilter: entry => entry.name !== "subdir3",
+				entryFilter: async entry => entry.isFile,
+			})) {
+				entries.push(entry.path);
+			}
+
+			assert.deepStrictEqual(entries, [
+				"subdir1/file4.txt",
+				"subdir1/file5.txt",
+				"subdir2/file7.txt",
+				"file1.txt",
+				"file2.txt",
+				"file3.txt",
+			]);
+		});
+
+		["depth-first", "breadth-first"].forEach(order => {
+			it(`should read no more than concurrency directories at once when order is ${order}`, async () => {
+				let active = 0;
+				let maxActive = 0;
+				const hfs = new Hfs({
+					impl: {
+						async *list(dirPath) {
+							active++;
+							maxActive = Math.max(maxActive, active);
+
+							// give other reads a chance to start
+							await new Promise(resolve =>
+								setTimeout(resolve, 5),
+							);
+							active--;
+
+							yield* data[dirPath] ?? [];
+						},
+					},
+				});
+
+				const entries = [];
+				for await (const entry of hfs.walk("/path/to/dir", {
+					order,
+					concurrency: 2,
+				})) {
+					entries.push(entry);
+				}
+
+				assert.strictEqual(entries.length, traversed.length);
+				assert.strictEqual(maxActive, 2);
+			});
+
+			it(`should silently skip directories when list() throws ENOENT and order is ${order}`, async () => {
+				const hfs = new Hfs({
+					impl: {
+						list(dirPath) {
+							if (dirPath === "/path/to/dir/subdir1") {
+								throw new NotFoundError("dirPath");
+							}
+
+							return data[dirPath] ?? [];
+						},
+					},
+				});
+
+				const entries = [];
+				for await (const entry of hfs.walk("/path/to/dir", {
+					order,
+					concurrency: 2,
+				})) {
+					entries.push(entry.path);
+				}
+
+				const expected = traversed
+					.map(entry => entry.path)
+					.filter(path => !path.includes("subdir1/"));
+				assert.deepStrictEqual(entries.sort(), expected.sort());
+			});
+
+			it(`should reject a promise when list() throws an error and order is ${order}`, () => {
+				const error = new Error("Boom!");
+				const hfs = new Hfs({
+					impl: {
+						list(dirPath) {
+							if (dirPath === "/path/to/dir/subdir2") {
+								throw error;
+							}
+
+							return data[dirPath] ?? [];
+						},
+					},
+				});
+
+				return assert.rejects(async () => {
+					// eslint-disable-next-line no-unused-vars -- Needed for async iteration
+					for await (const entry of hfs.walk("/path/to/dir", {
+						order,
+						concurrency: 2,
+					}));
+				}, error);
+			});
+		});
+	});
+
+	describe("glob()", () => {
+		/**
+		 * Creates a directory entry for use in the fake impl.
+		 * @param {string} name The name of the entry.
+		 * @param {boolean} isDirectory Whether the entry is a directory.
+		 * @returns {object} The directory entry.
+		 */
+		function entry(name, isDirectory = false) {
+			return {
+				name,
+				isFile: !isDirectory,
+				isDirectory,
 				isSymlink: false,
-			},
-		];
+			};
+		}
+
+		const data = {
+			"/project": [
+				entry("src", true),
+				entry("node_modules", true),
+				entry("README.md"),
+				entry("index.js"),
+			],
+			"/project/src": [
+				entry("lib", true),
+				entry("main.js"),
+				entry("main.test.js"),
+				entry("styles.css"),
+			],
+			"/project/src/lib": [entry("util.js"), entry("util.ts")],
+			"/project/node_modules": [entry("dep", true)],
+			"/project/node_modules/dep": [entry("index.js")],
+		};
 
 		let hfs;
+		let listed;
 
 		beforeEach(() => {
+			listed = [];
 			hfs = new Hfs({
 				impl: {
 					list(dirPath) {
@@ -1598,353 +3281,591 @@ describe("Hfs", () => {
 							dirPath = dirPath.pathname;
 						}
 
-						if (dirPath.endsWith("/")) {
-							dirPath = dirPath.slice(0, -1);
-						}
-
+						listed.push(dirPath);
 						return data[dirPath] ?? [];
 					},
 				},
 			});
 		});
 
-		it("should log the method call", async () => {
-			hfs.logStart("walk");
-			const directoryFilter = () => false;
-			const entryFilter = () => false;
+		/**
+		 * Collects the paths of the entries returned from glob().
+		 * @param {string|URL} dirPath The directory to search.
+		 * @param {string|Array<string>} patterns The patterns to match.
+		 * @returns {Promise<Array<string>>} The matching paths.
+		 */
+		async function globPaths(dirPath, patterns) {
+			const paths = [];
 
-			// eslint-disable-next-line no-unused-vars -- Needed for async iteration
-			for await (const entry of hfs.walk("/path/to/dir", {
-				directoryFilter,
-				entryFilter,
-			}));
-			const logs = hfs.logEnd("walk").map(normalizeLogEntry);
+			for await (const entry of hfs.glob(dirPath, patterns)) {
+				paths.push(entry.path);
+			}
+
+			return paths;
+		}
+
+		it("should return entries matching a single pattern", async () => {
+			const paths = await globPaths("/project", "*.js");
+
+			assert.deepStrictEqual(paths, ["index.js"]);
+			assert.deepStrictEqual(listed, ["/project"]);
+		});
+
+		it("should return entries at any depth with **", async () => {
+			const paths = await globPaths("/project", "src/**/*.js");
+
+			assert.deepStrictEqual(paths, [
+				"src/lib/util.js",
+				"src/main.js",
+				"src/main.test.js",
+			]);
+			assert.deepStrictEqual(listed, [
+				"/project",
+				"/project/src",
+				"/project/src/lib",
+			]);
+		});
+
+		it("should return walk entries with depth", async () => {
+			const entries = [];
+
+			for await (const entry of hfs.glob("/project", "src/lib/*.ts")) {
+				entries.push(entry);
+			}
+
+			assert.deepStrictEqual(entries, [
+				{
+					path: "src/lib/util.ts",
+					depth: 3,
+					...entry("util.ts"),
+				},
+			]);
+		});
+
+		it("should support braces, character classes, and ?", async () => {
+			const paths = await globPaths("/project", [
+				"**/*.{ts,css}",
+				"[A-Z]*.md",
+				"src/lib/uti?.js",
+			]);
+
+			assert.deepStrictEqual(paths, [
+				"src/lib/util.js",
+				"src/lib/util.ts",
+				"src/styles.css",
+				"README.md",
+			]);
+		});
+
+		it("should exclude entries matching negated patterns", async () => {
+			const paths = await globPaths("/project", [
+				"**/*.js",
+				"!**/*.test.js",
+				"!node_modules/**",
+			]);
+
+			assert.deepStrictEqual(paths, [
+				"src/lib/util.js",
+				"src/main.js",
+				"index.js",
+			]);
+			assert.ok(
+				!listed.includes("/project/node_modules"),
+				"node_modules should not be listed",
+			);
+		});
+
+		it("should work with a file URL", async () => {
+			const paths = await globPaths(
+				new URL("file:///project"),
+				"src/*.css",
+			);
+
+			assert.deepStrictEqual(paths, ["src/styles.css"]);
+		});
+
+		it("should log the method call without logging walk()", async () => {
+			hfs.logStart("glob");
+			await globPaths("/project", "*.js");
+			const logs = getCallEntries(hfs.logEnd("glob"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "walk",
-						args: [
-							"/path/to/dir",
-							{ directoryFilter, entryFilter },
-						],
+						methodName: "glob",
+						args: ["/project", "*.js"],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the directory path is not a string", () => {
+		it("should reject a promise when the directory path is empty", () => {
 			return assert.rejects(
-				async () => hfs.walk(123).next(),
+				async () => hfs.glob("", "*.js").next(),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should reject a promise when the directory path is empty", () => {
+		it("should reject a promise when the patterns are missing", () => {
 			return assert.rejects(
-				async () => hfs.walk("").next(),
+				async () => hfs.glob("/project").next(),
+				new TypeError(
+					"Patterns must be a non-empty string or array of non-empty strings.",
+				),
+			);
+		});
+
+		it("should reject a promise when the patterns array is empty", () => {
+			return assert.rejects(
+				async () => hfs.glob("/project", []).next(),
+				new TypeError(
+					"Patterns must be a non-empty string or array of non-empty strings.",
+				),
+			);
+		});
+
+		it("should reject a promise when a pattern is empty", () => {
+			return assert.rejects(
+				async () => hfs.glob("/project", ["*.js", ""]).next(),
+				new TypeError(
+					"Patterns must be a non-empty string or array of non-empty strings.",
+				),
+			);
+		});
+	});
+
+	describe("size()", () => {
+		it("should return the size of the file", async () => {
+			const hfs = new Hfs({
+				impl: {
+					size() {
+						return 123;
+					},
+				},
+			});
+
+			const result = await hfs.size("/path/to/file.txt");
+			assert.strictEqual(result, 123);
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					size() {
+						return 123;
+					},
+				},
+			});
+
+			hfs.logStart("size");
+			await hfs.size("/path/to/file.txt");
+			const logs = getCallEntries(hfs.logEnd("size"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "size",
+						args: ["/path/to/file.txt"],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when the file path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					size() {
+						return 123;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.size(123),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should reject a promise when entryFilter throws an error", () => {
-			const error = new Error("Error in entryFilter");
+		it("should reject a promise when the file path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					size() {
+						return 123;
+					},
+				},
+			});
+
 			return assert.rejects(
-				async () =>
-					hfs
-						.walk("/path/to/dir", {
-							entryFilter() {
-								throw error;
-							},
-						})
-						.next(),
-				error,
+				hfs.size(""),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+	});
+
+	describe("lastModified()", () => {
+		it("should return the last modified time of the file", async () => {
+			const hfs = new Hfs({
+				impl: {
+					lastModified() {
+						return new Date(123);
+					},
+				},
+			});
+
+			const result = await hfs.lastModified("/path/to/file.txt");
+			assert.deepStrictEqual(result, new Date(123));
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					lastModified() {
+						return new Date(123);
+					},
+				},
+			});
+
+			hfs.logStart("lastModified");
+			await hfs.lastModified("/path/to/file.txt");
+			const logs = getCallEntries(hfs.logEnd("lastModified"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "lastModified",
+						args: ["/path/to/file.txt"],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when the file path is not a string or URL", () => {
+			const hfs = new Hfs({
+				impl: {
+					lastModified() {
+						return new Date(123);
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.lastModified(123),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should reject a promise when entryFilter rejects an error", () => {
-			const error = new Error("Error in entryFilter");
+		it("should reject a promise when the file path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					lastModified() {
+						return new Date(123);
+					},
+				},
+			});
+
 			return assert.rejects(
-				async () =>
-					hfs
-						.walk("/path/to/dir", {
-							async entryFilter() {
-								throw error;
-							},
-						})
-						.next(),
-				error,
+				hfs.lastModified(""),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
+	});
 
-		it("should reject a promise when directoryFilter throws an error", () => {
-			const error = new Error("Error in directoryFilter");
-			return assert.rejects(async () => {
-				const walk = hfs.walk("/path/to/dir", {
-					directoryFilter() {
-						throw error;
+	describe("stat()", () => {
+		it("should return the stat object from the impl", async () => {
+			const lastModified = new Date();
+			const hfs = new Hfs({
+				impl: {
+					stat() {
+						return {
+							kind: "file",
+							size: 13,
+							lastModified,
+							isSymlink: false,
+						};
 					},
-				});
+				},
+			});
 
-				await walk.next();
-				await walk.next();
-			}, error);
+			const result = await hfs.stat("/path/to/file.txt");
+			assert.deepStrictEqual(result, {
+				kind: "file",
+				size: 13,
+				lastModified,
+				isSymlink: false,
+			});
 		});
 
-		it("should reject a promise when directoryFilter rejects an error", () => {
-			const error = new Error("Error in directoryFilter");
-			return assert.rejects(async () => {
-				const walk = hfs.walk("/path/to/dir", {
-					async directoryFilter() {
-						throw error;
+		it("should return undefined when the impl returns undefined", async () => {
+			const hfs = new Hfs({
+				impl: {
+					stat() {
+						return undefined;
 					},
-				});
+				},
+			});
 
-				await walk.next();
-				await walk.next();
-			}, error);
+			const result = await hfs.stat("/path/to/file.txt");
+			assert.strictEqual(result, undefined);
 		});
 
-		it("should return the list of files and directories", async () => {
-			const result = await hfs.walk("/path/to/dir");
-			assert.ok(
-				result[Symbol.asyncIterator],
-				"walk() should return an AsyncIterable.",
-			);
-
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					stat() {
+						return undefined;
+					},
+				},
+			});
 
-			assert.deepStrictEqual(entries, traversed);
+			hfs.logStart("stat");
+			await hfs.stat("/path/to/file.txt");
+			const logs = getCallEntries(hfs.logEnd("stat"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "stat",
+						args: ["/path/to/file.txt"],
+					},
+				},
+			]);
 		});
 
-		it("should return the list of files and directories when passed a URL without a trailing slash", async () => {
-			const result = await hfs.walk(new URL("file:///path/to/dir"));
-			assert.ok(
-				result[Symbol.asyncIterator],
-				"walk() should return an AsyncIterable.",
-			);
-
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
+		it("should reject a promise when the method is not present on the impl", () => {
+			const hfs = new Hfs({ impl: {} });
 
-			assert.deepStrictEqual(entries, traversed);
+			return assert.rejects(
+				hfs.stat("/path/to/file.txt"),
+				new NoSuchMethodError("stat"),
+			);
 		});
 
-		it("should return the list of files and directories when passed a URL with a trailing slash", async () => {
-			const result = await hfs.walk(new URL("file:///path/to/dir/"));
-			assert.ok(
-				result[Symbol.asyncIterator],
-				"walk() should return an AsyncIterable.",
+		it("should reject a promise when the path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					stat() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.stat(123),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
+		});
+	});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
+	describe("copy()", () => {
+		it("should not reject a promise when the source and destination are strings", async () => {
+			const hfs = new Hfs({
+				impl: {
+					copy() {
+						return undefined;
+					},
+				},
+			});
 
-			assert.deepStrictEqual(entries, traversed);
+			await hfs.copy("/path/to/file.txt", "/path/to/other/file.txt");
 		});
 
-		it("should return only files when the entryFilter filters on isFile synchronously", async () => {
-			const result = await hfs.walk("/path/to/dir", {
-				entryFilter(entry) {
-					return entry.isFile;
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					copy() {
+						return undefined;
+					},
 				},
 			});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
-
-			assert.deepStrictEqual(
-				entries,
-				traversed.filter(entry => entry.isFile),
-			);
+			hfs.logStart("copy");
+			await hfs.copy("/path/to/file.txt", "/path/to/other/file.txt");
+			const logs = getCallEntries(hfs.logEnd("copy"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "copy",
+						args: ["/path/to/file.txt", "/path/to/other/file.txt"],
+					},
+				},
+			]);
 		});
 
-		it("should return only files when the entryFilter filters on isFile asynchronously", async () => {
-			const result = await hfs.walk("/path/to/dir", {
-				async entryFilter(entry) {
-					return entry.isFile;
+		it("should reject a promise when the source path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					copy() {
+						return undefined;
+					},
 				},
 			});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
-
-			assert.deepStrictEqual(
-				entries,
-				traversed.filter(entry => entry.isFile),
+			return assert.rejects(
+				hfs.copy(123, "/path/to/other/file.txt"),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should return only the top-level entries when the directoryFilter return false synchronously", async () => {
-			const result = await hfs.walk("/path/to/dir", {
-				directoryFilter() {
-					return false;
+		it("should reject a promise when the source path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					copy() {
+						return undefined;
+					},
 				},
 			});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
-
-			const expected = traversed.filter(entry =>
-				data["/path/to/dir"].find(e => e.name === entry.name),
+			return assert.rejects(
+				hfs.copy("", "/path/to/other/file.txt"),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
-			assert.deepStrictEqual(entries, expected);
 		});
 
-		it("should return only the top-level entries when the directoryFilter return false asynchronously", async () => {
-			const result = await hfs.walk("/path/to/dir", {
-				async directoryFilter() {
-					return false;
+		it("should reject a promise when the destination path is not a string or URL", () => {
+			const hfs = new Hfs({
+				impl: {
+					copy() {
+						return undefined;
+					},
 				},
 			});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
-
-			const expected = traversed.filter(entry =>
-				data["/path/to/dir"].find(e => e.name === entry.name),
+			return assert.rejects(
+				hfs.copy("/path/to/file.txt", 123),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
-			assert.deepStrictEqual(entries, expected);
 		});
 
-		it("should skip subdir3 only when the directoryFilter return false synchronously", async () => {
-			const result = await hfs.walk("/path/to/dir", {
-				directoryFilter(entry) {
-					return entry.name !== "subdir3";
+		it("should reject a promise when the destination path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					copy() {
+						return undefined;
+					},
 				},
 			});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
-
-			const expected = traversed.filter(
-				entry => !entry.path.includes("subdir3/"),
+			return assert.rejects(
+				hfs.copy("/path/to/file.txt", ""),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
-			assert.deepStrictEqual(entries, expected);
 		});
+	});
 
-		it("should pass deep entries to the directoryFilter", async () => {
-			const deepEntries = [];
-			const result = await hfs.walk("/path/to/dir", {
-				directoryFilter(entry) {
-					deepEntries.push(entry.path);
-					return true;
+	describe("copyAll()", () => {
+		it("should not reject a promise when the source and destination are strings", async () => {
+			const hfs = new Hfs({
+				impl: {
+					copyAll() {
+						return undefined;
+					},
 				},
 			});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
-
-			const expected = traversed
-				.filter(entry => entry.isDirectory)
-				.map(entry => entry.path);
-			assert.deepStrictEqual(deepEntries, expected);
+			await hfs.copyAll("/path/to/dir", "/path/to/other/dir");
 		});
 
-		it("should pass deep entries to the entryFilter", async () => {
-			const deepEntries = [];
-			const result = await hfs.walk("/path/to/dir", {
-				entryFilter(entry) {
-					deepEntries.push(entry.path);
-					return true;
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					copyAll() {
+						return undefined;
+					},
 				},
 			});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
-
-			const expected = traversed.map(entry => entry.path);
-			assert.deepStrictEqual(deepEntries, expected);
+			hfs.logStart("copyAll");
+			await hfs.copyAll("/path/to/dir", "/path/to/other/dir");
+			const logs = getCallEntries(hfs.logEnd("copyAll"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "copyAll",
+						args: ["/path/to/dir", "/path/to/other/dir"],
+					},
+				},
+			]);
 		});
 
-		it("should silently skip directories when list() throws ENONENT", async () => {
+		it("should reject a promise when the source path is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					list(dirPath) {
-						if (dirPath instanceof URL) {
-							dirPath = dirPath.pathname;
-						}
-
-						if (dirPath.endsWith("/")) {
-							dirPath = dirPath.slice(0, -1);
-						}
+					copyAll() {
+						return undefined;
+					},
+				},
+			});
 
-						if (dirPath === "/path/to/dir/subdir1") {
-							throw new NotFoundError("dirPath");
-						}
+			return assert.rejects(
+				hfs.copyAll(123, "/path/to/other/dir"),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
 
-						return data[dirPath] ?? [];
+		it("should reject a promise when the source path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					copyAll() {
+						return undefined;
 					},
 				},
 			});
 
-			const result = await hfs.walk("/path/to/dir");
+			return assert.rejects(
+				hfs.copyAll("", "/path/to/other/dir"),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
 
-			const entries = [];
-			for await (const entry of result) {
-				entries.push(entry);
-			}
+		it("should reject a promise when the destination path is not a string or URL", () => {
+			const hfs = new Hfs({
+				impl: {
+					copyAll() {
+						return undefined;
+					},
+				},
+			});
 
-			const expected = traversed.filter(
-				entry => !entry.path.includes("subdir1/"),
+			return assert.rejects(
+				hfs.copyAll("/path/to/dir", 123),
+				new TypeError("Path must be a non-empty string or URL."),
 			);
-			assert.deepStrictEqual(entries, expected);
 		});
 	});
 
-	describe("size()", () => {
-		it("should return the size of the file", async () => {
+	describe("move()", () => {
+		it("should call impl method", async () => {
 			const hfs = new Hfs({
 				impl: {
-					size() {
-						return 123;
+					move() {
+						return undefined;
 					},
 				},
 			});
 
-			const result = await hfs.size("/path/to/file.txt");
-			assert.strictEqual(result, 123);
+			await hfs.move("/path/to/file.txt", "/path/to/newfile.txt");
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					size() {
-						return 123;
+					move() {
+						return undefined;
 					},
 				},
 			});
 
-			hfs.logStart("size");
-			await hfs.size("/path/to/file.txt");
-			const logs = hfs.logEnd("size").map(normalizeLogEntry);
+			hfs.logStart("move");
+			await hfs.move("/path/to/file.txt", "/path/to/newfile.txt");
+			const logs = getCallEntries(hfs.logEnd("move"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "size",
-						args: ["/path/to/file.txt"],
+						methodName: "move",
+						args: ["/path/to/file.txt", "/path/to/newfile.txt"],
 					},
 				},
 			]);
@@ -1953,14 +3874,14 @@ describe("Hfs", () => {
 		it("should reject a promise when the file path is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					size() {
-						return 123;
+					move() {
+						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.size(123),
+				hfs.move(123, "/path/to/newfile.txt"),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
@@ -1968,457 +3889,903 @@ describe("Hfs", () => {
 		it("should reject a promise when the file path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					size() {
-						return 123;
+					move() {
+						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.size(""),
+				hfs.move("", "/path/to/newfile.txt"),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should reject a promise when the new file path is not a string", () => {
+			const hfs = new Hfs({
+				impl: {
+					move() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.move("/path/to/file.txt", 123),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should reject a promise when the new file path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					move() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.move("/path/to/file.txt", ""),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 	});
 
-	describe("lastModified()", () => {
-		it("should return the last modified time of the file", async () => {
+	describe("moveAll()", () => {
+		it("should call impl method", async () => {
 			const hfs = new Hfs({
 				impl: {
-					lastModified() {
-						return new Date(123);
+					moveAll() {
+						return undefined;
 					},
 				},
 			});
 
-			const result = await hfs.lastModified("/path/to/file.txt");
-			assert.deepStrictEqual(result, new Date(123));
+			await hfs.moveAll("/path/to/dir", "/path/to/newdir");
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					lastModified() {
-						return new Date(123);
+					moveAll() {
+						return undefined;
 					},
 				},
 			});
 
-			hfs.logStart("lastModified");
-			await hfs.lastModified("/path/to/file.txt");
-			const logs = hfs.logEnd("lastModified").map(normalizeLogEntry);
+			hfs.logStart("moveAll");
+			await hfs.moveAll("/path/to/dir", "/path/to/newdir");
+			const logs = getCallEntries(hfs.logEnd("moveAll"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "lastModified",
-						args: ["/path/to/file.txt"],
+						methodName: "moveAll",
+						args: ["/path/to/dir", "/path/to/newdir"],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the file path is not a string or URL", () => {
+		it("should reject a promise when the source is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					lastModified() {
-						return new Date(123);
+					moveAll() {
+						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.lastModified(123),
+				hfs.moveAll(123, "/path/to/newdir"),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should reject a promise when the file path is empty", () => {
+		it("should reject a promise when the source is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					lastModified() {
-						return new Date(123);
+					moveAll() {
+						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.lastModified(""),
+				hfs.moveAll("", "/path/to/newdir"),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
-	});
 
-	describe("copy()", () => {
-		it("should not reject a promise when the source and destination are strings", async () => {
+		it("should reject a promise when the destination is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					copy() {
+					moveAll() {
 						return undefined;
 					},
 				},
 			});
 
-			await hfs.copy("/path/to/file.txt", "/path/to/other/file.txt");
+			return assert.rejects(
+				hfs.moveAll("/path/to/dir", 123),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+
+		it("should reject a promise when the destination is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					moveAll() {
+						return undefined;
+					},
+				},
+			});
+
+			return assert.rejects(
+				hfs.moveAll("/path/to/dir", ""),
+				new TypeError("Path must be a non-empty string or URL."),
+			);
+		});
+	});
+
+	describe("createSymlink()", () => {
+		it("should call impl method with the target and link path", async () => {
+			const calls = [];
+			const hfs = new Hfs({
+				impl: {
+					createSymlink(...args) {
+						calls.push(args);
+					},
+				},
+			});
+
+			await hfs.createSymlink("../file.txt", "/path/to/link.txt");
+			assert.deepStrictEqual(calls, [
+				["../file.txt", "/path/to/link.txt"],
+			]);
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					copy() {
+					createSymlink() {
 						return undefined;
 					},
 				},
 			});
 
-			hfs.logStart("copy");
-			await hfs.copy("/path/to/file.txt", "/path/to/other/file.txt");
-			const logs = hfs.logEnd("copy").map(normalizeLogEntry);
+			hfs.logStart("createSymlink");
+			await hfs.createSymlink("../file.txt", "/path/to/link.txt");
+			const logs = getCallEntries(hfs.logEnd("createSymlink"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "copy",
-						args: ["/path/to/file.txt", "/path/to/other/file.txt"],
+						methodName: "createSymlink",
+						args: ["../file.txt", "/path/to/link.txt"],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the source path is not a string", () => {
+		it("should reject a promise when the method is not present on the impl", () => {
+			const hfs = new Hfs({ impl: {} });
+
+			return assert.rejects(
+				hfs.createSymlink("../file.txt", "/path/to/link.txt"),
+				new NoSuchMethodError("createSymlink"),
+			);
+		});
+
+		it("should reject a promise when the target is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					copy() {
+					createSymlink() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.copy(123, "/path/to/other/file.txt"),
-				new TypeError("Path must be a non-empty string or URL."),
+				hfs.createSymlink(
+					new URL("file:///file.txt"),
+					"/path/to/link.txt",
+				),
+				new TypeError("Symlink target must be a non-empty string."),
 			);
 		});
 
-		it("should reject a promise when the source path is empty", () => {
+		it("should reject a promise when the target is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					copy() {
+					createSymlink() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.copy("", "/path/to/other/file.txt"),
-				new TypeError("Path must be a non-empty string or URL."),
+				hfs.createSymlink("", "/path/to/link.txt"),
+				new TypeError("Symlink target must be a non-empty string."),
 			);
 		});
 
-		it("should reject a promise when the destination path is not a string or URL", () => {
+		it("should reject a promise when the link path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					copy() {
+					createSymlink() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.copy("/path/to/file.txt", 123),
+				hfs.createSymlink("../file.txt", ""),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
+	});
 
-		it("should reject a promise when the destination path is empty", () => {
+	describe("readSymlink()", () => {
+		it("should return the target from the impl", async () => {
 			const hfs = new Hfs({
 				impl: {
-					copy() {
-						return undefined;
+					readSymlink() {
+						return "../file.txt";
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.copy("/path/to/file.txt", ""),
-				new TypeError("Path must be a non-empty string or URL."),
-			);
+			const result = await hfs.readSymlink("/path/to/link.txt");
+			assert.strictEqual(result, "../file.txt");
 		});
-	});
 
-	describe("copyAll()", () => {
-		it("should not reject a promise when the source and destination are strings", async () => {
+		it("should return undefined when the impl returns undefined", async () => {
 			const hfs = new Hfs({
 				impl: {
-					copyAll() {
+					readSymlink() {
 						return undefined;
 					},
 				},
 			});
 
-			await hfs.copyAll("/path/to/dir", "/path/to/other/dir");
+			const result = await hfs.readSymlink("/path/to/file.txt");
+			assert.strictEqual(result, undefined);
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					copyAll() {
-						return undefined;
+					readSymlink() {
+						return "../file.txt";
 					},
 				},
 			});
 
-			hfs.logStart("copyAll");
-			await hfs.copyAll("/path/to/dir", "/path/to/other/dir");
-			const logs = hfs.logEnd("copyAll").map(normalizeLogEntry);
+			hfs.logStart("readSymlink");
+			await hfs.readSymlink("/path/to/link.txt");
+			const logs = getCallEntries(hfs.logEnd("readSymlink"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "copyAll",
-						args: ["/path/to/dir", "/path/to/other/dir"],
+						methodName: "readSymlink",
+						args: ["/path/to/link.txt"],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the source path is not a string", () => {
+		it("should reject a promise when the link path is not a string", () => {
 			const hfs = new Hfs({
 				impl: {
-					copyAll() {
+					readSymlink() {
 						return undefined;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.copyAll(123, "/path/to/other/dir"),
+				hfs.readSymlink(123),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
+	});
 
-		it("should reject a promise when the source path is empty", () => {
+	describe("isSymlink()", () => {
+		it("should return true when the impl returns true", async () => {
 			const hfs = new Hfs({
 				impl: {
-					copyAll() {
-						return undefined;
+					isSymlink() {
+						return true;
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.copyAll("", "/path/to/other/dir"),
-				new TypeError("Path must be a non-empty string or URL."),
-			);
+			const result = await hfs.isSymlink("/path/to/link.txt");
+			assert.strictEqual(result, true);
 		});
 
-		it("should reject a promise when the destination path is not a string or URL", () => {
+		it("should return false when the impl returns false", async () => {
 			const hfs = new Hfs({
 				impl: {
-					copyAll() {
-						return undefined;
+					isSymlink() {
+						return false;
+					},
+				},
+			});
+
+			const result = await hfs.isSymlink("/path/to/file.txt");
+			assert.strictEqual(result, false);
+		});
+
+		it("should log the method call", async () => {
+			const hfs = new Hfs({
+				impl: {
+					isSymlink() {
+						return true;
+					},
+				},
+			});
+
+			hfs.logStart("isSymlink");
+			await hfs.isSymlink("/path/to/link.txt");
+			const logs = getCallEntries(hfs.logEnd("isSymlink"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "isSymlink",
+						args: ["/path/to/link.txt"],
+					},
+				},
+			]);
+		});
+
+		it("should reject a promise when the path is empty", () => {
+			const hfs = new Hfs({
+				impl: {
+					isSymlink() {
+						return true;
 					},
 				},
 			});
 
 			return assert.rejects(
-				hfs.copyAll("/path/to/dir", 123),
+				hfs.isSymlink(""),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 	});
 
-	describe("move()", () => {
-		it("should call impl method", async () => {
+	describe("watch()", () => {
+		it("should return the events from the impl", async () => {
+			const controller = new AbortController();
+			let receivedArgs;
 			const hfs = new Hfs({
 				impl: {
-					move() {
-						return undefined;
+					async *watch(...args) {
+						receivedArgs = args;
+						yield { type: "create", path: "file1.txt" };
+						yield { type: "delete", path: "subdir/file2.txt" };
 					},
 				},
 			});
 
-			await hfs.move("/path/to/file.txt", "/path/to/newfile.txt");
+			const events = [];
+			for await (const event of hfs.watch("/path/to/dir", {
+				signal: controller.signal,
+			})) {
+				events.push(event);
+			}
+
+			assert.deepStrictEqual(events, [
+				{ type: "create", path: "file1.txt" },
+				{ type: "delete", path: "subdir/file2.txt" },
+			]);
+			assert.deepStrictEqual(receivedArgs, [
+				"/path/to/dir",
+				{ signal: controller.signal },
+			]);
 		});
 
 		it("should log the method call", async () => {
 			const hfs = new Hfs({
 				impl: {
-					move() {
-						return undefined;
-					},
+					async *watch() {},
 				},
 			});
 
-			hfs.logStart("move");
-			await hfs.move("/path/to/file.txt", "/path/to/newfile.txt");
-			const logs = hfs.logEnd("move").map(normalizeLogEntry);
+			hfs.logStart("watch");
+			// eslint-disable-next-line no-unused-vars -- Needed for async iteration
+			for await (const event of hfs.watch("/path/to/dir"));
+			const logs = getCallEntries(hfs.logEnd("watch"));
 			assert.deepStrictEqual(logs, [
 				{
 					type: "call",
 					data: {
-						methodName: "move",
-						args: ["/path/to/file.txt", "/path/to/newfile.txt"],
+						methodName: "watch",
+						args: [
+							"/path/to/dir",
+							{ signal: undefined, interval: 1000 },
+						],
 					},
 				},
 			]);
 		});
 
-		it("should reject a promise when the file path is not a string", () => {
+		it("should reject a promise when the directory path is empty", () => {
 			const hfs = new Hfs({
 				impl: {
-					move() {
-						return undefined;
-					},
+					async *watch() {},
 				},
 			});
 
 			return assert.rejects(
-				hfs.move(123, "/path/to/newfile.txt"),
+				async () => hfs.watch("").next(),
 				new TypeError("Path must be a non-empty string or URL."),
 			);
 		});
 
-		it("should reject a promise when the file path is empty", () => {
-			const hfs = new Hfs({
-				impl: {
-					move() {
-						return undefined;
+		[0, -1, "100"].forEach(interval => {
+			it(`should reject a promise when the interval is ${JSON.stringify(interval)}`, () => {
+				const hfs = new Hfs({
+					impl: {
+						async *watch() {},
 					},
-				},
-			});
+				});
 
-			return assert.rejects(
-				hfs.move("", "/path/to/newfile.txt"),
-				new TypeError("Path must be a non-empty string or URL."),
-			);
+				return assert.rejects(
+					async () => hfs.watch("/path/to/dir", { interval }).next(),
+					new TypeError("Interval must be a positive number."),
+				);
+			});
 		});
 
-		it("should reject a promise when the new file path is not a string", () => {
+		it("should reject a promise when the impl can't watch or be polled", () => {
 			const hfs = new Hfs({
-				impl: {
-					move() {
-						return undefined;
-					},
-				},
+				impl: {},
 			});
 
 			return assert.rejects(
-				hfs.move("/path/to/file.txt", 123),
-				new TypeError("Path must be a non-empty string or URL."),
+				async () => hfs.watch("/path/to/dir").next(),
+				new MethodNotSupportedError("watch"),
 			);
 		});
 
-		it("should reject a promise when the new file path is empty", () => {
-			const hfs = new Hfs({
-				impl: {
-					move() {
-						return undefined;
+		describe("Polling", () => {
+			/**
+			 * Creates a directory entry for use in the fake impl.
+			 * @param {string} name The name of the entry.
+			 * @param {boolean} isDirectory Whether the entry is a directory.
+			 * @returns {object} The directory entry.
+			 */
+			function entry(name, isDirectory = false) {
+				return {
+					name,
+					isFile: !isDirectory,
+					isDirectory,
+					isSymlink: false,
+				};
+			}
+
+			let data;
+			let lastModified;
+			let onPoll;
+			let hfs;
+
+			beforeEach(() => {
+				data = {
+					"/path/to/dir": [entry("file1.txt"), entry("subdir", true)],
+					"/path/to/dir/subdir": [entry("file2.txt")],
+				};
+				lastModified = new Map([
+					["/path/to/dir/file1.txt", new Date(1000)],
+					["/path/to/dir/subdir/file2.txt", new Date(1000)],
+				]);
+				onPoll = () => {};
+
+				let polls = 0;
+
+				hfs = new Hfs({
+					impl: {
+						list(dirPath) {
+							if (dirPath === "/path/to/dir") {
+								onPoll(polls++);
+							}
+
+							return data[dirPath] ?? [];
+						},
+						lastModified(filePath) {
+							return lastModified.get(filePath);
+						},
 					},
-				},
+				});
+			});
+
+			it("should report changes between polls", async () => {
+				const controller = new AbortController();
+
+				// change the files when the second poll starts
+				onPoll = poll => {
+					if (poll === 1) {
+						data["/path/to/dir"].push(entry("file3.txt"));
+						data["/path/to/dir/subdir"] = [];
+						lastModified.set(
+							"/path/to/dir/file1.txt",
+							new Date(2000),
+						);
+					}
+				};
+
+				const watcher = hfs.watch("/path/to/dir", {
+					signal: controller.signal,
+					interval: 10,
+				});
+				const events = watcher[Symbol.asyncIterator]();
+
+				const received = [
+					(await events.next()).value,
+					(await events.next()).value,
+					(await events.next()).value,
+				];
+
+				controller.abort();
+
+				assert.deepStrictEqual(received, [
+					{ type: "change", path: "file1.txt" },
+					{ type: "create", path: "file3.txt" },
+					{ type: "delete", path: "subdir/file2.txt" },
+				]);
+				assert.deepStrictEqual(await events.next(), {
+					done: true,
+					value: undefined,
+				});
+			});
+
+			it("should stop when the signal is aborted while waiting", async () => {
+				const controller = new AbortController();
+
+				// abort after the first poll so the next poll never happens
+				onPoll = () => setTimeout(() => controller.abort(), 10);
+
+				const events = hfs.watch("/path/to/dir", {
+					signal: controller.signal,
+					interval: 60000,
+				});
+
+				assert.deepStrictEqual(
+					await events[Symbol.asyncIterator]().next(),
+					{ done: true, value: undefined },
+				);
+			});
+
+			it("should log only the watch() call", async () => {
+				const controller = new AbortController();
+				controller.abort();
+
+				hfs.logStart("watch");
+				// eslint-disable-next-line no-unused-vars -- Needed for async iteration
+				for await (const event of hfs.watch("/path/to/dir", {
+					signal: controller.signal,
+				}));
+				const logs = getCallEntries(hfs.logEnd("watch"));
+
+				assert.deepStrictEqual(logs, [
+					{
+						type: "call",
+						data: {
+							methodName: "watch",
+							args: [
+								"/path/to/dir",
+								{ signal: controller.signal, interval: 1000 },
+							],
+						},
+					},
+				]);
 			});
+		});
+	});
+
+	describe("transaction()", () => {
+		it("should reject a promise when the callback is not a function", () => {
+			const hfs = new Hfs({ impl: {} });
 
 			return assert.rejects(
-				hfs.move("/path/to/file.txt", ""),
-				new TypeError("Path must be a non-empty string or URL."),
+				hfs.transaction("foo"),
+				new TypeError("Callback must be a function."),
 			);
 		});
-	});
 
-	describe("moveAll()", () => {
-		it("should call impl method", async () => {
-			const hfs = new Hfs({
-				impl: {
-					moveAll() {
-						return undefined;
+		it("should log the method call", async () => {
+			const hfs = new Hfs({ impl: {} });
+			const callback = () => {};
+
+			hfs.logStart("transaction");
+			await hfs.transaction(callback);
+			const logs = getCallEntries(hfs.logEnd("transaction"));
+			assert.deepStrictEqual(logs, [
+				{
+					type: "call",
+					data: {
+						methodName: "transaction",
+						args: [callback],
 					},
 				},
+			]);
+		});
+
+		it("should resolve with the value returned from the callback", async () => {
+			const hfs = new Hfs({ impl: {} });
+			const result = await hfs.transaction(async tx => {
+				assert.ok(tx instanceof HfsTransaction);
+				return 42;
 			});
 
-			await hfs.moveAll("/path/to/dir", "/path/to/newdir");
+			assert.strictEqual(result, 42);
 		});
 
-		it("should log the method call", async () => {
+		it("should pass the staged operations to commit() in order", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					moveAll() {
-						return undefined;
+					async commit(operations) {
+						received = operations;
 					},
 				},
 			});
 
-			hfs.logStart("moveAll");
-			await hfs.moveAll("/path/to/dir", "/path/to/newdir");
-			const logs = hfs.logEnd("moveAll").map(normalizeLogEntry);
-			assert.deepStrictEqual(logs, [
+			await hfs.transaction(tx => {
+				tx.write("/a.txt", "Hello, world!");
+				tx.delete("/b.txt");
+				tx.move("/c.txt", "/d.txt");
+				tx.copy("/e.txt", "/f.txt");
+			});
+
+			assert.deepStrictEqual(received, [
 				{
-					type: "call",
-					data: {
-						methodName: "moveAll",
-						args: ["/path/to/dir", "/path/to/newdir"],
-					},
+					type: "write",
+					path: "/a.txt",
+					contents: encoder.encode("Hello, world!"),
 				},
+				{ type: "delete", path: "/b.txt" },
+				{ type: "move", from: "/c.txt", to: "/d.txt" },
+				{ type: "copy", from: "/e.txt", to: "/f.txt" },
 			]);
 		});
 
-		it("should reject a promise when the source is not a string", () => {
+		it("should copy staged contents so later changes aren't committed", async () => {
+			let received;
 			const hfs = new Hfs({
 				impl: {
-					moveAll() {
-						return undefined;
+					async commit(operations) {
+						received = operations;
 					},
 				},
 			});
+			const contents = new Uint8Array([1, 2, 3]);
 
-			return assert.rejects(
-				hfs.moveAll(123, "/path/to/newdir"),
-				new TypeError("Path must be a non-empty string or URL."),
+			await hfs.transaction(tx => {
+				tx.write("/a.txt", contents);
+				contents[0] = 9;
+			});
+
+			assert.deepStrictEqual(
+				received[0].contents,
+				new Uint8Array([1, 2, 3]),
 			);
 		});
 
-		it("should reject a promise when the source is empty", () => {
+		it("should not make any changes when the callback throws", async () => {
+			let called = false;
 			const hfs = new Hfs({
 				impl: {
-					moveAll() {
-						return undefined;
+					async commit() {
+						called = true;
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.moveAll("", "/path/to/newdir"),
-				new TypeError("Path must be a non-empty string or URL."),
+			await assert.rejects(
+				hfs.transaction(tx => {
+					tx.write("/a.txt", "Hello, world!");
+					throw new Error("Boom!");
+				}),
+				/Boom!/,
 			);
+			assert.strictEqual(called, false);
 		});
 
-		it("should reject a promise when the destination is not a string", () => {
+		it("should not call the impl when nothing is staged", async () => {
 			const hfs = new Hfs({
 				impl: {
-					moveAll() {
-						return undefined;
+					commit() {
+						throw new Error("commit() should not be called.");
 					},
 				},
 			});
 
-			return assert.rejects(
-				hfs.moveAll("/path/to/dir", 123),
-				new TypeError("Path must be a non-empty string or URL."),
+			await hfs.transaction(() => {});
+		});
+
+		it("should throw an error when staging invalid contents", async () => {
+			const hfs = new Hfs({ impl: {} });
+
+			await assert.rejects(
+				hfs.transaction(tx => tx.write("/a.txt", 123)),
+				new TypeError(
+					"File contents must be a string, ArrayBuffer, or ArrayBuffer view.",
+				),
 			);
 		});
 
-		it("should reject a promise when the destination is empty", () => {
+		it("should throw an error when staging after the transaction has ended", async () => {
 			const hfs = new Hfs({
 				impl: {
-					moveAll() {
-						return undefined;
-					},
+					async commit() {},
 				},
 			});
+			let savedTx;
 
-			return assert.rejects(
-				hfs.moveAll("/path/to/dir", ""),
-				new TypeError("Path must be a non-empty string or URL."),
-			);
+			await hfs.transaction(tx => {
+				savedTx = tx;
+			});
+
+			assert.throws(() => savedTx.delete("/a.txt"), {
+				message:
+					"Cannot stage changes after the transaction has ended.",
+			});
+		});
+
+		describe("Without commit()", () => {
+			it("should apply the staged operations", async () => {
+				const { impl, files } = createFileMapImpl({
+					"/a.txt": "a",
+					"/b.txt": "b",
+					"/c.txt": "c",
+				});
+				const hfs = new Hfs({ impl });
+
+				await hfs.transaction(tx => {
+					tx.write("/a.txt", "new a");
+					tx.write("/dir/new.txt", "new");
+					tx.delete("/b.txt");
+					tx.move("/c.txt", "/moved.txt");
+					tx.copy("/moved.txt", "/copy.txt");
+				});
+
+				assert.deepStrictEqual(Object.fromEntries(files), {
+					"/a.txt": "new a",
+					"/dir/new.txt": "new",
+					"/moved.txt": "c",
+					"/copy.txt": "c",
+				});
+			});
+
+			it("should write new contents to temporary files next to their destinations", async () => {
+				const { impl } = createFileMapImpl({});
+				const paths = [];
+				const write = impl.write;
+				impl.write = (filePath, contents) => {
+					paths.push(filePath);
+					return write(filePath, contents);
+				};
+				const hfs = new Hfs({ impl });
+
+				await hfs.transaction(tx => {
+					tx.write("/dir/file.txt", "Hello, world!");
+					tx.write(new URL("file:///dir/other.txt"), "Hello!");
+				});
+
+				assert.match(paths[0], /^\/dir\/\.file\.txt\.[^/]+\.tmp$/u);
+				assert.match(
+					paths[1].href,
+					/^file:\/\/\/dir\/\.other\.txt\.[^/]+\.tmp$/u,
+				);
+			});
+
+			it("should replace a file written earlier in the transaction", async () => {
+				const { impl, files } = createFileMapImpl({ "/a.txt": "a" });
+				const hfs = new Hfs({ impl });
+
+				await hfs.transaction(tx => {
+					tx.write("/a.txt", "first");
+					tx.write("/a.txt", "second");
+				});
+
+				assert.deepStrictEqual(Object.fromEntries(files), {
+					"/a.txt": "second",
+				});
+			});
+
+			it("should undo the operations already applied when one fails", async () => {
+				const { impl, files } = createFileMapImpl({
+					"/a.txt": "a",
+					"/b.txt": "b",
+					"/c.txt": "c",
+				});
+				const hfs = new Hfs({ impl });
+
+				await assert.rejects(
+					hfs.transaction(tx => {
+						tx.write("/a.txt", "new a");
+						tx.write("/new.txt", "new");
+						tx.delete("/b.txt");
+						tx.move("/c.txt", "/a.txt");
+						tx.copy("/nonexistent.txt", "/d.txt");
+					}),
+					/ENOENT/u,
+				);
+
+				assert.deepStrictEqual(Object.fromEntries(files), {
+					"/a.txt": "a",
+					"/b.txt": "b",
+					"/c.txt": "c",
+				});
+			});
+
+			it("should recreate a deleted directory when a later operation fails", async () => {
+				const { impl, files } = createFileMapImpl({});
+				await impl.createDirectory("/dir");
+				const hfs = new Hfs({ impl });
+
+				await assert.rejects(
+					hfs.transaction(tx => {
+						tx.delete("/dir");
+						tx.move("/nonexistent.txt", "/a.txt");
+					}),
+					/ENOENT/u,
+				);
+
+				assert.strictEqual(impl.isDirectory("/dir"), true);
+				assert.strictEqual(files.size, 0);
+			});
+
+			it("should reject with an AggregateError when an operation can't be undone", async () => {
+				const { impl } = createFileMapImpl({ "/a.txt": "a" });
+				const hfs = new Hfs({ impl });
+				const move = impl.move;
+				let moves = 0;
+
+				// fail the move that restores the original file
+				impl.move = (source, destination) => {
+					moves++;
+
+					if (moves === 3) {
+						throw new Error("Can't move.");
+					}
+
+					return move(source, destination);
+				};
+
+				await assert.rejects(
+					hfs.transaction(tx => {
+						tx.write("/a.txt", "new a");
+						tx.copy("/nonexistent.txt", "/b.txt");
+					}),
+					error => {
+						assert.ok(error instanceof AggregateError);
+						assert.match(error.errors[0].message, /ENOENT/u);
+						assert.strictEqual(
+							error.errors[1].message,
+							"Can't move.",
+						);
+						return true;
+					},
+				);
+			});
+
+			it("should reject with MethodNotSupportedError when the impl can't stage changes", async () => {
+				const { impl } = createFileMapImpl({});
+				delete impl.move;
+				const hfs = new Hfs({ impl });
+
+				await assert.rejects(
+					hfs.transaction(tx => tx.write("/a.txt", "a")),
+					new MethodNotSupportedError("transaction"),
+				);
+			});
 		});
 	});
 });
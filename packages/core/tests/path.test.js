@@ -75,13 +75,40 @@ describe("Path", () => {
 			);
 		});
 
-		it('should throw an error when a step is ".."', () => {
+		it('should allow a step of ".."', () => {
+			const path = new Path(["..", "foo"]);
+			assert.deepStrictEqual([...path], ["..", "foo"]);
+		});
+
+		it("should create a relative path by default", () => {
+			const path = new Path(["foo"]);
+			assert.strictEqual(path.isAbsolute, false);
+		});
+
+		it("should create an absolute path when a root is given", () => {
+			const path = new Path(["foo"], { root: "/" });
+			assert.strictEqual(path.isAbsolute, true);
+			assert.strictEqual(path.root, "/");
+		});
+
+		it("should normalize the root", () => {
+			assert.strictEqual(new Path([], { root: "c:\\" }).root, "c:/");
+			assert.strictEqual(new Path([], { root: "D:" }).root, "D:/");
+			assert.strictEqual(
+				new Path([], { root: "\\\\server\\share" }).root,
+				"//server/share/",
+			);
+		});
+
+		it("should throw an error when the root is not valid", () => {
 			assert.throws(
 				() => {
-					new Path([".."]);
+					new Path([], { root: "/foo" });
 				},
 				{
-					message: 'name cannot be ".."',
+					name: "TypeError",
+					message:
+						'root must be empty, "/", a drive such as "C:/", or a UNC share such as "//server/share/": "/foo"',
 				},
 			);
 		});
@@ -160,16 +187,10 @@ describe("Path", () => {
 			);
 		});
 
-		it('should throw an error when adding a step of ".."', () => {
-			const path = new Path();
-			assert.throws(
-				() => {
-					path.push("..");
-				},
-				{
-					message: 'name cannot be ".."',
-				},
-			);
+		it('should add a step of ".."', () => {
+			const path = new Path(["foo"]);
+			path.push("..");
+			assert.deepStrictEqual([...path], ["foo", ".."]);
 		});
 
 		it('should throw an error when adding a step of ""', () => {
@@ -273,16 +294,10 @@ describe("Path", () => {
 			);
 		});
 
-		it('should throw an error when setting a name of ".."', () => {
+		it('should set a name of ".."', () => {
 			const path = new Path(["foo", "bar"]);
-			assert.throws(
-				() => {
-					path.name = "..";
-				},
-				{
-					message: 'name cannot be ".."',
-				},
-			);
+			path.name = "..";
+			assert.deepStrictEqual([...path], ["foo", ".."]);
 		});
 
 		it('should throw an error when setting a name of ""', () => {
@@ -310,6 +325,315 @@ describe("Path", () => {
 		});
 	});
 
+	describe("extension", () => {
+		it("should return the extension of the name", () => {
+			const path = new Path(["foo", "bar.txt"]);
+			assert.strictEqual(path.extension, ".txt");
+		});
+
+		it("should return only the last extension of the name", () => {
+			const path = new Path(["archive.tar.gz"]);
+			assert.strictEqual(path.extension, ".gz");
+		});
+
+		it("should return an empty string when the name has no extension", () => {
+			assert.strictEqual(new Path(["README"]).extension, "");
+			assert.strictEqual(new Path([".gitignore"]).extension, "");
+			assert.strictEqual(new Path([".."]).extension, "");
+		});
+
+		it("should return undefined when there are no steps", () => {
+			assert.strictEqual(new Path().extension, undefined);
+		});
+	});
+
+	describe("stem", () => {
+		it("should return the name without the extension", () => {
+			assert.strictEqual(new Path(["foo", "bar.txt"]).stem, "bar");
+			assert.strictEqual(
+				new Path(["archive.tar.gz"]).stem,
+				"archive.tar",
+			);
+		});
+
+		it("should return the whole name when the name has no extension", () => {
+			assert.strictEqual(new Path([".gitignore"]).stem, ".gitignore");
+		});
+
+		it("should return undefined when there are no steps", () => {
+			assert.strictEqual(new Path().stem, undefined);
+		});
+	});
+
+	describe("parent", () => {
+		it("should return a new path without the last step", () => {
+			const path = Path.from("/foo/bar");
+			const parent = path.parent;
+
+			assert.deepStrictEqual([...parent], ["foo"]);
+			assert.strictEqual(parent.isAbsolute, true);
+			assert.deepStrictEqual([...path], ["foo", "bar"]);
+		});
+
+		it("should return an empty path for a path with one step", () => {
+			assert.deepStrictEqual([...new Path(["foo"]).parent], []);
+		});
+
+		it("should return undefined when there are no steps", () => {
+			assert.strictEqual(new Path().parent, undefined);
+		});
+	});
+
+	describe("isAbsolute", () => {
+		it("should return true for paths that start with a slash", () => {
+			assert.strictEqual(Path.from("/foo").isAbsolute, true);
+		});
+
+		it("should return true for paths that start with a drive letter", () => {
+			assert.strictEqual(Path.from("c:/foo").isAbsolute, true);
+		});
+
+		it("should return true for paths from file URLs", () => {
+			assert.strictEqual(
+				Path.from(new URL("file:///foo")).isAbsolute,
+				true,
+			);
+		});
+
+		it("should return false for relative paths", () => {
+			assert.strictEqual(Path.from("foo/bar").isAbsolute, false);
+			assert.strictEqual(Path.from("./foo").isAbsolute, false);
+			assert.strictEqual(Path.from("../foo").isAbsolute, false);
+		});
+	});
+
+	describe("join()", () => {
+		it("should return a new path with the steps of each path appended", () => {
+			const path = Path.from("/foo");
+			const joined = path.join("bar/baz", ["qux"], new Path(["a.txt"]));
+
+			assert.deepStrictEqual(
+				[...joined],
+				["foo", "bar", "baz", "qux", "a.txt"],
+			);
+			assert.strictEqual(joined.isAbsolute, true);
+			assert.deepStrictEqual([...path], ["foo"]);
+		});
+
+		it('should keep ".." steps', () => {
+			const joined = Path.from("foo/bar").join("../baz");
+			assert.deepStrictEqual([...joined], ["foo", "bar", "..", "baz"]);
+		});
+
+		it("should throw an error when a path is not valid", () => {
+			assert.throws(() => {
+				new Path(["foo"]).join("");
+			}, new TypeError("argument cannot be empty"));
+		});
+	});
+
+	describe("resolve()", () => {
+		it('should collapse ".." steps', () => {
+			const path = Path.from("foo/bar/../baz/qux/../..");
+			assert.deepStrictEqual([...path.resolve()], ["foo"]);
+		});
+
+		it('should keep leading ".." steps in a relative path', () => {
+			const path = Path.from("../../foo/../bar");
+			assert.deepStrictEqual([...path.resolve()], ["..", "..", "bar"]);
+		});
+
+		it('should drop leading ".." steps in an absolute path', () => {
+			const path = Path.from("/foo/../../bar");
+			const resolved = path.resolve();
+
+			assert.deepStrictEqual([...resolved], ["bar"]);
+			assert.strictEqual(resolved.isAbsolute, true);
+		});
+
+		it('should ignore "." steps in strings', () => {
+			const path = Path.from("foo/./bar/.");
+			assert.deepStrictEqual([...path.resolve()], ["foo", "bar"]);
+		});
+	});
+
+	describe("relativeTo()", () => {
+		it("should return the path from another path to this path", () => {
+			const path = Path.from("/a/b/c");
+			const relative = path.relativeTo("/a/d");
+
+			assert.deepStrictEqual([...relative], ["..", "b", "c"]);
+			assert.strictEqual(relative.isAbsolute, false);
+		});
+
+		it("should return an empty path for equal paths", () => {
+			const path = Path.from("a/b");
+			assert.deepStrictEqual([...path.relativeTo("a/b")], []);
+		});
+
+		it("should return the remaining steps for a descendant", () => {
+			const path = Path.from("a/b/c");
+			assert.deepStrictEqual([...path.relativeTo("a")], ["b", "c"]);
+		});
+
+		it('should collapse ".." steps first', () => {
+			const path = Path.from("a/x/../b");
+			assert.deepStrictEqual(
+				[...path.relativeTo("a/c/d/..")],
+				["..", "b"],
+			);
+		});
+
+		it('should allow both paths to start with ".."', () => {
+			const path = Path.from("../shared/config.json");
+			assert.deepStrictEqual(
+				[...path.relativeTo("../src")],
+				["..", "shared", "config.json"],
+			);
+		});
+
+		it("should throw an error when the paths have different roots", () => {
+			assert.throws(() => {
+				Path.from("/a").relativeTo("b");
+			}, new TypeError('paths must have the same root: "/" and ""'));
+
+			assert.throws(() => {
+				Path.from("C:/a").relativeTo("D:/a");
+			}, new TypeError('paths must have the same root: "C:/" and "D:/"'));
+		});
+
+		it('should throw an error when the other path has ".." steps outside of this path', () => {
+			assert.throws(() => {
+				Path.from("a").relativeTo("../b");
+			}, /cannot find a path relative to "\.\.\/b"/u);
+		});
+	});
+
+	describe("equals()", () => {
+		it("should return true for paths with the same steps", () => {
+			const path = Path.from("foo/bar");
+
+			assert.strictEqual(path.equals("foo/bar"), true);
+			assert.strictEqual(path.equals(["foo", "bar"]), true);
+			assert.strictEqual(path.equals(new Path(["foo", "bar"])), true);
+		});
+
+		it("should return false for paths with different steps", () => {
+			const path = Path.from("foo/bar");
+
+			assert.strictEqual(path.equals("foo"), false);
+			assert.strictEqual(path.equals("foo/bar/baz"), false);
+			assert.strictEqual(path.equals("foo/baz"), false);
+		});
+
+		it("should return false when the paths have different roots", () => {
+			assert.strictEqual(Path.from("/foo").equals("foo"), false);
+			assert.strictEqual(Path.from("C:/foo").equals("/foo"), false);
+		});
+	});
+
+	describe("startsWith()", () => {
+		it("should return true when the path starts with the given steps", () => {
+			const path = Path.from("/foo/bar/baz");
+
+			assert.strictEqual(path.startsWith("/foo"), true);
+			assert.strictEqual(path.startsWith("/foo/bar/baz"), true);
+			assert.strictEqual(
+				path.startsWith(new Path([], { root: "/" })),
+				true,
+			);
+		});
+
+		it("should only compare whole steps", () => {
+			const path = Path.from("foo/barbaz");
+			assert.strictEqual(path.startsWith("foo/bar"), false);
+		});
+
+		it("should return false when the given path is longer", () => {
+			const path = Path.from("foo");
+			assert.strictEqual(path.startsWith("foo/bar"), false);
+		});
+
+		it("should return false when only one path is absolute", () => {
+			assert.strictEqual(Path.from("/foo/bar").startsWith("foo"), false);
+		});
+	});
+
+	describe("toURL()", () => {
+		it("should return a file URL for an absolute path", () => {
+			const url = Path.from("/foo/bar baz.txt").toURL();
+			assert.strictEqual(url.href, "file:///foo/bar%20baz.txt");
+		});
+
+		it("should round-trip with Path.fromURL()", () => {
+			const path = new Path(["foo", "100%", "a#b?c.txt"], {
+				root: "/",
+			});
+			const roundTripped = Path.fromURL(path.toURL());
+
+			assert.ok(roundTripped.equals(path));
+		});
+
+		it('should collapse ".." steps', () => {
+			const url = Path.from("/foo/../bar").toURL();
+			assert.strictEqual(url.href, "file:///bar");
+		});
+
+		it("should include the drive of a Windows path", () => {
+			const url = Path.from("C:\\foo\\bar").toURL();
+			assert.strictEqual(url.href, "file:///C:/foo/bar");
+			assert.strictEqual(Path.fromURL(url).toString(), "C:/foo/bar");
+		});
+
+		it("should use the server of a UNC path as the host", () => {
+			const url = Path.from("//server/share/foo").toURL();
+			assert.strictEqual(url.href, "file://server/share/foo");
+			assert.strictEqual(
+				Path.fromURL(url).toString(),
+				"//server/share/foo",
+			);
+		});
+
+		it("should throw an error when the path is relative", () => {
+			assert.throws(() => {
+				Path.from("foo").toURL();
+			}, new TypeError("path must be absolute to convert to a URL"));
+		});
+	});
+
+	describe("root", () => {
+		it("should return an empty string for relative paths", () => {
+			assert.strictEqual(Path.from("foo/bar").root, "");
+			assert.strictEqual(Path.from("./foo").root, "");
+		});
+
+		it("should return a slash for POSIX absolute paths", () => {
+			assert.strictEqual(Path.from("/etc/hosts").root, "/");
+			assert.strictEqual(Path.from("\\Windows").root, "/");
+		});
+
+		it("should return the drive for Windows drive paths", () => {
+			assert.strictEqual(Path.from("C:\\x").root, "C:/");
+			assert.strictEqual(Path.from("c:/foo/bar").root, "c:/");
+		});
+
+		it("should return the share for UNC paths", () => {
+			const path = Path.from("\\\\server\\share\\dir\\file.txt");
+
+			assert.strictEqual(path.root, "//server/share/");
+			assert.deepStrictEqual([...path], ["dir", "file.txt"]);
+		});
+
+		it("should be kept by new paths", () => {
+			const path = Path.from("C:/foo/bar");
+
+			assert.strictEqual(path.parent.root, "C:/");
+			assert.strictEqual(path.join("baz").root, "C:/");
+			assert.strictEqual(path.resolve().root, "C:/");
+			assert.strictEqual(Path.from(path).root, "C:/");
+		});
+	});
+
 	describe("toString()", () => {
 		it("should return an empty string when there are no steps", () => {
 			const path = new Path();
@@ -320,6 +644,53 @@ describe("Path", () => {
 			const path = new Path(["foo", "bar"]);
 			assert.strictEqual(path.toString(), "foo/bar");
 		});
+
+		it("should include the root", () => {
+			assert.strictEqual(
+				Path.from("/etc/hosts").toString(),
+				"/etc/hosts",
+			);
+			assert.strictEqual(Path.from("C:\\x").toString(), "C:/x");
+			assert.strictEqual(
+				Path.from("\\\\server\\share\\x").toString(),
+				"//server/share/x",
+			);
+			assert.strictEqual(new Path([], { root: "/" }).toString(), "/");
+		});
+
+		it("should return a POSIX path when style is posix", () => {
+			const path = Path.from("C:\\foo\\bar");
+			assert.strictEqual(path.toString({ style: "posix" }), "C:/foo/bar");
+		});
+
+		it("should return a Windows path when style is windows", () => {
+			assert.strictEqual(
+				Path.from("C:/foo/bar").toString({ style: "windows" }),
+				"C:\\foo\\bar",
+			);
+			assert.strictEqual(
+				Path.from("//server/share/foo").toString({ style: "windows" }),
+				"\\\\server\\share\\foo",
+			);
+			assert.strictEqual(
+				Path.from("/foo/bar").toString({ style: "windows" }),
+				"\\foo\\bar",
+			);
+			assert.strictEqual(
+				Path.from("foo/bar").toString({ style: "windows" }),
+				"foo\\bar",
+			);
+		});
+
+		it("should throw an error when the style is not valid", () => {
+			assert.throws(() => {
+				Path.from("foo").toString({ style: "mac" });
+			}, new TypeError('style must be "posix" or "windows"'));
+		});
+
+		it("should be used when the path is converted to a string", () => {
+			assert.strictEqual(`${Path.from("/foo/bar")}`, "/foo/bar");
+		});
 	});
 
 	describe("static fromString()", () => {
@@ -352,6 +723,27 @@ describe("Path", () => {
 			const path = Path.fromString("c:/foo/bar");
 			assert.deepStrictEqual([...path], ["foo", "bar"]);
 		});
+
+		it("should create a new Path instance from a string with empty steps", () => {
+			const path = Path.fromString("foo//bar");
+			assert.deepStrictEqual([...path], ["foo", "bar"]);
+		});
+
+		it("should create a new Path instance from a string with backslashes", () => {
+			const path = Path.fromString("foo\\bar");
+			assert.deepStrictEqual([...path], ["foo", "bar"]);
+		});
+
+		it("should create a new Path instance from a root", () => {
+			const path = Path.fromString("/");
+			assert.deepStrictEqual([...path], []);
+			assert.strictEqual(path.root, "/");
+		});
+
+		it('should create a new Path instance from a string with ".." steps', () => {
+			const path = Path.fromString("../shared/config.json");
+			assert.deepStrictEqual([...path], ["..", "shared", "config.json"]);
+		});
 	});
 
 	describe("static fromUrl()", () => {
@@ -359,6 +751,31 @@ describe("Path", () => {
 			const url = new URL("file:///c:/foo/bar");
 			const path = Path.fromURL(url);
 			assert.deepStrictEqual([...path], ["foo", "bar"]);
+			assert.strictEqual(path.root, "c:/");
+		});
+
+		it("should use a slash as the root when the URL has no drive", () => {
+			const path = Path.fromURL(new URL("file:///etc/hosts"));
+			assert.deepStrictEqual([...path], ["etc", "hosts"]);
+			assert.strictEqual(path.root, "/");
+		});
+
+		it("should use a UNC share as the root when the URL has a host", () => {
+			const path = Path.fromURL(new URL("file://server/share/foo"));
+			assert.deepStrictEqual([...path], ["foo"]);
+			assert.strictEqual(path.root, "//server/share/");
+		});
+
+		it("should decode escaped characters in each step", () => {
+			const path = Path.fromURL(new URL("file:///foo/bar%20baz"));
+			assert.deepStrictEqual([...path], ["foo", "bar baz"]);
+		});
+
+		it("should throw a TypeError when a step contains an escaped slash", () => {
+			const url = new URL("file:///foo/a%2Fb");
+			assert.throws(() => {
+				Path.fromURL(url);
+			}, new TypeError('name cannot contain a slash or backslash: "a/b"'));
 		});
 
 		it("should throw a TypeError when the URL is not a URL instance", () => {
@@ -427,6 +844,11 @@ describe("Path", () => {
 				assert.deepStrictEqual([...path], ["foo", "bar"]);
 				assert.notStrictEqual(path, originalPath);
 			});
+
+			it("should keep whether the path is absolute", () => {
+				const originalPath = new Path(["foo"], { root: "/" });
+				assert.strictEqual(Path.from(originalPath).isAbsolute, true);
+			});
 		});
 
 		describe("Array arguments", () => {
@@ -10,15 +10,18 @@
 
 /** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
 /** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
 
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
 
-import { Hfs } from "@humanfs/core";
+import { Hfs, HfsError, DirectoryError } from "@humanfs/core";
 import { Retrier } from "@humanwhocodes/retry";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { randomUUID } from "node:crypto";
 
 //-----------------------------------------------------------------------------
 // Constants
@@ -26,6 +29,67 @@ import { fileURLToPath } from "node:url";
 
 const RETRY_ERROR_CODES = new Set(["ENFILE", "EMFILE"]);
 
+/**
+ * The watch event types that correspond to the kinds of events reported by
+ * `Deno.watchFs()`. Renames are handled separately.
+ * @type {Map<string, HfsWatchEvent["type"]>}
+ */
+const WATCH_EVENT_TYPES = new Map([
+	["create", "create"],
+	["modify", "change"],
+	["remove", "delete"],
+]);
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Wraps the Deno object so that errors with a POSIX error code, whether
+ * thrown or used to reject a promise, are converted into the matching
+ * `HfsError` subclass.
+ * @param {Deno} deno The Deno object to wrap.
+ * @returns {Deno} The wrapped Deno object.
+ */
+function translateErrors(deno) {
+	return new Proxy(deno, {
+		get(target, property) {
+			const value = Reflect.get(target, property);
+
+			if (typeof value !== "function") {
+				return value;
+			}
+
+			return (...args) => {
+				try {
+					const result = value.apply(target, args);
+
+					return typeof result?.then === "function"
+						? result.then(undefined, error => {
+								throw HfsError.from(error);
+							})
+						: result;
+				} catch (error) {
+					throw HfsError.from(error);
+				}
+			};
+		},
+	});
+}
+
+/**
+ * Creates a unique path for a temporary file in the same directory as the
+ * given file so that it can be renamed over the file.
+ * @param {string} filePath The path to the file.
+ * @returns {string} The path to the temporary file.
+ */
+function createTempPath(filePath) {
+	return path.join(
+		path.dirname(filePath),
+		`.${path.basename(filePath)}.${randomUUID()}.tmp`,
+	);
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -53,7 +117,7 @@ export class DenoHfsImpl {
 	 * @param {Deno} [options.deno] The Deno object to use.
 	 */
 	constructor({ deno = Deno } = {}) {
-		this.#deno = deno;
+		this.#deno = translateErrors(deno);
 		this.#retrier = new Retrier(error => RETRY_ERROR_CODES.has(error.code));
 	}
 
@@ -77,6 +141,75 @@ export class DenoHfsImpl {
 			});
 	}
 
+	/**
+	 * Reads a range of bytes from a file without reading the rest of the file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The zero-based byte offset to start reading from.
+	 * @param {number} end The zero-based byte offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 *   bytes in the range or undefined if the file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	async slice(filePath, start, end) {
+		let file;
+
+		try {
+			file = await this.#retrier.retry(() =>
+				this.#deno.open(filePath, { read: true }),
+			);
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				return undefined;
+			}
+
+			throw error;
+		}
+
+		try {
+			await file.seek(start, this.#deno.SeekMode.Start);
+
+			const buffer = new Uint8Array(end - start);
+			let offset = 0;
+
+			// a single read may return fewer bytes than requested
+			while (offset < buffer.byteLength) {
+				const bytesRead = await file.read(buffer.subarray(offset));
+
+				if (bytesRead === null) {
+					break;
+				}
+
+				offset += bytesRead;
+			}
+
+			return buffer.subarray(0, offset);
+		} finally {
+			file.close();
+		}
+	}
+
+	/**
+	 * Reads a file and returns the contents as a readable stream. The file
+	 * is closed automatically when the stream is finished or cancelled.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 *   resolves with a readable stream of the file contents or undefined if
+	 *   the file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	stream(filePath) {
+		return this.#retrier
+			.retry(() => this.#deno.open(filePath, { read: true }))
+			.then(file => file.readable)
+			.catch(error => {
+				if (error.code === "ENOENT") {
+					return undefined;
+				}
+
+				throw error;
+			});
+	}
+
 	/**
 	 * Writes a value to a file, creating any necessary directories along the way.
 	 * If the value is a string, UTF-8 encoding is used.
@@ -109,6 +242,105 @@ export class DenoHfsImpl {
 		});
 	}
 
+	/**
+	 * Writes a value to a file so that readers see either the old or the new
+	 * contents, never a partially written file. The value is written to a
+	 * temporary file in the same directory, flushed to disk, and then renamed
+	 * over the file. If the value is a string, UTF-8 encoding is used.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write to the file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeAtomic(filePath, contents) {
+		const targetPath =
+			filePath instanceof URL ? fileURLToPath(filePath) : filePath;
+		const tempPath = createTempPath(targetPath);
+		const op = () => this.#writeAndSync(tempPath, contents);
+
+		try {
+			await this.#retrier.retry(op).catch(error => {
+				if (error.code === "ENOENT") {
+					return this.#deno
+						.mkdir(path.dirname(targetPath), { recursive: true })
+						.then(op);
+				}
+
+				throw error;
+			});
+
+			await this.#deno.rename(tempPath, targetPath);
+		} catch (error) {
+			// don't leave the temporary file behind
+			await this.#deno.remove(tempPath).catch(() => {});
+			throw error;
+		}
+	}
+
+	/**
+	 * Writes a value to a new file and flushes it to disk.
+	 * @param {string} filePath The path to the file to create.
+	 * @param {Uint8Array} contents The value to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written and flushed.
+	 * @throws {Error} If the file already exists or cannot be written.
+	 */
+	async #writeAndSync(filePath, contents) {
+		const file = await this.#deno.open(filePath, {
+			write: true,
+			createNew: true,
+		});
+
+		try {
+			// write() may not write all of the bytes at once
+			for (let offset = 0; offset < contents.byteLength; ) {
+				offset += await file.write(contents.subarray(offset));
+			}
+
+			await file.sync();
+		} finally {
+			file.close();
+		}
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file, creating any
+	 * necessary directories along the way.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write to the file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeStream(filePath, source) {
+		// the source can only be read once so create the directory first
+		const dirPath = path.dirname(
+			filePath instanceof URL ? fileURLToPath(filePath) : filePath,
+		);
+		await this.#deno.mkdir(dirPath, { recursive: true });
+
+		const file = await this.#retrier.retry(() =>
+			this.#deno.open(filePath, {
+				write: true,
+				create: true,
+				truncate: true,
+			}),
+		);
+		const writer = file.writable.getWriter();
+
+		try {
+			for await (const chunk of source) {
+				await writer.write(chunk);
+			}
+
+			await writer.close();
+		} catch (error) {
+			await writer.abort(error);
+			throw error;
+		}
+	}
+
 	/**
 	 * Appends a value to a file. If the value is a string, UTF-8 encoding is used.
 	 * @param {string|URL} filePath The path to the file to append to.
@@ -286,16 +518,61 @@ export class DenoHfsImpl {
 			});
 	}
 
+	/**
+	 * Returns information about a file or directory. This method handles
+	 * ENOENT errors and returns undefined in that case.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to check.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 *  information about the file or directory or undefined if it doesn't exist.
+	 * @throws {Error} If the operation fails with a code other than ENOENT.
+	 */
+	async stat(fileOrDirPath) {
+		try {
+			const linkStat = await this.#deno.lstat(fileOrDirPath);
+			const isSymlink = linkStat.isSymlink;
+			const stat = isSymlink
+				? await this.#deno.stat(fileOrDirPath)
+				: linkStat;
+
+			return {
+				kind: stat.isDirectory ? "directory" : "file",
+				size: stat.isDirectory ? 0 : stat.size,
+				lastModified: stat.mtime,
+				created: stat.birthtime ?? undefined,
+				isSymlink,
+			};
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				return undefined;
+			}
+
+			throw error;
+		}
+	}
+
 	/**
 	 * Copies a file from one location to another.
 	 * @param {string|URL} source The path to the file to copy.
 	 * @param {string|URL} destination The path to the destination file.
 	 * @returns {Promise<void>} A promise that resolves when the file is copied.
-	 * @throws {Error} If the source file does not exist.
-	 * @throws {Error} If the source file is a directory.
-	 * @throws {Error} If the destination file is a directory.
+	 * @throws {NotFoundError} If the source file does not exist.
+	 * @throws {DirectoryError} If the source or destination is a directory.
 	 */
-	copy(source, destination) {
+	async copy(source, destination) {
+		const stat = await this.#deno.stat(source);
+
+		/*
+		 * The error for copying a directory differs by platform, so check
+		 * first to always throw the same one.
+		 */
+		if (stat.isDirectory || (await this.isDirectory(destination))) {
+			throw new DirectoryError(`copy '${source}' -> '${destination}'`, {
+				path: source,
+				destination,
+				method: "copy",
+			});
+		}
+
 		return this.#deno.copyFile(source, destination);
 	}
 
@@ -348,8 +625,13 @@ export class DenoHfsImpl {
 	move(source, destination) {
 		return this.#deno.stat(source).then(stat => {
 			if (stat.isDirectory) {
-				throw new Error(
-					`EISDIR: illegal operation on a directory, move '${source}' -> '${destination}'`,
+				throw new DirectoryError(
+					`move '${source}' -> '${destination}'`,
+					{
+						path: source,
+						destination,
+						method: "move",
+					},
 				);
 			}
 
@@ -368,6 +650,136 @@ export class DenoHfsImpl {
 	moveAll(source, destination) {
 		return this.#deno.rename(source, destination);
 	}
+
+	/**
+	 * Creates a symbolic link, creating any necessary directories along the way.
+	 * @param {string} target The path the link should point to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is created.
+	 * @throws {Error} If the link cannot be created.
+	 */
+	async createSymlink(target, linkPath) {
+		const op = () => this.#deno.symlink(target, linkPath);
+
+		return this.#retrier.retry(op).catch(error => {
+			if (error.code === "ENOENT") {
+				const dirPath = path.dirname(
+					linkPath instanceof URL
+						? fileURLToPath(linkPath)
+						: linkPath,
+				);
+
+				return this.#deno.mkdir(dirPath, { recursive: true }).then(op);
+			}
+
+			throw error;
+		});
+	}
+
+	/**
+	 * Reads the target of a symbolic link.
+	 * @param {string|URL} linkPath The path of the link to read.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 *   target of the link or undefined if the path doesn't exist or isn't a
+	 *   symbolic link.
+	 * @throws {Error} If the operation fails with a code other than ENOENT.
+	 */
+	async readSymlink(linkPath) {
+		if (!(await this.isSymlink(linkPath))) {
+			return undefined;
+		}
+
+		return this.#deno.readLink(linkPath);
+	}
+
+	/**
+	 * Checks if a path is a symbolic link without following it.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    path is a symbolic link or false if it is not or does not exist.
+	 * @throws {Error} If the operation fails with a code other than ENOENT.
+	 */
+	isSymlink(fileOrDirPath) {
+		return this.#deno
+			.lstat(fileOrDirPath)
+			.then(stat => stat.isSymlink)
+			.catch(error => {
+				if (error.code === "ENOENT") {
+					return false;
+				}
+
+				throw error;
+			});
+	}
+
+	/**
+	 * Watches a directory and its subdirectories for changes. Renames are
+	 * reported as a deletion of the old path and a creation of the new path,
+	 * so each renamed path is checked to determine which it was.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {Object} [options] The options for watching.
+	 * @param {AbortSignal} [options.signal] A signal that stops watching when
+	 *    aborted.
+	 * @returns {AsyncIterable<HfsWatchEvent>} An async iterable of the changes.
+	 * @throws {Error} If the directory cannot be watched.
+	 */
+	async *watch(dirPath, { signal } = {}) {
+		// events use real paths, so resolve the directory the same way
+		const basePath = await this.#deno.realPath(
+			dirPath instanceof URL ? fileURLToPath(dirPath) : dirPath,
+		);
+		const watcher = this.#deno.watchFs(basePath, { recursive: true });
+		let closed = false;
+		const close = () => {
+			if (!closed) {
+				closed = true;
+				watcher.close();
+			}
+		};
+
+		signal?.addEventListener("abort", close);
+
+		if (signal?.aborted) {
+			close();
+		}
+
+		try {
+			for await (const event of watcher) {
+				for (const eventPath of event.paths) {
+					let type = WATCH_EVENT_TYPES.get(event.kind);
+
+					if (event.kind === "rename") {
+						const exists = await this.#deno.lstat(eventPath).then(
+							() => true,
+							error => {
+								if (error.code === "ENOENT") {
+									return false;
+								}
+
+								throw error;
+							},
+						);
+
+						type = exists ? "create" : "delete";
+					}
+
+					if (!type) {
+						continue;
+					}
+
+					yield {
+						type,
+						path: path
+							.relative(basePath, eventPath)
+							.replace(/\\/g, "/"),
+					};
+				}
+			}
+		} finally {
+			signal?.removeEventListener("abort", close);
+			close();
+		}
+	}
 }
 
 /**
@@ -5,17 +5,69 @@
  */
 
 declare namespace Deno {
+	function lstat(path: string): Promise<FileInfo>;
 	function mkdir(path: string): Promise<void>;
+	function open(path: string, options?: OpenOptions): Promise<FsFile>;
 	function readFile(path: string): Promise<Uint8Array>;
+	function readLink(path: string): Promise<string>;
 	function readTextFile(path: string): Promise<string>;
+	function realPath(path: string): Promise<string>;
 	function remove(path: string): Promise<void>;
+	function rename(oldpath: string, newpath: string): Promise<void>;
 	function stat(path: string): Promise<FileInfo>;
+	function symlink(oldpath: string, newpath: string): Promise<void>;
+	function watchFs(
+		paths: string | string[],
+		options?: { recursive: boolean },
+	): FsWatcher;
 	function writeFile(path: string, data: string | Uint8Array): Promise<void>;
 	function writeTextFile(path: string, data: string): Promise<void>;
 
+	enum SeekMode {
+		Start = 0,
+		Current = 1,
+		End = 2,
+	}
+
+	interface OpenOptions {
+		read?: boolean;
+		write?: boolean;
+		append?: boolean;
+		truncate?: boolean;
+		create?: boolean;
+		createNew?: boolean;
+	}
+
+	interface FsFile {
+		readonly readable: ReadableStream<Uint8Array>;
+		readonly writable: WritableStream<Uint8Array>;
+		read(buffer: Uint8Array): Promise<number | null>;
+		seek(offset: number, whence: SeekMode): Promise<number>;
+		write(buffer: Uint8Array): Promise<number>;
+		sync(): Promise<void>;
+		close(): void;
+	}
+
+	interface FsEvent {
+		kind:
+			| "any"
+			| "access"
+			| "create"
+			| "modify"
+			| "rename"
+			| "remove"
+			| "other";
+		paths: string[];
+	}
+
+	interface FsWatcher extends AsyncIterable<FsEvent> {
+		close(): void;
+	}
+
 	interface FileInfo {
 		isFile: boolean;
 		isDirectory: boolean;
+		isSymlink: boolean;
 		size: number;
 		mtime: Date | null;
 		atime: Date | null;
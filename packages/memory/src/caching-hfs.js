@@ -0,0 +1,772 @@
+/**
+ * @fileoverview An impl that caches the results of another impl.
+ * @author Nicholas C. Zakas
+ */
+
+/* global URL, TextEncoder, TextDecoder, ReadableStream, Blob */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
+/** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+
+/**
+ * @typedef {Object} CachingHfsStore
+ * @property {(key: string) => ArrayBuffer|undefined|Promise<ArrayBuffer|undefined>} readFile
+ *    Reads the value stored with the given key.
+ * @property {(key: string, contents: ArrayBuffer) => void|Promise<void>} writeFile
+ *    Stores a value with the given key.
+ * @property {(key: string) => void|Promise<void>} rm Removes the value
+ *    stored with the given key.
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} path The normalized path the value is for.
+ * @property {"bytes"|"json"} encoding How the value is stored.
+ * @property {number} size The size of the stored value in bytes.
+ * @property {number} expires The time after which the value is stale.
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { NoSuchMethodError } from "@humanfs/core";
+import { MemoryHfsVolume } from "./memory-hfs-volume.js";
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The default number of milliseconds a cached value is used for.
+ */
+export const CACHE_TTL = 60 * 1000;
+
+/**
+ * The default maximum total size in bytes of the cached values.
+ */
+export const MAX_CACHE_SIZE = 50 * 1024 * 1024;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Normalizes a path so that different ways of writing the same path share
+ * cache entries. File URLs become absolute paths, backslashes become forward
+ * slashes, and empty, "." and trailing steps are removed.
+ * @param {string|URL} fileOrDirPath The path to normalize.
+ * @returns {string} The normalized path, which is "." for the current
+ *    directory.
+ */
+function normalizePath(fileOrDirPath) {
+	const pathString =
+		fileOrDirPath instanceof URL
+			? decodeURIComponent(fileOrDirPath.pathname)
+			: fileOrDirPath.replace(/\\/gu, "/");
+	const prefix = /^(?:[a-z]:)?\//iu.exec(pathString)?.[0] ?? "";
+	const steps = pathString
+		.slice(prefix.length)
+		.split("/")
+		.filter(step => step && step !== ".");
+
+	return prefix + steps.join("/") || ".";
+}
+
+/**
+ * Determines if one normalized path contains another.
+ * @param {string} ancestorPath The path that may contain the other.
+ * @param {string} fileOrDirPath The path that may be contained.
+ * @returns {boolean} True if ancestorPath is a directory above fileOrDirPath.
+ */
+function contains(ancestorPath, fileOrDirPath) {
+	if (ancestorPath === ".") {
+		return fileOrDirPath !== "." && !fileOrDirPath.startsWith("/");
+	}
+
+	const prefix = ancestorPath.endsWith("/")
+		? ancestorPath
+		: `${ancestorPath}/`;
+
+	return fileOrDirPath !== ancestorPath && fileOrDirPath.startsWith(prefix);
+}
+
+/**
+ * Copies an ArrayBuffer into a new Uint8Array so callers can't change the
+ * cached value.
+ * @param {ArrayBuffer} buffer The buffer to copy.
+ * @returns {Uint8Array} The copy.
+ */
+function copyBytes(buffer) {
+	return new Uint8Array(buffer.slice(0));
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * An impl that caches file contents and metadata from another impl, which
+ * is useful when the other impl is slow, such as one that makes network
+ * requests. Cached values expire after a time-to-live and the least recently
+ * used values are evicted when the cache grows too large. Changes made
+ * through this impl remove any affected values from the cache, but changes
+ * made directly to the wrapped impl aren't seen until the values expire.
+ * Ranges read with `slice()` and streams returned by `stream()` aren't
+ * cached when the wrapped impl has those methods, so reading part of a large
+ * file doesn't fill the cache.
+ * @implements {HfsImpl}
+ */
+export class CachingHfsImpl {
+	/**
+	 * The impl whose results are cached.
+	 * @type {HfsImpl}
+	 */
+	#impl;
+
+	/**
+	 * The store containing the cached values.
+	 * @type {CachingHfsStore}
+	 */
+	#store;
+
+	/**
+	 * The number of milliseconds a cached value is used for.
+	 * @type {number}
+	 */
+	#ttl;
+
+	/**
+	 * The maximum total size in bytes of the cached values.
+	 * @type {number}
+	 */
+	#maxSize;
+
+	/**
+	 * The cached values, keyed by store key, from least to most recently used.
+	 * @type {Map<string, CacheEntry>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * The total size in bytes of the cached values.
+	 * @type {number}
+	 */
+	#size = 0;
+
+	/**
+	 * The number of reads returned from the cache.
+	 * @type {number}
+	 */
+	#hits = 0;
+
+	/**
+	 * The number of reads passed to the wrapped impl.
+	 * @type {number}
+	 */
+	#misses = 0;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the instance.
+	 * @param {HfsImpl} options.impl The impl whose results should be cached.
+	 * @param {CachingHfsStore} [options.store] The store for cached values.
+	 *    Defaults to a new `MemoryHfsVolume`.
+	 * @param {number} [options.ttl=CACHE_TTL] The number of milliseconds a
+	 *    cached value is used for. Use `Infinity` to keep values until
+	 *    they're evicted or changed.
+	 * @param {number} [options.maxSize=MAX_CACHE_SIZE] The maximum total size
+	 *    in bytes of the cached values. Use `Infinity` for no limit.
+	 * @throws {TypeError} When ttl or maxSize is not a non-negative number.
+	 */
+	constructor({
+		impl,
+		store = new MemoryHfsVolume(),
+		ttl = CACHE_TTL,
+		maxSize = MAX_CACHE_SIZE,
+	}) {
+		if (typeof ttl !== "number" || !(ttl >= 0)) {
+			throw new TypeError("TTL must be a non-negative number.");
+		}
+
+		if (typeof maxSize !== "number" || !(maxSize >= 0)) {
+			throw new TypeError("Max size must be a non-negative number.");
+		}
+
+		this.#impl = impl;
+		this.#store = store;
+		this.#ttl = ttl;
+		this.#maxSize = maxSize;
+	}
+
+	/**
+	 * The number of reads returned from the cache.
+	 * @type {number}
+	 */
+	get hits() {
+		return this.#hits;
+	}
+
+	/**
+	 * The number of reads passed to the wrapped impl.
+	 * @type {number}
+	 */
+	get misses() {
+		return this.#misses;
+	}
+
+	/**
+	 * Asserts that the wrapped impl has the given optional method so that
+	 * a missing method fails the same way as it does without the cache.
+	 * @param {string} methodName The name of the method to check.
+	 * @returns {void}
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 *    method.
+	 */
+	#assertImplMethod(methodName) {
+		if (typeof this.#impl[methodName] !== "function") {
+			throw new NoSuchMethodError(methodName);
+		}
+	}
+
+	/**
+	 * Removes a value from the cache.
+	 * @param {string} key The store key of the value.
+	 * @returns {Promise<void>}
+	 */
+	async #evict(key) {
+		const entry = this.#entries.get(key);
+
+		if (!entry) {
+			return;
+		}
+
+		this.#entries.delete(key);
+		this.#size -= entry.size;
+		await this.#store.rm(key);
+	}
+
+	/**
+	 * Removes the values for a path, every path inside of it, and every
+	 * directory containing it.
+	 * @param {string|URL} fileOrDirPath The path that changed.
+	 * @returns {Promise<void>}
+	 */
+	async #invalidate(fileOrDirPath) {
+		const changedPath = normalizePath(fileOrDirPath);
+
+		for (const [key, { path }] of [...this.#entries]) {
+			if (
+				path === changedPath ||
+				contains(changedPath, path) ||
+				contains(path, changedPath)
+			) {
+				await this.#evict(key);
+			}
+		}
+	}
+
+	/**
+	 * Returns a cached value or reads the value from the wrapped impl and
+	 * caches it. Values that are undefined are cached too, so repeated reads
+	 * of missing files don't reach the wrapped impl.
+	 * @param {string} methodName The name of the method being cached.
+	 * @param {string|URL} fileOrDirPath The path being read.
+	 * @param {() => Promise<any>} read Reads the value from the wrapped impl.
+	 * @returns {Promise<any>} The value. Bytes are returned as an ArrayBuffer
+	 *    and all other values as they were when serialized to JSON.
+	 */
+	async #read(methodName, fileOrDirPath, read) {
+		const path = normalizePath(fileOrDirPath);
+		const key = `${methodName}:${encodeURIComponent(path)}`;
+		const entry = this.#entries.get(key);
+
+		if (entry) {
+			if (Date.now() < entry.expires) {
+				// move to the end so it's the most recently used
+				this.#entries.delete(key);
+				this.#entries.set(key, entry);
+				this.#hits++;
+
+				const stored = await this.#store.readFile(key);
+
+				return entry.encoding === "bytes"
+					? stored
+					: JSON.parse(decoder.decode(stored));
+			}
+
+			await this.#evict(key);
+		}
+
+		this.#misses++;
+
+		const value = await read();
+		const encoding = value instanceof Uint8Array ? "bytes" : "json";
+		const stored =
+			encoding === "bytes"
+				? value.buffer.slice(
+						value.byteOffset,
+						value.byteOffset + value.byteLength,
+					)
+				: encoder.encode(JSON.stringify({ value: value ?? null }))
+						.buffer;
+
+		if (stored.byteLength <= this.#maxSize) {
+			// another read of the same value may have finished first
+			await this.#evict(key);
+
+			this.#entries.set(key, {
+				path,
+				encoding,
+				size: stored.byteLength,
+				expires: Date.now() + this.#ttl,
+			});
+			this.#size += stored.byteLength;
+			await this.#store.writeFile(key, stored);
+
+			for (const oldestKey of this.#entries.keys()) {
+				if (this.#size <= this.#maxSize) {
+					break;
+				}
+
+				await this.#evict(oldestKey);
+			}
+		}
+
+		return encoding === "bytes" ? stored : { value: value ?? null };
+	}
+
+	/**
+	 * Runs a method that makes changes and then removes the values for the
+	 * affected paths from the cache, even if the method fails.
+	 * @param {Array<string|URL>} paths The paths that are changed.
+	 * @param {() => Promise<any>} change Makes the changes.
+	 * @returns {Promise<any>} The result of the change.
+	 */
+	async #change(paths, change) {
+		try {
+			return await change();
+		} finally {
+			for (const fileOrDirPath of paths) {
+				await this.#invalidate(fileOrDirPath);
+			}
+		}
+	}
+
+	/**
+	 * Removes every value from the cache. The hit and miss counts aren't
+	 * changed.
+	 * @returns {Promise<void>} A promise that resolves when the cache is empty.
+	 */
+	async clear() {
+		for (const key of [...this.#entries.keys()]) {
+			await this.#evict(key);
+		}
+	}
+
+	/**
+	 * Reads a file and returns the contents as an Uint8Array.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 *    contents of the file or undefined if the file doesn't exist.
+	 */
+	async bytes(filePath) {
+		const result = await this.#read("bytes", filePath, () =>
+			this.#impl.bytes(filePath),
+		);
+
+		return result instanceof ArrayBuffer ? copyBytes(result) : undefined;
+	}
+
+	/**
+	 * Reads a range of bytes from a file. When the wrapped impl has no
+	 * `slice()` method, the range is taken from the cached contents.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The offset to start reading from.
+	 * @param {number} end The offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with
+	 *    the bytes in the range or undefined if the file doesn't exist.
+	 */
+	async slice(filePath, start, end) {
+		if (typeof this.#impl.slice === "function") {
+			return this.#impl.slice(filePath, start, end);
+		}
+
+		return (await this.bytes(filePath))?.subarray(start, end);
+	}
+
+	/**
+	 * Reads a file as a stream. When the wrapped impl has no `stream()`
+	 * method, the stream contains the cached contents.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 *    resolves with the contents of the file or undefined if the file
+	 *    doesn't exist.
+	 */
+	async stream(filePath) {
+		if (typeof this.#impl.stream === "function") {
+			return this.#impl.stream(filePath);
+		}
+
+		const bytes = await this.bytes(filePath);
+
+		if (!bytes) {
+			return undefined;
+		}
+
+		return new ReadableStream({
+			start(controller) {
+				controller.enqueue(bytes);
+				controller.close();
+			},
+		});
+	}
+
+	/**
+	 * Writes a value to a file, creating any necessary directories along the
+	 * way.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *    written.
+	 */
+	async write(filePath, contents) {
+		return this.#change([filePath], () =>
+			this.#impl.write(filePath, contents),
+		);
+	}
+
+	/**
+	 * Writes a value to a file so that readers see either the old or the new
+	 * contents.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *    written.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 *    method.
+	 */
+	async writeAtomic(filePath, contents) {
+		this.#assertImplMethod("writeAtomic");
+
+		return this.#change([filePath], () =>
+			this.#impl.writeAtomic(filePath, contents),
+		);
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file. When the wrapped
+	 * impl has no `writeStream()` method, the chunks are collected and
+	 * passed to `write()`.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write.
+	 * @param {{size?:number}} [options] The options for writing.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *    written.
+	 */
+	async writeStream(filePath, source, options) {
+		return this.#change([filePath], async () => {
+			if (typeof this.#impl.writeStream === "function") {
+				return this.#impl.writeStream(filePath, source, options);
+			}
+
+			const chunks = [];
+
+			for await (const chunk of source) {
+				chunks.push(chunk);
+			}
+
+			return this.#impl.write(
+				filePath,
+				new Uint8Array(await new Blob(chunks).arrayBuffer()),
+			);
+		});
+	}
+
+	/**
+	 * Appends a value to a file, creating any necessary directories along the
+	 * way.
+	 * @param {string|URL} filePath The path to the file to append to.
+	 * @param {Uint8Array} contents The contents to append.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *    written.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 *    method.
+	 */
+	async append(filePath, contents) {
+		this.#assertImplMethod("append");
+
+		return this.#change([filePath], () =>
+			this.#impl.append(filePath, contents),
+		);
+	}
+
+	/**
+	 * Checks if a file exists.
+	 * @param {string|URL} filePath The path to the file to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    file exists or false if it doesn't.
+	 */
+	async isFile(filePath) {
+		const { value } = await this.#read("isFile", filePath, () =>
+			this.#impl.isFile(filePath),
+		);
+
+		return value;
+	}
+
+	/**
+	 * Checks if a directory exists.
+	 * @param {string|URL} dirPath The path to the directory to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    directory exists or false if it doesn't.
+	 */
+	async isDirectory(dirPath) {
+		const { value } = await this.#read("isDirectory", dirPath, () =>
+			this.#impl.isDirectory(dirPath),
+		);
+
+		return value;
+	}
+
+	/**
+	 * Creates a directory, along with any missing parent directories.
+	 * @param {string|URL} dirPath The path to the directory to create.
+	 * @returns {Promise<void>} A promise that resolves when the directory is
+	 *    created.
+	 */
+	async createDirectory(dirPath) {
+		return this.#change([dirPath], () =>
+			this.#impl.createDirectory(dirPath),
+		);
+	}
+
+	/**
+	 * Deletes a file or empty directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 *    delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    file or directory was deleted or false if it doesn't exist.
+	 */
+	async delete(fileOrDirPath) {
+		return this.#change([fileOrDirPath], () =>
+			this.#impl.delete(fileOrDirPath),
+		);
+	}
+
+	/**
+	 * Deletes a file or directory recursively.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to
+	 *    delete.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    file or directory was deleted or false if it doesn't exist.
+	 */
+	async deleteAll(fileOrDirPath) {
+		return this.#change([fileOrDirPath], () =>
+			this.#impl.deleteAll(fileOrDirPath),
+		);
+	}
+
+	/**
+	 * Returns the entries in a directory.
+	 * @param {string|URL} dirPath The path to the directory to read.
+	 * @returns {AsyncIterable<HfsDirectoryEntry>} An async iterable of the
+	 *    entries in the directory.
+	 */
+	async *list(dirPath) {
+		const { value } = await this.#read("list", dirPath, async () => {
+			const entries = [];
+
+			for await (const entry of this.#impl.list(dirPath)) {
+				entries.push({
+					name: entry.name,
+					isFile: entry.isFile,
+					isDirectory: entry.isDirectory,
+					isSymlink: entry.isSymlink,
+				});
+			}
+
+			return entries;
+		});
+
+		yield* value;
+	}
+
+	/**
+	 * Returns the size of a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<number|undefined>} A promise that resolves with the
+	 *    size of the file in bytes or undefined if the file doesn't exist.
+	 */
+	async size(filePath) {
+		const { value } = await this.#read("size", filePath, () =>
+			this.#impl.size(filePath),
+		);
+
+		return value ?? undefined;
+	}
+
+	/**
+	 * Returns the last modified date of a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<Date|undefined>} A promise that resolves with the last
+	 *    modified date or undefined if the file or directory doesn't exist.
+	 */
+	async lastModified(fileOrDirPath) {
+		const { value } = await this.#read(
+			"lastModified",
+			fileOrDirPath,
+			async () =>
+				(await this.#impl.lastModified(fileOrDirPath))?.getTime(),
+		);
+
+		return value === null ? undefined : new Date(value);
+	}
+
+	/**
+	 * Returns information about a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 *    information or undefined if the file or directory doesn't exist.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 *    method.
+	 */
+	async stat(fileOrDirPath) {
+		this.#assertImplMethod("stat");
+
+		const { value } = await this.#read("stat", fileOrDirPath, async () => {
+			const stat = await this.#impl.stat(fileOrDirPath);
+
+			return (
+				stat && {
+					...stat,
+					lastModified: stat.lastModified.getTime(),
+					created: stat.created?.getTime(),
+				}
+			);
+		});
+
+		if (!value) {
+			return undefined;
+		}
+
+		const stat = { ...value, lastModified: new Date(value.lastModified) };
+
+		if (value.created !== undefined) {
+			stat.created = new Date(value.created);
+		}
+
+		return stat;
+	}
+
+	/**
+	 * Copies a file from one location to another.
+	 * @param {string|URL} source The path to the file to copy.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is copied.
+	 */
+	async copy(source, destination) {
+		return this.#change([destination], () =>
+			this.#impl.copy(source, destination),
+		);
+	}
+
+	/**
+	 * Copies a file or directory and its contents.
+	 * @param {string|URL} source The path to the file or directory to copy.
+	 * @param {string|URL} destination The path to copy to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 *    copied.
+	 */
+	async copyAll(source, destination) {
+		return this.#change([destination], () =>
+			this.#impl.copyAll(source, destination),
+		);
+	}
+
+	/**
+	 * Moves a file from one location to another.
+	 * @param {string|URL} source The path to the file to move.
+	 * @param {string|URL} destination The path to the destination file.
+	 * @returns {Promise<void>} A promise that resolves when the file is moved.
+	 */
+	async move(source, destination) {
+		return this.#change([source, destination], () =>
+			this.#impl.move(source, destination),
+		);
+	}
+
+	/**
+	 * Moves a file or directory and its contents.
+	 * @param {string|URL} source The path to the file or directory to move.
+	 * @param {string|URL} destination The path to move to.
+	 * @returns {Promise<void>} A promise that resolves when everything is
+	 *    moved.
+	 */
+	async moveAll(source, destination) {
+		return this.#change([source, destination], () =>
+			this.#impl.moveAll(source, destination),
+		);
+	}
+
+	/**
+	 * Creates a symbolic link.
+	 * @param {string} target The path the link points to.
+	 * @param {string|URL} linkPath The path to the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is
+	 *    created.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 *    method.
+	 */
+	async createSymlink(target, linkPath) {
+		this.#assertImplMethod("createSymlink");
+
+		return this.#change([linkPath], () =>
+			this.#impl.createSymlink(target, linkPath),
+		);
+	}
+
+	/**
+	 * Reads the target of a symbolic link.
+	 * @param {string|URL} linkPath The path to the link.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 *    target or undefined if the link doesn't exist.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 *    method.
+	 */
+	async readSymlink(linkPath) {
+		this.#assertImplMethod("readSymlink");
+
+		const { value } = await this.#read("readSymlink", linkPath, () =>
+			this.#impl.readSymlink(linkPath),
+		);
+
+		return value ?? undefined;
+	}
+
+	/**
+	 * Checks if a path is a symbolic link.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    path is a symbolic link or false if not.
+	 * @throws {NoSuchMethodError} When the wrapped impl doesn't have the
+	 *    method.
+	 */
+	async isSymlink(fileOrDirPath) {
+		this.#assertImplMethod("isSymlink");
+
+		const { value } = await this.#read("isSymlink", fileOrDirPath, () =>
+			this.#impl.isSymlink(fileOrDirPath),
+		);
+
+		return value;
+	}
+}
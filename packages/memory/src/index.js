@@ -4,4 +4,5 @@
  */
 
 export * from "./memory-hfs.js";
+export { CachingHfsImpl } from "./caching-hfs.js";
 export { Hfs } from "@humanfs/core";
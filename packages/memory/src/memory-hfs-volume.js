@@ -12,6 +12,7 @@ import {
 	NotFoundError,
 	DirectoryError,
 	PermissionError,
+	SymlinkLoopError,
 } from "@humanfs/core";
 
 //-----------------------------------------------------------------------------
@@ -19,6 +20,8 @@ import {
 //-----------------------------------------------------------------------------
 
 /** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {MemoryHfsFile|MemoryHfsDirectory|MemoryHfsSymlink} MemoryHfsEntry */
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
 
 //-----------------------------------------------------------------------------
 // Data
@@ -27,6 +30,12 @@ import {
 let objectId = 0;
 const parents = new WeakMap();
 
+/**
+ * The maximum number of symbolic links to follow when resolving a path.
+ * Matches the limit used by Linux.
+ */
+const MAX_SYMLINK_HOPS = 40;
+
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
@@ -44,43 +53,153 @@ function assertArrayBuffer(value) {
 }
 
 /**
- * Finds a file or directory in the volume.
+ * Resolves the target of a symbolic link into the steps of an absolute path.
+ * @param {Array<string>} parentSteps The steps to the directory containing
+ *    the link.
+ * @param {string} target The target of the link.
+ * @returns {Array<string>} The steps of the path the link points to.
+ */
+function resolveSymlinkTarget(parentSteps, target) {
+	const normalizedTarget = target.replace(/\\/g, "/");
+	const steps = normalizedTarget.startsWith("/") ? [] : [...parentSteps];
+
+	for (const step of normalizedTarget.split("/")) {
+		if (step === "" || step === ".") {
+			continue;
+		}
+
+		if (step === "..") {
+			steps.pop();
+		} else {
+			steps.push(step);
+		}
+	}
+
+	return steps;
+}
+
+/**
+ * Resolves any symbolic links in a path and returns the steps of the
+ * resulting path. Steps that don't exist are kept as-is, so the result can
+ * be used to create new entries.
  * @param {MemoryHfsDirectory} root The volume to search.
- * @param {Path} fileOrDirPath The path to the file or directory to find.
- * @returns {MemoryHfsDirectory|MemoryHfsFile|undefined} The file or directory found.
+ * @param {Path} fileOrDirPath The path to resolve.
+ * @param {object} [options] The options for resolving.
+ * @param {boolean} [options.followLast=true] Whether to resolve the last step
+ *    when it's a symbolic link.
+ * @returns {Array<string>} The steps of the resolved path.
+ * @throws {SymlinkLoopError} If there are too many levels of symbolic links.
  */
-function findPath(root, fileOrDirPath) {
+function resolvePath(root, fileOrDirPath, { followLast = true } = {}) {
 	const parts = [...fileOrDirPath];
+	let steps = [];
+	/** @type {MemoryHfsEntry|undefined} */
+	let object = root;
+	let hops = 0;
 
-	if (parts.length === 0) {
-		return root;
+	while (parts.length > 0) {
+		const name = parts.shift();
+
+		// there's nothing above the root, so ".." there stays at the root
+		if (name === "..") {
+			steps.pop();
+			object = root;
+
+			for (const step of steps) {
+				object =
+					object?.kind === "directory"
+						? /** @type {MemoryHfsDirectory} */ (object).find(step)
+						: undefined;
+			}
+
+			continue;
+		}
+
+		const entry =
+			object?.kind === "directory"
+				? /** @type {MemoryHfsDirectory} */ (object).find(name)
+				: undefined;
+
+		if (entry?.kind === "symlink" && (parts.length > 0 || followLast)) {
+			if (++hops > MAX_SYMLINK_HOPS) {
+				throw new SymlinkLoopError(`'${fileOrDirPath}'`, {
+					path: fileOrDirPath.toString(),
+				});
+			}
+
+			parts.unshift(
+				...resolveSymlinkTarget(
+					steps,
+					/** @type {MemoryHfsSymlink} */ (entry).target,
+				),
+			);
+			steps = [];
+			object = root;
+			continue;
+		}
+
+		steps.push(name);
+		object = entry;
 	}
 
+	return steps;
+}
+
+/**
+ * Returns the steps from the root of the volume to the given entry.
+ * @param {MemoryHfsEntry} entry The entry to find the steps for.
+ * @returns {Array<string>} The steps to the entry.
+ */
+function getEntrySteps(entry) {
+	const steps = [];
+
+	for (let current = entry; current.parent; current = current.parent) {
+		steps.unshift(current.name);
+	}
+
+	return steps;
+}
+
+/**
+ * Finds a file, directory, or symbolic link in the volume.
+ * @param {MemoryHfsDirectory} root The volume to search.
+ * @param {Path} fileOrDirPath The path to the file or directory to find.
+ * @param {object} [options] The options for finding.
+ * @param {boolean} [options.followLast=true] Whether to return the target
+ *    of the last step when it's a symbolic link instead of the link itself.
+ * @returns {MemoryHfsEntry|undefined} The entry found.
+ */
+function findPath(root, fileOrDirPath, options) {
+	/** @type {MemoryHfsEntry|undefined} */
 	let object = root;
-	let key = parts.shift();
 
-	while (object.find(key)) {
-		if (parts.length === 0) {
-			return object.find(key);
+	for (const step of resolvePath(root, fileOrDirPath, options)) {
+		if (object?.kind !== "directory") {
+			return undefined;
 		}
 
-		object = /** @type {MemoryHfsDirectory} */ (object.find(key));
-		key = parts.shift();
+		object = /** @type {MemoryHfsDirectory} */ (object).find(step);
 	}
 
-	return undefined;
+	return object;
 }
 
 /**
- * Writes a file or directory to the volume.
+ * Writes a file, directory, or symbolic link to the volume. Symbolic links
+ * in the path are followed except when `entry` is itself a symbolic link,
+ * in which case the last step is replaced rather than followed.
  * @param {MemoryHfsDirectory} volume The volume to search.
  * @param {string|URL} fileOrDirPath The path to the file or directory to find.
- * @param {MemoryHfsDirectory|MemoryHfsFile|undefined} entry The value to write.
- * @returns {Array<MemoryHfsDirectory|MemoryHfsFile>} The files and directories created,
+ * @param {MemoryHfsEntry} entry The value to write.
+ * @returns {Array<MemoryHfsEntry>} The entries created,
  *    including `value`, or undefined if the directory already exists.
  */
 function writePath(volume, fileOrDirPath, entry) {
-	const path = Path.from(fileOrDirPath);
+	const path = new Path(
+		resolvePath(volume, Path.from(fileOrDirPath), {
+			followLast: entry.kind !== "symlink",
+		}),
+	);
 	const name = path.pop();
 	let directory = volume;
 	const created = [];
@@ -143,6 +262,13 @@ export class MemoryHfsFile {
 	 */
 	lastModified = new Date();
 
+	/**
+	 * The date the file was created.
+	 * @type {Date}
+	 * @readonly
+	 */
+	created = new Date();
+
 	/**
 	 * The kind of file system object.
 	 * @type {string}
@@ -225,6 +351,127 @@ export class MemoryHfsFile {
 			contents: this.#contents.slice(0),
 		});
 	}
+
+	/**
+	 * Records the current state of the file.
+	 * @returns {() => void} A function that restores the file to the
+	 *    recorded state.
+	 */
+	snapshot() {
+		const { name, lastModified } = this;
+		const contents = this.#contents;
+
+		return () => {
+			this.name = name;
+			this.#contents = contents;
+			this.lastModified = lastModified;
+		};
+	}
+}
+
+/**
+ * A class representing a symbolic link in memory.
+ */
+export class MemoryHfsSymlink {
+	/**
+	 * The unique identifier for the link.
+	 * @type {string}
+	 * @readonly
+	 */
+	#id = `link-${objectId++}`;
+
+	/**
+	 * The last modified date of the link.
+	 * @type {Date}
+	 */
+	lastModified = new Date();
+
+	/**
+	 * The date the link was created.
+	 * @type {Date}
+	 * @readonly
+	 */
+	created = new Date();
+
+	/**
+	 * The kind of file system object.
+	 * @type {string}
+	 * @readonly
+	 */
+	kind = "symlink";
+
+	/**
+	 * The name of the link.
+	 * @type {string}
+	 */
+	name;
+
+	/**
+	 * The path the link points to. Relative targets are resolved relative
+	 * to the directory containing the link.
+	 * @type {string}
+	 * @readonly
+	 */
+	target;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} options The options for the link.
+	 * @param {string} [options.name] The name of the link.
+	 * @param {string} options.target The path the link points to.
+	 * @throws {TypeError} If the target is not a non-empty string.
+	 */
+	constructor({ name, target }) {
+		if (!target || typeof target !== "string") {
+			throw new TypeError("Target must be a non-empty string.");
+		}
+
+		this.name = name;
+		this.target = target;
+	}
+
+	/**
+	 * The unique identifier for the link.
+	 * @type {string}
+	 * @readonly
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * The parent directory of the link.
+	 * @type {MemoryHfsDirectory|undefined}
+	 * @readonly
+	 */
+	get parent() {
+		return parents.get(this);
+	}
+
+	/**
+	 * Creates a copy of the link. The copy points to the same target.
+	 * @returns {MemoryHfsSymlink} The new link.
+	 */
+	clone() {
+		return new MemoryHfsSymlink({
+			name: this.name,
+			target: this.target,
+		});
+	}
+
+	/**
+	 * Records the current state of the link.
+	 * @returns {() => void} A function that restores the link to the
+	 *    recorded state.
+	 */
+	snapshot() {
+		const { name, lastModified } = this;
+
+		return () => {
+			this.name = name;
+			this.lastModified = lastModified;
+		};
+	}
 }
 
 /**
@@ -241,7 +488,7 @@ export class MemoryHfsDirectory {
 
 	/**
 	 * The entries in the directory.
-	 * @type {Array<MemoryHfsFile|MemoryHfsDirectory>}
+	 * @type {Array<MemoryHfsEntry>}
 	 * @readonly
 	 */
 	#entries;
@@ -258,6 +505,13 @@ export class MemoryHfsDirectory {
 	 */
 	lastModified = new Date();
 
+	/**
+	 * The date the directory was created.
+	 * @type {Date}
+	 * @readonly
+	 */
+	created = new Date();
+
 	/**
 	 * The kind of file system object.
 	 * @type {string}
@@ -269,7 +523,7 @@ export class MemoryHfsDirectory {
 	 * Creates a new instance.
 	 * @param {Object} [options] The options for the directory.
 	 * @param {string} [options.name] The name of the directory.
-	 * @param {Array<MemoryHfsFile|MemoryHfsDirectory>} [options.entries] The entries in the directory.
+	 * @param {Array<MemoryHfsEntry>} [options.entries] The entries in the directory.
 	 */
 	constructor({ name, entries = [] } = {}) {
 		this.name = name;
@@ -297,7 +551,7 @@ export class MemoryHfsDirectory {
 	/**
 	 * Finds an entry with the given name in the directory.
 	 * @param {string} name The name of the entry to find.
-	 * @returns {MemoryHfsFile|MemoryHfsDirectory|undefined} The entry found or undefined if not found.
+	 * @returns {MemoryHfsEntry|undefined} The entry found or undefined if not found.
 	 */
 	find(name) {
 		return this.#entries.find(entry => entry.name === name);
@@ -305,7 +559,7 @@ export class MemoryHfsDirectory {
 
 	/**
 	 * Adds an entry in the directory.
-	 * @param {MemoryHfsFile|MemoryHfsDirectory} entry The value to set.
+	 * @param {MemoryHfsEntry} entry The value to set.
 	 * @returns {this} The instance for chaining.
 	 */
 	add(entry) {
@@ -361,9 +615,32 @@ export class MemoryHfsDirectory {
 		});
 	}
 
+	/**
+	 * Records the current state of the directory and everything in it.
+	 * @returns {() => void} A function that restores the directory and its
+	 *    contents to the recorded state.
+	 */
+	snapshot() {
+		const { name, lastModified } = this;
+		const entries = [...this.#entries];
+		const restoreEntries = entries.map(entry => entry.snapshot());
+
+		return () => {
+			this.name = name;
+			this.lastModified = lastModified;
+			this.#entries.splice(0, this.#entries.length, ...entries);
+
+			for (const entry of entries) {
+				parents.set(entry, this);
+			}
+
+			restoreEntries.forEach(restore => restore());
+		};
+	}
+
 	/**
 	 * Returns an iterator over the entries in the directory.
-	 * @returns {IterableIterator<[string, MemoryHfsFile|MemoryHfsDirectory]>} The iterator.
+	 * @returns {IterableIterator<[string, MemoryHfsEntry]>} The iterator.
 	 */
 	*entries() {
 		for (const entry of this.#entries) {
@@ -382,7 +659,7 @@ export class MemoryHfsDirectory {
 export class MemoryHfsVolume {
 	/**
 	 * A map of object IDs to objects.
-	 * @type {Map<string, MemoryHfsFile|MemoryHfsDirectory>}
+	 * @type {Map<string, MemoryHfsEntry>}
 	 */
 	#objects = new Map();
 
@@ -392,6 +669,134 @@ export class MemoryHfsVolume {
 	 */
 	#root = new MemoryHfsDirectory({ name: "." });
 
+	/**
+	 * The watchers to notify when an entry changes, keyed by the function to
+	 * call and containing the steps to the directory being watched.
+	 * @type {Map<(event: HfsWatchEvent) => void, Array<string>>}
+	 */
+	#watchers = new Map();
+
+	/**
+	 * The changes made during the current transaction, which watchers are
+	 * only notified about once the transaction succeeds.
+	 * @type {Array<[HfsWatchEvent["type"], Array<string>]>|undefined}
+	 */
+	#pendingChanges;
+
+	/**
+	 * Notifies the watchers of the directories containing an entry that the
+	 * entry has changed.
+	 * @param {HfsWatchEvent["type"]} type The type of change.
+	 * @param {Array<string>} steps The steps to the entry that changed.
+	 * @returns {void}
+	 */
+	#notify(type, steps) {
+		if (this.#pendingChanges) {
+			this.#pendingChanges.push([type, steps]);
+			return;
+		}
+
+		for (const [listener, dirSteps] of this.#watchers) {
+			if (
+				steps.length > dirSteps.length &&
+				dirSteps.every((step, index) => steps[index] === step)
+			) {
+				listener({
+					type,
+					path: steps.slice(dirSteps.length).join("/"),
+				});
+			}
+		}
+	}
+
+	/**
+	 * Adds the entries created by a write to the volume and notifies the
+	 * watchers about them.
+	 * @param {Array<MemoryHfsEntry>} entries The entries that were created.
+	 * @param {boolean} [replaced=false] Whether the last entry replaced an
+	 *    existing entry, in which case it's reported as a change.
+	 * @returns {void}
+	 */
+	#addCreatedEntries(entries, replaced = false) {
+		entries.forEach((entry, index) => {
+			this.#objects.set(entry.id, entry);
+			this.#notify(
+				replaced && index === entries.length - 1 ? "change" : "create",
+				getEntrySteps(entry),
+			);
+		});
+	}
+
+	//-----------------------------------------------------------------------------
+	// Watching
+	//-----------------------------------------------------------------------------
+
+	/**
+	 * Calls a function whenever a file, directory, or symbolic link inside
+	 * the given directory is created, changed, or deleted.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {(event: HfsWatchEvent) => void} listener The function to call
+	 *    with each change. The path in the event is relative to `dirPath`.
+	 * @returns {() => void} A function that stops watching.
+	 * @throws {NotFoundError} If the directory is not found.
+	 * @throws {DirectoryError} If the path is not a directory.
+	 */
+	watch(dirPath, listener) {
+		const object =
+			dirPath === "."
+				? this.#root
+				: findPath(this.#root, Path.from(dirPath));
+
+		if (!object) {
+			throw new NotFoundError(`watch ${dirPath}`);
+		}
+
+		if (object.kind !== "directory") {
+			throw new DirectoryError(`watch ${dirPath}`);
+		}
+
+		this.#watchers.set(listener, getEntrySteps(object));
+
+		return () => {
+			this.#watchers.delete(listener);
+		};
+	}
+
+	//-----------------------------------------------------------------------------
+	// Transactions
+	//-----------------------------------------------------------------------------
+
+	/**
+	 * Calls a function that changes the volume and, if the function throws an
+	 * error, undoes all of its changes. Watchers aren't notified about any
+	 * changes until the function returns successfully.
+	 * @param {() => void} callback The function that changes the volume.
+	 * @returns {void}
+	 * @throws {Error} Any error thrown by the callback.
+	 */
+	transaction(callback) {
+		const restore = this.#root.snapshot();
+		const objects = new Map(this.#objects);
+		const previousChanges = this.#pendingChanges;
+		const changes = [];
+
+		this.#pendingChanges = changes;
+
+		try {
+			callback();
+		} catch (error) {
+			restore();
+			this.#objects = objects;
+			throw error;
+		} finally {
+			this.#pendingChanges = previousChanges;
+		}
+
+		for (const [type, steps] of changes) {
+			this.#notify(type, steps);
+		}
+	}
+
 	//-----------------------------------------------------------------------------
 	// ID-Based Methods
 	//-----------------------------------------------------------------------------
@@ -399,7 +804,7 @@ export class MemoryHfsVolume {
 	/**
 	 * Retrieves an object by its ID.
 	 * @param {string} id The ID of the object to retrieve.
-	 * @returns {MemoryHfsFile|MemoryHfsDirectory|undefined} The object or undefined if not found.
+	 * @returns {MemoryHfsEntry|undefined} The object or undefined if not found.
 	 * @throws {TypeError} If the ID is not a string.
 	 */
 	#getObject(id) {
@@ -413,7 +818,7 @@ export class MemoryHfsVolume {
 	/**
 	 * Retrieves an object by its path.
 	 * @param {string|URL} path The path to the object to retrieve.
-	 * @returns {MemoryHfsFile|MemoryHfsDirectory|undefined} The object or undefined if not found.
+	 * @returns {MemoryHfsEntry|undefined} The object or undefined if not found.
 	 * @throws {TypeError} If the path is not a string or URL.
 	 */
 	#getObjectFromPath(path) {
@@ -444,11 +849,15 @@ export class MemoryHfsVolume {
 			throw new NotFoundError(`deleteObject ${id}`);
 		}
 
+		const steps = getEntrySteps(object);
+
 		// remove the object from the tree
 		object.parent.delete(object.name);
 
 		// remove the object from the map
 		this.#objects.delete(id);
+
+		this.#notify("delete", steps);
 	}
 
 	/**
@@ -477,6 +886,7 @@ export class MemoryHfsVolume {
 
 		directory.add(file);
 		this.#objects.set(file.id, file);
+		this.#notify("create", getEntrySteps(file));
 
 		return file.id;
 	}
@@ -505,6 +915,7 @@ export class MemoryHfsVolume {
 
 		directory.add(newDirectory);
 		this.#objects.set(newDirectory.id, newDirectory);
+		this.#notify("create", getEntrySteps(newDirectory));
 
 		return newDirectory.id;
 	}
@@ -553,6 +964,7 @@ export class MemoryHfsVolume {
 
 		const file = /** @type {MemoryHfsFile} */ (object);
 		file.contents = contents;
+		this.#notify("change", getEntrySteps(file));
 	}
 
 	/**
@@ -578,7 +990,7 @@ export class MemoryHfsVolume {
 		return Array.from(directory.entries()).map(([name, object]) => ({
 			isFile: object.kind === "file",
 			isDirectory: object.kind === "directory",
-			isSymlink: false,
+			isSymlink: object.kind === "symlink",
 			name: name,
 		}));
 	}
@@ -609,9 +1021,13 @@ export class MemoryHfsVolume {
 		}
 
 		const directory = /** @type {MemoryHfsDirectory} */ (parent);
+		const steps = getEntrySteps(object);
 
 		object.parent.delete(object.name);
 		directory.add(object);
+
+		this.#notify("delete", steps);
+		this.#notify("create", getEntrySteps(object));
 	}
 
 	/**
@@ -645,6 +1061,7 @@ export class MemoryHfsVolume {
 
 		directory.add(copy);
 		this.#objects.set(copy.id, copy);
+		this.#notify("create", getEntrySteps(copy));
 	}
 
 	//-----------------------------------------------------------------------------
@@ -677,13 +1094,12 @@ export class MemoryHfsVolume {
 	 * @returns {void}
 	 */
 	writeFile(filePath, contents) {
-		for (const entry of writePath(
-			this.#root,
-			filePath,
-			new MemoryHfsFile({ contents }),
-		)) {
-			this.#objects.set(entry.id, entry);
-		}
+		const existing = findPath(this.#root, Path.from(filePath));
+
+		this.#addCreatedEntries(
+			writePath(this.#root, filePath, new MemoryHfsFile({ contents })),
+			Boolean(existing),
+		);
 	}
 
 	/**
@@ -696,7 +1112,7 @@ export class MemoryHfsVolume {
 	 */
 	cp(source, destination) {
 		const srcPath = Path.from(source);
-		const object = findPath(this.#root, srcPath);
+		const object = findPath(this.#root, srcPath, { followLast: false });
 
 		if (!object) {
 			throw new NotFoundError(`cp ${source} ${destination}`);
@@ -718,6 +1134,11 @@ export class MemoryHfsVolume {
 		const newObject = object.clone();
 		newObject.name = name;
 		destDir.add(newObject);
+
+		this.#notify(
+			destObject ? "change" : "create",
+			getEntrySteps(newObject),
+		);
 	}
 
 	/**
@@ -730,7 +1151,7 @@ export class MemoryHfsVolume {
 	 */
 	mv(source, destination) {
 		const srcPath = Path.from(source);
-		const object = findPath(this.#root, srcPath);
+		const object = findPath(this.#root, srcPath, { followLast: false });
 
 		if (!object) {
 			throw new NotFoundError(`mv ${source} ${destination}`);
@@ -754,25 +1175,57 @@ export class MemoryHfsVolume {
 		destDir.add(newObject);
 
 		// remove the original
+		const steps = getEntrySteps(object);
 		object.parent.delete(srcPath.name);
+
+		this.#notify("delete", steps);
+		this.#notify(
+			destObject ? "change" : "create",
+			getEntrySteps(newObject),
+		);
 	}
 
 	/**
-	 * Retrieves information about a file or directory.
+	 * Retrieves information about a file or directory. Symbolic links are
+	 * followed.
 	 * @param {string|URL} fileOrDirPath The path to the file or directory to check.
 	 * @returns {object} The information about the file or directory or undefined if not found.
 	 */
 	stat(fileOrDirPath) {
+		return this.#statPath(fileOrDirPath, { followLast: true });
+	}
+
+	/**
+	 * Retrieves information about a file, directory, or symbolic link without
+	 * following a symbolic link at the end of the path.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {object} The information about the entry or undefined if not found.
+	 */
+	lstat(fileOrDirPath) {
+		return this.#statPath(fileOrDirPath, { followLast: false });
+	}
+
+	/**
+	 * Retrieves information about an entry.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @param {object} options The options for finding the entry.
+	 * @param {boolean} options.followLast Whether to follow a symbolic link
+	 *    at the end of the path.
+	 * @returns {object} The information about the entry or undefined if not found.
+	 */
+	#statPath(fileOrDirPath, { followLast }) {
 		const path = Path.from(fileOrDirPath);
-		const object = findPath(this.#root, path);
+		const object = findPath(this.#root, path, { followLast });
 
 		if (!object) {
 			return undefined;
 		}
 
 		return {
+			id: object.id,
 			kind: object.kind,
 			mtime: object.lastModified,
+			birthtime: object.created,
 			size:
 				object.kind === "file"
 					? /** @type {MemoryHfsFile} */ (object).contents.byteLength
@@ -780,19 +1233,46 @@ export class MemoryHfsVolume {
 		};
 	}
 
+	/**
+	 * Creates a symbolic link and any missing ancestor directories.
+	 * @param {string} target The path the link points to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {void}
+	 * @throws {TypeError} If the target is not a non-empty string.
+	 */
+	symlink(target, linkPath) {
+		this.#addCreatedEntries(
+			writePath(this.#root, linkPath, new MemoryHfsSymlink({ target })),
+		);
+	}
+
+	/**
+	 * Reads the target of a symbolic link.
+	 * @param {string|URL} linkPath The path of the link to read.
+	 * @returns {string|undefined} The target of the link or undefined if the
+	 *    path doesn't exist or isn't a symbolic link.
+	 */
+	readlink(linkPath) {
+		const object = findPath(this.#root, Path.from(linkPath), {
+			followLast: false,
+		});
+
+		if (object?.kind !== "symlink") {
+			return undefined;
+		}
+
+		return /** @type {MemoryHfsSymlink} */ (object).target;
+	}
+
 	/**
 	 * Creates a directory and all of its ancestors.
 	 * @param {string|URL} dirPath The path to create.
 	 * @returns {void}
 	 */
 	mkdirp(dirPath) {
-		for (const entry of writePath(
-			this.#root,
-			dirPath,
-			new MemoryHfsDirectory(),
-		)) {
-			this.#objects.set(entry.id, entry);
-		}
+		this.#addCreatedEntries(
+			writePath(this.#root, dirPath, new MemoryHfsDirectory()),
+		);
 	}
 
 	/**
@@ -821,7 +1301,7 @@ export class MemoryHfsVolume {
 		return Array.from(directory.entries()).map(([id, object]) => ({
 			isFile: object.kind === "file",
 			isDirectory: object.kind === "directory",
-			isSymlink: false,
+			isSymlink: object.kind === "symlink",
 			name: id,
 		}));
 	}
@@ -839,10 +1319,15 @@ export class MemoryHfsVolume {
 			findPath(this.#root, path)
 		);
 
-		if (!object || !object.find(name)) {
+		const entry = object?.find(name);
+
+		if (!entry) {
 			throw new NotFoundError(`rm ${fileOrDirPath}`);
 		}
 
+		const steps = getEntrySteps(entry);
 		object.delete(name);
+
+		this.#notify("delete", steps);
 	}
 }
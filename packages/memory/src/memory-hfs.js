@@ -3,12 +3,17 @@
  * @author Nicholas C. Zakas
  */
 
+/* global ReadableStream */
+
 //-----------------------------------------------------------------------------
 // Types
 //-----------------------------------------------------------------------------
 
 /** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
 /** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
+/** @typedef {import("@humanfs/types").HfsTransactionOperation} HfsTransactionOperation */
 
 //-----------------------------------------------------------------------------
 // Imports
@@ -19,10 +24,106 @@ import {
 	NotFoundError,
 	DirectoryError,
 	NotEmptyError,
+	AlreadyExistsError,
 } from "@humanfs/core";
 
 import { MemoryHfsVolume } from "./memory-hfs-volume.js";
 
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Writes a value to a file in a volume.
+ * @param {MemoryHfsVolume} volume The volume to write to.
+ * @param {string|URL} filePath The path to the file to write.
+ * @param {Uint8Array} contents The contents to write to the file.
+ * @returns {void}
+ */
+function writeFile(volume, filePath, contents) {
+	const value = contents.buffer.slice(
+		contents.byteOffset,
+		contents.byteOffset + contents.byteLength,
+	);
+
+	volume.writeFile(filePath, value);
+}
+
+/**
+ * Deletes a file or empty directory from a volume.
+ * @param {MemoryHfsVolume} volume The volume to delete from.
+ * @param {string|URL} fileOrDirPath The path to the file or directory to
+ *   delete.
+ * @returns {boolean} True if the file or directory was deleted, false if it
+ *   does not exist.
+ * @throws {NotEmptyError} If the directory is not empty.
+ */
+function deleteEntry(volume, fileOrDirPath) {
+	const entry = volume.lstat(fileOrDirPath);
+
+	if (!entry) {
+		return false;
+	}
+
+	// if the entry is directory, check to see if its empty with readDir
+	if (entry.kind === "directory") {
+		const entries = volume.readdir(fileOrDirPath);
+
+		if (entries.length > 0) {
+			throw new NotEmptyError(`delete '${fileOrDirPath}'`);
+		}
+	}
+
+	volume.rm(fileOrDirPath);
+	return true;
+}
+
+/**
+ * Copies a file in a volume from one location to another.
+ * @param {MemoryHfsVolume} volume The volume containing the file.
+ * @param {string|URL} source The path to the file to copy.
+ * @param {string|URL} destination The path to the destination file.
+ * @returns {void}
+ * @throws {NotFoundError} If the source file does not exist.
+ * @throws {DirectoryError} If the source is a directory.
+ */
+function copyFile(volume, source, destination) {
+	const entry = volume.stat(source);
+
+	if (!entry) {
+		throw new NotFoundError(`copy '${source}' -> '${destination}'`);
+	}
+
+	if (entry.kind !== "file") {
+		throw new DirectoryError(`copy '${source}' -> '${destination}'`);
+	}
+
+	volume.cp(source, destination);
+}
+
+/**
+ * Moves a file in a volume from one location to another.
+ * @param {MemoryHfsVolume} volume The volume containing the file.
+ * @param {string|URL} source The path to the file to move.
+ * @param {string|URL} destination The path to the destination file.
+ * @returns {void}
+ * @throws {NotFoundError} If the source file does not exist.
+ * @throws {DirectoryError} If the source is a directory.
+ */
+function moveFile(volume, source, destination) {
+	const entry = volume.stat(source);
+
+	if (!entry) {
+		throw new NotFoundError(`move '${source}' -> '${destination}'`);
+	}
+
+	if (entry.kind !== "file") {
+		throw new DirectoryError(`move '${source}' -> '${destination}'`);
+	}
+
+	volume.mv(source, destination);
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -56,6 +157,53 @@ export class MemoryHfsImpl {
 		return new Uint8Array(contents);
 	}
 
+	/**
+	 * Reads a range of bytes from a file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The zero-based byte offset to start reading from.
+	 * @param {number} end The zero-based byte offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 *    bytes in the range or undefined if the file does not exist.
+	 * @throws {Error} If the file cannot be read.
+	 * @throws {TypeError} If the file path is not a string.
+	 */
+	async slice(filePath, start, end) {
+		const contents = this.#volume.readFile(filePath);
+
+		if (contents === undefined) {
+			return undefined;
+		}
+
+		return new Uint8Array(contents.slice(start, end));
+	}
+
+	/**
+	 * Reads a file and returns the contents as a readable stream.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 *    resolves with a readable stream of the file contents or undefined if
+	 *    the file does not exist.
+	 * @throws {Error} If the file cannot be read.
+	 * @throws {TypeError} If the file path is not a string.
+	 */
+	async stream(filePath) {
+		const contents = this.#volume.readFile(filePath);
+
+		if (contents === undefined) {
+			return undefined;
+		}
+
+		// copy so later writes to the file don't affect the stream
+		const bytes = new Uint8Array(contents.slice(0));
+
+		return new ReadableStream({
+			start(controller) {
+				controller.enqueue(bytes);
+				controller.close();
+			},
+		});
+	}
+
 	/**
 	 * Writes a value to a file. If the value is a string, UTF-8 encoding is used.
 	 * @param {string|URL} filePath The path to the file to write.
@@ -67,12 +215,53 @@ export class MemoryHfsImpl {
 	 * @throws {Error} If the file cannot be written.
 	 */
 	async write(filePath, contents) {
-		const value = contents.buffer.slice(
-			contents.byteOffset,
-			contents.byteOffset + contents.byteLength,
-		);
+		writeFile(this.#volume, filePath, contents);
+	}
+
+	/**
+	 * Writes a value to a file so that readers see either the old or the new
+	 * contents. The volume replaces a file's contents all at once, so this is
+	 * the same as write().
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write to the
+	 *   file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeAtomic(filePath, contents) {
+		return this.write(filePath, contents);
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file. The chunks are
+	 * accumulated and the file is only written once all chunks are received.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write to the
+	 *   file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {TypeError} If the file path is not a string.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeStream(filePath, source) {
+		const chunks = [];
+		let length = 0;
+
+		for await (const chunk of source) {
+			chunks.push(chunk);
+			length += chunk.byteLength;
+		}
 
-		this.#volume.writeFile(filePath, value);
+		const value = new Uint8Array(length);
+		let offset = 0;
+
+		for (const chunk of chunks) {
+			value.set(chunk, offset);
+			offset += chunk.byteLength;
+		}
+
+		this.#volume.writeFile(filePath, value.buffer);
 	}
 
 	/**
@@ -159,23 +348,7 @@ export class MemoryHfsImpl {
 	 * @throws {Error} If the file or directory cannot be deleted.
 	 */
 	async delete(fileOrDirPath) {
-		const entry = this.#volume.stat(fileOrDirPath);
-
-		if (!entry) {
-			return false;
-		}
-
-		// if the entry is directory, check to see if its empty with readDir
-		if (entry.kind === "directory") {
-			const entries = this.#volume.readdir(fileOrDirPath);
-
-			if (entries.length > 0) {
-				throw new NotEmptyError(`delete '${fileOrDirPath}'`);
-			}
-		}
-
-		this.#volume.rm(fileOrDirPath);
-		return true;
+		return deleteEntry(this.#volume, fileOrDirPath);
 	}
 
 	/**
@@ -189,7 +362,7 @@ export class MemoryHfsImpl {
 	 * @throws {Error} If the file or directory cannot be deleted.
 	 */
 	async deleteAll(fileOrDirPath) {
-		const entry = this.#volume.stat(fileOrDirPath);
+		const entry = this.#volume.lstat(fileOrDirPath);
 
 		if (!entry) {
 			return false;
@@ -246,6 +419,29 @@ export class MemoryHfsImpl {
 		return entry.mtime;
 	}
 
+	/**
+	 * Returns information about a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to check.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 *  information about the file or directory or undefined if it doesn't exist.
+	 */
+	async stat(fileOrDirPath) {
+		const entry = this.#volume.stat(fileOrDirPath);
+
+		if (!entry) {
+			return undefined;
+		}
+
+		return {
+			kind: entry.kind,
+			size: entry.size,
+			lastModified: entry.mtime,
+			created: entry.birthtime,
+			isSymlink: this.#volume.lstat(fileOrDirPath).kind === "symlink",
+			id: entry.id,
+		};
+	}
+
 	/**
 	 * Copies a file from one location to another.
 	 * @param {string|URL} source The path to the file to copy.
@@ -256,17 +452,7 @@ export class MemoryHfsImpl {
 	 * @throws {Error} If the destination file is a directory.
 	 */
 	async copy(source, destination) {
-		const entry = this.#volume.stat(source);
-
-		if (!entry) {
-			throw new NotFoundError(`copy '${source}' -> '${destination}'`);
-		}
-
-		if (entry.kind !== "file") {
-			throw new DirectoryError(`copy '${source}' -> '${destination}'`);
-		}
-
-		this.#volume.cp(source, destination);
+		copyFile(this.#volume, source, destination);
 	}
 
 	/**
@@ -292,17 +478,7 @@ export class MemoryHfsImpl {
 	 * @throws {Error} If the file cannot be moved.
 	 */
 	async move(source, destination) {
-		const entry = this.#volume.stat(source);
-
-		if (!entry) {
-			throw new NotFoundError(`move '${source}' -> '${destination}'`);
-		}
-
-		if (entry.kind !== "file") {
-			throw new DirectoryError(`move '${source}' -> '${destination}'`);
-		}
-
-		this.#volume.mv(source, destination);
+		moveFile(this.#volume, source, destination);
 	}
 
 	/**
@@ -317,6 +493,130 @@ export class MemoryHfsImpl {
 	async moveAll(source, destination) {
 		this.#volume.mv(source, destination);
 	}
+
+	/**
+	 * Applies a list of operations as a single unit. If any operation fails,
+	 * the volume is restored to the state it was in before the first
+	 * operation was applied.
+	 * @param {Array<HfsTransactionOperation>} operations The operations to
+	 *   apply.
+	 * @returns {Promise<void>} A promise that resolves when all of the
+	 *   operations have been applied.
+	 * @throws {Error} If any of the operations fails.
+	 */
+	async commit(operations) {
+		this.#volume.transaction(() => {
+			for (const operation of operations) {
+				switch (operation.type) {
+					case "write":
+						writeFile(
+							this.#volume,
+							operation.path,
+							operation.contents,
+						);
+						break;
+
+					case "delete":
+						deleteEntry(this.#volume, operation.path);
+						break;
+
+					case "move":
+						moveFile(this.#volume, operation.from, operation.to);
+						break;
+
+					case "copy":
+						copyFile(this.#volume, operation.from, operation.to);
+						break;
+
+					// no default
+				}
+			}
+		});
+	}
+
+	/**
+	 * Creates a symbolic link, creating any necessary directories along the way.
+	 * @param {string} target The path the link should point to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is created.
+	 * @throws {AlreadyExistsError} If the link path already exists.
+	 */
+	async createSymlink(target, linkPath) {
+		if (this.#volume.lstat(linkPath)) {
+			throw new AlreadyExistsError(
+				`symlink '${target}' -> '${linkPath}'`,
+				{
+					path: linkPath,
+					method: "createSymlink",
+				},
+			);
+		}
+
+		this.#volume.symlink(target, linkPath);
+	}
+
+	/**
+	 * Reads the target of a symbolic link.
+	 * @param {string|URL} linkPath The path of the link to read.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 *   target of the link or undefined if the path doesn't exist or isn't a
+	 *   symbolic link.
+	 */
+	async readSymlink(linkPath) {
+		return this.#volume.readlink(linkPath);
+	}
+
+	/**
+	 * Checks if a path is a symbolic link without following it.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    path is a symbolic link or false if it is not or does not exist.
+	 */
+	async isSymlink(fileOrDirPath) {
+		return this.#volume.lstat(fileOrDirPath)?.kind === "symlink";
+	}
+
+	/**
+	 * Watches a directory and its subdirectories for changes. Changes are
+	 * reported as soon as the volume is modified, so tests can make a change
+	 * and then immediately read the event.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {Object} [options] The options for watching.
+	 * @param {AbortSignal} [options.signal] A signal that stops watching when
+	 *    aborted.
+	 * @returns {AsyncIterable<HfsWatchEvent>} An async iterable of the changes.
+	 * @throws {NotFoundError} If the directory does not exist.
+	 */
+	async *watch(dirPath, { signal } = {}) {
+		/** @type {Array<HfsWatchEvent>} */
+		const events = [];
+		/** @type {(value?: any) => void} */
+		let wake = () => {};
+
+		const unwatch = this.#volume.watch(dirPath, event => {
+			events.push(event);
+			wake();
+		});
+		const onAbort = () => wake();
+
+		signal?.addEventListener("abort", onAbort);
+
+		try {
+			while (!signal?.aborted) {
+				if (events.length > 0) {
+					yield events.shift();
+					continue;
+				}
+
+				await new Promise(resolve => {
+					wake = resolve;
+				});
+			}
+		} finally {
+			unwatch();
+			signal?.removeEventListener("abort", onAbort);
+		}
+	}
 }
 
 /**
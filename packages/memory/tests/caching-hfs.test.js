@@ -0,0 +1,474 @@
+/**
+ * @fileoverview Tests for the CachingHfsImpl class.
+ * @author Nicholas C. Zakas
+ */
+
+/*global describe, it, beforeEach, URL, TextEncoder, TextDecoder, setTimeout, Response */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { CachingHfsImpl, CACHE_TTL } from "../src/caching-hfs.js";
+import { MemoryHfsImpl } from "../src/memory-hfs.js";
+import { MemoryHfsVolume } from "../src/memory-hfs-volume.js";
+import { Hfs, NoSuchMethodError } from "@humanfs/core";
+import { HfsImplTester } from "@humanfs/test";
+import { readNames, readText } from "./util/read.js";
+import assert from "node:assert";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const fixturesDir = "fixtures";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const tester = new HfsImplTester({
+	outputDir: fixturesDir,
+	assert,
+	test: globalThis,
+	expectedEntries: [fixturesDir],
+});
+
+await tester.test({
+	name: "CachingHfsImpl",
+	impl: new CachingHfsImpl({ impl: new MemoryHfsImpl() }),
+});
+
+describe("CachingHfsImpl Customizations", () => {
+	let memory, impl;
+
+	beforeEach(async () => {
+		memory = new MemoryHfsImpl();
+		impl = new CachingHfsImpl({ impl: memory });
+
+		await memory.write("dir/hello.txt", encoder.encode("Hello"));
+		await memory.write("dir/sub/deep.txt", encoder.encode("Deep"));
+	});
+
+	describe("constructor()", () => {
+		it("should throw an error when ttl is negative", () => {
+			assert.throws(() => new CachingHfsImpl({ impl: memory, ttl: -1 }), {
+				name: "TypeError",
+				message: "TTL must be a non-negative number.",
+			});
+		});
+
+		it("should throw an error when maxSize isn't a number", () => {
+			assert.throws(
+				() => new CachingHfsImpl({ impl: memory, maxSize: "1" }),
+				{
+					name: "TypeError",
+					message: "Max size must be a non-negative number.",
+				},
+			);
+		});
+	});
+
+	describe("Caching", () => {
+		it("should return cached contents after the first read", async () => {
+			assert.strictEqual(await readText(impl, "dir/hello.txt"), "Hello");
+			assert.strictEqual(impl.misses, 1);
+			assert.strictEqual(impl.hits, 0);
+
+			// changes made directly to the wrapped impl aren't seen
+			await memory.write("dir/hello.txt", encoder.encode("Changed"));
+
+			assert.strictEqual(await readText(impl, "dir/hello.txt"), "Hello");
+			assert.strictEqual(impl.misses, 1);
+			assert.strictEqual(impl.hits, 1);
+		});
+
+		it("should return a copy of the cached contents", async () => {
+			const bytes = await impl.bytes("dir/hello.txt");
+			bytes[0] = 0;
+
+			assert.strictEqual(await readText(impl, "dir/hello.txt"), "Hello");
+		});
+
+		it("should cache files that don't exist", async () => {
+			assert.strictEqual(await impl.bytes("dir/missing.txt"), undefined);
+			assert.strictEqual(await impl.bytes("dir/missing.txt"), undefined);
+			assert.strictEqual(await impl.size("dir/missing.txt"), undefined);
+			assert.strictEqual(
+				await impl.lastModified("dir/missing.txt"),
+				undefined,
+			);
+			assert.strictEqual(impl.hits, 1);
+		});
+
+		it("should cache metadata", async () => {
+			for (let i = 0; i < 2; i++) {
+				assert.strictEqual(await impl.isFile("dir/hello.txt"), true);
+				assert.strictEqual(await impl.isDirectory("dir/sub"), true);
+				assert.strictEqual(await impl.size("dir/hello.txt"), 5);
+				assert.ok(
+					(await impl.lastModified("dir/hello.txt")) instanceof Date,
+				);
+				assert.deepStrictEqual(await readNames(impl, "dir"), [
+					"hello.txt",
+					"sub",
+				]);
+			}
+
+			assert.strictEqual(impl.misses, 5);
+			assert.strictEqual(impl.hits, 5);
+		});
+
+		it("should cache file information", async () => {
+			const first = await impl.stat("dir/hello.txt");
+			const second = await impl.stat("dir/hello.txt");
+
+			assert.deepStrictEqual(second, first);
+			assert.deepStrictEqual(second, await memory.stat("dir/hello.txt"));
+			assert.ok(second.lastModified instanceof Date);
+			assert.strictEqual(await impl.stat("dir/missing.txt"), undefined);
+			assert.strictEqual(impl.hits, 1);
+		});
+
+		it("should cache symbolic links", async () => {
+			await memory.createSymlink("hello.txt", "dir/link.txt");
+
+			for (let i = 0; i < 2; i++) {
+				assert.strictEqual(await impl.isSymlink("dir/link.txt"), true);
+				assert.strictEqual(
+					await impl.readSymlink("dir/link.txt"),
+					"hello.txt",
+				);
+			}
+
+			assert.strictEqual(impl.misses, 2);
+			assert.strictEqual(impl.hits, 2);
+		});
+
+		it("should read ranges and streams from the wrapped impl", async () => {
+			await impl.bytes("dir/hello.txt");
+			await memory.write("dir/hello.txt", encoder.encode("Changed"));
+
+			assert.strictEqual(
+				decoder.decode(await impl.slice("dir/hello.txt", 0, 3)),
+				"Cha",
+			);
+			assert.strictEqual(
+				await new Response(await impl.stream("dir/hello.txt")).text(),
+				"Changed",
+			);
+		});
+
+		it("should read ranges and streams from the cache when the wrapped impl can't", async () => {
+			impl = new CachingHfsImpl({
+				impl: {
+					bytes: filePath => memory.bytes(filePath),
+				},
+			});
+
+			assert.strictEqual(
+				decoder.decode(await impl.slice("dir/hello.txt", 1, 3)),
+				"el",
+			);
+			assert.strictEqual(
+				await new Response(await impl.stream("dir/hello.txt")).text(),
+				"Hello",
+			);
+			assert.strictEqual(impl.misses, 1);
+			assert.strictEqual(impl.hits, 1);
+		});
+
+		it("should throw NoSuchMethodError when the wrapped impl doesn't have the method", async () => {
+			const hfs = new Hfs({
+				impl: new CachingHfsImpl({
+					impl: {
+						bytes: filePath => memory.bytes(filePath),
+					},
+				}),
+			});
+			const calls = [
+				() => hfs.writeAtomic("dir/hello.txt", "Hi"),
+				() => hfs.append("dir/hello.txt", "Hi"),
+				() => hfs.stat("dir/hello.txt"),
+				() => hfs.createSymlink("hello.txt", "dir/link.txt"),
+				() => hfs.readSymlink("dir/link.txt"),
+				() => hfs.isSymlink("dir/link.txt"),
+			];
+
+			for (const call of calls) {
+				await assert.rejects(call, NoSuchMethodError);
+			}
+		});
+
+		it("should return the same last modified date from the cache", async () => {
+			const first = await impl.lastModified("dir/hello.txt");
+			const second = await impl.lastModified("dir/hello.txt");
+
+			assert.strictEqual(second.getTime(), first.getTime());
+		});
+
+		it("should share cached values between equivalent paths", async () => {
+			await impl.bytes("dir/hello.txt");
+			await impl.bytes("./dir//hello.txt");
+			await impl.bytes("dir\\hello.txt");
+
+			assert.strictEqual(impl.misses, 1);
+			assert.strictEqual(impl.hits, 2);
+		});
+
+		it("should not cache errors", async () => {
+			await assert.rejects(readNames(impl, "dir/missing"), /ENOENT/u);
+			await assert.rejects(readNames(impl, "dir/missing"), /ENOENT/u);
+			assert.strictEqual(impl.misses, 2);
+		});
+
+		it("should store values in the given store", async () => {
+			const calls = [];
+			const volume = new MemoryHfsVolume();
+			const store = {
+				readFile(key) {
+					calls.push(["readFile", key]);
+					return volume.readFile(key);
+				},
+				writeFile(key, contents) {
+					calls.push(["writeFile", key]);
+					volume.writeFile(key, contents);
+				},
+				rm(key) {
+					calls.push(["rm", key]);
+					volume.rm(key);
+				},
+			};
+
+			impl = new CachingHfsImpl({ impl: memory, store });
+
+			await impl.bytes("dir/hello.txt");
+			await impl.bytes("dir/hello.txt");
+			await impl.clear();
+
+			assert.deepStrictEqual(calls, [
+				["writeFile", "bytes:dir%2Fhello.txt"],
+				["readFile", "bytes:dir%2Fhello.txt"],
+				["rm", "bytes:dir%2Fhello.txt"],
+			]);
+		});
+	});
+
+	describe("Expiring", () => {
+		it("should read from the wrapped impl after the TTL", async () => {
+			impl = new CachingHfsImpl({ impl: memory, ttl: 200 });
+
+			await impl.bytes("dir/hello.txt");
+			await memory.write("dir/hello.txt", encoder.encode("Changed"));
+			assert.strictEqual(await readText(impl, "dir/hello.txt"), "Hello");
+
+			await delay(250);
+
+			assert.strictEqual(
+				await readText(impl, "dir/hello.txt"),
+				"Changed",
+			);
+			assert.strictEqual(impl.misses, 2);
+		});
+
+		it("should read from the wrapped impl after the default TTL", async () => {
+			const now = Date.now;
+
+			await impl.bytes("dir/hello.txt");
+
+			try {
+				Date.now = () => now() + CACHE_TTL;
+				await impl.bytes("dir/hello.txt");
+			} finally {
+				Date.now = now;
+			}
+
+			assert.strictEqual(impl.hits, 0);
+			assert.strictEqual(impl.misses, 2);
+		});
+
+		it("should not cache values when the TTL is 0", async () => {
+			impl = new CachingHfsImpl({ impl: memory, ttl: 0 });
+
+			await impl.bytes("dir/hello.txt");
+			await impl.bytes("dir/hello.txt");
+
+			assert.strictEqual(impl.hits, 0);
+			assert.strictEqual(impl.misses, 2);
+		});
+	});
+
+	describe("Evicting", () => {
+		it("should evict the least recently used values when full", async () => {
+			await memory.write("a.txt", encoder.encode("aaaa"));
+			await memory.write("b.txt", encoder.encode("bbbb"));
+			await memory.write("c.txt", encoder.encode("cccc"));
+			impl = new CachingHfsImpl({ impl: memory, maxSize: 8 });
+
+			await impl.bytes("a.txt");
+			await impl.bytes("b.txt");
+			await impl.bytes("a.txt"); // hit, so b.txt is now the oldest
+			await impl.bytes("c.txt"); // evicts b.txt
+
+			assert.strictEqual(impl.hits, 1);
+			assert.strictEqual(impl.misses, 3);
+
+			await impl.bytes("a.txt");
+			await impl.bytes("c.txt");
+			assert.strictEqual(impl.hits, 3);
+
+			await impl.bytes("b.txt");
+			assert.strictEqual(impl.misses, 4);
+		});
+
+		it("should not cache values larger than the max size", async () => {
+			impl = new CachingHfsImpl({ impl: memory, maxSize: 2 });
+
+			assert.strictEqual(await readText(impl, "dir/hello.txt"), "Hello");
+			assert.strictEqual(await readText(impl, "dir/hello.txt"), "Hello");
+			assert.strictEqual(impl.hits, 0);
+		});
+
+		it("should remove every value when clear() is called", async () => {
+			await impl.bytes("dir/hello.txt");
+			await impl.clear();
+			await impl.bytes("dir/hello.txt");
+
+			assert.strictEqual(impl.misses, 2);
+		});
+	});
+
+	describe("Invalidating", () => {
+		beforeEach(async () => {
+			// fill the cache
+			await impl.bytes("dir/hello.txt");
+			await impl.isFile("dir/hello.txt");
+			await impl.isDirectory("dir");
+			await readNames(impl, "dir");
+			await readNames(impl, "dir/sub");
+			await impl.bytes("dir/sub/deep.txt");
+		});
+
+		it("should remove the values for a file that's written", async () => {
+			await impl.write("dir/hello.txt", encoder.encode("Changed"));
+
+			assert.strictEqual(
+				await readText(impl, "dir/hello.txt"),
+				"Changed",
+			);
+		});
+
+		it("should remove the values for a file that's written atomically", async () => {
+			await impl.stat("dir/hello.txt");
+			await impl.writeAtomic("dir/hello.txt", encoder.encode("Changed"));
+
+			assert.strictEqual(
+				await readText(impl, "dir/hello.txt"),
+				"Changed",
+			);
+			assert.strictEqual((await impl.stat("dir/hello.txt")).size, 7);
+		});
+
+		it("should remove the values for a file that's written from a stream", async () => {
+			await impl.writeStream(
+				"dir/hello.txt",
+				(async function* () {
+					yield encoder.encode("Chan");
+					yield encoder.encode("ged");
+				})(),
+			);
+
+			assert.strictEqual(
+				await readText(impl, "dir/hello.txt"),
+				"Changed",
+			);
+		});
+
+		it("should remove the values for a path when a symbolic link is created", async () => {
+			assert.strictEqual(await impl.isFile("dir/link.txt"), false);
+
+			await impl.createSymlink("hello.txt", "dir/link.txt");
+
+			assert.strictEqual(await impl.isFile("dir/link.txt"), true);
+			assert.strictEqual(await impl.isSymlink("dir/link.txt"), true);
+			assert.deepStrictEqual(await readNames(impl, "dir"), [
+				"hello.txt",
+				"link.txt",
+				"sub",
+			]);
+		});
+
+		it("should remove the values for a file that's appended to", async () => {
+			await impl.append(
+				new URL("file:///dir/hello.txt"),
+				encoder.encode("!"),
+			);
+
+			// absolute paths are different from relative paths
+			assert.strictEqual(await readText(impl, "dir/hello.txt"), "Hello");
+			await impl.append("dir/hello.txt", encoder.encode("!"));
+			assert.strictEqual(
+				await readText(impl, "dir/hello.txt"),
+				"Hello!!",
+			);
+		});
+
+		it("should remove the listing of a directory when a file is added", async () => {
+			await impl.write("dir/new.txt", encoder.encode("New"));
+
+			assert.deepStrictEqual(await readNames(impl, "dir"), [
+				"hello.txt",
+				"new.txt",
+				"sub",
+			]);
+		});
+
+		it("should remove the values inside a directory that's deleted", async () => {
+			await impl.deleteAll("dir");
+
+			assert.strictEqual(await impl.bytes("dir/sub/deep.txt"), undefined);
+			assert.strictEqual(await impl.isDirectory("dir"), false);
+		});
+
+		it("should remove the values for both paths when moving", async () => {
+			await impl.move("dir/hello.txt", "dir/sub/hello.txt");
+
+			assert.strictEqual(await impl.isFile("dir/hello.txt"), false);
+			assert.deepStrictEqual(await readNames(impl, "dir/sub"), [
+				"deep.txt",
+				"hello.txt",
+			]);
+		});
+
+		it("should remove the values for the destination when copying", async () => {
+			await impl.copyAll("dir/sub", "dir/copy");
+
+			assert.deepStrictEqual(await readNames(impl, "dir"), [
+				"copy",
+				"hello.txt",
+				"sub",
+			]);
+		});
+
+		it("should remove the values for a path even when the change fails", async () => {
+			await memory.write("dir/hello.txt", encoder.encode("Changed"));
+
+			await assert.rejects(impl.delete("dir"), /ENOTEMPTY/u);
+			assert.strictEqual(
+				await readText(impl, "dir/hello.txt"),
+				"Changed",
+			);
+		});
+	});
+});
@@ -10,6 +10,7 @@
 //------------------------------------------------------------------------------
 
 import { MemoryHfsVolume } from "../src/memory-hfs-volume.js";
+import { HfsError, SymlinkLoopError } from "@humanfs/core";
 import assert from "node:assert";
 
 //------------------------------------------------------------------------------
@@ -70,6 +71,22 @@ describe("MemoryHfsVolume", () => {
 			const file = volume.readFile("dir/file.txt");
 			assert.strictEqual(file, HELLO_WORLD);
 		});
+
+		it('should resolve ".." steps in the path', () => {
+			volume.writeFile("dir/sub/../file.txt", HELLO_WORLD);
+
+			assert.strictEqual(volume.readFile("dir/file.txt"), HELLO_WORLD);
+		});
+
+		it('should not go above the root when resolving ".." steps', () => {
+			volume.writeFile("../file.txt", HELLO_WORLD);
+
+			assert.strictEqual(volume.readFile("file.txt"), HELLO_WORLD);
+			assert.deepStrictEqual(
+				volume.readdir(".").map(entry => entry.name),
+				["file.txt"],
+			);
+		});
 	});
 
 	describe("readFile()", () => {
@@ -226,6 +243,127 @@ describe("MemoryHfsVolume", () => {
 		});
 	});
 
+	describe("lstat()", () => {
+		it("should return information about a symlink without following it", () => {
+			volume.writeFile("file.txt", HELLO_WORLD);
+			volume.symlink("file.txt", "link.txt");
+
+			assert.strictEqual(volume.lstat("link.txt").kind, "symlink");
+			assert.strictEqual(volume.stat("link.txt").kind, "file");
+		});
+
+		it("should return undefined when the path doesn't exist", () => {
+			assert.strictEqual(volume.lstat("link.txt"), undefined);
+		});
+	});
+
+	describe("symlink()", () => {
+		it("should resolve a relative target from the link's directory", () => {
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+			volume.symlink("../dir/file.txt", "other/link.txt");
+
+			assert.deepEqual(volume.readFile("other/link.txt"), HELLO_WORLD);
+		});
+
+		it("should resolve an absolute target from the root", () => {
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+			volume.symlink("/dir/file.txt", "other/link.txt");
+
+			assert.deepEqual(volume.readFile("other/link.txt"), HELLO_WORLD);
+		});
+
+		it("should resolve symlinks in the middle of a path", () => {
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+			volume.symlink("dir", "dir-link");
+
+			assert.deepEqual(volume.readFile("dir-link/file.txt"), HELLO_WORLD);
+			assert.deepEqual(volume.readdir("dir-link"), [
+				{
+					isFile: true,
+					isDirectory: false,
+					isSymlink: false,
+					name: "file.txt",
+				},
+			]);
+		});
+
+		it("should write to the target when writing to a symlink", () => {
+			volume.writeFile("file.txt", HELLO_WORLD);
+			volume.symlink("file.txt", "link.txt");
+			volume.writeFile("link.txt", GOODBYE_WORLD);
+
+			assert.deepEqual(volume.readFile("file.txt"), GOODBYE_WORLD);
+			assert.strictEqual(volume.readlink("link.txt"), "file.txt");
+		});
+
+		it("should report the symlink in readdir()", () => {
+			volume.writeFile("file.txt", HELLO_WORLD);
+			volume.symlink("file.txt", "link.txt");
+
+			const entry = volume
+				.readdir(".")
+				.find(entry => entry.name === "link.txt");
+
+			assert.deepEqual(entry, {
+				isFile: false,
+				isDirectory: false,
+				isSymlink: true,
+				name: "link.txt",
+			});
+		});
+
+		it("should return undefined when reading a dangling symlink", () => {
+			volume.symlink("missing.txt", "link.txt");
+
+			assert.strictEqual(volume.readFile("link.txt"), undefined);
+			assert.strictEqual(volume.readlink("link.txt"), "missing.txt");
+		});
+
+		it("should throw an error when symlinks form a loop", () => {
+			volume.symlink("b", "a");
+			volume.symlink("a", "b");
+
+			assert.throws(
+				() => volume.readFile("a"),
+				error =>
+					error instanceof SymlinkLoopError &&
+					error instanceof HfsError &&
+					error.code === "ELOOP" &&
+					error.path === "a",
+			);
+		});
+
+		it("should remove the symlink but not the target with rm()", () => {
+			volume.writeFile("file.txt", HELLO_WORLD);
+			volume.symlink("file.txt", "link.txt");
+			volume.rm("link.txt");
+
+			assert.strictEqual(volume.lstat("link.txt"), undefined);
+			assert.deepEqual(volume.readFile("file.txt"), HELLO_WORLD);
+		});
+
+		it("should move the symlink rather than the target with mv()", () => {
+			volume.writeFile("file.txt", HELLO_WORLD);
+			volume.symlink("file.txt", "link.txt");
+			volume.mv("link.txt", "moved.txt");
+
+			assert.strictEqual(volume.readlink("moved.txt"), "file.txt");
+			assert.deepEqual(volume.readFile("file.txt"), HELLO_WORLD);
+		});
+	});
+
+	describe("readlink()", () => {
+		it("should return undefined when the path isn't a symlink", () => {
+			volume.writeFile("file.txt", HELLO_WORLD);
+
+			assert.strictEqual(volume.readlink("file.txt"), undefined);
+		});
+
+		it("should return undefined when the path doesn't exist", () => {
+			assert.strictEqual(volume.readlink("link.txt"), undefined);
+		});
+	});
+
 	describe("cp()", () => {
 		it("should throw an error when the source path doesn't exist", () => {
 			assert.throws(
@@ -565,4 +703,206 @@ describe("MemoryHfsVolume", () => {
 			assert.throws(() => volume.copyObject(id, parentId), /EISDIR/);
 		});
 	});
+
+	describe("watch()", () => {
+		let events;
+		let unwatch;
+
+		beforeEach(() => {
+			volume.mkdirp("dir");
+			events = [];
+			unwatch = volume.watch("dir", event => events.push(event));
+		});
+
+		it("should report creating and changing a file", () => {
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+			volume.writeFile("dir/file.txt", GOODBYE_WORLD);
+
+			assert.deepStrictEqual(events, [
+				{ type: "create", path: "file.txt" },
+				{ type: "change", path: "file.txt" },
+			]);
+		});
+
+		it("should report each directory created along the way", () => {
+			volume.writeFile("dir/a/b/file.txt", HELLO_WORLD);
+
+			assert.deepStrictEqual(events, [
+				{ type: "create", path: "a" },
+				{ type: "create", path: "a/b" },
+				{ type: "create", path: "a/b/file.txt" },
+			]);
+		});
+
+		it("should report removing a file", () => {
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+			volume.rm("dir/file.txt");
+
+			assert.deepStrictEqual(events.at(-1), {
+				type: "delete",
+				path: "file.txt",
+			});
+		});
+
+		it("should report moving a file as a delete and a create", () => {
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+			events.length = 0;
+			volume.mv("dir/file.txt", "dir/moved.txt");
+
+			assert.deepStrictEqual(events, [
+				{ type: "delete", path: "file.txt" },
+				{ type: "create", path: "moved.txt" },
+			]);
+		});
+
+		it("should report changes made with ID-based methods", () => {
+			const dirId = volume.getObjectIdFromPath("dir");
+			const fileId = volume.createFileObject(
+				"file.txt",
+				dirId,
+				HELLO_WORLD,
+			);
+			volume.writeFileObject(fileId, GOODBYE_WORLD);
+			volume.deleteObject(fileId);
+
+			assert.deepStrictEqual(events, [
+				{ type: "create", path: "file.txt" },
+				{ type: "change", path: "file.txt" },
+				{ type: "delete", path: "file.txt" },
+			]);
+		});
+
+		it("should not report changes outside of the directory", () => {
+			volume.writeFile("file.txt", HELLO_WORLD);
+			volume.writeFile("dir2/file.txt", HELLO_WORLD);
+
+			assert.deepStrictEqual(events, []);
+		});
+
+		it("should not report changes after unwatching", () => {
+			unwatch();
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+
+			assert.deepStrictEqual(events, []);
+		});
+
+		it("should throw an error when the directory doesn't exist", () => {
+			assert.throws(
+				() => volume.watch("nonexistent", () => {}),
+				/ENOENT/,
+			);
+		});
+	});
+
+	describe("transaction()", () => {
+		it("should keep the changes when the callback succeeds", () => {
+			volume.transaction(() => {
+				volume.writeFile("file.txt", HELLO_WORLD);
+				volume.mkdirp("dir");
+			});
+
+			assert.deepStrictEqual(volume.readFile("file.txt"), HELLO_WORLD);
+			assert.strictEqual(volume.stat("dir").kind, "directory");
+		});
+
+		it("should undo the changes and rethrow when the callback throws", () => {
+			volume.writeFile("dir/file.txt", HELLO_WORLD);
+			volume.writeFile("dir/other.txt", HELLO_WORLD);
+			const fileId = volume.getObjectIdFromPath("dir/file.txt");
+			const lastModified = volume.stat("dir").mtime;
+
+			assert.throws(
+				() =>
+					volume.transaction(() => {
+						volume.writeFile("dir/file.txt", GOODBYE_WORLD);
+						volume.writeFile("dir/new/file.txt", GOODBYE_WORLD);
+						volume.rm("dir/other.txt");
+						volume.mv("dir/file.txt", "moved.txt");
+						throw new Error("Boom!");
+					}),
+				/Boom!/,
+			);
+
+			assert.deepStrictEqual(
+				volume.readdir("dir").map(entry => entry.name),
+				["file.txt", "other.txt"],
+			);
+			assert.deepStrictEqual(
+				volume.readdir(".").map(entry => entry.name),
+				["dir"],
+			);
+			assert.deepStrictEqual(
+				volume.readFile("dir/file.txt"),
+				HELLO_WORLD,
+			);
+			assert.strictEqual(volume.stat("dir").mtime, lastModified);
+			assert.strictEqual(
+				volume.getObjectIdFromPath("dir/file.txt"),
+				fileId,
+			);
+			assert.deepStrictEqual(volume.readFileObject(fileId), HELLO_WORLD);
+		});
+
+		it("should forget objects created by a failed transaction", () => {
+			let fileId;
+
+			assert.throws(() =>
+				volume.transaction(() => {
+					volume.mkdirp("dir");
+					fileId = volume.createFileObject(
+						"file.txt",
+						volume.getObjectIdFromPath("dir"),
+						HELLO_WORLD,
+					);
+					throw new Error("Boom!");
+				}),
+			);
+
+			assert.strictEqual(volume.readFileObject(fileId), undefined);
+		});
+
+		it("should notify watchers only after the callback succeeds", () => {
+			const events = [];
+			volume.watch(".", event => events.push(event));
+
+			volume.transaction(() => {
+				volume.writeFile("file.txt", HELLO_WORLD);
+				assert.deepStrictEqual(events, []);
+			});
+
+			assert.deepStrictEqual(events, [
+				{ type: "create", path: "file.txt" },
+			]);
+		});
+
+		it("should not notify watchers about changes that were undone", () => {
+			const events = [];
+			volume.watch(".", event => events.push(event));
+
+			assert.throws(() =>
+				volume.transaction(() => {
+					volume.writeFile("file.txt", HELLO_WORLD);
+					throw new Error("Boom!");
+				}),
+			);
+
+			assert.deepStrictEqual(events, []);
+		});
+
+		it("should undo only the inner changes when a nested transaction fails", () => {
+			volume.transaction(() => {
+				volume.writeFile("outer.txt", HELLO_WORLD);
+
+				assert.throws(() =>
+					volume.transaction(() => {
+						volume.writeFile("inner.txt", HELLO_WORLD);
+						throw new Error("Boom!");
+					}),
+				);
+			});
+
+			assert.deepStrictEqual(volume.readFile("outer.txt"), HELLO_WORLD);
+			assert.strictEqual(volume.readFile("inner.txt"), undefined);
+		});
+	});
 });
@@ -0,0 +1,410 @@
+/**
+ * @fileoverview Tests for the MountHfsImpl class.
+ * @author Nicholas C. Zakas
+ */
+/* global it, describe, beforeEach, URL, TextEncoder, TextDecoder, Response */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { MountHfsImpl, NoSuchMethodError } from "@humanfs/core";
+import { MemoryHfsImpl } from "../src/memory-hfs.js";
+import { HfsImplTester } from "@humanfs/test";
+import { readNames, readText } from "./util/read.js";
+import assert from "node:assert";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const fixturesDir = "fixtures";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const tester = new HfsImplTester({
+	outputDir: fixturesDir,
+	assert,
+	test: globalThis,
+	expectedEntries: [fixturesDir, "mnt"],
+});
+
+await tester.test({
+	name: "MountHfsImpl",
+	impl: new MountHfsImpl({
+		mounts: {
+			"/": new MemoryHfsImpl(),
+			"/mnt/data": new MemoryHfsImpl(),
+		},
+	}),
+});
+
+describe("MountHfsImpl Customizations", () => {
+	let root, cache, dist, nested, impl;
+
+	beforeEach(async () => {
+		root = new MemoryHfsImpl();
+		cache = new MemoryHfsImpl();
+		dist = new MemoryHfsImpl();
+		nested = new MemoryHfsImpl();
+		impl = new MountHfsImpl({
+			mounts: {
+				"/": root,
+				"/cache": cache,
+				"/build/dist": dist,
+				"/build/dist/nested": nested,
+			},
+		});
+
+		await root.write("readme.txt", encoder.encode("root"));
+		await cache.write("entry.txt", encoder.encode("cache"));
+		await dist.write("app.js", encoder.encode("dist"));
+		await dist.write("assets/logo.svg", encoder.encode("logo"));
+	});
+
+	describe("constructor()", () => {
+		it("should throw an error when there are no mounts", () => {
+			assert.throws(() => new MountHfsImpl({ mounts: {} }), {
+				name: "TypeError",
+				message: "Mounts must contain at least one impl.",
+			});
+		});
+
+		it("should throw an error when two mounts have the same path", () => {
+			assert.throws(
+				() =>
+					new MountHfsImpl({
+						mounts: { "/cache": cache, "cache/": dist },
+					}),
+				{
+					name: "TypeError",
+					message: "Duplicate mount path 'cache/'.",
+				},
+			);
+		});
+	});
+
+	describe("Routing", () => {
+		it("should read from the impl mounted at the longest prefix", async () => {
+			assert.strictEqual(await readText(impl, "/readme.txt"), "root");
+			assert.strictEqual(
+				await readText(impl, "/cache/entry.txt"),
+				"cache",
+			);
+			assert.strictEqual(
+				await readText(impl, "build/dist/app.js"),
+				"dist",
+			);
+			assert.strictEqual(
+				await readText(
+					impl,
+					new URL("file:///build/dist/assets/logo.svg"),
+				),
+				"logo",
+			);
+		});
+
+		it("should write to the impl mounted at the longest prefix", async () => {
+			await impl.write(
+				"/build/dist/nested/file.txt",
+				encoder.encode("n"),
+			);
+			await impl.write("/build/other.txt", encoder.encode("o"));
+
+			assert.strictEqual(await readText(nested, "file.txt"), "n");
+			assert.strictEqual(await readText(root, "build/other.txt"), "o");
+			assert.strictEqual(await dist.isDirectory("nested"), false);
+		});
+
+		it("should resolve '..' and '.' steps before routing", async () => {
+			assert.strictEqual(
+				await readText(impl, "/build/../cache/./entry.txt"),
+				"cache",
+			);
+		});
+
+		it("should report mount points and their parents as directories", async () => {
+			assert.strictEqual(await impl.isDirectory("/cache"), true);
+			assert.strictEqual(await impl.isDirectory("/build"), true);
+			assert.strictEqual(await impl.isFile("/build"), false);
+			assert.strictEqual(await impl.bytes("/cache"), undefined);
+			assert.strictEqual(await impl.lastModified("/cache"), undefined);
+		});
+
+		it("should hide entries in a parent impl that have the same name as a mount point", async () => {
+			await root.write("cache", encoder.encode("hidden"));
+
+			assert.strictEqual(await impl.isFile("/cache"), false);
+			assert.strictEqual(await impl.isDirectory("/cache"), true);
+		});
+	});
+
+	describe("Optional methods", () => {
+		it("should read a range of bytes from the mounted impl", async () => {
+			const bytes = await impl.slice("/build/dist/app.js", 1, 3);
+
+			assert.strictEqual(decoder.decode(bytes), "is");
+			assert.strictEqual(await impl.slice("/cache", 0, 1), undefined);
+		});
+
+		it("should read a stream from the mounted impl", async () => {
+			const stream = await impl.stream("/cache/entry.txt");
+
+			assert.strictEqual(await new Response(stream).text(), "cache");
+			assert.strictEqual(await impl.stream("/build"), undefined);
+		});
+
+		it("should return information from the mounted impl", async () => {
+			const stat = await impl.stat("/build/dist/assets/logo.svg");
+
+			assert.strictEqual(stat.kind, "file");
+			assert.strictEqual(stat.size, 4);
+			assert.strictEqual(await impl.stat("/build/dist"), undefined);
+		});
+
+		it("should write a file atomically to the mounted impl", async () => {
+			await impl.writeAtomic("/cache/new.txt", encoder.encode("new"));
+
+			assert.strictEqual(await readText(cache, "new.txt"), "new");
+			assert.strictEqual(await root.isFile("cache/new.txt"), false);
+		});
+
+		it("should write a stream to the mounted impl", async () => {
+			await impl.writeStream("/build/dist/nested/new.txt", [
+				encoder.encode("new"),
+			]);
+
+			assert.strictEqual(await readText(nested, "new.txt"), "new");
+		});
+
+		it("should throw NoSuchMethodError when the mounted impl doesn't have the method", async () => {
+			impl = new MountHfsImpl({
+				mounts: {
+					"/": root,
+					"/cache": {
+						bytes: filePath => cache.bytes(filePath),
+						isDirectory: dirPath => cache.isDirectory(dirPath),
+					},
+				},
+			});
+
+			await assert.rejects(
+				impl.stat("/cache/entry.txt"),
+				NoSuchMethodError,
+			);
+			await assert.rejects(
+				impl.writeAtomic("/cache/new.txt", encoder.encode("new")),
+				NoSuchMethodError,
+			);
+			await assert.rejects(
+				impl.append("/cache/entry.txt", encoder.encode("new")),
+				NoSuchMethodError,
+			);
+			await assert.rejects(
+				impl.createSymlink("entry.txt", "/cache/link.txt"),
+				NoSuchMethodError,
+			);
+			assert.strictEqual((await impl.stat("/readme.txt")).size, 4);
+		});
+	});
+
+	describe("Symbolic links", () => {
+		it("should create a link in the mounted impl", async () => {
+			await impl.createSymlink("entry.txt", "/cache/link.txt");
+
+			assert.strictEqual(await cache.isSymlink("link.txt"), true);
+			assert.strictEqual(await impl.isSymlink("/cache/link.txt"), true);
+			assert.strictEqual(
+				await impl.readSymlink("/cache/link.txt"),
+				"entry.txt",
+			);
+			assert.strictEqual(
+				await readText(impl, "/cache/link.txt"),
+				"cache",
+			);
+		});
+
+		it("should not report mount points as links", async () => {
+			assert.strictEqual(await impl.isSymlink("/cache"), false);
+			assert.strictEqual(await impl.readSymlink("/build"), undefined);
+		});
+	});
+
+	describe("Without a root mount", () => {
+		beforeEach(() => {
+			impl = new MountHfsImpl({ mounts: { "/build/dist": dist } });
+		});
+
+		it("should not find files outside of the mounts", async () => {
+			assert.strictEqual(await impl.bytes("/readme.txt"), undefined);
+			assert.strictEqual(await impl.isFile("/readme.txt"), false);
+			assert.strictEqual(await impl.isDirectory("/other"), false);
+		});
+
+		it("should list the directories containing mount points", async () => {
+			assert.deepStrictEqual(
+				await readNames(impl, "/", { markDirectories: true }),
+				["build/"],
+			);
+			assert.deepStrictEqual(
+				await readNames(impl, "/build", { markDirectories: true }),
+				["dist/"],
+			);
+		});
+
+		it("should reject when writing outside of the mounts", async () => {
+			await assert.rejects(
+				impl.write("/readme.txt", encoder.encode("x")),
+				/ENOENT/u,
+			);
+		});
+
+		it("should reject when writing atomically outside of the mounts", async () => {
+			await assert.rejects(
+				impl.writeAtomic("/readme.txt", encoder.encode("x")),
+				/ENOENT/u,
+			);
+		});
+
+		it("should reject when listing a directory outside of the mounts", async () => {
+			await assert.rejects(
+				readNames(impl, "/other", { markDirectories: true }),
+				/ENOENT/u,
+			);
+		});
+	});
+
+	describe("list()", () => {
+		it("should show mount points as directories", async () => {
+			assert.deepStrictEqual(
+				await readNames(impl, "/", { markDirectories: true }),
+				["build/", "cache/", "readme.txt"],
+			);
+		});
+
+		it("should merge mount points with the entries of the mounted impl", async () => {
+			assert.deepStrictEqual(
+				await readNames(impl, "/build/dist", { markDirectories: true }),
+				["app.js", "assets/", "nested/"],
+			);
+		});
+
+		it("should list a directory containing a mount point that doesn't exist in the parent impl", async () => {
+			assert.strictEqual(await root.isDirectory("build"), false);
+			assert.deepStrictEqual(
+				await readNames(impl, "/build", { markDirectories: true }),
+				["dist/"],
+			);
+		});
+	});
+
+	describe("Mount points", () => {
+		it("should reject when deleting a mount point", async () => {
+			await assert.rejects(impl.delete("/cache"), {
+				name: "PermissionError",
+			});
+			await assert.rejects(impl.deleteAll("/build"), {
+				name: "PermissionError",
+			});
+			assert.strictEqual(await cache.isFile("entry.txt"), true);
+		});
+
+		it("should reject when moving a mount point", async () => {
+			await assert.rejects(impl.moveAll("/cache", "/other"), {
+				name: "PermissionError",
+			});
+		});
+
+		it("should not reject when creating a mount point", async () => {
+			await impl.createDirectory("/cache");
+			assert.strictEqual(await root.isDirectory("cache"), false);
+		});
+
+		it("should reject when writing to a mount point", async () => {
+			await assert.rejects(impl.write("/cache", encoder.encode("x")), {
+				name: "DirectoryError",
+			});
+			await assert.rejects(
+				impl.writeAtomic("/cache", encoder.encode("x")),
+				{ name: "DirectoryError" },
+			);
+		});
+
+		it("should reject when creating a link at a mount point", async () => {
+			await assert.rejects(impl.createSymlink("readme.txt", "/cache"), {
+				name: "DirectoryError",
+			});
+		});
+	});
+
+	describe("Across mounts", () => {
+		it("should copy a file from one mount to another", async () => {
+			await impl.copy("/cache/entry.txt", "/build/dist/entry.txt");
+
+			assert.strictEqual(await readText(dist, "entry.txt"), "cache");
+			assert.strictEqual(await readText(cache, "entry.txt"), "cache");
+		});
+
+		it("should reject when copying a file that doesn't exist", async () => {
+			await assert.rejects(
+				impl.copy("/cache/missing.txt", "/build/dist/missing.txt"),
+				{ name: "NotFoundError" },
+			);
+		});
+
+		it("should reject when copying a directory", async () => {
+			await assert.rejects(
+				impl.copy("/build/dist/assets", "/cache/assets"),
+				{ name: "DirectoryError" },
+			);
+		});
+
+		it("should move a file from one mount to another", async () => {
+			await impl.move("/cache/entry.txt", "/readme2.txt");
+
+			assert.strictEqual(await readText(root, "readme2.txt"), "cache");
+			assert.strictEqual(await cache.isFile("entry.txt"), false);
+		});
+
+		it("should copy a directory from one mount to another", async () => {
+			await impl.copyAll("/build/dist/assets", "/cache/assets");
+
+			assert.strictEqual(
+				await readText(cache, "assets/logo.svg"),
+				"logo",
+			);
+			assert.strictEqual(await dist.isDirectory("assets"), true);
+		});
+
+		it("should copy a directory containing a mount point", async () => {
+			await impl.write(
+				"/build/dist/nested/deep.txt",
+				encoder.encode("d"),
+			);
+			await impl.copyAll("/build", "/cache/build");
+
+			assert.deepStrictEqual(
+				await readNames(cache, "build/dist", { markDirectories: true }),
+				["app.js", "assets/", "nested/"],
+			);
+			assert.strictEqual(
+				await readText(cache, "build/dist/nested/deep.txt"),
+				"d",
+			);
+		});
+
+		it("should move a directory from one mount to another", async () => {
+			await impl.moveAll("/build/dist/assets", "/cache/assets");
+
+			assert.strictEqual(
+				await readText(cache, "assets/logo.svg"),
+				"logo",
+			);
+			assert.strictEqual(await dist.isDirectory("assets"), false);
+		});
+	});
+});
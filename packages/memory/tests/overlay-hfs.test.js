@@ -0,0 +1,416 @@
+/**
+ * @fileoverview Tests for the OverlayHfsImpl class.
+ * @author Nicholas C. Zakas
+ */
+/* global it, describe, beforeEach, URL, TextEncoder, TextDecoder, Response */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { NoSuchMethodError, OverlayHfsImpl } from "@humanfs/core";
+import { MemoryHfsImpl } from "../src/memory-hfs.js";
+import { HfsImplTester } from "@humanfs/test";
+import { readNames, readText } from "./util/read.js";
+import assert from "node:assert";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const fixturesDir = "fixtures";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const tester = new HfsImplTester({
+	outputDir: fixturesDir,
+	assert,
+	test: globalThis,
+	expectedEntries: [fixturesDir],
+});
+
+await tester.test({
+	name: "OverlayHfsImpl (empty lower layer)",
+	impl: new OverlayHfsImpl({
+		layers: [new MemoryHfsImpl(), new MemoryHfsImpl()],
+	}),
+});
+
+const lowerWithFixtures = new MemoryHfsImpl();
+await lowerWithFixtures.write("fixtures/lower.txt", encoder.encode("lower"));
+
+await tester.test({
+	name: "OverlayHfsImpl (populated lower layer)",
+	impl: new OverlayHfsImpl({
+		layers: [new MemoryHfsImpl(), lowerWithFixtures],
+	}),
+});
+
+describe("OverlayHfsImpl Customizations", () => {
+	let top, middle, bottom, impl;
+
+	beforeEach(async () => {
+		top = new MemoryHfsImpl();
+		middle = new MemoryHfsImpl();
+		bottom = new MemoryHfsImpl();
+		impl = new OverlayHfsImpl({ layers: [top, middle, bottom] });
+
+		await middle.write("dir/shared.txt", encoder.encode("middle"));
+		await middle.write("dir/middle.txt", encoder.encode("middle"));
+		await bottom.write("dir/shared.txt", encoder.encode("bottom"));
+		await bottom.write("dir/bottom.txt", encoder.encode("bottom"));
+		await bottom.write("dir/sub/deep.txt", encoder.encode("deep"));
+	});
+
+	describe("constructor()", () => {
+		it("should throw an error when layers is empty", () => {
+			assert.throws(() => new OverlayHfsImpl({ layers: [] }), {
+				name: "TypeError",
+				message: "Layers must be a non-empty array.",
+			});
+		});
+	});
+
+	describe("Reading", () => {
+		it("should read a file from the highest layer that has it", async () => {
+			assert.strictEqual(
+				await readText(impl, "dir/shared.txt"),
+				"middle",
+			);
+			assert.strictEqual(
+				await readText(impl, "dir/bottom.txt"),
+				"bottom",
+			);
+		});
+
+		it("should read a file from the top layer before any other", async () => {
+			await top.write("dir/shared.txt", encoder.encode("top"));
+			assert.strictEqual(await readText(impl, "dir/shared.txt"), "top");
+		});
+
+		it("should report files and directories from lower layers", async () => {
+			assert.strictEqual(await impl.isFile("dir/sub/deep.txt"), true);
+			assert.strictEqual(await impl.isDirectory("dir/sub"), true);
+			assert.strictEqual(await impl.size("dir/bottom.txt"), 6);
+		});
+
+		it("should merge the entries of a directory from every layer", async () => {
+			await top.write("dir/top.txt", encoder.encode("top"));
+
+			assert.deepStrictEqual(await readNames(impl, "dir"), [
+				"bottom.txt",
+				"middle.txt",
+				"shared.txt",
+				"sub",
+				"top.txt",
+			]);
+		});
+
+		it("should merge the entries of a directory at a file URL", async () => {
+			assert.deepStrictEqual(
+				await readNames(impl, new URL("file:///dir/sub")),
+				["deep.txt"],
+			);
+		});
+	});
+
+	describe("Optional methods", () => {
+		it("should read a range of bytes from the highest layer that has the file", async () => {
+			const bytes = await impl.slice("dir/shared.txt", 0, 3);
+
+			assert.strictEqual(decoder.decode(bytes), "mid");
+			assert.strictEqual(
+				await impl.slice("dir/missing.txt", 0, 3),
+				undefined,
+			);
+		});
+
+		it("should read a stream from the highest layer that has the file", async () => {
+			const stream = await impl.stream("dir/bottom.txt");
+
+			assert.strictEqual(await new Response(stream).text(), "bottom");
+			assert.strictEqual(await impl.stream("dir/missing.txt"), undefined);
+		});
+
+		it("should return information from the highest layer that has the file", async () => {
+			const stat = await impl.stat("dir/shared.txt");
+
+			assert.strictEqual(stat.kind, "file");
+			assert.strictEqual(stat.size, 6);
+			assert.strictEqual(await impl.stat("dir/missing.txt"), undefined);
+		});
+
+		it("should not return information about a deleted file", async () => {
+			await impl.delete("dir/bottom.txt");
+			assert.strictEqual(await impl.stat("dir/bottom.txt"), undefined);
+		});
+
+		it("should write a file atomically to the top layer", async () => {
+			await impl.delete("dir/shared.txt");
+			await impl.writeAtomic("dir/shared.txt", encoder.encode("atomic"));
+
+			assert.strictEqual(
+				await readText(impl, "dir/shared.txt"),
+				"atomic",
+			);
+			assert.strictEqual(await readText(top, "dir/shared.txt"), "atomic");
+			assert.strictEqual(
+				await readText(middle, "dir/shared.txt"),
+				"middle",
+			);
+		});
+
+		it("should write a stream to the top layer", async () => {
+			await impl.delete("dir/shared.txt");
+			await impl.writeStream("dir/shared.txt", [
+				encoder.encode("str"),
+				encoder.encode("eam"),
+			]);
+
+			assert.strictEqual(
+				await readText(impl, "dir/shared.txt"),
+				"stream",
+			);
+			assert.strictEqual(
+				await readText(middle, "dir/shared.txt"),
+				"middle",
+			);
+		});
+
+		it("should throw NoSuchMethodError when the layer doesn't have the method", async () => {
+			await top.write("dir/top.txt", encoder.encode("top"));
+			impl = new OverlayHfsImpl({
+				layers: [
+					{
+						bytes: filePath => top.bytes(filePath),
+						isFile: filePath => top.isFile(filePath),
+						isDirectory: dirPath => top.isDirectory(dirPath),
+					},
+					middle,
+				],
+			});
+
+			await assert.rejects(impl.stat("dir/top.txt"), NoSuchMethodError);
+			await assert.rejects(
+				impl.writeAtomic("dir/new.txt", encoder.encode("new")),
+				NoSuchMethodError,
+			);
+			await assert.rejects(
+				impl.createSymlink("top.txt", "dir/link.txt"),
+				NoSuchMethodError,
+			);
+			assert.strictEqual((await impl.stat("dir/shared.txt")).size, 6);
+		});
+	});
+
+	describe("Symbolic links", () => {
+		it("should create a link in the top layer", async () => {
+			await impl.write("dir/top.txt", encoder.encode("top"));
+			await impl.createSymlink("top.txt", "dir/link.txt");
+
+			assert.strictEqual(await top.isSymlink("dir/link.txt"), true);
+			assert.strictEqual(await impl.isSymlink("dir/link.txt"), true);
+			assert.strictEqual(
+				await impl.readSymlink("dir/link.txt"),
+				"top.txt",
+			);
+			assert.strictEqual(await readText(impl, "dir/link.txt"), "top");
+		});
+
+		it("should read a link from a lower layer", async () => {
+			await bottom.createSymlink("bottom.txt", "dir/link.txt");
+
+			assert.strictEqual(await impl.isSymlink("dir/link.txt"), true);
+			assert.strictEqual(
+				await impl.readSymlink("dir/link.txt"),
+				"bottom.txt",
+			);
+			assert.strictEqual(await readText(impl, "dir/link.txt"), "bottom");
+			assert.strictEqual(await impl.isSymlink("dir/bottom.txt"), false);
+		});
+
+		it("should find a link whose target doesn't exist", async () => {
+			await bottom.createSymlink("missing.txt", "dir/link.txt");
+
+			assert.strictEqual(await impl.isSymlink("dir/link.txt"), true);
+			assert.strictEqual(
+				await impl.readSymlink("dir/link.txt"),
+				"missing.txt",
+			);
+		});
+
+		it("should hide a deleted link without changing the lower layers", async () => {
+			await bottom.createSymlink("bottom.txt", "dir/link.txt");
+			await impl.delete("dir/link.txt");
+
+			assert.strictEqual(await impl.isSymlink("dir/link.txt"), false);
+			assert.strictEqual(
+				await impl.readSymlink("dir/link.txt"),
+				undefined,
+			);
+			assert.strictEqual(await bottom.isSymlink("dir/link.txt"), true);
+		});
+
+		it("should replace a deleted file with a link", async () => {
+			await impl.delete("dir/shared.txt");
+			await impl.createSymlink("bottom.txt", "dir/shared.txt");
+
+			assert.strictEqual(await impl.isSymlink("dir/shared.txt"), true);
+			assert.strictEqual(
+				await impl.readSymlink("dir/shared.txt"),
+				"bottom.txt",
+			);
+		});
+	});
+
+	describe("Writing", () => {
+		it("should only write to the top layer", async () => {
+			await impl.write("dir/shared.txt", encoder.encode("changed"));
+
+			assert.strictEqual(
+				await readText(impl, "dir/shared.txt"),
+				"changed",
+			);
+			assert.strictEqual(
+				await readText(top, "dir/shared.txt"),
+				"changed",
+			);
+			assert.strictEqual(
+				await readText(middle, "dir/shared.txt"),
+				"middle",
+			);
+		});
+
+		it("should copy a file into the top layer before appending to it", async () => {
+			await impl.append("dir/bottom.txt", encoder.encode("!"));
+
+			assert.strictEqual(
+				await readText(impl, "dir/bottom.txt"),
+				"bottom!",
+			);
+			assert.strictEqual(
+				await readText(bottom, "dir/bottom.txt"),
+				"bottom",
+			);
+		});
+	});
+
+	describe("Deleting", () => {
+		it("should hide a deleted file without changing the lower layers", async () => {
+			assert.strictEqual(await impl.delete("dir/shared.txt"), true);
+
+			assert.strictEqual(await impl.isFile("dir/shared.txt"), false);
+			assert.strictEqual(await impl.bytes("dir/shared.txt"), undefined);
+			assert.strictEqual(await middle.isFile("dir/shared.txt"), true);
+			assert.strictEqual(await bottom.isFile("dir/shared.txt"), true);
+			assert.deepStrictEqual(await readNames(impl, "dir"), [
+				"bottom.txt",
+				"middle.txt",
+				"sub",
+			]);
+		});
+
+		it("should hide a deleted file at a file URL", async () => {
+			await impl.delete(new URL("file:///dir/bottom.txt"));
+			assert.strictEqual(await impl.isFile("dir/bottom.txt"), false);
+		});
+
+		it("should show a file written after it was deleted", async () => {
+			await impl.delete("dir/shared.txt");
+			await impl.write("dir/shared.txt", encoder.encode("new"));
+
+			assert.strictEqual(await readText(impl, "dir/shared.txt"), "new");
+		});
+
+		it("should hide everything in a deleted directory", async () => {
+			assert.strictEqual(await impl.deleteAll("dir"), true);
+
+			assert.strictEqual(await impl.isDirectory("dir"), false);
+			assert.strictEqual(await impl.isFile("dir/sub/deep.txt"), false);
+			assert.strictEqual(await bottom.isFile("dir/sub/deep.txt"), true);
+		});
+
+		it("should not show the old contents of a directory that is recreated", async () => {
+			await impl.deleteAll("dir");
+			await impl.write("dir/new.txt", encoder.encode("new"));
+
+			assert.deepStrictEqual(await readNames(impl, "dir"), ["new.txt"]);
+			assert.strictEqual(await impl.isFile("dir/sub/deep.txt"), false);
+		});
+
+		it("should not show the old contents of a directory that is created again", async () => {
+			await impl.deleteAll("dir/sub");
+			await impl.createDirectory("dir/sub");
+
+			assert.strictEqual(await impl.isDirectory("dir/sub"), true);
+			assert.deepStrictEqual(await readNames(impl, "dir/sub"), []);
+		});
+
+		it("should reject when deleting a directory that has entries in a lower layer", async () => {
+			await assert.rejects(impl.delete("dir/sub"), /ENOTEMPTY/u);
+		});
+
+		it("should delete a directory whose entries have all been deleted", async () => {
+			await impl.delete("dir/sub/deep.txt");
+			assert.strictEqual(await impl.delete("dir/sub"), true);
+			assert.strictEqual(await impl.isDirectory("dir/sub"), false);
+		});
+
+		it("should not list whiteout markers", async () => {
+			await impl.delete("dir/bottom.txt");
+			assert.ok(
+				(await readNames(top, "dir")).some(name =>
+					name.startsWith(".wh."),
+				),
+			);
+			assert.ok(
+				!(await readNames(impl, "dir")).some(name =>
+					name.startsWith(".wh."),
+				),
+			);
+		});
+	});
+
+	describe("Moving and copying", () => {
+		it("should move a file from a lower layer by copying it and hiding the original", async () => {
+			await impl.move("dir/bottom.txt", "moved.txt");
+
+			assert.strictEqual(await readText(impl, "moved.txt"), "bottom");
+			assert.strictEqual(await impl.isFile("dir/bottom.txt"), false);
+			assert.strictEqual(await bottom.isFile("dir/bottom.txt"), true);
+		});
+
+		it("should copy a directory merged from every layer", async () => {
+			await impl.copyAll("dir", "copy");
+
+			assert.deepStrictEqual(await readNames(top, "copy"), [
+				"bottom.txt",
+				"middle.txt",
+				"shared.txt",
+				"sub",
+			]);
+			assert.strictEqual(
+				await readText(top, "copy/shared.txt"),
+				"middle",
+			);
+			assert.strictEqual(
+				await readText(top, "copy/sub/deep.txt"),
+				"deep",
+			);
+		});
+
+		it("should move a directory merged from every layer", async () => {
+			await impl.moveAll("dir", "moved");
+
+			assert.strictEqual(await impl.isDirectory("dir"), false);
+			assert.strictEqual(
+				await readText(impl, "moved/sub/deep.txt"),
+				"deep",
+			);
+		});
+	});
+});
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Tests for the ReadOnlyHfsImpl class.
+ * @author Nicholas C. Zakas
+ */
+/* global it, describe, beforeEach, TextEncoder, TextDecoder, Response, AbortController */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { Hfs, NoSuchMethodError, ReadOnlyHfsImpl } from "@humanfs/core";
+import { MemoryHfsImpl } from "../src/memory-hfs.js";
+import { readNames } from "./util/read.js";
+import assert from "node:assert";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("ReadOnlyHfsImpl", () => {
+	let memory, impl;
+
+	beforeEach(async () => {
+		memory = new MemoryHfsImpl();
+		impl = new ReadOnlyHfsImpl({ impl: memory });
+
+		await memory.write("fixtures/hello.txt", encoder.encode("Hello"));
+		await memory.createDirectory("fixtures/empty");
+	});
+
+	describe("Reading", () => {
+		it("should read a file", async () => {
+			assert.strictEqual(
+				decoder.decode(await impl.bytes("fixtures/hello.txt")),
+				"Hello",
+			);
+			assert.strictEqual(
+				await impl.bytes("fixtures/missing.txt"),
+				undefined,
+			);
+		});
+
+		it("should check for files and directories", async () => {
+			assert.strictEqual(await impl.isFile("fixtures/hello.txt"), true);
+			assert.strictEqual(await impl.isFile("fixtures/empty"), false);
+			assert.strictEqual(await impl.isDirectory("fixtures/empty"), true);
+			assert.strictEqual(
+				await impl.isDirectory("fixtures/hello.txt"),
+				false,
+			);
+		});
+
+		it("should list a directory", async () => {
+			assert.deepStrictEqual(await readNames(impl, "fixtures"), [
+				"empty",
+				"hello.txt",
+			]);
+		});
+
+		it("should return the size and last modified date of a file", async () => {
+			assert.strictEqual(await impl.size("fixtures/hello.txt"), 5);
+			assert.ok(
+				(await impl.lastModified("fixtures/hello.txt")) instanceof Date,
+			);
+		});
+	});
+
+	describe("Optional methods", () => {
+		it("should read a range of bytes", async () => {
+			const bytes = await impl.slice("fixtures/hello.txt", 1, 3);
+
+			assert.strictEqual(decoder.decode(bytes), "el");
+		});
+
+		it("should read a file as a stream", async () => {
+			const stream = await impl.stream("fixtures/hello.txt");
+
+			assert.strictEqual(await new Response(stream).text(), "Hello");
+		});
+
+		it("should return information about a file", async () => {
+			const stat = await impl.stat("fixtures/hello.txt");
+
+			assert.strictEqual(stat.kind, "file");
+			assert.strictEqual(stat.size, 5);
+			assert.strictEqual(
+				await impl.stat("fixtures/missing.txt"),
+				undefined,
+			);
+		});
+
+		it("should read symbolic links", async () => {
+			await memory.createSymlink("hello.txt", "fixtures/link.txt");
+
+			assert.strictEqual(await impl.isSymlink("fixtures/link.txt"), true);
+			assert.strictEqual(
+				await impl.isSymlink("fixtures/hello.txt"),
+				false,
+			);
+			assert.strictEqual(
+				await impl.readSymlink("fixtures/link.txt"),
+				"hello.txt",
+			);
+		});
+
+		it("should throw NoSuchMethodError when the wrapped impl doesn't have the method", async () => {
+			const hfs = new Hfs({
+				impl: new ReadOnlyHfsImpl({
+					impl: { bytes: filePath => memory.bytes(filePath) },
+				}),
+			});
+
+			for (const methodName of ["stat", "readSymlink", "isSymlink"]) {
+				await assert.rejects(
+					hfs[methodName]("fixtures/hello.txt"),
+					error =>
+						error instanceof NoSuchMethodError &&
+						error.message ===
+							`Method "${methodName}" does not exist on impl.`,
+				);
+			}
+		});
+
+		it("should watch a directory", async () => {
+			const controller = new AbortController();
+			const events = impl.watch("fixtures", {
+				signal: controller.signal,
+			});
+			const next = events[Symbol.asyncIterator]().next();
+
+			await memory.write("fixtures/new.txt", encoder.encode("x"));
+
+			assert.deepStrictEqual((await next).value, {
+				type: "create",
+				path: "new.txt",
+			});
+			controller.abort();
+		});
+	});
+
+	describe("Changing", () => {
+		[
+			["write", "fixtures/hello.txt", encoder.encode("x")],
+			["writeAtomic", "fixtures/hello.txt", encoder.encode("x")],
+			["writeStream", "fixtures/hello.txt", []],
+			["append", "fixtures/hello.txt", encoder.encode("x")],
+			["createDirectory", "fixtures/new"],
+			["delete", "fixtures/hello.txt"],
+			["deleteAll", "fixtures"],
+			["copy", "fixtures/hello.txt", "fixtures/copy.txt"],
+			["copyAll", "fixtures", "copy"],
+			["move", "fixtures/hello.txt", "fixtures/moved.txt"],
+			["moveAll", "fixtures", "moved"],
+			["createSymlink", "hello.txt", "fixtures/link.txt"],
+		].forEach(([methodName, ...args]) => {
+			it(`should reject when calling ${methodName}()`, async () => {
+				await assert.rejects(impl[methodName](...args), {
+					name: "PermissionError",
+					message: new RegExp(
+						`${methodName} .*\\(read-only\\)$`,
+						"u",
+					),
+				});
+
+				assert.strictEqual(
+					decoder.decode(await memory.bytes("fixtures/hello.txt")),
+					"Hello",
+				);
+				assert.deepStrictEqual(await readNames(memory, "fixtures"), [
+					"empty",
+					"hello.txt",
+				]);
+			});
+		});
+	});
+
+	describe("With Hfs", () => {
+		it("should reject changes made through a read-only Hfs", async () => {
+			const hfs = new Hfs({ impl: memory });
+			const readOnlyHfs = hfs.readOnly();
+
+			assert.strictEqual(
+				await readOnlyHfs.text("fixtures/hello.txt"),
+				"Hello",
+			);
+			await assert.rejects(
+				readOnlyHfs.write("fixtures/hello.txt", "Goodbye"),
+				{ name: "PermissionError" },
+			);
+			await assert.rejects(
+				readOnlyHfs.transaction(tx => {
+					tx.write("fixtures/hello.txt", "Goodbye");
+				}),
+				{ name: "PermissionError" },
+			);
+
+			// the original instance can still make changes
+			await hfs.write("fixtures/hello.txt", "Goodbye");
+			assert.strictEqual(
+				await readOnlyHfs.text("fixtures/hello.txt"),
+				"Goodbye",
+			);
+		});
+	});
+});
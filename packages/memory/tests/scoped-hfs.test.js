@@ -0,0 +1,567 @@
+/**
+ * @fileoverview Tests for the ScopedHfsImpl class.
+ * @author Nicholas C. Zakas
+ */
+/* global it, describe, beforeEach, URL, TextEncoder, TextDecoder, AbortController */
+
+//------------------------------------------------------------------------------
+// Imports
+//------------------------------------------------------------------------------
+
+import { Hfs, NoSuchMethodError, ScopedHfsImpl } from "@humanfs/core";
+import { MemoryHfsImpl } from "../src/memory-hfs.js";
+import { HfsImplTester } from "@humanfs/test";
+import { readText } from "./util/read.js";
+import assert from "node:assert";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const fixturesDir = "fixtures";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const tester = new HfsImplTester({
+	outputDir: fixturesDir,
+	assert,
+	test: globalThis,
+	expectedEntries: [fixturesDir],
+});
+
+await tester.test({
+	name: "ScopedHfsImpl",
+	impl: new ScopedHfsImpl({
+		impl: new MemoryHfsImpl(),
+		root: "project",
+	}),
+});
+
+describe("ScopedHfsImpl Customizations", () => {
+	let memory, impl;
+
+	beforeEach(async () => {
+		memory = new MemoryHfsImpl();
+		impl = new ScopedHfsImpl({ impl: memory, root: "/home/project" });
+
+		await memory.write("home/secret.txt", encoder.encode("secret"));
+		await memory.write("home/project/src/index.js", encoder.encode("src"));
+	});
+
+	describe("constructor()", () => {
+		it("should throw an error when root is missing", () => {
+			assert.throws(() => new ScopedHfsImpl({ impl: memory }), {
+				name: "TypeError",
+				message: "Root must be a non-empty string or file URL.",
+			});
+		});
+
+		it("should throw an error when root is an empty string", () => {
+			assert.throws(() => new ScopedHfsImpl({ impl: memory, root: "" }), {
+				name: "TypeError",
+			});
+		});
+
+		it("should throw an error when root isn't a file URL", () => {
+			assert.throws(
+				() =>
+					new ScopedHfsImpl({
+						impl: memory,
+						root: new URL("https://example.com/project"),
+					}),
+				{ name: "TypeError" },
+			);
+		});
+	});
+
+	describe("Resolving paths", () => {
+		it("should resolve relative paths from the root directory", async () => {
+			assert.strictEqual(await readText(impl, "src/index.js"), "src");
+			assert.strictEqual(await readText(impl, "./src/index.js"), "src");
+		});
+
+		it("should resolve absolute paths from the root directory", async () => {
+			assert.strictEqual(await readText(impl, "/src/index.js"), "src");
+			assert.strictEqual(
+				await readText(impl, new URL("file:///src/index.js")),
+				"src",
+			);
+		});
+
+		it("should allow '..' steps that stay inside the root directory", async () => {
+			assert.strictEqual(
+				await readText(impl, "src/../src/index.js"),
+				"src",
+			);
+		});
+
+		it("should write inside the root directory", async () => {
+			await impl.write("/dist/index.js", encoder.encode("dist"));
+			assert.strictEqual(
+				await readText(memory, "home/project/dist/index.js"),
+				"dist",
+			);
+		});
+
+		it("should list the root directory", async () => {
+			const names = [];
+
+			for await (const entry of impl.list("/")) {
+				names.push(entry.name);
+			}
+
+			assert.deepStrictEqual(names, ["src"]);
+		});
+
+		it("should resolve paths from a root directory file URL", async () => {
+			impl = new ScopedHfsImpl({
+				impl: memory,
+				root: new URL("file:///home/project"),
+			});
+
+			assert.strictEqual(await readText(impl, "src/index.js"), "src");
+		});
+	});
+
+	describe("Escaping the root directory", () => {
+		it("should reject when reading a file outside of the root directory", async () => {
+			await assert.rejects(impl.bytes("../secret.txt"), {
+				name: "PermissionError",
+				message:
+					"EPERM: Operation not permitted, bytes '../secret.txt' (outside of scope)",
+			});
+		});
+
+		it("should reject when an absolute path uses '..' to leave the root directory", async () => {
+			await assert.rejects(impl.isFile("/../secret.txt"), {
+				name: "PermissionError",
+			});
+		});
+
+		it("should keep file URLs with '..' steps inside the root directory", async () => {
+			// URLs resolve ".." steps above the root to the root
+			assert.strictEqual(
+				await impl.isFile(new URL("file:///src/../../secret.txt")),
+				false,
+			);
+		});
+
+		it("should reject when writing outside of the root directory", async () => {
+			await assert.rejects(
+				impl.write("src/../../evil.txt", encoder.encode("x")),
+				{ name: "PermissionError" },
+			);
+			assert.strictEqual(await memory.isFile("home/evil.txt"), false);
+		});
+
+		it("should reject when copying to a path outside of the root directory", async () => {
+			await assert.rejects(impl.copy("src/index.js", "../copy.js"), {
+				name: "PermissionError",
+			});
+		});
+
+		it("should reject when listing a directory outside of the root directory", async () => {
+			await assert.rejects(
+				async () => {
+					// eslint-disable-next-line no-unused-vars
+					for await (const entry of impl.list("..")) {
+						// do nothing
+					}
+				},
+				{ name: "PermissionError" },
+			);
+		});
+	});
+
+	describe("Optional methods", () => {
+		it("should read a range of bytes inside the root directory", async () => {
+			const bytes = await impl.slice("src/index.js", 1, 3);
+
+			assert.strictEqual(decoder.decode(bytes), "rc");
+		});
+
+		it("should return information about a file inside the root directory", async () => {
+			const stat = await impl.stat("/src/index.js");
+
+			assert.strictEqual(stat.kind, "file");
+			assert.strictEqual(stat.size, 3);
+		});
+
+		it("should write a file atomically inside the root directory", async () => {
+			await impl.writeAtomic("/src/index.js", encoder.encode("new"));
+
+			assert.strictEqual(
+				await readText(memory, "home/project/src/index.js"),
+				"new",
+			);
+		});
+
+		it("should watch a directory inside the root directory", async () => {
+			const controller = new AbortController();
+			const events = impl.watch("src", { signal: controller.signal });
+			const next = events[Symbol.asyncIterator]().next();
+
+			await impl.write("src/new.js", encoder.encode("x"));
+
+			assert.deepStrictEqual((await next).value, {
+				type: "create",
+				path: "new.js",
+			});
+			controller.abort();
+		});
+
+		it("should throw NoSuchMethodError when the wrapped impl doesn't have the method", async () => {
+			const hfs = new Hfs({
+				impl: new ScopedHfsImpl({
+					impl: { bytes: filePath => memory.bytes(filePath) },
+					root: "/home/project",
+				}),
+			});
+			const calls = [
+				() => hfs.writeAtomic("src/index.js", "x"),
+				() => hfs.append("src/index.js", "x"),
+				() => hfs.stat("src/index.js"),
+				() => hfs.createSymlink("index.js", "src/link.js"),
+				() => hfs.readSymlink("src/link.js"),
+				() => hfs.isSymlink("src/link.js"),
+			];
+
+			for (const call of calls) {
+				await assert.rejects(call, NoSuchMethodError);
+			}
+		});
+
+		[
+			["slice", "../secret.txt", 0, 1],
+			["stream", "../secret.txt"],
+			["stat", "../secret.txt"],
+			["writeAtomic", "../secret.txt", encoder.encode("x")],
+			["writeStream", "../secret.txt", []],
+			["readSymlink", "../secret.txt"],
+			["isSymlink", "../secret.txt"],
+		].forEach(([methodName, ...args]) => {
+			it(`should reject when calling ${methodName}() outside of the root directory`, async () => {
+				await assert.rejects(impl[methodName](...args), {
+					name: "PermissionError",
+					message: new RegExp(
+						`${methodName} .*\\(outside of scope\\)$`,
+						"u",
+					),
+				});
+
+				assert.strictEqual(
+					await readText(memory, "home/secret.txt"),
+					"secret",
+				);
+			});
+		});
+	});
+
+	describe("Errors", () => {
+		/**
+		 * Creates a scoped impl whose wrapped impl throws the given error.
+		 * @param {Error} error The error to throw.
+		 * @returns {ScopedHfsImpl} The scoped impl.
+		 */
+		function createFailingImpl(error) {
+			return new ScopedHfsImpl({
+				impl: {
+					async copy() {
+						throw error;
+					},
+				},
+				root: "/home/project",
+			});
+		}
+
+		it("should not reveal the root directory in the message", async () => {
+			await assert.rejects(
+				async () => {
+					for await (const entry of impl.list("missing")) {
+						assert.fail(`Unexpected entry ${entry.name}`);
+					}
+				},
+				{
+					name: "NotFoundError",
+					message:
+						"ENOENT: No such file or directory, readdir /missing",
+				},
+			);
+		});
+
+		it("should convert the paths of native errors to start at the root directory", async () => {
+			const cause = Object.assign(
+				new Error(
+					"ENOENT: no such file or directory, copyfile '/home/project/a.txt' -> '/home/project/b.txt'",
+				),
+				{
+					code: "ENOENT",
+					syscall: "copyfile",
+					path: "/home/project/a.txt",
+					dest: "/home/project/b.txt",
+				},
+			);
+
+			await assert.rejects(
+				createFailingImpl(cause).copy("a.txt", "b.txt"),
+				error => {
+					assert.strictEqual(error.name, "NotFoundError");
+					assert.strictEqual(
+						error.message,
+						"ENOENT: No such file or directory, copyfile '/a.txt' -> '/b.txt'",
+					);
+					assert.strictEqual(error.path, "/a.txt");
+					assert.strictEqual(error.destination, "/b.txt");
+					assert.strictEqual(error.syscall, "copyfile");
+					assert.strictEqual(error.method, "copy");
+					assert.strictEqual(error.cause, undefined);
+					return true;
+				},
+			);
+		});
+
+		it("should remove paths outside of the root directory", async () => {
+			const cause = Object.assign(new Error("EACCES"), {
+				code: "EACCES",
+				syscall: "open",
+				path: "/home/secret.txt",
+			});
+
+			await assert.rejects(
+				createFailingImpl(cause).copy("a.txt", "b.txt"),
+				error => {
+					assert.strictEqual(error.name, "PermissionError");
+					assert.strictEqual(error.path, undefined);
+					return true;
+				},
+			);
+		});
+
+		it("should not change errors that aren't file system errors", async () => {
+			const cause = new TypeError("Boom!");
+
+			await assert.rejects(
+				createFailingImpl(cause).copy("a.txt", "b.txt"),
+				error => error === cause,
+			);
+		});
+	});
+
+	describe("Symbolic links", () => {
+		it("should create a link with a relative target inside the root directory", async () => {
+			await impl.createSymlink("../src/index.js", "links/index.js");
+
+			assert.strictEqual(
+				await memory.readSymlink("home/project/links/index.js"),
+				"../src/index.js",
+			);
+			assert.strictEqual(await readText(impl, "links/index.js"), "src");
+		});
+
+		it("should convert an absolute target into a target relative to the link", async () => {
+			await impl.createSymlink("/src/index.js", "links/index.js");
+
+			assert.strictEqual(
+				await impl.readSymlink("links/index.js"),
+				"../src/index.js",
+			);
+			assert.strictEqual(await readText(impl, "links/index.js"), "src");
+		});
+
+		it("should reject a relative target outside of the root directory", async () => {
+			await assert.rejects(
+				impl.createSymlink("../../secret.txt", "links/secret.txt"),
+				{
+					name: "PermissionError",
+					message: /createSymlink .*\(outside of scope\)$/u,
+				},
+			);
+
+			assert.strictEqual(
+				await memory.isSymlink("home/project/links/secret.txt"),
+				false,
+			);
+		});
+
+		it("should reject an absolute target that uses '..' to leave the root directory", async () => {
+			await assert.rejects(
+				impl.createSymlink("/../secret.txt", "secret.txt"),
+				{
+					name: "PermissionError",
+					message: /createSymlink .*\(outside of scope\)$/u,
+				},
+			);
+		});
+
+		it("should read absolute targets inside the root directory as starting at the root directory", async () => {
+			await memory.createSymlink(
+				"/home/project/src/index.js",
+				"home/project/index.js",
+			);
+
+			assert.strictEqual(
+				await impl.readSymlink("index.js"),
+				"/src/index.js",
+			);
+		});
+
+		it("should reject reading targets outside of the root directory", async () => {
+			await memory.createSymlink(
+				"/home/secret.txt",
+				"home/project/abs.txt",
+			);
+			await memory.createSymlink("../secret.txt", "home/project/rel.txt");
+
+			for (const linkPath of ["abs.txt", "rel.txt"]) {
+				await assert.rejects(impl.readSymlink(linkPath), {
+					name: "PermissionError",
+					message: /readSymlink .*\(outside of scope\)$/u,
+				});
+			}
+		});
+
+		it("should follow links in the wrapped impl that point inside of the root directory", async () => {
+			await memory.createSymlink("/home/project/src", "home/project/lib");
+			await memory.createSymlink("lib/index.js", "home/project/main.js");
+
+			assert.strictEqual(await readText(impl, "lib/index.js"), "src");
+			assert.strictEqual(await readText(impl, "main.js"), "src");
+		});
+
+		it("should reject following links in the wrapped impl that point outside of the root directory", async () => {
+			await memory.createSymlink(
+				"/home/secret.txt",
+				"home/project/abs.txt",
+			);
+			await memory.createSymlink("../secret.txt", "home/project/rel.txt");
+
+			for (const linkPath of ["abs.txt", "rel.txt"]) {
+				await assert.rejects(readText(impl, linkPath), {
+					name: "PermissionError",
+					message: `EPERM: Operation not permitted, bytes '${linkPath}' (outside of scope)`,
+				});
+				await assert.rejects(
+					impl.write(linkPath, encoder.encode("changed")),
+					{ name: "PermissionError" },
+				);
+			}
+
+			assert.strictEqual(
+				await readText(memory, "home/secret.txt"),
+				"secret",
+			);
+		});
+
+		it("should reject following links to directories outside of the root directory", async () => {
+			await memory.createSymlink("/home", "home/project/up");
+			await memory.createSymlink("up", "home/project/chain");
+
+			await assert.rejects(readText(impl, "up/secret.txt"), {
+				name: "PermissionError",
+			});
+			await assert.rejects(readText(impl, "chain/secret.txt"), {
+				name: "PermissionError",
+			});
+			await assert.rejects(impl.isDirectory("up"), {
+				name: "PermissionError",
+			});
+		});
+
+		it("should allow links that point outside of the root directory to be removed", async () => {
+			await memory.createSymlink(
+				"/home/secret.txt",
+				"home/project/abs.txt",
+			);
+
+			assert.strictEqual(await impl.isSymlink("abs.txt"), true);
+			await impl.move("abs.txt", "moved.txt");
+			assert.strictEqual(await impl.delete("moved.txt"), true);
+			assert.strictEqual(
+				await readText(memory, "home/secret.txt"),
+				"secret",
+			);
+		});
+
+		it("should throw SymlinkLoopError when links form a loop", async () => {
+			await memory.createSymlink("loop-b", "home/project/loop-a");
+			await memory.createSymlink("loop-a", "home/project/loop-b");
+
+			await assert.rejects(readText(impl, "loop-a"), {
+				name: "SymlinkLoopError",
+				message:
+					"ELOOP: Too many levels of symbolic links, bytes 'loop-a'",
+			});
+		});
+
+		it("should resolve relative targets against the directory the link is in", async () => {
+			await memory.createSymlink("/home/project/src", "home/project/lib");
+			await memory.createSymlink(
+				"../../secret.txt",
+				"home/project/src/secret.txt",
+			);
+
+			await assert.rejects(impl.readSymlink("lib/secret.txt"), {
+				name: "PermissionError",
+			});
+			await impl.createSymlink("../src/index.js", "lib/index-link.js");
+			assert.strictEqual(
+				await readText(memory, "home/project/src/index-link.js"),
+				"src",
+			);
+		});
+	});
+
+	describe("Read-only", () => {
+		beforeEach(() => {
+			impl = new ScopedHfsImpl({
+				impl: memory,
+				root: "/home/project",
+				readOnly: true,
+			});
+		});
+
+		it("should report that it's read-only", () => {
+			assert.strictEqual(impl.readOnly, true);
+		});
+
+		it("should allow reading", async () => {
+			assert.strictEqual(await readText(impl, "src/index.js"), "src");
+			assert.strictEqual(await impl.isDirectory("src"), true);
+			assert.strictEqual(await impl.size("src/index.js"), 3);
+		});
+
+		[
+			["write", "src/new.js", encoder.encode("x")],
+			["append", "src/index.js", encoder.encode("x")],
+			["createDirectory", "lib"],
+			["delete", "src/index.js"],
+			["deleteAll", "src"],
+			["copy", "src/index.js", "src/copy.js"],
+			["copyAll", "src", "lib"],
+			["move", "src/index.js", "src/moved.js"],
+			["moveAll", "src", "lib"],
+			["writeAtomic", "src/index.js", encoder.encode("x")],
+			["writeStream", "src/index.js", []],
+			["createSymlink", "index.js", "src/link.js"],
+		].forEach(([methodName, ...args]) => {
+			it(`should reject when calling ${methodName}()`, async () => {
+				await assert.rejects(impl[methodName](...args), {
+					name: "PermissionError",
+					message: new RegExp(
+						`${methodName} .*\\(read-only\\)$`,
+						"u",
+					),
+				});
+
+				assert.strictEqual(
+					await readText(memory, "home/project/src/index.js"),
+					"src",
+				);
+			});
+		});
+	});
+});
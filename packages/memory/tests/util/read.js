@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Helpers for reading files and directories in tests.
+ * @author Nicholas C. Zakas
+ */
+
+/* global TextDecoder */
+
+//------------------------------------------------------------------------------
+// Types
+//------------------------------------------------------------------------------
+
+/** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
+
+//------------------------------------------------------------------------------
+// Data
+//------------------------------------------------------------------------------
+
+const decoder = new TextDecoder();
+
+//------------------------------------------------------------------------------
+// Exports
+//------------------------------------------------------------------------------
+
+/**
+ * Reads a file as text.
+ * @param {HfsImpl} impl The impl to read from.
+ * @param {string|URL} filePath The file to read.
+ * @returns {Promise<string|undefined>} The text or undefined if not found.
+ */
+export async function readText(impl, filePath) {
+	const bytes = await impl.bytes(filePath);
+	return bytes ? decoder.decode(bytes) : undefined;
+}
+
+/**
+ * Reads the names of the entries in a directory.
+ * @param {HfsImpl} impl The impl to read from.
+ * @param {string|URL} dirPath The directory to read.
+ * @param {object} [options] The options for reading.
+ * @param {boolean} [options.markDirectories=false] Whether to add a trailing
+ * 	slash to the names of directories.
+ * @returns {Promise<Array<string>>} The sorted names.
+ */
+export async function readNames(
+	impl,
+	dirPath,
+	{ markDirectories = false } = {},
+) {
+	const names = [];
+
+	for await (const entry of impl.list(dirPath)) {
+		names.push(
+			markDirectories && entry.isDirectory
+				? `${entry.name}/`
+				: entry.name,
+		);
+	}
+
+	return names.sort();
+}
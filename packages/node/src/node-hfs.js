@@ -2,7 +2,7 @@
  * @fileoverview The main file for the hfs package.
  * @author Nicholas C. Zakas
  */
-/* global Buffer:readonly, URL */
+/* global Buffer:readonly, URL, ReadableStream, AbortController */
 
 //-----------------------------------------------------------------------------
 // Types
@@ -10,18 +10,36 @@
 
 /** @typedef {import("@humanfs/types").HfsImpl} HfsImpl */
 /** @typedef {import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef {import("@humanfs/types").HfsStat} HfsStat */
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
 /** @typedef {import("node:fs/promises")} Fsp */
 /** @typedef {import("fs").Dirent} Dirent */
 
+/**
+ * @typedef {Object} WatchState
+ * @property {string} basePath The path of the directory being watched.
+ * @property {Array<HfsWatchEvent>} events The changes that haven't been
+ *    returned yet.
+ * @property {Error|undefined} error An error that stopped watching.
+ * @property {Map<string, AbortController>} watchers The controllers that stop
+ *    watching each directory, keyed by the path relative to `basePath`.
+ * @property {Set<string>} paths The paths relative to `basePath` that are
+ *    known to exist, used to tell new entries from existing ones.
+ * @property {(value?: any) => void} wake Resumes returning changes after
+ *    new changes are found.
+ */
+
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
 
-import { Hfs } from "@humanfs/core";
+import { Hfs, HfsError, DirectoryError } from "@humanfs/core";
 import path from "node:path";
 import { Retrier } from "@humanwhocodes/retry";
 import nativeFsp from "node:fs/promises";
+import { pipeline } from "node:stream/promises";
 import { fileURLToPath } from "node:url";
+import { randomUUID } from "node:crypto";
 
 //-----------------------------------------------------------------------------
 // Constants
@@ -74,6 +92,137 @@ class NodeHfsDirectoryEntry {
 	}
 }
 
+/**
+ * Wraps a file system module so that errors with a POSIX error code, whether
+ * thrown or used to reject a promise, are converted into the matching
+ * `HfsError` subclass.
+ * @param {Fsp} fsp The file system module to wrap.
+ * @returns {Fsp} The wrapped file system module.
+ */
+function translateErrors(fsp) {
+	return new Proxy(fsp, {
+		get(target, property) {
+			const value = Reflect.get(target, property);
+
+			if (typeof value !== "function") {
+				return value;
+			}
+
+			return (...args) => {
+				try {
+					const result = value.apply(target, args);
+
+					return typeof result?.then === "function"
+						? result.then(undefined, error => {
+								throw HfsError.from(error);
+							})
+						: result;
+				} catch (error) {
+					throw HfsError.from(error);
+				}
+			};
+		},
+	});
+}
+
+/**
+ * Creates a unique path for a temporary file in the same directory as the
+ * given file so that it can be renamed over the file.
+ * @param {string} filePath The path to the file.
+ * @returns {string} The path to the temporary file.
+ */
+function createTempPath(filePath) {
+	return path.join(
+		path.dirname(filePath),
+		`.${path.basename(filePath)}.${randomUUID()}.tmp`,
+	);
+}
+
+/**
+ * Appends a name to a path relative to the directory being watched.
+ * @param {string} relativeDirPath The relative path of the directory.
+ * @param {string} name The name to append.
+ * @returns {string} The relative path with forward slashes.
+ */
+function joinRelativePath(relativeDirPath, name) {
+	return relativeDirPath ? `${relativeDirPath}/${name}` : name;
+}
+
+/**
+ * Adds a change to the changes that haven't been returned yet.
+ * @param {HfsWatchEvent} event The change.
+ * @param {WatchState} state The state shared by the directories being watched.
+ * @returns {void}
+ */
+function addWatchEvent(event, state) {
+	state.events.push(event);
+	state.wake();
+}
+
+/**
+ * Determines if a relative path is the given path or inside of it.
+ * @param {string} relativePath The relative path to check.
+ * @param {string} parentPath The relative path of the possible parent.
+ * @returns {boolean} True if the path is the parent path or inside of it.
+ */
+function isSameOrInside(relativePath, parentPath) {
+	return (
+		relativePath === parentPath || relativePath.startsWith(`${parentPath}/`)
+	);
+}
+
+/**
+ * Forgets a file or directory that no longer exists, along with everything
+ * inside of it, and stops watching any of those directories.
+ * @param {string} relativePath The relative path of the file or directory.
+ * @param {WatchState} state The state shared by the directories being watched.
+ * @returns {void}
+ */
+function forgetPath(relativePath, state) {
+	for (const [watchedPath, controller] of state.watchers) {
+		if (isSameOrInside(watchedPath, relativePath)) {
+			controller.abort();
+			state.watchers.delete(watchedPath);
+		}
+	}
+
+	for (const knownPath of state.paths) {
+		if (isSameOrInside(knownPath, relativePath)) {
+			state.paths.delete(knownPath);
+		}
+	}
+}
+
+/**
+ * Handles an error that stopped a directory from being watched.
+ * @param {Error & {code?: string}} error The error.
+ * @param {string} relativeDirPath The relative path of the directory.
+ * @param {AbortController} controller The controller that stops watching
+ *    the directory.
+ * @param {WatchState} state The state shared by the directories being watched.
+ * @returns {void}
+ */
+function handleWatchError(error, relativeDirPath, controller, state) {
+	// aborting is the expected way to stop watching
+	if (error.name === "AbortError") {
+		return;
+	}
+
+	// a subdirectory may be deleted before it can be watched
+	if (error.code === "ENOENT" && relativeDirPath) {
+		controller.abort();
+
+		if (state.watchers.get(relativeDirPath) === controller) {
+			state.watchers.delete(relativeDirPath);
+		}
+
+		return;
+	}
+
+	state.error = error;
+	state.wake();
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -101,7 +250,7 @@ export class NodeHfsImpl {
 	 * @param {Fsp} [options.fsp] The file system module to use.
 	 */
 	constructor({ fsp = nativeFsp } = {}) {
-		this.#fsp = fsp;
+		this.#fsp = translateErrors(fsp);
 		this.#retrier = new Retrier(error => RETRY_ERROR_CODES.has(error.code));
 	}
 
@@ -126,6 +275,113 @@ export class NodeHfsImpl {
 			});
 	}
 
+	/**
+	 * Reads a range of bytes from a file without reading the rest of the file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The zero-based byte offset to start reading from.
+	 * @param {number} end The zero-based byte offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 *   bytes in the range or undefined if the file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	async slice(filePath, start, end) {
+		let handle;
+
+		try {
+			handle = await this.#retrier.retry(() =>
+				this.#fsp.open(filePath, "r"),
+			);
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				return undefined;
+			}
+
+			throw error;
+		}
+
+		try {
+			const buffer = new Uint8Array(end - start);
+			let offset = 0;
+
+			// a single read may return fewer bytes than requested
+			while (offset < buffer.byteLength) {
+				const { bytesRead } = await handle.read(
+					buffer,
+					offset,
+					buffer.byteLength - offset,
+					start + offset,
+				);
+
+				if (bytesRead === 0) {
+					break;
+				}
+
+				offset += bytesRead;
+			}
+
+			return buffer.subarray(0, offset);
+		} finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * Reads a file and returns the contents as a readable stream. The file is
+	 * read in chunks so the entire file is never held in memory, and the file
+	 * is closed when the stream ends, fails, or is cancelled.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 *   resolves with a readable stream of the file contents or undefined if
+	 *   the file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	async stream(filePath) {
+		let handle;
+
+		try {
+			handle = await this.#retrier.retry(() =>
+				this.#fsp.open(filePath, "r"),
+			);
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				return undefined;
+			}
+
+			throw error;
+		}
+
+		const reader = handle.readableWebStream({ type: "bytes" }).getReader();
+
+		return new ReadableStream({
+			async pull(controller) {
+				try {
+					const { done, value } = await reader.read();
+
+					if (done) {
+						await handle.close();
+						controller.close();
+						return;
+					}
+
+					// Node.js before v20 ignores the type and reads ArrayBuffers
+					controller.enqueue(
+						value instanceof Uint8Array
+							? value
+							: new Uint8Array(value),
+					);
+				} catch (error) {
+					await handle.close();
+					controller.error(error);
+				}
+			},
+
+			async cancel(reason) {
+				await reader.cancel(reason);
+				await handle.close();
+			},
+		});
+	}
+
 	/**
 	 * Writes a value to a file. If the value is a string, UTF-8 encoding is used.
 	 * @param {string|URL} filePath The path to the file to write.
@@ -159,6 +415,93 @@ export class NodeHfsImpl {
 			});
 	}
 
+	/**
+	 * Writes a value to a file so that readers see either the old or the new
+	 * contents, never a partially written file. The value is written to a
+	 * temporary file in the same directory, flushed to disk, and then renamed
+	 * over the file. If the value is a string, UTF-8 encoding is used.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write to the file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeAtomic(filePath, contents) {
+		const value = Buffer.from(contents);
+		const targetPath =
+			filePath instanceof URL ? fileURLToPath(filePath) : filePath;
+		const tempPath = createTempPath(targetPath);
+
+		try {
+			await this.#retrier
+				.retry(() => this.#writeAndSync(tempPath, value))
+				.catch(error => {
+					// the directory may not exist, so create it
+					if (error.code === "ENOENT") {
+						return this.#fsp
+							.mkdir(path.dirname(targetPath), {
+								recursive: true,
+							})
+							.then(() => this.#writeAndSync(tempPath, value));
+					}
+
+					throw error;
+				});
+
+			await this.#fsp.rename(tempPath, targetPath);
+		} catch (error) {
+			// don't leave the temporary file behind
+			await this.#fsp.rm(tempPath, { force: true }).catch(() => {});
+			throw error;
+		}
+	}
+
+	/**
+	 * Writes a value to a new file and flushes it to disk.
+	 * @param {string} filePath The path to the file to create.
+	 * @param {Buffer} value The value to write.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written and flushed.
+	 * @throws {Error} If the file already exists or cannot be written.
+	 */
+	async #writeAndSync(filePath, value) {
+		const handle = await this.#fsp.open(filePath, "wx");
+
+		try {
+			await handle.writeFile(value);
+			await handle.sync();
+		} finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * Writes the chunks from the given source to a file using a write stream,
+	 * creating any necessary directories along the way.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write to the file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeStream(filePath, source) {
+		/*
+		 * The source can only be read once, so the directory must be
+		 * created before writing rather than after a failure as in write().
+		 */
+		const dirPath = path.dirname(
+			filePath instanceof URL ? fileURLToPath(filePath) : filePath,
+		);
+		await this.#fsp.mkdir(dirPath, { recursive: true });
+
+		const handle = await this.#retrier.retry(() =>
+			this.#fsp.open(filePath, "w"),
+		);
+
+		// the write stream closes the handle when finished or on error
+		await pipeline(source, handle.createWriteStream());
+	}
+
 	/**
 	 * Appends a value to a file. If the value is a string, UTF-8 encoding is used.
 	 * @param {string|URL} filePath The path to the file to append to.
@@ -257,7 +600,7 @@ export class NodeHfsImpl {
 			.rm(fileOrDirPath)
 			.then(() => true)
 			.catch(error => {
-				if (error.code === "ERR_FS_EISDIR") {
+				if (error instanceof DirectoryError) {
 					return this.#fsp.rmdir(fileOrDirPath).then(() => true);
 				}
 
@@ -350,14 +693,48 @@ export class NodeHfsImpl {
 			});
 	}
 
+	/**
+	 * Returns information about a file or directory. This method handles
+	 * ENOENT errors and returns undefined in that case.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to check.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 *  information about the file or directory or undefined if it doesn't exist.
+	 * @throws {Error} If the operation fails with a code other than ENOENT.
+	 */
+	async stat(fileOrDirPath) {
+		try {
+			const linkStat = await this.#fsp.lstat(fileOrDirPath);
+			const isSymlink = linkStat.isSymbolicLink();
+			const stat = isSymlink
+				? await this.#fsp.stat(fileOrDirPath)
+				: linkStat;
+			const isDirectory = stat.isDirectory();
+
+			return {
+				kind: isDirectory ? "directory" : "file",
+				size: isDirectory ? 0 : stat.size,
+				lastModified: stat.mtime,
+
+				// filesystems without creation times report the epoch
+				created: stat.birthtimeMs ? stat.birthtime : undefined,
+				isSymlink,
+			};
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				return undefined;
+			}
+
+			throw error;
+		}
+	}
+
 	/**
 	 * Copies a file from one location to another.
 	 * @param {string|URL} source The path to the file to copy.
 	 * @param {string|URL} destination The path to copy the file to.
 	 * @returns {Promise<void>} A promise that resolves when the file is copied.
-	 * @throws {Error} If the source file does not exist.
-	 * @throws {Error} If the source file is a directory.
-	 * @throws {Error} If the destination file is a directory.
+	 * @throws {NotFoundError} If the source file does not exist.
+	 * @throws {DirectoryError} If the source or destination is a directory.
 	 */
 	async copy(source, destination) {
 		const stat = await this.#fsp.lstat(source);
@@ -365,6 +742,19 @@ export class NodeHfsImpl {
 			const target = await this.#fsp.readlink(source);
 			return this.#fsp.symlink(target, destination);
 		}
+
+		/*
+		 * The error for copying a directory differs by platform (EISDIR,
+		 * EPERM, or ENOTSUP), so check first to always throw the same one.
+		 */
+		if (stat.isDirectory() || (await this.isDirectory(destination))) {
+			throw new DirectoryError(`copy '${source}' -> '${destination}'`, {
+				path: source,
+				destination,
+				method: "copy",
+			});
+		}
+
 		return this.#fsp.copyFile(source, destination);
 	}
 
@@ -420,8 +810,13 @@ export class NodeHfsImpl {
 	move(source, destination) {
 		return this.#fsp.stat(source).then(stat => {
 			if (stat.isDirectory()) {
-				throw new Error(
-					`EISDIR: illegal operation on a directory, move '${source}' -> '${destination}'`,
+				throw new DirectoryError(
+					`move '${source}' -> '${destination}'`,
+					{
+						path: source,
+						destination,
+						method: "move",
+					},
 				);
 			}
 
@@ -440,6 +835,319 @@ export class NodeHfsImpl {
 	async moveAll(source, destination) {
 		return this.#fsp.rename(source, destination);
 	}
+
+	/**
+	 * Creates a symbolic link, creating any necessary directories along the way.
+	 * @param {string} target The path the link should point to.
+	 * @param {string|URL} linkPath The path of the link to create.
+	 * @returns {Promise<void>} A promise that resolves when the link is created.
+	 * @throws {Error} If the link cannot be created.
+	 */
+	async createSymlink(target, linkPath) {
+		return this.#retrier
+			.retry(() => this.#fsp.symlink(target, linkPath))
+			.catch(error => {
+				// the directory may not exist, so create it
+				if (error.code === "ENOENT") {
+					const dirPath = path.dirname(
+						linkPath instanceof URL
+							? fileURLToPath(linkPath)
+							: linkPath,
+					);
+
+					return this.#fsp
+						.mkdir(dirPath, { recursive: true })
+						.then(() => this.#fsp.symlink(target, linkPath));
+				}
+
+				throw error;
+			});
+	}
+
+	/**
+	 * Reads the target of a symbolic link.
+	 * @param {string|URL} linkPath The path of the link to read.
+	 * @returns {Promise<string|undefined>} A promise that resolves with the
+	 *   target of the link or undefined if the path doesn't exist or isn't a
+	 *   symbolic link.
+	 * @throws {Error} If the operation fails with a code other than ENOENT.
+	 */
+	async readSymlink(linkPath) {
+		if (!(await this.isSymlink(linkPath))) {
+			return undefined;
+		}
+
+		return this.#fsp.readlink(linkPath);
+	}
+
+	/**
+	 * Checks if a path is a symbolic link without following it.
+	 * @param {string|URL} fileOrDirPath The path to check.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the
+	 *    path is a symbolic link or false if it is not or does not exist.
+	 * @throws {Error} If the operation fails with a code other than ENOENT.
+	 */
+	isSymlink(fileOrDirPath) {
+		return this.#fsp
+			.lstat(fileOrDirPath)
+			.then(stat => stat.isSymbolicLink())
+			.catch(error => {
+				if (error.code === "ENOENT") {
+					return false;
+				}
+
+				throw error;
+			});
+	}
+
+	/**
+	 * Watches a directory and its subdirectories for changes. Each directory
+	 * is watched separately because the `recursive` option isn't reliable on
+	 * all platforms.
+	 * @param {string|URL} dirPath The path to the directory to watch.
+	 * @param {Object} [options] The options for watching.
+	 * @param {AbortSignal} [options.signal] A signal that stops watching when
+	 *    aborted.
+	 * @returns {AsyncIterable<HfsWatchEvent>} An async iterable of the changes.
+	 * @throws {Error} If the directory cannot be watched.
+	 */
+	async *watch(dirPath, { signal } = {}) {
+		/** @type {WatchState} */
+		const state = {
+			basePath: dirPath instanceof URL ? fileURLToPath(dirPath) : dirPath,
+			events: [],
+			error: undefined,
+			watchers: new Map(),
+			paths: new Set(),
+			wake: () => {},
+		};
+		const stop = () => {
+			for (const controller of state.watchers.values()) {
+				controller.abort();
+			}
+
+			state.wake();
+		};
+
+		if (signal?.aborted) {
+			return;
+		}
+
+		signal?.addEventListener("abort", stop);
+
+		try {
+			await this.#watchDirectory("", state);
+
+			while (!signal?.aborted) {
+				if (state.error) {
+					throw state.error;
+				}
+
+				if (state.events.length > 0) {
+					yield state.events.shift();
+					continue;
+				}
+
+				await new Promise(resolve => {
+					state.wake = resolve;
+				});
+			}
+		} finally {
+			signal?.removeEventListener("abort", stop);
+			stop();
+		}
+	}
+
+	/**
+	 * Starts watching a directory and the directories inside of it. Each
+	 * directory is watched before it's read so that entries created in
+	 * between aren't missed.
+	 * @param {string} relativeDirPath The path of the directory relative to
+	 *    the directory being watched.
+	 * @param {WatchState} state The state shared by all of the directories
+	 *    being watched.
+	 * @param {boolean} [isNew=false] Whether the directory was just created,
+	 *    in which case its contents are reported as created.
+	 * @returns {Promise<void>} A promise that resolves when the directory and
+	 *    its subdirectories are being watched.
+	 */
+	async #watchDirectory(relativeDirPath, state, isNew = false) {
+		if (state.watchers.has(relativeDirPath)) {
+			return;
+		}
+
+		const controller = new AbortController();
+		const fullDirPath = path.join(state.basePath, relativeDirPath);
+
+		state.watchers.set(relativeDirPath, controller);
+
+		try {
+			const watcher = this.#fsp.watch(fullDirPath, {
+				signal: controller.signal,
+			});
+			const changes = watcher[Symbol.asyncIterator]();
+
+			// watching starts when the first change is requested
+			const firstChange = changes.next();
+
+			// any error is handled when the first change is read
+			firstChange.catch(() => {});
+
+			const entries = await this.#fsp.readdir(fullDirPath, {
+				withFileTypes: true,
+			});
+			const subdirectories = [];
+
+			for (const entry of entries) {
+				const relativePath = joinRelativePath(
+					relativeDirPath,
+					entry.name,
+				);
+
+				if (!state.paths.has(relativePath)) {
+					state.paths.add(relativePath);
+
+					if (isNew) {
+						addWatchEvent(
+							{ type: "create", path: relativePath },
+							state,
+						);
+					}
+				}
+
+				if (entry.isDirectory()) {
+					subdirectories.push(
+						this.#watchDirectory(relativePath, state, isNew),
+					);
+				}
+			}
+
+			this.#readChanges(
+				relativeDirPath,
+				changes,
+				firstChange,
+				controller,
+				state,
+			);
+			await Promise.all(subdirectories);
+		} catch (error) {
+			handleWatchError(error, relativeDirPath, controller, state);
+		}
+	}
+
+	/**
+	 * Reads the changes in a directory that's being watched. Node.js drops
+	 * changes that happen before the next one is requested, so the names are
+	 * queued as soon as they arrive and checked separately.
+	 * @param {string} relativeDirPath The path of the directory relative to
+	 *    the directory being watched.
+	 * @param {AsyncIterator<{eventType: string, filename: string|Buffer|null}>} changes
+	 *    The changes to the directory.
+	 * @param {Promise<IteratorResult<{eventType: string, filename: string|Buffer|null}>>} firstChange
+	 *    The first change, which was requested to start watching.
+	 * @param {AbortController} controller The controller that stops watching
+	 *    the directory.
+	 * @param {WatchState} state The state shared by all of the directories
+	 *    being watched.
+	 * @returns {Promise<void>} A promise that resolves when watching stops.
+	 */
+	async #readChanges(
+		relativeDirPath,
+		changes,
+		firstChange,
+		controller,
+		state,
+	) {
+		/** @type {Array<string>} */
+		const pending = [];
+		let isChecking = false;
+
+		const checkPending = async () => {
+			isChecking = true;
+
+			try {
+				while (pending.length > 0 && !controller.signal.aborted) {
+					await this.#reportChange(pending.shift(), state);
+				}
+			} catch (error) {
+				handleWatchError(error, relativeDirPath, controller, state);
+			} finally {
+				isChecking = false;
+			}
+		};
+
+		try {
+			for (
+				let result = await firstChange;
+				!result.done;
+				result = await changes.next()
+			) {
+				const { filename } = result.value;
+
+				// some platforms don't always report the filename
+				if (!filename) {
+					continue;
+				}
+
+				pending.push(
+					joinRelativePath(relativeDirPath, String(filename)),
+				);
+
+				if (!isChecking) {
+					checkPending();
+				}
+			}
+		} catch (error) {
+			handleWatchError(error, relativeDirPath, controller, state);
+		}
+	}
+
+	/**
+	 * Reports a change to a path. Node.js doesn't reliably report what kind
+	 * of change happened, so the path is checked instead: a path that exists
+	 * but isn't known was created, a path that exists and is known was
+	 * changed (including when another file was renamed over it), and a known
+	 * path that doesn't exist was deleted.
+	 * @param {string} relativePath The path relative to the directory being
+	 *    watched.
+	 * @param {WatchState} state The state shared by all of the directories
+	 *    being watched.
+	 * @returns {Promise<void>} A promise that resolves when the change is
+	 *    reported.
+	 */
+	async #reportChange(relativePath, state) {
+		const stat = await this.#fsp
+			.lstat(path.join(state.basePath, relativePath))
+			.catch(error => {
+				if (error.code === "ENOENT") {
+					return undefined;
+				}
+
+				throw error;
+			});
+
+		if (!stat) {
+			if (state.paths.has(relativePath)) {
+				forgetPath(relativePath, state);
+				addWatchEvent({ type: "delete", path: relativePath }, state);
+			}
+
+			return;
+		}
+
+		if (state.paths.has(relativePath)) {
+			addWatchEvent({ type: "change", path: relativePath }, state);
+			return;
+		}
+
+		state.paths.add(relativePath);
+		addWatchEvent({ type: "create", path: relativePath }, state);
+
+		// not awaited so that other changes can be checked in the meantime
+		if (stat.isDirectory()) {
+			this.#watchDirectory(relativePath, state, true);
+		}
+	}
 }
 
 /**
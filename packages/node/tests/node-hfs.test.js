@@ -3,7 +3,7 @@
  * @author Nicholas C. Zakas
  */
 
-/*global describe, it, TextEncoder, Buffer */
+/*global describe, it, beforeEach, afterEach, TextEncoder, Buffer, AbortController, ReadableStream */
 
 //------------------------------------------------------------------------------
 // Imports
@@ -16,6 +16,12 @@ import { fileURLToPath } from "node:url";
 import os from "node:os";
 import path from "node:path";
 import { HfsImplTester } from "@humanfs/test";
+import {
+	PermissionError,
+	DirectoryError,
+	NotFoundError,
+	ScopedHfsImpl,
+} from "@humanfs/core";
 
 //------------------------------------------------------------------------------
 // Helpers
@@ -25,6 +31,50 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const fixturesDir = path.resolve(__dirname, "fixtures/tmp");
 
+/**
+ * Creates a stream like the one returned by a file handle's
+ * `readableWebStream()` method.
+ * @param {Array<Uint8Array>} chunks The chunks to return.
+ * @param {Error} [error] An error to fail with after the chunks.
+ * @returns {ReadableStream<Uint8Array>} The stream.
+ */
+function createWebStream(chunks, error) {
+	return new ReadableStream({
+		start(controller) {
+			chunks.forEach(chunk => controller.enqueue(chunk));
+
+			if (error) {
+				controller.error(error);
+			} else {
+				controller.close();
+			}
+		},
+	});
+}
+
+/**
+ * Starts reading changes, runs an action, and then keeps reading changes
+ * until the given function returns true for the changes read so far.
+ * @param {AsyncIterator<object>} events The changes to read.
+ * @param {() => Promise<void>} action The action that causes the changes.
+ * @param {(events: Array<object>) => boolean} isDone Determines if enough
+ * 	changes have been read.
+ * @returns {Promise<Array<object>>} The changes that were read.
+ */
+async function readEventsUntil(events, action, isDone) {
+	const next = events.next();
+	const seen = [];
+
+	await action();
+	seen.push((await next).value);
+
+	while (!isDone(seen)) {
+		seen.push((await events.next()).value);
+	}
+
+	return seen;
+}
+
 //------------------------------------------------------------------------------
 // Tests
 //------------------------------------------------------------------------------
@@ -170,6 +220,147 @@ describe("NodeHfsImpl Customizations", () => {
 		});
 	});
 
+	describe("stream()", () => {
+		it("should read a file larger than a single chunk", async () => {
+			const filePath = path.join(fixturesDir, "large.bin");
+			const contents = new Uint8Array(200 * 1024).map((_, i) => i % 256);
+			await fsp.mkdir(fixturesDir, { recursive: true });
+			await fsp.writeFile(filePath, contents);
+
+			try {
+				const impl = new NodeHfsImpl();
+				const stream = await impl.stream(filePath);
+				const chunks = [];
+
+				for await (const chunk of stream) {
+					chunks.push(chunk);
+				}
+
+				assert.ok(chunks.length > 1, "Expected multiple chunks.");
+				assert.deepStrictEqual(
+					new Uint8Array(Buffer.concat(chunks)),
+					contents,
+				);
+			} finally {
+				await fsp.rm(fixturesDir, { recursive: true });
+			}
+		});
+
+		it("should close the file handle when the stream ends", async () => {
+			let closed = false;
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async open() {
+						return {
+							readableWebStream() {
+								return createWebStream([
+									new TextEncoder().encode("Hello"),
+								]);
+							},
+							async close() {
+								closed = true;
+							},
+						};
+					},
+				},
+			});
+
+			const stream = await impl.stream(".hfs/foo");
+			const chunks = [];
+
+			for await (const chunk of stream) {
+				chunks.push(chunk);
+			}
+
+			assert.deepStrictEqual(chunks, [new TextEncoder().encode("Hello")]);
+			assert.ok(closed);
+		});
+
+		it("should close the file handle when the stream fails", async () => {
+			let closed = false;
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async open() {
+						return {
+							readableWebStream() {
+								return createWebStream([], new Error("Boom!"));
+							},
+							async close() {
+								closed = true;
+							},
+						};
+					},
+				},
+			});
+
+			const stream = await impl.stream(".hfs/foo");
+
+			await assert.rejects(stream.getReader().read(), /Boom!/);
+			assert.ok(closed);
+		});
+
+		it("should close the file handle when the stream is cancelled", async () => {
+			let closed = false;
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async open() {
+						return {
+							readableWebStream() {
+								return createWebStream([]);
+							},
+							async close() {
+								closed = true;
+							},
+						};
+					},
+				},
+			});
+
+			const stream = await impl.stream(".hfs/foo");
+			await stream.cancel();
+			assert.ok(closed);
+		});
+
+		it("should return a stream when EMFILE error occurs", async () => {
+			let callCount = 0;
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async open() {
+						if (callCount === 0) {
+							callCount++;
+							const error = new Error(
+								"EMFILE: file table overflow",
+							);
+							error.code = "EMFILE";
+							throw error;
+						}
+
+						return {
+							readableWebStream() {
+								return createWebStream([]);
+							},
+							async close() {},
+						};
+					},
+				},
+			});
+
+			const stream = await impl.stream(".hfs/foo");
+			assert.ok(stream);
+		});
+
+		it("should rethrow an error that isn't ENOENT", async () => {
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async open() {
+						throw new Error("Boom!");
+					},
+				},
+			});
+			await assert.rejects(() => impl.stream(".hfs/foo"), /Boom!/);
+		});
+	});
+
 	describe("write()", () => {
 		it("should return contents when ENFILE error occurs", async () => {
 			let callCount = 0;
@@ -258,6 +449,188 @@ describe("NodeHfsImpl Customizations", () => {
 		});
 	});
 
+	describe("writeAtomic()", () => {
+		const dirPath = path.join(fixturesDir, "tmp-write-atomic");
+		const filePath = path.join(dirPath, "test.txt");
+
+		beforeEach(async () => {
+			await fsp.mkdir(dirPath, { recursive: true });
+			await fsp.writeFile(filePath, "Hello world!");
+		});
+
+		afterEach(async () => {
+			await fsp.rm(dirPath, { recursive: true, force: true });
+		});
+
+		it("should sync the temporary file before renaming it", async () => {
+			const calls = [];
+			const impl = new NodeHfsImpl({
+				fsp: {
+					...fsp,
+					async open(...args) {
+						const handle = await fsp.open(...args);
+						const sync = handle.sync.bind(handle);
+
+						handle.sync = () => {
+							calls.push("sync");
+							return sync();
+						};
+
+						return handle;
+					},
+					rename(...args) {
+						calls.push("rename");
+						return fsp.rename(...args);
+					},
+				},
+			});
+
+			await impl.writeAtomic(filePath, Buffer.from("Goodbye world!"));
+			assert.deepStrictEqual(calls, ["sync", "rename"]);
+			assert.strictEqual(
+				await fsp.readFile(filePath, "utf8"),
+				"Goodbye world!",
+			);
+		});
+
+		it("should leave the file unchanged and remove the temporary file when the rename fails", async () => {
+			const impl = new NodeHfsImpl({
+				fsp: {
+					...fsp,
+					async rename() {
+						throw new Error("Boom!");
+					},
+				},
+			});
+
+			await assert.rejects(
+				() => impl.writeAtomic(filePath, Buffer.from("Goodbye world!")),
+				/Boom!/,
+			);
+			assert.strictEqual(
+				await fsp.readFile(filePath, "utf8"),
+				"Hello world!",
+			);
+			assert.deepStrictEqual(await fsp.readdir(dirPath), ["test.txt"]);
+		});
+	});
+
+	describe("stat()", () => {
+		it("should make a single lstat() call for a regular file", async () => {
+			const calls = [];
+			const mtime = new Date();
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async lstat(filePath) {
+						calls.push(["lstat", filePath]);
+						return {
+							isSymbolicLink: () => false,
+							isDirectory: () => false,
+							size: 12,
+							mtime,
+							birthtime: mtime,
+							birthtimeMs: mtime.getTime(),
+						};
+					},
+					async stat(filePath) {
+						calls.push(["stat", filePath]);
+						throw new Error("stat() should not be called");
+					},
+				},
+			});
+
+			const result = await impl.stat("foo.txt");
+
+			assert.deepStrictEqual(calls, [["lstat", "foo.txt"]]);
+			assert.deepStrictEqual(result, {
+				kind: "file",
+				size: 12,
+				lastModified: mtime,
+				created: mtime,
+				isSymlink: false,
+			});
+		});
+
+		it("should return undefined for created when the filesystem doesn't track it", async () => {
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async lstat() {
+						return {
+							isSymbolicLink: () => false,
+							isDirectory: () => true,
+							size: 4096,
+							mtime: new Date(),
+							birthtime: new Date(0),
+							birthtimeMs: 0,
+						};
+					},
+				},
+			});
+
+			const result = await impl.stat("foo");
+
+			assert.strictEqual(result.kind, "directory");
+			assert.strictEqual(result.size, 0);
+			assert.strictEqual(result.created, undefined);
+		});
+
+		it("should rethrow an error that isn't ENOENT", async () => {
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async lstat() {
+						throw new Error("Boom!");
+					},
+				},
+			});
+			await assert.rejects(() => impl.stat("foo.txt"), /Boom!/);
+		});
+	});
+
+	describe("Errors", () => {
+		it("should convert a native error into the matching HfsError", async () => {
+			const cause = Object.assign(new Error("EACCES: denied"), {
+				code: "EACCES",
+				path: "foo.txt",
+				syscall: "open",
+			});
+			const impl = new NodeHfsImpl({
+				fsp: {
+					async readFile() {
+						throw cause;
+					},
+				},
+			});
+
+			await assert.rejects(
+				() => impl.bytes("foo.txt"),
+				error => {
+					assert.ok(error instanceof PermissionError);
+					assert.strictEqual(error.code, "EPERM");
+					assert.strictEqual(error.path, "foo.txt");
+					assert.strictEqual(error.cause, cause);
+					return true;
+				},
+			);
+		});
+
+		it("should throw a DirectoryError when moving a directory", async () => {
+			const tmpDir = await fsp.mkdtemp(
+				path.join(os.tmpdir(), "humanfs-move-dir-"),
+			);
+
+			try {
+				const impl = new NodeHfsImpl({ fsp });
+
+				await assert.rejects(
+					() => impl.move(tmpDir, `${tmpDir}-moved`),
+					DirectoryError,
+				);
+			} finally {
+				await fsp.rm(tmpDir, { recursive: true });
+			}
+		});
+	});
+
 	describe("copy()", () => {
 		it("should recreate a symlink rather than copy the target file contents", async () => {
 			const tmpDir = await fsp.mkdtemp(
@@ -340,4 +713,210 @@ describe("NodeHfsImpl Customizations", () => {
 			}
 		});
 	});
+
+	describe("watch()", () => {
+		let tmpDir, controller, events;
+
+		beforeEach(async () => {
+			tmpDir = await fsp.mkdtemp(
+				path.join(os.tmpdir(), "humanfs-watch-"),
+			);
+			await fsp.mkdir(path.join(tmpDir, "watched"));
+
+			controller = new AbortController();
+			const watcher = new NodeHfsImpl({ fsp }).watch(
+				path.join(tmpDir, "watched"),
+				{ signal: controller.signal },
+			);
+			events = watcher[Symbol.asyncIterator]();
+		});
+
+		afterEach(async () => {
+			controller.abort();
+			await events.return?.();
+			await fsp.rm(tmpDir, { recursive: true });
+		});
+
+		it("should report the contents of a directory moved into the watched directory", async () => {
+			const source = path.join(tmpDir, "source");
+			const expected = [
+				"moved",
+				"moved/a.txt",
+				"moved/sub",
+				"moved/sub/b.txt",
+			];
+
+			await fsp.mkdir(path.join(source, "sub"), { recursive: true });
+			await fsp.writeFile(path.join(source, "a.txt"), "a");
+			await fsp.writeFile(path.join(source, "sub/b.txt"), "b");
+
+			const seen = await readEventsUntil(
+				events,
+				() => fsp.rename(source, path.join(tmpDir, "watched/moved")),
+				seen => seen.length >= expected.length,
+			);
+
+			assert.deepStrictEqual(
+				seen.map(event => event.type),
+				["create", "create", "create", "create"],
+			);
+			assert.deepStrictEqual(
+				seen.map(event => event.path).sort(),
+				expected,
+			);
+		});
+
+		it("should report a file renamed over an existing file as changed", async () => {
+			const filePath = path.join(tmpDir, "watched/file.txt");
+			const tempPath = path.join(tmpDir, "file.txt.tmp");
+
+			await fsp.writeFile(filePath, "old");
+			await fsp.writeFile(tempPath, "new");
+
+			const seen = await readEventsUntil(
+				events,
+				() => fsp.rename(tempPath, filePath),
+				seen => seen.some(event => event.path === "file.txt"),
+			);
+
+			assert.deepStrictEqual(seen, [
+				{ type: "change", path: "file.txt" },
+			]);
+		});
+
+		it("should report a file written atomically as changed", async () => {
+			const filePath = path.join(tmpDir, "watched/file.txt");
+
+			await fsp.writeFile(filePath, "old");
+
+			const seen = await readEventsUntil(
+				events,
+				() =>
+					new NodeHfsImpl({ fsp }).writeAtomic(
+						filePath,
+						new TextEncoder().encode("new"),
+					),
+				seen => seen.some(event => event.path === "file.txt"),
+			);
+
+			assert.deepStrictEqual(seen.at(-1), {
+				type: "change",
+				path: "file.txt",
+			});
+			assert.ok(
+				!seen.some(
+					event =>
+						event.type === "create" && event.path === "file.txt",
+				),
+			);
+		});
+	});
+
+	describe("Wrapped in ScopedHfsImpl", () => {
+		let tmpDir, impl;
+
+		beforeEach(async () => {
+			tmpDir = await fsp.mkdtemp(
+				path.join(os.tmpdir(), "humanfs-scoped-"),
+			);
+			await fsp.mkdir(path.join(tmpDir, "root"));
+			await fsp.writeFile(path.join(tmpDir, "root/real.txt"), "real");
+			await fsp.writeFile(path.join(tmpDir, "secret.txt"), "secret");
+			impl = new ScopedHfsImpl({
+				impl: new NodeHfsImpl({ fsp }),
+				root: path.join(tmpDir, "root"),
+			});
+		});
+
+		afterEach(async () => {
+			await fsp.rm(tmpDir, { recursive: true });
+		});
+
+		it("should not reveal the root directory in errors", async () => {
+			await assert.rejects(
+				async () => {
+					for await (const entry of impl.list("missing")) {
+						assert.fail(`Unexpected entry ${entry.name}`);
+					}
+				},
+				error => {
+					assert.ok(error instanceof NotFoundError);
+					assert.strictEqual(error.path, "/missing");
+					assert.strictEqual(error.method, "list");
+					assert.strictEqual(error.cause, undefined);
+					assert.ok(!error.message.includes(tmpDir), error.message);
+					assert.match(error.message, /'\/missing'/u);
+					return true;
+				},
+			);
+		});
+
+		it("should not reveal the root directory when there are two paths", async () => {
+			await assert.rejects(impl.moveAll("missing", "moved"), {
+				name: "NotFoundError",
+				path: "/missing",
+				message: /'\/missing' -> '\/moved'$/u,
+			});
+		});
+
+		it("should read absolute link targets inside the root directory as starting at the root directory", async () => {
+			try {
+				await fsp.symlink(
+					path.join(tmpDir, "root/real.txt"),
+					path.join(tmpDir, "root/abs-link"),
+				);
+			} catch (err) {
+				if (err.code === "EPERM") {
+					return; // symlinks require elevated privileges on this OS; skip
+				}
+				throw err;
+			}
+
+			assert.strictEqual(await impl.readSymlink("abs-link"), "/real.txt");
+		});
+
+		it("should reject reading link targets outside of the root directory", async () => {
+			try {
+				await fsp.symlink(
+					path.join(tmpDir, "secret.txt"),
+					path.join(tmpDir, "root/abs-link"),
+				);
+				await fsp.symlink(
+					"../secret.txt",
+					path.join(tmpDir, "root/rel-link"),
+				);
+			} catch (err) {
+				if (err.code === "EPERM") {
+					return; // symlinks require elevated privileges on this OS; skip
+				}
+				throw err;
+			}
+
+			for (const linkPath of ["abs-link", "rel-link"]) {
+				await assert.rejects(impl.readSymlink(linkPath), {
+					name: "PermissionError",
+					message: /readSymlink .*\(outside of scope\)$/u,
+				});
+			}
+		});
+
+		it("should reject following links that lead outside of the root directory", async () => {
+			try {
+				await fsp.symlink(
+					tmpDir,
+					path.join(tmpDir, "root/node_modules"),
+				);
+			} catch (err) {
+				if (err.code === "EPERM") {
+					return; // symlinks require elevated privileges on this OS; skip
+				}
+				throw err;
+			}
+
+			await assert.rejects(impl.bytes("node_modules/secret.txt"), {
+				name: "PermissionError",
+			});
+			assert.strictEqual(await impl.isSymlink("node_modules"), true);
+		});
+	});
 });
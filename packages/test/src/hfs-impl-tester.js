@@ -3,13 +3,14 @@
  *  HfsImpl classes have the same API and behavior.
  */
 
-/* global TextEncoder, TextDecoder, URL */
+/* global TextEncoder, TextDecoder, URL, AbortController, setTimeout */
 
 //------------------------------------------------------------------------------
 // Types
 //------------------------------------------------------------------------------
 
 /** @typedef {import("@humanfs/types").HfsImpl} HfsImpl*/
+/** @typedef {import("@humanfs/types").HfsWatchEvent} HfsWatchEvent */
 
 /**
  * @typedef {Object} Assert
@@ -40,6 +41,7 @@ const GOODBYE_WORLD_BYTES = encoder.encode(GOODBYE_WORLD);
 const HELLO_WORLD_JSON = encoder.encode(
 	JSON.stringify({ message: HELLO_WORLD }),
 );
+const WATCH_RETRY_DELAY = 50;
 
 /**
  * Converts a file path into a URL with a file protocol. This first normalizes
@@ -53,6 +55,125 @@ function filePathToUrl(filePath) {
 	return new URL("file:///" + normalizedPath);
 }
 
+/**
+ * Reads all of the chunks from a readable stream and combines them into a
+ * single Uint8Array.
+ * @param {ReadableStream<Uint8Array>} stream The stream to read.
+ * @returns {Promise<Uint8Array>} The bytes from the stream.
+ */
+async function streamToBytes(stream) {
+	const reader = stream.getReader();
+	const chunks = [];
+	let length = 0;
+
+	while (true) {
+		const { done, value } = await reader.read();
+
+		if (done) {
+			break;
+		}
+
+		chunks.push(value);
+		length += value.byteLength;
+	}
+
+	const bytes = new Uint8Array(length);
+	let offset = 0;
+
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.byteLength;
+	}
+
+	return bytes;
+}
+
+/**
+ * Asserts that a function returns a promise that rejects with an instance of
+ * the given error class from `@humanfs/core`. The class is checked by name
+ * and code so that any copy of `@humanfs/core` is accepted.
+ * @param {Assert} assert The assertion library to use.
+ * @param {() => Promise<any>} fn The function to call.
+ * @param {string} className The name of the expected error class.
+ * @param {string} code The expected error code.
+ * @returns {Promise<void>} A promise that resolves when the check is done.
+ */
+async function assertRejectsWithClass(assert, fn, className, code) {
+	let error;
+
+	try {
+		await fn();
+	} catch (ex) {
+		error = ex;
+	}
+
+	assert.ok(error, `Expected a ${className} to be thrown.`);
+	assert.strictEqual(error.name, className);
+	assert.strictEqual(error.code, code);
+}
+
+/**
+ * Returns a promise that resolves after the given number of milliseconds.
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise<void>} A promise that resolves after the delay.
+ */
+function delay(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads events from a watcher until one matches the given predicate. Some
+ * watchers take a moment to start reporting changes, so the action that
+ * causes the event is repeated until a matching event arrives.
+ * @param {AsyncIterator<HfsWatchEvent>} events The events from the watcher.
+ * @param {(event: HfsWatchEvent) => boolean} predicate The function that
+ *  determines if an event is the one being waited for.
+ * @param {(attempt: number) => Promise<any>} [action] The function that
+ *  causes the event.
+ * @returns {Promise<HfsWatchEvent|undefined>} The matching event or undefined
+ *  if the watcher stopped first.
+ */
+async function waitForEvent(events, predicate, action) {
+	let waiting = true;
+	let next = events.next();
+
+	const repeatAction = async () => {
+		for (let attempt = 0; waiting && action; attempt++) {
+			await action(attempt);
+			await delay(WATCH_RETRY_DELAY);
+		}
+	};
+	const acting = repeatAction();
+
+	try {
+		while (true) {
+			const { done, value } = await next;
+
+			if (done) {
+				return undefined;
+			}
+
+			if (predicate(value)) {
+				return value;
+			}
+
+			next = events.next();
+		}
+	} finally {
+		waiting = false;
+		await acting;
+	}
+}
+
+/**
+ * Creates an async iterable that yields the given chunks.
+ * @param {...Uint8Array} chunks The chunks to yield.
+ * @returns {AsyncIterable<Uint8Array>} The async iterable.
+ */
+async function* createChunks(...chunks) {
+	yield* chunks;
+}
+
 //------------------------------------------------------------------------------
 // Public Interface
 //------------------------------------------------------------------------------
@@ -174,6 +295,112 @@ export class HfsImplTester {
 				});
 			}
 
+			if (impl.slice) {
+				describe("slice()", () => {
+					it("should read a range of bytes from the start of a file", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.slice(filePath, 0, 5);
+						assert.ok(result instanceof Uint8Array);
+						const decoder = new TextDecoder();
+						assert.strictEqual(decoder.decode(result), "Hello");
+					});
+
+					it("should read a range of bytes from the middle of a file", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.slice(filePath, 7, 12);
+						const decoder = new TextDecoder();
+						assert.strictEqual(decoder.decode(result), "world");
+					});
+
+					it("should read a range of bytes when using a file URL", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const fileUrl = filePathToUrl(filePath);
+						const result = await impl.slice(fileUrl, 7, 12);
+						const decoder = new TextDecoder();
+						assert.strictEqual(decoder.decode(result), "world");
+					});
+
+					it("should stop at the end of the file when the range extends past it", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.slice(filePath, 7, 1000);
+						const decoder = new TextDecoder();
+						assert.strictEqual(decoder.decode(result), "world!");
+					});
+
+					it("should return an empty Uint8Array when the range starts past the end of the file", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.slice(filePath, 1000, 1005);
+						assert.ok(result instanceof Uint8Array);
+						assert.strictEqual(result.byteLength, 0);
+					});
+
+					it("should return an empty Uint8Array when the range is empty", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.slice(filePath, 3, 3);
+						assert.ok(result instanceof Uint8Array);
+						assert.strictEqual(result.byteLength, 0);
+					});
+
+					it("should return undefined when a file doesn't exist", async () => {
+						const result = await impl.slice(
+							this.#outputDir + "/nonexistent.txt",
+							0,
+							5,
+						);
+						assert.strictEqual(
+							result,
+							undefined,
+							"Expected undefined when reading a nonexistent file",
+						);
+					});
+				});
+			}
+
+			if (impl.stream) {
+				describe("stream()", () => {
+					it("should read a file and return the contents as a ReadableStream", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.stream(filePath);
+						assert.ok(typeof result.getReader === "function");
+						const bytes = await streamToBytes(result);
+						const decoder = new TextDecoder();
+						assert.strictEqual(decoder.decode(bytes), HELLO_WORLD);
+					});
+
+					it("should read a file and return the contents as a ReadableStream when using a file URL", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const fileUrl = filePathToUrl(filePath);
+						const result = await impl.stream(fileUrl);
+						assert.ok(typeof result.getReader === "function");
+						const bytes = await streamToBytes(result);
+						const decoder = new TextDecoder();
+						assert.strictEqual(decoder.decode(bytes), HELLO_WORLD);
+					});
+
+					it("should return undefined when a file doesn't exist", async () => {
+						const result = await impl.stream(
+							this.#outputDir + "/nonexistent.txt",
+						);
+						assert.strictEqual(
+							result,
+							undefined,
+							"Expected undefined when streaming a nonexistent file",
+						);
+					});
+
+					it("should return undefined when a file with the given file URL doesn't exist", async () => {
+						const result = await impl.stream(
+							filePathToUrl(this.#outputDir + "/nonexistent.txt"),
+						);
+						assert.strictEqual(
+							result,
+							undefined,
+							"Expected undefined when streaming a nonexistent file",
+						);
+					});
+				});
+			}
+
 			describe("write()", () => {
 				beforeEach(async () => {
 					await impl.createDirectory(this.#outputDir + "/tmp-write");
@@ -290,6 +517,291 @@ export class HfsImplTester {
 				});
 			});
 
+			if (impl.writeStream) {
+				describe("writeStream()", () => {
+					beforeEach(async () => {
+						await impl.createDirectory(
+							this.#outputDir + "/tmp-write-stream",
+						);
+					});
+
+					afterEach(async () => {
+						await impl.deleteAll(
+							this.#outputDir + "/tmp-write-stream",
+						);
+					});
+
+					it("should write chunks to a file", async () => {
+						const filePath =
+							this.#outputDir + "/tmp-write-stream/test.txt";
+						await impl.writeStream(
+							filePath,
+							createChunks(
+								HELLO_WORLD_BYTES,
+								GOODBYE_WORLD_BYTES,
+							),
+						);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD + GOODBYE_WORLD);
+					});
+
+					it("should write chunks to a file URL", async () => {
+						const filePath =
+							this.#outputDir + "/tmp-write-stream/test.txt";
+						await impl.writeStream(
+							filePathToUrl(filePath),
+							createChunks(
+								HELLO_WORLD_BYTES,
+								GOODBYE_WORLD_BYTES,
+							),
+						);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD + GOODBYE_WORLD);
+					});
+
+					it("should write Uint8Array subarray chunks to a file", async () => {
+						const filePath =
+							this.#outputDir + "/tmp-write-stream/test.txt";
+						await impl.writeStream(
+							filePath,
+							createChunks(HELLO_WORLD_BYTES.subarray(0, 5)),
+						);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD.slice(0, 5));
+					});
+
+					it("should write an empty file when there are no chunks", async () => {
+						const filePath =
+							this.#outputDir + "/tmp-write-stream/test.txt";
+						await impl.writeStream(filePath, createChunks());
+
+						assert.strictEqual(await impl.isFile(filePath), true);
+					});
+
+					it("should overwrite an already existing file", async () => {
+						const filePath =
+							this.#outputDir + "/tmp-write-stream/test.txt";
+						await impl.write(filePath, HELLO_WORLD_BYTES);
+						await impl.writeStream(
+							filePath,
+							createChunks(GOODBYE_WORLD_BYTES),
+						);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, GOODBYE_WORLD);
+					});
+
+					it("should write a file when the directory doesn't exist", async () => {
+						const filePath =
+							this.#outputDir +
+							"/tmp-write-stream/nonexistent/test.txt";
+						await impl.writeStream(
+							filePath,
+							createChunks(HELLO_WORLD_BYTES),
+						);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD);
+					});
+				});
+			}
+
+			if (impl.writeAtomic) {
+				describe("writeAtomic()", () => {
+					const dirPath = this.#outputDir + "/tmp-write-atomic";
+
+					beforeEach(async () => {
+						await impl.createDirectory(dirPath);
+					});
+
+					afterEach(async () => {
+						await impl.deleteAll(dirPath);
+					});
+
+					it("should write a Uint8Array to a file", async () => {
+						const filePath = dirPath + "/test.txt";
+						await impl.writeAtomic(filePath, HELLO_WORLD_BYTES);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD);
+					});
+
+					it("should write a Uint8Array to a file URL", async () => {
+						const filePath = dirPath + "/test.txt";
+						await impl.writeAtomic(
+							filePathToUrl(filePath),
+							HELLO_WORLD_BYTES,
+						);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD);
+					});
+
+					it("should write a Uint8Array subarray to a file", async () => {
+						const filePath = dirPath + "/test.txt";
+						await impl.writeAtomic(
+							filePath,
+							HELLO_WORLD_BYTES.subarray(4, 7),
+						);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, "o, ");
+					});
+
+					it("should overwrite an already existing file", async () => {
+						const filePath = dirPath + "/test.txt";
+						await impl.write(filePath, HELLO_WORLD_BYTES);
+						await impl.writeAtomic(filePath, GOODBYE_WORLD_BYTES);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, GOODBYE_WORLD);
+					});
+
+					it("should write a file when the directory doesn't exist", async () => {
+						const filePath = dirPath + "/nonexistent/test.txt";
+						await impl.writeAtomic(filePath, HELLO_WORLD_BYTES);
+
+						const resultBytes = await impl.bytes(filePath);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD);
+					});
+
+					it("should not leave any other files in the directory", async () => {
+						const filePath = dirPath + "/test.txt";
+						await impl.writeAtomic(filePath, HELLO_WORLD_BYTES);
+						await impl.writeAtomic(filePath, GOODBYE_WORLD_BYTES);
+
+						const names = [];
+
+						for await (const entry of impl.list(dirPath)) {
+							names.push(entry.name);
+						}
+
+						assert.deepStrictEqual(names, ["test.txt"]);
+					});
+				});
+			}
+
+			if (impl.commit) {
+				describe("commit()", () => {
+					const dirPath = this.#outputDir + "/tmp-commit";
+
+					beforeEach(async () => {
+						await impl.createDirectory(dirPath);
+						await impl.write(
+							dirPath + "/hello.txt",
+							HELLO_WORLD_BYTES,
+						);
+					});
+
+					afterEach(async () => {
+						await impl.deleteAll(dirPath);
+					});
+
+					it("should apply the operations in order", async () => {
+						await impl.commit([
+							{
+								type: "write",
+								path: dirPath + "/new/file.txt",
+								contents: GOODBYE_WORLD_BYTES,
+							},
+							{
+								type: "copy",
+								from: dirPath + "/hello.txt",
+								to: dirPath + "/copy.txt",
+							},
+							{
+								type: "move",
+								from: dirPath + "/copy.txt",
+								to: dirPath + "/moved.txt",
+							},
+							{ type: "delete", path: dirPath + "/hello.txt" },
+						]);
+
+						assert.strictEqual(
+							new TextDecoder().decode(
+								await impl.bytes(dirPath + "/new/file.txt"),
+							),
+							GOODBYE_WORLD,
+						);
+						assert.strictEqual(
+							new TextDecoder().decode(
+								await impl.bytes(dirPath + "/moved.txt"),
+							),
+							HELLO_WORLD,
+						);
+						assert.strictEqual(
+							await impl.isFile(dirPath + "/copy.txt"),
+							false,
+						);
+						assert.strictEqual(
+							await impl.isFile(dirPath + "/hello.txt"),
+							false,
+						);
+					});
+
+					it("should accept file URLs", async () => {
+						await impl.commit([
+							{
+								type: "write",
+								path: filePathToUrl(dirPath + "/hello.txt"),
+								contents: GOODBYE_WORLD_BYTES,
+							},
+						]);
+
+						const resultBytes = await impl.bytes(
+							dirPath + "/hello.txt",
+						);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, GOODBYE_WORLD);
+					});
+
+					it("should undo the operations already applied when one fails", async () => {
+						await assert.rejects(() =>
+							impl.commit([
+								{
+									type: "write",
+									path: dirPath + "/hello.txt",
+									contents: GOODBYE_WORLD_BYTES,
+								},
+								{
+									type: "write",
+									path: dirPath + "/new.txt",
+									contents: GOODBYE_WORLD_BYTES,
+								},
+								{
+									type: "move",
+									from: dirPath + "/nonexistent.txt",
+									to: dirPath + "/moved.txt",
+								},
+							]),
+						);
+
+						const resultBytes = await impl.bytes(
+							dirPath + "/hello.txt",
+						);
+						const result = new TextDecoder().decode(resultBytes);
+						assert.strictEqual(result, HELLO_WORLD);
+						assert.strictEqual(
+							await impl.isFile(dirPath + "/new.txt"),
+							false,
+						);
+					});
+				});
+			}
+
 			if (impl.append) {
 				describe("append()", () => {
 					const dirPath = this.#outputDir + "/tmp-append";
@@ -644,18 +1156,22 @@ export class HfsImplTester {
 
 					it("should reject a promise when path is a nonempty directory", async () => {
 						const subdirPath = dirPath + "/subdir";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.delete(subdirPath),
-							/ENOTEMPTY/,
+							"NotEmptyError",
+							"ENOTEMPTY",
 						);
 					});
 
 					it("should reject a promise when path is a nonempty directory at the file URL", async () => {
 						const subdirPath = dirPath + "/subdir";
 						const subdirUrl = filePathToUrl(subdirPath);
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.delete(subdirUrl),
-							/ENOTEMPTY/,
+							"NotEmptyError",
+							"ENOTEMPTY",
 						);
 					});
 				});
@@ -991,6 +1507,79 @@ export class HfsImplTester {
 				});
 			}
 
+			if (impl.stat) {
+				describe("stat()", () => {
+					it("should return information about a file", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.stat(filePath);
+
+						assert.strictEqual(result.kind, "file");
+						assert.strictEqual(
+							result.size,
+							HELLO_WORLD_BYTES.byteLength,
+						);
+						assert.ok(result.lastModified instanceof Date);
+						assert.strictEqual(result.isSymlink, false);
+						assert.ok(
+							result.created === undefined ||
+								result.created instanceof Date,
+							"created should be a Date or undefined",
+						);
+					});
+
+					it("should return information about a directory", async () => {
+						const result = await impl.stat(this.#outputDir);
+
+						assert.strictEqual(result.kind, "directory");
+						assert.strictEqual(result.size, 0);
+						assert.ok(result.lastModified instanceof Date);
+						assert.strictEqual(result.isSymlink, false);
+					});
+
+					it("should return information about a file at the file URL", async () => {
+						const filePath = this.#outputDir + "/hello.txt";
+						const fileUrl = filePathToUrl(filePath);
+						const result = await impl.stat(fileUrl);
+
+						assert.strictEqual(result.kind, "file");
+						assert.strictEqual(
+							result.size,
+							HELLO_WORLD_BYTES.byteLength,
+						);
+					});
+
+					it("should return the same size and last modified date as size() and lastModified()", async () => {
+						if (!impl.size || !impl.lastModified) {
+							return;
+						}
+
+						const filePath = this.#outputDir + "/hello.txt";
+						const result = await impl.stat(filePath);
+
+						assert.strictEqual(
+							result.size,
+							await impl.size(filePath),
+						);
+						assert.strictEqual(
+							result.lastModified.getTime(),
+							(await impl.lastModified(filePath)).getTime(),
+						);
+					});
+
+					it("should return undefined if the file doesn't exist", async () => {
+						const filePath = this.#outputDir + "/nonexistent.txt";
+						const result = await impl.stat(filePath);
+						assert.strictEqual(result, undefined);
+					});
+
+					it("should return undefined if the directory doesn't exist", async () => {
+						const dirPath = this.#outputDir + "/nonexistent";
+						const result = await impl.stat(dirPath);
+						assert.strictEqual(result, undefined);
+					});
+				});
+			}
+
 			if (impl.copy) {
 				describe("copy()", () => {
 					let dirPath = this.#outputDir + "/tmp-copy";
@@ -1035,27 +1624,20 @@ export class HfsImplTester {
 					});
 
 					/*
-					 * Different runtimes return different error codes
-					 * when a directory is used in place of a file.
-					 *
-					 * Node.js on Windows: EPERM
-					 * Node.js on macOS: ENOTSUP
-					 * Node.js on Linux: EISDIR
-					 * Deno: EPERM
-					 *
-					 * Unfortunately, that means we need to accept any of
-					 * these errors for the following tests.
-					 *
-					 * Note: EISDIR is the most accurate error code but
-					 * others are accepted for compatibility.
+					 * Runtimes return different error codes when a
+					 * directory is used in place of a file (EISDIR,
+					 * EPERM, or ENOTSUP), so impls must check for
+					 * directories and throw a DirectoryError.
 					 */
 
 					it("should reject a promise when attempting to copy a directory", async () => {
 						const sourcePath = dirPath + "/subdir";
 						const destPath = dirPath + "/subdir-copy";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.copy(sourcePath, destPath),
-							/EISDIR|EPERM|ENOTSUP/,
+							"DirectoryError",
+							"EISDIR",
 						);
 					});
 
@@ -1064,9 +1646,11 @@ export class HfsImplTester {
 						const destPath = dirPath + "/subdir-copy";
 						const sourceUrl = filePathToUrl(sourcePath);
 						const destUrl = filePathToUrl(destPath);
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.copy(sourceUrl, destUrl),
-							/EISDIR|EPERM|ENOTSUP/,
+							"DirectoryError",
+							"EISDIR",
 						);
 					});
 
@@ -1074,18 +1658,22 @@ export class HfsImplTester {
 						const sourcePath =
 							dirPath + "/subdir/subsubdir/test.txt";
 						const destPath = dirPath + "/subdir";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.copy(sourcePath, destPath),
-							/EISDIR|EPERM|ENOTSUP/,
+							"DirectoryError",
+							"EISDIR",
 						);
 					});
 
 					it("should reject a promise when the source file doesn't exist", async () => {
 						const sourcePath = dirPath + "/nonexistent.txt";
 						const destPath = dirPath + "/nonexistent-copy.txt";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.copy(sourcePath, destPath),
-							/ENOENT/,
+							"NotFoundError",
+							"ENOENT",
 						);
 					});
 				});
@@ -1169,9 +1757,11 @@ export class HfsImplTester {
 					it("should reject a promise when the source file doesn't exist", async () => {
 						const sourcePath = dirPath + "/nonexistent.txt";
 						const destPath = dirPath + "/nonexistent-copy.txt";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.copyAll(sourcePath, destPath),
-							/ENOENT/,
+							"NotFoundError",
+							"ENOENT",
 						);
 					});
 				});
@@ -1260,18 +1850,22 @@ export class HfsImplTester {
 					it("should reject a promise when the source file doesn't exist", async () => {
 						const filePath = dirPath + "/nonexistent.txt";
 						const newFilePath = dirPath + "/nonexistent-moved.txt";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.move(filePath, newFilePath),
-							/ENOENT/,
+							"NotFoundError",
+							"ENOENT",
 						);
 					});
 
 					it("should reject a promise when the source is a directory", async () => {
 						const subdirPath = dirPath + "/subdir";
 						const newFilePath = dirPath + "/subdir-moved";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.move(subdirPath, newFilePath),
-							/EISDIR|EPERM|ENOTSUP/,
+							"DirectoryError",
+							"EISDIR",
 						);
 					});
 				});
@@ -1364,9 +1958,11 @@ export class HfsImplTester {
 					it("should reject a promise when the source doesn't exist", async () => {
 						const sourcePath = dirPath + "/nonexistent.txt";
 						const destPath = dirPath + "/nonexistent-moved.txt";
-						await assert.rejects(
+						await assertRejectsWithClass(
+							assert,
 							() => impl.moveAll(sourcePath, destPath),
-							/ENOENT/,
+							"NotFoundError",
+							"ENOENT",
 						);
 					});
 
@@ -1394,6 +1990,396 @@ export class HfsImplTester {
 					});
 				});
 			}
+
+			if (impl.createSymlink) {
+				describe("Symbolic links", () => {
+					const dirPath = this.#outputDir + "/tmp-symlink";
+					const linkPath = dirPath + "/hello-link.txt";
+
+					/**
+					 * Set when the impl rejects with MethodNotSupportedError,
+					 * in which case only the rejections are checked.
+					 * @type {boolean}
+					 */
+					let unsupported = false;
+
+					/**
+					 * Set when symlinks are supported by the impl but can't
+					 * be created in this environment, such as on Windows
+					 * without elevated privileges.
+					 * @type {boolean}
+					 */
+					let unavailable = false;
+
+					beforeEach(async () => {
+						await impl.createDirectory(dirPath);
+
+						try {
+							await impl.createSymlink("../hello.txt", linkPath);
+						} catch (error) {
+							if (/not supported/.test(error.message)) {
+								unsupported = true;
+							} else if (error.code === "EPERM") {
+								unavailable = true;
+							} else {
+								throw error;
+							}
+						}
+					});
+
+					afterEach(async () => {
+						await impl.deleteAll(dirPath);
+					});
+
+					it("should reject with MethodNotSupportedError when symlinks aren't supported", async () => {
+						if (!unsupported) {
+							return;
+						}
+
+						await assert.rejects(
+							() => impl.readSymlink(linkPath),
+							/not supported/,
+						);
+						await assert.rejects(
+							() => impl.isSymlink(linkPath),
+							/not supported/,
+						);
+					});
+
+					it("should read a file through a symlink", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						const result = await impl.bytes(linkPath);
+						assert.deepStrictEqual(result, HELLO_WORLD_BYTES);
+						assert.strictEqual(await impl.isFile(linkPath), true);
+					});
+
+					it("should return the target from readSymlink()", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						assert.strictEqual(
+							await impl.readSymlink(linkPath),
+							"../hello.txt",
+						);
+					});
+
+					it("should return the target from readSymlink() at the file URL", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						assert.strictEqual(
+							await impl.readSymlink(filePathToUrl(linkPath)),
+							"../hello.txt",
+						);
+					});
+
+					it("should return undefined from readSymlink() when the path isn't a symlink", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						assert.strictEqual(
+							await impl.readSymlink(
+								this.#outputDir + "/hello.txt",
+							),
+							undefined,
+						);
+					});
+
+					it("should return undefined from readSymlink() when the path doesn't exist", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						assert.strictEqual(
+							await impl.readSymlink(dirPath + "/nonexistent"),
+							undefined,
+						);
+					});
+
+					it("should return true from isSymlink() for a symlink", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						assert.strictEqual(
+							await impl.isSymlink(linkPath),
+							true,
+						);
+					});
+
+					it("should return false from isSymlink() for a file or directory", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						assert.strictEqual(
+							await impl.isSymlink(
+								this.#outputDir + "/hello.txt",
+							),
+							false,
+						);
+						assert.strictEqual(
+							await impl.isSymlink(dirPath),
+							false,
+						);
+					});
+
+					it("should return false from isSymlink() when the path doesn't exist", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						assert.strictEqual(
+							await impl.isSymlink(dirPath + "/nonexistent"),
+							false,
+						);
+					});
+
+					it("should create a symlink at the file URL", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						const otherLinkPath = dirPath + "/other-link.txt";
+						await impl.createSymlink(
+							"../message.json",
+							filePathToUrl(otherLinkPath),
+						);
+
+						assert.strictEqual(
+							await impl.readSymlink(otherLinkPath),
+							"../message.json",
+						);
+						assert.deepStrictEqual(
+							await impl.bytes(otherLinkPath),
+							HELLO_WORLD_JSON,
+						);
+					});
+
+					it("should create any missing parent directories", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						const nestedLinkPath = dirPath + "/a/b/link.txt";
+						await impl.createSymlink(
+							"../../../hello.txt",
+							nestedLinkPath,
+						);
+
+						assert.strictEqual(
+							await impl.isSymlink(nestedLinkPath),
+							true,
+						);
+						assert.deepStrictEqual(
+							await impl.bytes(nestedLinkPath),
+							HELLO_WORLD_BYTES,
+						);
+					});
+
+					it("should follow a symlink to a directory", async () => {
+						if (unsupported || unavailable) {
+							return;
+						}
+
+						await impl.write(
+							dirPath + "/subdir/test.txt",
+							HELLO_WORLD_BYTES,
+						);
+
+						const dirLinkPath = dirPath + "/subdir-link";
+						await impl.createSymlink("subdir", dirLinkPath);
+
+						assert.strictEqual(
+							await impl.isDirectory(dirLinkPath),
+							true,
+						);
+						assert.deepStrictEqual(
+							await impl.bytes(dirLinkPath + "/test.txt"),
+							HELLO_WORLD_BYTES,
+						);
+					});
+
+					it("should describe the target in stat() and flag the symlink", async () => {
+						if (unsupported || unavailable || !impl.stat) {
+							return;
+						}
+
+						const result = await impl.stat(linkPath);
+
+						assert.strictEqual(result.kind, "file");
+						assert.strictEqual(
+							result.size,
+							HELLO_WORLD_BYTES.byteLength,
+						);
+						assert.strictEqual(result.isSymlink, true);
+					});
+
+					it("should report symlinks in list()", async () => {
+						if (unsupported || unavailable || !impl.list) {
+							return;
+						}
+
+						const entries = [];
+
+						for await (const entry of impl.list(dirPath)) {
+							entries.push(entry);
+						}
+
+						const link = entries.find(
+							entry => entry.name === "hello-link.txt",
+						);
+						assert.ok(link, "Link should be listed.");
+						assert.strictEqual(link.isSymlink, true);
+					});
+
+					it("should delete the symlink but not its target", async () => {
+						if (unsupported || unavailable || !impl.delete) {
+							return;
+						}
+
+						assert.strictEqual(await impl.delete(linkPath), true);
+						assert.strictEqual(
+							await impl.isSymlink(linkPath),
+							false,
+						);
+						assert.strictEqual(
+							await impl.isFile(this.#outputDir + "/hello.txt"),
+							true,
+						);
+					});
+				});
+			}
+
+			if (impl.watch) {
+				describe("watch()", () => {
+					const dirPath = this.#outputDir + "/tmp-watch";
+					const isNewFile = event =>
+						event.type === "create" &&
+						/^file-\d+\.txt$/.test(event.path);
+					const writeNewFile = attempt =>
+						impl.write(
+							`${dirPath}/file-${attempt}.txt`,
+							HELLO_WORLD_BYTES,
+						);
+					let controller;
+					let events;
+
+					beforeEach(async () => {
+						await impl.createDirectory(dirPath);
+						controller = new AbortController();
+						const watcher = impl.watch(dirPath, {
+							signal: controller.signal,
+						});
+						events = watcher[Symbol.asyncIterator]();
+					});
+
+					afterEach(async () => {
+						controller.abort();
+						await events.return?.();
+						await impl.deleteAll(dirPath);
+					});
+
+					it("should report a file being created", async () => {
+						const event = await waitForEvent(
+							events,
+							isNewFile,
+							writeNewFile,
+						);
+
+						assert.ok(event, "Expected a create event.");
+					});
+
+					it("should report a file being changed", async () => {
+						const filePath = dirPath + "/changed.txt";
+						await impl.write(filePath, HELLO_WORLD_BYTES);
+
+						const event = await waitForEvent(
+							events,
+							event => event.path === "changed.txt",
+							() => impl.write(filePath, GOODBYE_WORLD_BYTES),
+						);
+
+						assert.deepStrictEqual(event, {
+							type: "change",
+							path: "changed.txt",
+						});
+					});
+
+					it("should report a file being deleted", async () => {
+						const created = await waitForEvent(
+							events,
+							isNewFile,
+							writeNewFile,
+						);
+
+						await impl.deleteAll(`${dirPath}/${created.path}`);
+
+						const event = await waitForEvent(
+							events,
+							event =>
+								event.type === "delete" &&
+								event.path === created.path,
+						);
+
+						assert.ok(event, "Expected a delete event.");
+					});
+
+					it("should report paths in subdirectories relative to the watched directory", async () => {
+						await impl.createDirectory(dirPath + "/subdir");
+
+						const event = await waitForEvent(
+							events,
+							event =>
+								event.type === "create" &&
+								/^subdir\/file-\d+\.txt$/.test(event.path),
+							attempt =>
+								impl.write(
+									`${dirPath}/subdir/file-${attempt}.txt`,
+									HELLO_WORLD_BYTES,
+								),
+						);
+
+						assert.ok(event, "Expected a create event.");
+					});
+
+					it("should report changes when the directory is a URL", async () => {
+						const watcher = impl.watch(filePathToUrl(dirPath), {
+							signal: controller.signal,
+						});
+						const urlEvents = watcher[Symbol.asyncIterator]();
+
+						try {
+							const event = await waitForEvent(
+								urlEvents,
+								isNewFile,
+								writeNewFile,
+							);
+
+							assert.ok(event, "Expected a create event.");
+						} finally {
+							controller.abort();
+							await urlEvents.return?.();
+						}
+					});
+
+					it("should stop when the signal is aborted", async () => {
+						const next = events.next();
+						controller.abort();
+
+						assert.deepStrictEqual(await next, {
+							done: true,
+							value: undefined,
+						});
+					});
+				});
+			}
 		});
 	}
 }
@@ -16,6 +16,26 @@ export interface HfsImpl {
 	 */
 	bytes?(filePath: string|URL): Promise<Uint8Array|undefined>;
 
+	/**
+	 * Reads the given byte range from the given file.
+	 * @param filePath The file to read.
+	 * @param start The zero-based byte offset to start reading from.
+	 * @param end The zero-based byte offset to stop reading before. If the
+	 * 		file is shorter, only the bytes up to the end of the file are returned.
+	 * @returns The bytes in the range or undefined if the file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	slice?(filePath: string|URL, start: number, end: number): Promise<Uint8Array|undefined>;
+
+	/**
+	 * Reads the given file and returns the contents as a readable stream.
+	 * @param filePath The file to read.
+	 * @returns A readable stream of the file contents or undefined if the
+	 * 		file doesn't exist.
+	 * @throws {Error} If the file cannot be read.
+	 */
+	stream?(filePath: string|URL): Promise<ReadableStream<Uint8Array>|undefined>;
+
 	/**
 	 * Writes the given data to the given file. For text, assumes UTF-8 encoding.
 	 * @param filePath The file to write to.
@@ -25,6 +45,29 @@ export interface HfsImpl {
 	 */
 	write?(filePath: string|URL, data: Uint8Array): Promise<void>;
 
+	/**
+	 * Writes the given data to the given file so that readers see either the
+	 * old or the new contents, never a partially written file. For text,
+	 * assumes UTF-8 encoding.
+	 * @param filePath The file to write to.
+	 * @param data The data to write.
+	 * @returns A promise that resolves when the file is written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	writeAtomic?(filePath: string|URL, data: Uint8Array): Promise<void>;
+
+	/**
+	 * Writes the chunks from the given source to the given file, creating
+	 * any necessary directories along the way.
+	 * @param filePath The file to write to.
+	 * @param source The chunks to write.
+	 * @param options The options for writing.
+	 * @param options.size The number of bytes in the source, if known.
+	 * @returns A promise that resolves when the file is written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	writeStream?(filePath: string|URL, source: AsyncIterable<Uint8Array>, options?: { size?: number }): Promise<void>;
+
 	/**
 	 * Appends the given data to the given file. For text, assumes UTF-8 encoding.
 	 * @param filePath The file to append to.
@@ -104,6 +147,16 @@ export interface HfsImpl {
 	 */
 	lastModified?(fileOrDirPath: string|URL): Promise<Date|undefined>;
 
+	/**
+	 * Returns information about the given file or directory. Symbolic links
+	 * are followed, so the information describes the target of a link.
+	 * @param fileOrDirPath The path to the file or directory to check.
+	 * @returns A promise that resolves with the information about the file or
+	 * 		directory, undefined if it does not exist.
+	 * @throws {Error} If the file or directory cannot be read.
+	 */
+	stat?(fileOrDirPath: string|URL): Promise<HfsStat|undefined>;
+
 	/**
 	 * Copies the file from the source path to the destination path.
 	 * @param source The source file to copy.
@@ -144,6 +197,54 @@ export interface HfsImpl {
 	 * @throws {Error} If the source cannot be read.
 	 */
 	moveAll?(source: string|URL, destination: string|URL): Promise<void>;
+
+	/**
+	 * Creates a symbolic link at the given path that points to the given target.
+	 * @param target The path the link should point to. Relative targets are
+	 * 		resolved relative to the directory containing the link.
+	 * @param linkPath The path of the link to create.
+	 * @returns A promise that resolves when the link is created.
+	 * @throws {Error} If the link cannot be created.
+	 */
+	createSymlink?(target: string, linkPath: string|URL): Promise<void>;
+
+	/**
+	 * Reads the target of the given symbolic link.
+	 * @param linkPath The path of the link to read.
+	 * @returns The target of the link or undefined if the path doesn't exist
+	 * 		or isn't a symbolic link.
+	 * @throws {Error} If the link cannot be read.
+	 */
+	readSymlink?(linkPath: string|URL): Promise<string|undefined>;
+
+	/**
+	 * Checks if the given path is a symbolic link without following it.
+	 * @param fileOrDirPath The path to check.
+	 * @returns True if the path is a symbolic link, false if not.
+	 * @throws {Error} If the operation fails with a code other than ENOENT.
+	 */
+	isSymlink?(fileOrDirPath: string|URL): Promise<boolean>;
+
+	/**
+	 * Watches the given directory and its subdirectories for changes.
+	 * @param dirPath The directory to watch.
+	 * @param options The options for watching.
+	 * @param options.signal A signal that stops watching when aborted.
+	 * @returns An async iterable of the changes. The iterable ends when the
+	 * 		signal is aborted or the caller stops iterating.
+	 * @throws {Error} If the directory cannot be watched.
+	 */
+	watch?(dirPath: string|URL, options?: { signal?: AbortSignal }): AsyncIterable<HfsWatchEvent>;
+
+	/**
+	 * Applies the given operations as a single unit, in order. If any
+	 * operation fails, the operations already applied are undone.
+	 * @param operations The operations to apply.
+	 * @returns A promise that resolves when all of the operations have been
+	 * 		applied.
+	 * @throws {Error} If any of the operations fails.
+	 */
+	commit?(operations: Array<HfsTransactionOperation>): Promise<void>;
 }
 
 //------------------------------------------------------------------------------
@@ -190,3 +291,83 @@ export interface HfsWalkEntry extends HfsDirectoryEntry {
 	 */
 	depth: number;
 }
+
+//------------------------------------------------------------------------------
+// HfsStat
+//------------------------------------------------------------------------------
+
+export interface HfsStat {
+
+	/**
+	 * The kind of entry. For symbolic links, this is the kind of the target.
+	 */
+	kind: "file" | "directory";
+
+	/**
+	 * The size of the file in bytes. Always 0 for directories.
+	 */
+	size: number;
+
+	/**
+	 * The date the file or directory was last modified.
+	 */
+	lastModified: Date;
+
+	/**
+	 * The date the file or directory was created, or undefined if the
+	 * filesystem doesn't track creation dates.
+	 */
+	created?: Date;
+
+	/**
+	 * True if the path is a symbolic link, false if not.
+	 */
+	isSymlink: boolean;
+
+	/**
+	 * An impl-specific identifier for the file or directory, such as the ID
+	 * of the object in a cloud storage service.
+	 */
+	id?: string;
+
+	/**
+	 * An impl-specific value that changes whenever the file or directory
+	 * changes, such as an HTTP ETag.
+	 */
+	etag?: string;
+}
+
+//------------------------------------------------------------------------------
+// HfsWatchEvent
+//------------------------------------------------------------------------------
+
+export interface HfsWatchEvent {
+
+	/**
+	 * The type of change: "create" when a file or directory is added,
+	 * "change" when a file is modified, or "delete" when a file or directory
+	 * is removed.
+	 */
+	type: "create" | "change" | "delete";
+
+	/**
+	 * The path of the file or directory that changed relative to the
+	 * directory being watched.
+	 */
+	path: string;
+}
+
+//------------------------------------------------------------------------------
+// HfsTransactionOperation
+//------------------------------------------------------------------------------
+
+/**
+ * A change staged in a transaction. Writes replace the contents of a file,
+ * deletes remove a file or empty directory, and moves and copies operate on
+ * files.
+ */
+export type HfsTransactionOperation =
+	| { type: "write"; path: string|URL; contents: Uint8Array }
+	| { type: "delete"; path: string|URL }
+	| { type: "move"; from: string|URL; to: string|URL }
+	| { type: "copy"; from: string|URL; to: string|URL };
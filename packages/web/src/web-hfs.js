@@ -10,6 +10,7 @@
 
 /** @typedef{import("@humanfs/types").HfsImpl} HfsImpl */
 /** @typedef{import("@humanfs/types").HfsDirectoryEntry} HfsDirectoryEntry */
+/** @typedef{import("@humanfs/types").HfsStat} HfsStat */
 
 //-----------------------------------------------------------------------------
 // Imports
@@ -21,12 +22,32 @@ import {
 	NotFoundError,
 	DirectoryError,
 	NotEmptyError,
+	MethodNotSupportedError,
 } from "@humanfs/core";
 
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
 
+/**
+ * Creates a path with any ".." steps collapsed so that it can be walked one
+ * directory at a time.
+ * @param {string|URL} fileOrDirPath The path to convert.
+ * @returns {Path} The resolved path.
+ * @throws {TypeError} When the path leads above the root directory.
+ */
+function toPath(fileOrDirPath) {
+	const path = Path.from(fileOrDirPath).resolve();
+
+	if (path.steps().next().value === "..") {
+		throw new TypeError(
+			`Path "${fileOrDirPath}" leads outside of the root directory.`,
+		);
+	}
+
+	return path;
+}
+
 /**
  * Finds a file or directory in the OPFS root.
  * @param {FileSystemDirectoryHandle} root The root directory to search.
@@ -49,7 +70,7 @@ async function findPath(
 		return root;
 	}
 
-	const path = Path.from(fileOrDirPath);
+	const path = toPath(fileOrDirPath);
 	const steps = [...path];
 
 	if (returnParent) {
@@ -103,6 +124,36 @@ async function findPath(
 	return undefined;
 }
 
+/**
+ * Finds a file in the specified root, creating it and any missing parent
+ * directories if it doesn't exist.
+ * @param {FileSystemDirectoryHandle} root The root directory to search.
+ * @param {string|URL} filePath The path to the file to find.
+ * @returns {Promise<FileSystemFileHandle>} The file handle.
+ */
+async function findOrCreateFile(root, filePath) {
+	const handle = /** @type {FileSystemFileHandle} */ (
+		await findPath(root, filePath)
+	);
+
+	if (handle) {
+		return handle;
+	}
+
+	const path = toPath(filePath);
+	const name = path.name;
+	const parentHandle =
+		/** @type {FileSystemDirectoryHandle} */ (
+			await findPath(root, filePath, {
+				create: true,
+				kind: "directory",
+				returnParent: true,
+			})
+		) ?? root;
+
+	return parentHandle.getFileHandle(name, { create: true });
+}
+
 /**
  * Reads a file from the specified root.
  * @param {FileSystemDirectoryHandle} root The root directory to search.
@@ -172,6 +223,48 @@ export class WebHfsImpl {
 		return buffer ? new Uint8Array(buffer) : undefined;
 	}
 
+	/**
+	 * Reads a range of bytes from a file without reading the rest of the file.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @param {number} start The zero-based byte offset to start reading from.
+	 * @param {number} end The zero-based byte offset to stop reading before.
+	 * @returns {Promise<Uint8Array|undefined>} A promise that resolves with the
+	 *   bytes in the range or undefined if the file does not exist.
+	 * @throws {TypeError} If the file path is not a string.
+	 */
+	async slice(filePath, start, end) {
+		const handle = await findPath(this.#root, filePath);
+
+		if (!handle || handle.kind !== "file") {
+			return undefined;
+		}
+
+		const fileHandle = /** @type {FileSystemFileHandle} */ (handle);
+		const file = await fileHandle.getFile();
+		const buffer = await file.slice(start, end).arrayBuffer();
+		return new Uint8Array(buffer);
+	}
+
+	/**
+	 * Reads a file and returns the contents as a readable stream.
+	 * @param {string|URL} filePath The path to the file to read.
+	 * @returns {Promise<ReadableStream<Uint8Array>|undefined>} A promise that
+	 *   resolves with a readable stream of the file contents or undefined if
+	 *   the file does not exist.
+	 * @throws {TypeError} If the file path is not a string.
+	 */
+	async stream(filePath) {
+		const handle = await findPath(this.#root, filePath);
+
+		if (!handle || handle.kind !== "file") {
+			return undefined;
+		}
+
+		const fileHandle = /** @type {FileSystemFileHandle} */ (handle);
+		const file = await fileHandle.getFile();
+		return file.stream();
+	}
+
 	/**
 	 * Writes a value to a file. If the value is a string, UTF-8 encoding is used.
 	 * @param {string|URL} filePath The path to the file to write.
@@ -183,27 +276,60 @@ export class WebHfsImpl {
 	 * @throws {Error} If the file cannot be written.
 	 */
 	async write(filePath, contents) {
-		let handle = /** @type {FileSystemFileHandle} */ (
-			await findPath(this.#root, filePath)
-		);
+		const handle = await findOrCreateFile(this.#root, filePath);
+		const writable = await handle.createWritable();
+		await writable.write(contents);
+		await writable.close();
+	}
 
-		if (!handle) {
-			const path = Path.from(filePath);
-			const name = path.name;
-			const parentHandle =
-				/** @type {FileSystemDirectoryHandle} */ (
-					await findPath(this.#root, filePath, {
-						create: true,
-						kind: "directory",
-						returnParent: true,
-					})
-				) ?? this.#root;
-			handle = await parentHandle.getFileHandle(name, { create: true });
+	/**
+	 * Writes a value to a file so that readers see either the old or the new
+	 * contents. A writable file stream writes to a temporary file that only
+	 * replaces the file when the stream is closed, so the contents are
+	 * discarded if the write fails.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {Uint8Array} contents The contents to write to the
+	 *   file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeAtomic(filePath, contents) {
+		const handle = await findOrCreateFile(this.#root, filePath);
+		const writable = await handle.createWritable();
+
+		try {
+			await writable.write(contents);
+			await writable.close();
+		} catch (error) {
+			await writable.abort(error);
+			throw error;
 		}
+	}
 
+	/**
+	 * Writes the chunks from the given source to a file. The file contents
+	 * are only replaced when all chunks have been written.
+	 * @param {string|URL} filePath The path to the file to write.
+	 * @param {AsyncIterable<Uint8Array>} source The chunks to write to the file.
+	 * @returns {Promise<void>} A promise that resolves when the file is
+	 *  written.
+	 * @throws {Error} If the file cannot be written.
+	 */
+	async writeStream(filePath, source) {
+		const handle = await findOrCreateFile(this.#root, filePath);
 		const writable = await handle.createWritable();
-		await writable.write(contents);
-		await writable.close();
+
+		try {
+			for await (const chunk of source) {
+				await writable.write(chunk);
+			}
+
+			await writable.close();
+		} catch (error) {
+			await writable.abort(error);
+			throw error;
+		}
 	}
 
 	/**
@@ -272,7 +398,7 @@ export class WebHfsImpl {
 	 */
 	async createDirectory(dirPath) {
 		let handle = this.#root;
-		const path = Path.from(dirPath);
+		const path = toPath(dirPath);
 
 		for (const name of path) {
 			handle = await handle.getDirectoryHandle(name, { create: true });
@@ -437,7 +563,7 @@ export class WebHfsImpl {
 
 		// @ts-ignore -- TS doesn't know about this yet
 		for await (const entry of this.list(fileOrDirPath)) {
-			const entryPath = Path.from(fileOrDirPath);
+			const entryPath = toPath(fileOrDirPath);
 			entryPath.push(entry.name);
 
 			const date = await this.lastModified(entryPath.toString());
@@ -455,6 +581,40 @@ export class WebHfsImpl {
 		return lastModified.getTime() === 0 ? new Date() : lastModified;
 	}
 
+	/**
+	 * Returns information about a file or directory.
+	 * @param {string|URL} fileOrDirPath The path to the file or directory to check.
+	 * @returns {Promise<HfsStat|undefined>} A promise that resolves with the
+	 *  information about the file or directory or undefined if it doesn't exist.
+	 */
+	async stat(fileOrDirPath) {
+		const handle = await findPath(this.#root, fileOrDirPath);
+
+		if (!handle) {
+			return undefined;
+		}
+
+		// OPFS doesn't track creation dates or support symlinks
+		if (handle.kind === "file") {
+			const fileHandle = /** @type {FileSystemFileHandle} */ (handle);
+			const file = await fileHandle.getFile();
+
+			return {
+				kind: "file",
+				size: file.size,
+				lastModified: new Date(file.lastModified),
+				isSymlink: false,
+			};
+		}
+
+		return {
+			kind: "directory",
+			size: 0,
+			lastModified: await this.lastModified(fileOrDirPath),
+			isSymlink: false,
+		};
+	}
+
 	/**
 	 * Copies a file from one location to another.
 	 * @param {string|URL} source The path to the file to copy.
@@ -510,8 +670,8 @@ export class WebHfsImpl {
 			throw new NotFoundError(`copyAll '${source}' -> '${destination}'`);
 		}
 
-		const sourcePath = Path.from(source);
-		const destinationPath = Path.from(destination);
+		const sourcePath = toPath(source);
+		const destinationPath = toPath(destination);
 
 		// for directories, create the destination directory and copy each entry
 		await this.createDirectory(destination);
@@ -557,7 +717,7 @@ export class WebHfsImpl {
 		}
 
 		const fileHandle = /** @type {FileSystemFileHandle} */ (handle);
-		const destinationPath = Path.from(destination);
+		const destinationPath = toPath(destination);
 		const destinationName = destinationPath.pop();
 		const destinationParent = await findPath(
 			this.#root,
@@ -606,7 +766,7 @@ export class WebHfsImpl {
 		const directoryHandle = /** @type {FileSystemDirectoryHandle} */ (
 			handle
 		);
-		const destinationPath = Path.from(destination);
+		const destinationPath = toPath(destination);
 
 		// Chrome doesn't yet support move() on directories
 		// @ts-ignore -- TS doesn't know about this yet
@@ -622,7 +782,7 @@ export class WebHfsImpl {
 			return directoryHandle.move(destinationParent, destinationName);
 		}
 
-		const sourcePath = Path.from(source);
+		const sourcePath = toPath(source);
 
 		// for directories, create the destination directory and move each entry
 		await this.createDirectory(destination);
@@ -649,6 +809,33 @@ export class WebHfsImpl {
 
 		await this.delete(source);
 	}
+
+	/**
+	 * Symbolic links aren't supported by the origin private file system.
+	 * @returns {Promise<void>} A promise that always rejects.
+	 * @throws {MethodNotSupportedError} Always.
+	 */
+	async createSymlink() {
+		throw new MethodNotSupportedError("createSymlink");
+	}
+
+	/**
+	 * Symbolic links aren't supported by the origin private file system.
+	 * @returns {Promise<string|undefined>} A promise that always rejects.
+	 * @throws {MethodNotSupportedError} Always.
+	 */
+	async readSymlink() {
+		throw new MethodNotSupportedError("readSymlink");
+	}
+
+	/**
+	 * Symbolic links aren't supported by the origin private file system.
+	 * @returns {Promise<boolean>} A promise that always rejects.
+	 * @throws {MethodNotSupportedError} Always.
+	 */
+	async isSymlink() {
+		throw new MethodNotSupportedError("isSymlink");
+	}
 }
 
 /**